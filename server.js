@@ -13,6 +13,12 @@ console.log('JWT_SECRET exists:', Boolean(env.jwt.secret));
 const app = require('./src/app');
 const { connectDB } = require('./src/config/database');
 const socketHandler = require('./src/utils/socketHandler');
+const listingModerationService = require('./src/services/listingModerationService');
+const boostService = require('./src/services/boostService');
+const subscriptionService = require('./src/services/subscriptionService');
+const auctionService = require('./src/services/auctionService');
+const appointmentService = require('./src/services/appointmentService');
+const listingSearchService = require('./src/services/listingSearchService');
 
 // Create HTTP server and attach Socket.io
 const server = http.createServer(app);
@@ -34,6 +40,21 @@ const startServer = async () => {
   try {
     await connectDB();
     console.log('📊 MongoDB connected successfully');
+
+    // One-off migration for listings created before radius search
+    listingSearchService.backfillGeoLocations()
+      .then((count) => {
+        if (count) {
+          console.log(`📍 Backfilled coordinates for ${count} listings`);
+        }
+      })
+      .catch((error) => console.error('Failed to backfill listing coordinates:', error.message));
+
+    listingModerationService.startClaimExpiryJob();
+    boostService.startBoostScheduler();
+    subscriptionService.startSubscriptionScheduler();
+    auctionService.startAuctionScheduler();
+    appointmentService.startAppointmentScheduler();
     
     server.listen(PORT, () => {
       console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
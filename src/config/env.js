@@ -95,7 +95,9 @@ env.app = {
 
 env.jwt = {
   secret: getString('JWT_SECRET', ''),
-  expiresIn: getString('JWT_EXPIRES_IN', '7d')
+  // Access tokens; sessions are kept alive with refresh tokens
+  expiresIn: getString('JWT_EXPIRES_IN', '15m'),
+  refreshTtlDays: getNumber('REFRESH_TOKEN_TTL_DAYS', 30)
 };
 
 env.database = {
@@ -142,6 +144,112 @@ env.rateLimit = {
   maxRequests: getNumber('RATE_LIMIT_MAX_REQUESTS', 100)
 };
 
+env.moderation = {
+  claimTtlMinutes: getNumber('MODERATION_CLAIM_TTL_MINUTES', 30),
+  slaHours: getNumber('MODERATION_SLA_HOURS', 24),
+  claimSweepIntervalMs: getNumber('MODERATION_CLAIM_SWEEP_INTERVAL_MS', 60 * 1000)
+};
+
+env.listingRevisions = {
+  // Fields owners may change on a published listing without re-review
+  exemptFields: parseList(process.env.LISTING_REVISION_EXEMPT_FIELDS, ['availabilityStatus'])
+};
+
+env.boosts = {
+  schedulerIntervalMs: getNumber('BOOST_SCHEDULER_INTERVAL_MS', 5 * 60 * 1000)
+};
+
+env.subscriptions = {
+  gracePeriodDays: getNumber('SUBSCRIPTION_GRACE_PERIOD_DAYS', 7),
+  schedulerIntervalMs: getNumber('SUBSCRIPTION_SCHEDULER_INTERVAL_MS', 60 * 60 * 1000)
+};
+
+env.auctions = {
+  // Bids inside the window push the end time out by the extension
+  antiSnipingWindowMinutes: getNumber('AUCTION_ANTI_SNIPING_WINDOW_MINUTES', 2),
+  extensionMinutes: getNumber('AUCTION_EXTENSION_MINUTES', 2),
+  schedulerIntervalMs: getNumber('AUCTION_SCHEDULER_INTERVAL_MS', 15 * 1000)
+};
+
+env.offers = {
+  defaultExpiryHours: getNumber('OFFER_DEFAULT_EXPIRY_HOURS', 48),
+  maxExpiryHours: getNumber('OFFER_MAX_EXPIRY_HOURS', 7 * 24),
+  // Default for moving a listing's availability to pending when an offer is accepted
+  holdListingOnAccept: getBoolean('OFFER_HOLD_LISTING_ON_ACCEPT', true)
+};
+
+env.appointments = {
+  defaultTimezone: getString('APPOINTMENT_DEFAULT_TIMEZONE', 'Africa/Lagos'),
+  minNoticeHours: getNumber('APPOINTMENT_MIN_NOTICE_HOURS', 2),
+  maxAdvanceDays: getNumber('APPOINTMENT_MAX_ADVANCE_DAYS', 60),
+  schedulerIntervalMs: getNumber('APPOINTMENT_SCHEDULER_INTERVAL_MS', 5 * 60 * 1000)
+};
+
+env.sales = {
+  // Fewer confirmed sales than this and analytics only report the count
+  analyticsMinSample: getNumber('SALES_ANALYTICS_MIN_SAMPLE', 3)
+};
+
+env.organizations = {
+  invitationTtlDays: getNumber('ORGANIZATION_INVITATION_TTL_DAYS', 7),
+  maxMembers: getNumber('ORGANIZATION_MAX_MEMBERS', 50)
+};
+
+env.twoFactor = {
+  issuer: getString('TWO_FACTOR_ISSUER', env.productName),
+  // Secrets are encrypted at rest with this key (falls back to JWT_SECRET)
+  encryptionKey: getString('TWO_FACTOR_ENCRYPTION_KEY', ''),
+  challengeExpiresIn: getString('TWO_FACTOR_CHALLENGE_EXPIRES_IN', '5m'),
+  maxChallengeAttempts: getNumber('TWO_FACTOR_MAX_ATTEMPTS', 5),
+  recoveryCodeCount: getNumber('TWO_FACTOR_RECOVERY_CODES', 10)
+};
+
+env.loginProtection = {
+  maxFailuresPerEmail: getNumber('LOGIN_MAX_FAILURES_PER_EMAIL', 5),
+  maxFailuresPerIp: getNumber('LOGIN_MAX_FAILURES_PER_IP', 20),
+  failureWindowMinutes: getNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+  // Each further lockout doubles, up to the maximum
+  lockoutMinutes: getNumber('LOGIN_LOCKOUT_MINUTES', 15),
+  maxLockoutMinutes: getNumber('LOGIN_MAX_LOCKOUT_MINUTES', 12 * 60),
+  // Quiet time after which lockouts stop escalating
+  resetAfterHours: getNumber('LOGIN_LOCKOUT_RESET_HOURS', 24),
+  historyRetentionDays: getNumber('LOGIN_HISTORY_RETENTION_DAYS', 90),
+  // Country code header set by the proxy or CDN in front of the API
+  countryHeader: getString('GEOIP_COUNTRY_HEADER', 'cf-ipcountry')
+};
+
+env.phoneVerification = {
+  // Prefixed to local numbers that start with 0
+  defaultCountryCode: getString('PHONE_DEFAULT_COUNTRY_CODE', '234'),
+  codeLength: getNumber('PHONE_OTP_LENGTH', 6),
+  codeTtlMinutes: getNumber('PHONE_OTP_TTL_MINUTES', 10),
+  maxAttempts: getNumber('PHONE_OTP_MAX_ATTEMPTS', 5),
+  resendCooldownSeconds: getNumber('PHONE_OTP_RESEND_COOLDOWN_SECONDS', 60),
+  maxSendsPerHour: getNumber('PHONE_OTP_MAX_SENDS_PER_HOUR', 5),
+  // Owners need a verified phone before listings go to review or live
+  requiredForListings: getBoolean('LISTINGS_REQUIRE_VERIFIED_PHONE', false)
+};
+
+env.payments = {
+  defaultProvider: getString('PAYMENT_PROVIDER', 'fake'),
+  currency: getString('PAYMENT_CURRENCY', 'NGN'),
+  callbackUrl: getString('PAYMENT_CALLBACK_URL', `${env.app.frontendUrl}/payments/callback`),
+  paystack: {
+    secretKey: getString('PAYSTACK_SECRET_KEY', ''),
+    baseUrl: getString('PAYSTACK_BASE_URL', 'https://api.paystack.co')
+  },
+  flutterwave: {
+    secretKey: getString('FLUTTERWAVE_SECRET_KEY', ''),
+    webhookHash: getString('FLUTTERWAVE_WEBHOOK_HASH', ''),
+    baseUrl: getString('FLUTTERWAVE_BASE_URL', 'https://api.flutterwave.com/v3')
+  },
+  fake: {
+    // Off unless asked for, and never without a secret of its own
+    enabled: getBoolean('FAKE_PAYMENTS_ENABLED', false),
+    webhookSecret: getString('FAKE_PAYMENTS_WEBHOOK_SECRET', '')
+  }
+};
+
 env.mail = {
   host: getString('EMAIL_HOST'),
   port: getNumber('EMAIL_PORT'),
@@ -152,6 +260,11 @@ env.mail = {
 };
 
 env.sms = {
+  // The development providers refuse to run in production, so SMS answers
+  // 503 there until a real adapter is configured
+  provider: getString('SMS_PROVIDER', 'console'),
+  // Where the file provider appends messages (one JSON object per line)
+  outboxFile: getString('SMS_OUTBOX_FILE', 'logs/sms-outbox.log'),
   username: getString('SMS_USERNAME'),
   password: getString('SMS_PASSWORD'),
   laafficApiKey: getString('LAAFFIC_API_KEY'),
@@ -0,0 +1,64 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const appointmentService = require('../services/appointmentService');
+
+exports.getWindows = asyncHandler(async (req, res) => {
+  const result = await appointmentService.listWindows(req.user, req.query);
+  res.json(result);
+});
+
+exports.createWindow = asyncHandler(async (req, res) => {
+  const result = await appointmentService.createWindow(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.updateWindow = asyncHandler(async (req, res) => {
+  const result = await appointmentService.updateWindow(req.user, req.params.windowId, req.body);
+  res.json(result);
+});
+
+exports.deleteWindow = asyncHandler(async (req, res) => {
+  const result = await appointmentService.deleteWindow(req.user, req.params.windowId);
+  res.json(result);
+});
+
+exports.getSlots = asyncHandler(async (req, res) => {
+  const result = await appointmentService.getAvailableSlots(req.query);
+  res.json(result);
+});
+
+exports.createAppointment = asyncHandler(async (req, res) => {
+  const result = await appointmentService.createAppointment(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.getAppointments = asyncHandler(async (req, res) => {
+  const result = await appointmentService.listAppointments(req.user, req.query);
+  res.json(result);
+});
+
+exports.getAppointment = asyncHandler(async (req, res) => {
+  const result = await appointmentService.getAppointment(req.user, req.params.appointmentId);
+  res.json(result);
+});
+
+exports.confirmAppointment = asyncHandler(async (req, res) => {
+  const result = await appointmentService.confirmAppointment(req.user, req.params.appointmentId);
+  res.json(result);
+});
+
+exports.rescheduleAppointment = asyncHandler(async (req, res) => {
+  const result = await appointmentService.rescheduleAppointment(req.user, req.params.appointmentId, req.body);
+  res.json(result);
+});
+
+exports.cancelAppointment = asyncHandler(async (req, res) => {
+  const result = await appointmentService.cancelAppointment(req.user, req.params.appointmentId, req.body);
+  res.json(result);
+});
+
+exports.getAppointmentCalendar = asyncHandler(async (req, res) => {
+  const ics = await appointmentService.getAppointmentCalendar(req.user, req.params.appointmentId);
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="appointment-${req.params.appointmentId}.ics"`);
+  res.send(ics);
+});
@@ -0,0 +1,47 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const auctionService = require('../services/auctionService');
+
+exports.getAuctions = asyncHandler(async (req, res) => {
+  const result = await auctionService.listAuctions(req.user, req.query);
+  res.json(result);
+});
+
+exports.createAuction = asyncHandler(async (req, res) => {
+  const result = await auctionService.createAuction(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.getAuction = asyncHandler(async (req, res) => {
+  const result = await auctionService.getAuction(req.user, req.params.auctionId);
+  res.json(result);
+});
+
+exports.cancelAuction = asyncHandler(async (req, res) => {
+  const result = await auctionService.cancelAuction(req.user, req.params.auctionId);
+  res.json(result);
+});
+
+exports.getBids = asyncHandler(async (req, res) => {
+  const result = await auctionService.getAuctionBids(req.user, req.params.auctionId, req.query);
+  res.json(result);
+});
+
+exports.placeBid = asyncHandler(async (req, res) => {
+  const result = await auctionService.placeBid(req.user, req.params.auctionId, req.body);
+  res.status(201).json(result);
+});
+
+exports.getAccess = asyncHandler(async (req, res) => {
+  const result = await auctionService.listAuctionAccess(req.user, req.params.auctionId);
+  res.json(result);
+});
+
+exports.grantAccess = asyncHandler(async (req, res) => {
+  const result = await auctionService.grantAuctionAccess(req.user, req.params.auctionId, req.body);
+  res.status(201).json(result);
+});
+
+exports.revokeAccess = asyncHandler(async (req, res) => {
+  const result = await auctionService.revokeAuctionAccess(req.user, req.params.auctionId, req.params.userId);
+  res.json(result);
+});
@@ -1,13 +1,17 @@
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { getClientContext } = require('../utils/helpers/authHelper');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const register = asyncHandler(async (req, res) => {
-  const result = await authService.registerUser(req.body);
+  const result = await authService.registerUser(req.body, getClientContext(req));
   res.status(201).json(result);
 });
 
 const login = asyncHandler(async (req, res) => {
-  const result = await authService.loginUser(req.body);
+  const result = await authService.loginUser(req.body, getClientContext(req));
   res.json(result);
 });
 
@@ -38,7 +42,7 @@ const resetPassword = asyncHandler(async (req, res) => {
 
 const changePassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body || {};
-  const result = await authService.changePassword(req.user.id, currentPassword, newPassword);
+  const result = await authService.changePassword(req.user.id, currentPassword, newPassword, req.authSession);
   res.json(result);
 });
 
@@ -48,12 +52,87 @@ const getGoogleUrl = asyncHandler(async (req, res) => {
 });
 
 const handleGoogleCallback = asyncHandler(async (req, res) => {
-  const result = await authService.handleGoogleCallback(req.body.code);
+  const result = await authService.handleGoogleCallback(req.body.code, getClientContext(req));
+  res.json(result);
+});
+
+const refresh = asyncHandler(async (req, res) => {
+  const result = await authService.refreshTokens(req.body.refreshToken, getClientContext(req));
   res.json(result);
 });
 
 const logout = asyncHandler(async (req, res) => {
-  const result = authService.logout();
+  const result = await authService.logout(req.authSession, req.body?.refreshToken);
+  res.json(result);
+});
+
+const getSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.listSessions(req.user, req.authSession);
+  res.json(result);
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeSession(req.user, req.params.sessionId);
+  res.json(result);
+});
+
+const logoutOtherSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeOtherSessions(req.user, req.authSession);
+  res.json(result);
+});
+
+const completeTwoFactorLogin = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.completeSignIn(req.body, getClientContext(req));
+  res.json(result);
+});
+
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.getStatus(req.user);
+  res.json(result);
+});
+
+const startTwoFactorSetup = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.startEnrollment(req.user, req.body);
+  res.json(result);
+});
+
+const verifyTwoFactorSetup = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.confirmEnrollment(req.user, req.body, getClientContext(req));
+  res.json(result);
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.disableTwoFactor(req.user, req.body);
+  res.json(result);
+});
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.regenerateRecoveryCodes(req.user, req.body);
+  res.json(result);
+});
+
+const getSecurityPolicy = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.getSecurityPolicy();
+  res.json(result);
+});
+
+const updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.updateSecurityPolicy(req.user, req.body);
+  res.json(result);
+});
+
+const getLoginHistory = asyncHandler(async (req, res) => {
+  const result = await loginProtectionService.getLoginHistory(req.user, req.query);
+  res.json(result);
+});
+
+const getLockouts = asyncHandler(async (req, res) => {
+  const result = await loginProtectionService.listLockouts(req.query);
+  res.json(result);
+});
+
+const clearLockout = asyncHandler(async (req, res) => {
+  const result = await loginProtectionService.clearLockout(req.params.lockoutId);
   res.json(result);
 });
 
@@ -68,5 +147,20 @@ module.exports = {
   changePassword,
   getGoogleUrl,
   handleGoogleCallback,
-  logout
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  logoutOtherSessions,
+  completeTwoFactorLogin,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getLoginHistory,
+  getLockouts,
+  clearLockout
 };
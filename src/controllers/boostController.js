@@ -0,0 +1,21 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const boostService = require('../services/boostService');
+
+exports.getBoostTiers = asyncHandler(async (req, res) => {
+  res.json(boostService.getBoostTiers());
+});
+
+exports.getBoosts = asyncHandler(async (req, res) => {
+  const result = await boostService.listBoosts(req.user, req.query);
+  res.json(result);
+});
+
+exports.createBoost = asyncHandler(async (req, res) => {
+  const result = await boostService.grantBoost(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.cancelBoost = asyncHandler(async (req, res) => {
+  const result = await boostService.cancelBoost(req.user, req.params.boostId);
+  res.json(result);
+});
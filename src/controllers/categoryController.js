@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
 const Category = require('../models/Category');
+const Listing = require('../models/Listing');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  validateCategorySchema,
+  validateSpecifications
+} = require('../utils/helpers/categorySchemaHelper');
+
+const sendSchemaErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Category schema is invalid',
+  errors
+});
 
 const buildCategoryTree = (categories, parentId = null) => {
   return categories
@@ -68,6 +79,11 @@ exports.createCategory = asyncHandler(async (req, res) => {
     throw new AppError('Category name is required', 400);
   }
 
+  const schemaErrors = validateCategorySchema(schema);
+  if (Object.keys(schemaErrors).length) {
+    return sendSchemaErrors(res, schemaErrors);
+  }
+
   let parentCategory = null;
   if (parent) {
     parentCategory = await Category.findById(parent);
@@ -104,6 +120,13 @@ exports.updateCategory = asyncHandler(async (req, res) => {
     throw new AppError('Category not found', 404);
   }
 
+  if (req.body.schema !== undefined) {
+    const schemaErrors = validateCategorySchema(req.body.schema);
+    if (Object.keys(schemaErrors).length) {
+      return sendSchemaErrors(res, schemaErrors);
+    }
+  }
+
   const updateFields = ['name', 'description', 'schema', 'filters', 'isActive'];
 
   updateFields.forEach((field) => {
@@ -135,3 +158,53 @@ exports.updateCategory = asyncHandler(async (req, res) => {
     category: savedCategory
   });
 });
+
+exports.getListingValidationReport = asyncHandler(async (req, res) => {
+  const { idOrSlug } = req.params;
+
+  const filter = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: idOrSlug };
+
+  const category = await Category.findOne(filter);
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const cursor = Listing.find({ category: category._id, deletedAt: null })
+    .select('title slug status owner specifications')
+    .lean()
+    .cursor();
+
+  let total = 0;
+  const invalidListings = [];
+
+  for await (const listing of cursor) {
+    total += 1;
+    const { errors } = validateSpecifications(listing.specifications, category.schema);
+
+    if (Object.keys(errors).length) {
+      invalidListings.push({
+        id: listing._id,
+        title: listing.title,
+        slug: listing.slug,
+        status: listing.status,
+        owner: listing.owner,
+        errors
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    category: {
+      id: category._id,
+      name: category.name,
+      slug: category.slug
+    },
+    total,
+    validCount: total - invalidListings.length,
+    invalidCount: invalidListings.length,
+    invalidListings
+  });
+});
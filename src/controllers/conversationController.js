@@ -1,17 +1,20 @@
 const mongoose = require('mongoose');
 const { Conversation, Message, MessageRead } = require('../models/Conversation');
 const User = require('../models/User');
+const Listing = require('../models/Listing');
 const {
   NOTIFICATION_TYPES,
   NOTIFICATION_PRIORITIES
 } = require('../utils/enums/notificationEnums');
 const notificationService = require('../services/notificationService');
+const { routeListingConversation } = require('../services/organizationService');
 const {
   emitConversationMessage,
   emitConversationUpdated,
   emitConversationRead
 } = require('../utils/socketHandler');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { MESSAGE_TYPES } = require('../utils/enums/conversationEnums');
 
 const formatParticipant = (participantDoc) => {
   if (!participantDoc) {
@@ -137,6 +140,7 @@ const aggregateConversationSummaries = async (userId, search) => {
         _id: '$conversation',
         messageId: { $first: '$_id' },
         content: { $first: '$content' },
+        messageType: { $first: '$messageType' },
         createdAt: { $first: '$createdAt' },
         sender: { $first: '$sender' }
       }
@@ -148,6 +152,7 @@ const aggregateConversationSummaries = async (userId, search) => {
     lastMessageMap.set(item._id.toString(), {
       id: item.messageId.toString(),
       content: item.content,
+      messageType: item.messageType || MESSAGE_TYPES.TEXT,
       createdAt: item.createdAt,
       senderId: item.sender
     });
@@ -228,6 +233,7 @@ const aggregateConversationSummaries = async (userId, search) => {
       summary.lastMessage = {
         id: lastMessage.id,
         content: lastMessage.content,
+        messageType: lastMessage.messageType,
         createdAt: lastMessage.createdAt,
         senderId: lastMessage.senderId?.toString?.() || lastMessage.senderId || null
       };
@@ -417,35 +423,72 @@ exports.getConversationMessages = asyncHandler(async (req, res) => {
 
 exports.startConversation = asyncHandler(async (req, res) => {
   const userId = req.user._id.toString();
-  const { recipient_id: bodyRecipientId, recipientId: camelRecipientId, message: initialMessage } = req.body;
-  const recipientId = (bodyRecipientId || camelRecipientId || '').toString();
+  const {
+    recipient_id: bodyRecipientId,
+    recipientId: camelRecipientId,
+    listing_id: bodyListingId,
+    listingId: camelListingId,
+    message: initialMessage
+  } = req.body;
+  let recipientId = (bodyRecipientId || camelRecipientId || '').toString();
+  const listingRef = (bodyListingId || camelListingId || '').toString();
+
+  let conversation = null;
+  let created = false;
+  let listing = null;
+
+  // Enquiries about team inventory go to the member the organization routes them to
+  if (listingRef) {
+    listing = await Listing.findOne({
+      ...(mongoose.Types.ObjectId.isValid(listingRef) ? { _id: listingRef } : { slug: listingRef }),
+      status: 'published',
+      deletedAt: null
+    }).select('owner organization');
+
+    if (!listing) {
+      throw new AppError('Listing not found', 404);
+    }
+
+    const routed = await routeListingConversation(listing, userId);
+    if (routed) {
+      ({ conversation, created, recipientId } = routed);
+    } else if (!recipientId) {
+      recipientId = String(listing.owner);
+    }
+  }
 
   if (!recipientId) {
-    throw new AppError('recipient_id is required', 400);
+    throw new AppError('recipient_id or listing_id is required', 400);
   }
 
   if (recipientId === userId) {
     throw new AppError('Cannot start conversation with yourself', 400);
   }
 
-  const recipient = await User.findById(recipientId);
-  if (!recipient) {
-    throw new AppError('Recipient not found', 404);
-  }
+  if (!conversation) {
+    const recipient = await User.findById(recipientId);
+    if (!recipient) {
+      throw new AppError('Recipient not found', 404);
+    }
 
-  let conversation = await Conversation.findOne({
-    participants: { $all: [userId, recipientId], $size: 2 }
-  });
+    // Enquiries about a listing get their own thread with its owner
+    const listingId = listing && String(listing.owner) === recipientId ? listing._id : null;
 
-  let created = false;
-  let initialFormattedMessage = null;
-  const unreadChanges = {};
+    conversation = await Conversation.findOne({
+      participants: { $all: [userId, recipientId], $size: 2 },
+      organization: null,
+      listing: listingId
+    });
 
-  if (!conversation) {
-    conversation = await Conversation.create({ participants: [userId, recipientId] });
-    created = true;
+    if (!conversation) {
+      conversation = await Conversation.create({ participants: [userId, recipientId], listing: listingId });
+      created = true;
+    }
   }
 
+  let initialFormattedMessage = null;
+  const unreadChanges = {};
+
   const participantIds = toParticipantIds(conversation.participants);
 
   if (initialMessage) {
@@ -2,141 +2,132 @@ const mongoose = require('mongoose');
 const Listing = require('../models/Listing');
 const Category = require('../models/Category');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  LISTING_FACETS,
+  omitParams,
+  buildFacetPipeline,
+  formatFacetBuckets
+} = require('../utils/helpers/listingHelper');
+const { LISTING_AVAILABILITY_STATUSES } = require('../utils/enums/listingEnums');
+const { validateSpecifications } = require('../utils/helpers/categorySchemaHelper');
+const { normalizeVin, decodeVin } = require('../utils/helpers/vinHelper');
+const {
+  resolveVin,
+  toVinDetails,
+  applyListingChanges
+} = require('../services/listingUpdateService');
+const { flagPossibleDuplicates } = require('../services/listingDuplicateService');
+const {
+  resolveCategoryQuery,
+  buildVisibleListingFilters,
+  searchListings
+} = require('../services/listingSearchService');
+const {
+  assertCanModerate,
+  recordStatusChange,
+  claimListing
+} = require('../services/listingModerationService');
+const {
+  resolveActorRole,
+  assertTransition,
+  recordTransition,
+  getListingHistory
+} = require('../services/listingStatusService');
+const {
+  notifyListingCreated,
+  notifyListingReviewed,
+  notifyListingQueued
+} = require('../services/listingNotificationService');
+const {
+  isRevisionRequired,
+  submitListingRevision,
+  getPendingRevision
+} = require('../services/listingRevisionService');
+const {
+  isQuotaStatus,
+  assertListingQuota,
+  assertPhotoLimit
+} = require('../services/subscriptionService');
+const {
+  canManageListing,
+  findOrganizationId
+} = require('../services/organizationService');
+const { assertCanPublishListings } = require('../services/phoneVerificationService');
+
+const sendSpecificationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Listing specifications do not match the category schema',
+  errors
+});
 
-const buildListingFilters = (query = {}, opts = {}) => {
-  const filters = { deletedAt: null };
-
-  if (!opts.includeDrafts) {
-    filters.status = 'published';
-  }
-
-  if (query.status) {
-    filters.status = query.status;
-  }
-
-  if (query.availabilityStatus) {
-    filters.availabilityStatus = query.availabilityStatus;
-  }
-
-  if (query.category) {
-    if (mongoose.Types.ObjectId.isValid(query.category)) {
-      filters.category = query.category;
-    } else {
-      filters.category = null;
-    }
-  }
-
-  if (query.owner) {
-    filters.owner = query.owner;
-  }
+const POSSIBLE_DUPLICATE_POPULATE = {
+  path: 'possibleDuplicates.listing',
+  select: 'title slug price year mileage status owner coverImage createdAt'
+};
 
-  if (query.minPrice || query.maxPrice) {
-    filters.price = {};
-    if (query.minPrice) filters.price.$gte = Number(query.minPrice);
-    if (query.maxPrice) filters.price.$lte = Number(query.maxPrice);
-  }
+// Runs in the background so slow candidate scans never block the request
+const queueDuplicateCheck = (listing) => {
+  flagPossibleDuplicates(listing).catch((error) => {
+    console.error('Duplicate detection failed:', error.message);
+  });
+};
 
-  if (query.state) {
-    filters['location.state'] = query.state;
-  }
+exports.getListings = asyncHandler(async (req, res) => {
+  const { pagination, listings } = await searchListings(req.user, req.query);
 
-  if (query.city) {
-    filters['location.city'] = query.city;
-  }
+  res.json({
+    success: true,
+    pagination,
+    listings
+  });
+});
 
-  if (query.year) {
-    filters.year = Number(query.year);
-  }
+exports.getListingFacets = asyncHandler(async (req, res) => {
+  const categoryDoc = await resolveCategoryQuery(req.query);
 
-  if (query.isFeatured) {
-    filters.isFeatured = query.isFeatured === 'true';
-  }
+  const requested = req.query.facets
+    ? String(req.query.facets).split(',').map((name) => name.trim()).filter((name) => LISTING_FACETS[name])
+    : Object.keys(LISTING_FACETS);
 
-  if (query.bodyType) {
-    filters.bodyType = query.bodyType;
-  }
+  const results = await Promise.all(requested.map(async (name) => {
+    const facet = LISTING_FACETS[name];
+    const filters = buildVisibleListingFilters(req.user, omitParams(req.query, facet.params), categoryDoc);
+    const match = Listing.find(filters).cast();
 
-  if (query.fuelType) {
-    filters.fuelType = query.fuelType;
-  }
+    const buckets = await Listing.aggregate([
+      { $match: match },
+      ...buildFacetPipeline(facet)
+    ]);
 
-  if (query.transmission) {
-    filters.transmission = query.transmission;
-  }
+    return [name, formatFacetBuckets(facet, buckets)];
+  }));
 
-  return filters;
-};
+  const total = await Listing.countDocuments(buildVisibleListingFilters(req.user, req.query, categoryDoc));
 
-const applySearch = (query, keyword) => {
-  if (!keyword) return query;
-  return query.find({
-    $text: {
-      $search: keyword.trim()
-    }
+  res.json({
+    success: true,
+    total,
+    facets: Object.fromEntries(results)
   });
-};
-
-const getSortOptions = (sortParam) => {
-  switch (sortParam) {
-  case 'price_asc':
-    return { price: 1 };
-  case 'price_desc':
-    return { price: -1 };
-  case 'oldest':
-    return { createdAt: 1 };
-  case 'recent':
-    return { createdAt: -1 };
-  case 'featured':
-    return { isFeatured: -1, createdAt: -1 };
-  default:
-    return { createdAt: -1 };
-  }
-};
-
-exports.getListings = asyncHandler(async (req, res) => {
-  const page = Number(req.query.page) > 0 ? Number(req.query.page) : 1;
-  const limit = Number(req.query.limit) > 0 ? Math.min(Number(req.query.limit), 50) : 20;
-  const skip = (page - 1) * limit;
-
-  const includeDrafts = !!(req.user && ['agent', 'supervisor'].includes(req.user.role));
-
-  if (req.query.category && !mongoose.Types.ObjectId.isValid(req.query.category)) {
-    const categoryDoc = await Category.findOne({ slug: req.query.category }, '_id');
-    req.query.category = categoryDoc ? String(categoryDoc._id) : null;
-  }
-
-  const filters = buildListingFilters(req.query, { includeDrafts });
+});
 
-  // If requesting own listings explicitly, allow drafts
-  if (req.query.mine && req.user) {
-    filters.owner = req.user._id;
-    delete filters.status; // allow any status for own listings
+exports.searchListingsByVin = asyncHandler(async (req, res) => {
+  const vin = normalizeVin(req.params.vin);
+  if (!vin) {
+    throw new AppError('VIN is required', 400);
   }
 
-  const sort = getSortOptions(req.query.sort);
-
-  let query = Listing.find(filters)
+  // Staff need the full history, so soft-deleted listings are included
+  const listings = await Listing.find({ vin })
     .populate('category', 'name slug')
-    .populate('owner', 'displayName email role')
-    .sort(sort)
-    .skip(skip)
-    .limit(limit);
-
-  query = applySearch(query, req.query.search || req.query.q);
-
-  const [total, listings] = await Promise.all([
-    Listing.countDocuments(filters),
-    query
-  ]);
+    .populate('owner', 'displayName email phone role')
+    .sort({ createdAt: -1 });
 
   res.json({
     success: true,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit) || 1
-    },
+    vin,
+    decoded: decodeVin(vin),
+    total: listings.length,
     listings
   });
 });
@@ -160,9 +151,17 @@ exports.getListing = asyncHandler(async (req, res) => {
     filters.status = 'published';
   }
 
-  const listing = await Listing.findOne(filters)
+  let listingQuery = Listing.findOne(filters)
     .populate('category', 'name slug description')
-    .populate('owner', 'displayName email phone role avatar');
+    .populate('owner', 'displayName email phone role avatar sellerRating');
+
+  if (includeDraft) {
+    listingQuery = listingQuery
+      .select('+possibleDuplicates')
+      .populate(POSSIBLE_DUPLICATE_POPULATE);
+  }
+
+  const listing = await listingQuery;
 
   if (!listing) {
     throw new AppError('Listing not found', 404);
@@ -172,12 +171,22 @@ exports.getListing = asyncHandler(async (req, res) => {
     throw new AppError('Listing not available', 403);
   }
 
+  const canSeeRevisions = includeDraft
+    || (req.user && String(listing.owner?._id || listing.owner) === String(req.user._id));
+  const pendingRevision = canSeeRevisions ? await getPendingRevision(listing._id) : undefined;
+
   // increment views asynchronously (don't await)
   Listing.findByIdAndUpdate(listing._id, { $inc: { views: 1 } }).catch(() => {});
 
+  const banner = listing.availabilityStatus === LISTING_AVAILABILITY_STATUSES.SOLD
+    ? { type: 'sold', message: 'This vehicle has been sold', soldAt: listing.soldAt || null }
+    : undefined;
+
   res.json({
     success: true,
-    listing
+    listing,
+    banner,
+    pendingRevision
   });
 });
 
@@ -215,7 +224,8 @@ exports.createListing = asyncHandler(async (req, res) => {
     transmission,
     condition,
     color,
-    driveType
+    driveType,
+    vin
   } = req.body;
 
   if (!title || !price || !category) {
@@ -227,21 +237,40 @@ exports.createListing = asyncHandler(async (req, res) => {
     throw new AppError('Selected category is not available', 400);
   }
 
+  const decodedVin = vin ? await resolveVin(vin) : null;
+  const specificationInput = { ...specifications };
+
+  if (decodedVin?.manufacturer && !specificationInput.manufacturer) {
+    specificationInput.manufacturer = decodedVin.manufacturer;
+  }
+
+  const specificationResult = validateSpecifications(specificationInput, categoryDoc.schema);
+  if (Object.keys(specificationResult.errors).length) {
+    return sendSpecificationErrors(res, specificationResult.errors);
+  }
+
+  await assertCanPublishListings(req.user);
+  const organization = await findOrganizationId(req.user._id);
+  await assertListingQuota(req.user, { images, organization });
+
   const listing = await Listing.create({
     owner: req.user._id,
+    organization,
     category,
     title,
     description,
     price,
     availabilityStatus: availabilityStatus || 'available',
-    specifications,
+    specifications: specificationResult.specifications,
     features,
     financing,
     location,
     images,
     coverImage: coverImage || (images[0] ? images[0].url : undefined),
+    vin: decodedVin ? decodedVin.vin : undefined,
+    vinDetails: decodedVin ? toVinDetails(decodedVin) : undefined,
     mileage,
-    year,
+    year: year || decodedVin?.modelYear || undefined,
     bodyType,
     fuelType,
     transmission,
@@ -252,6 +281,14 @@ exports.createListing = asyncHandler(async (req, res) => {
     publishedAt: ['agent', 'supervisor'].includes(req.user.role) ? new Date() : undefined
   });
 
+  await recordTransition({ listing, to: listing.status, actor: req.user });
+  notifyListingCreated(listing);
+
+  if (listing.status === 'pending_review') {
+    queueDuplicateCheck(listing);
+    notifyListingQueued(listing);
+  }
+
   const populatedListing = await listing.populate([
     { path: 'category', select: 'name slug' },
     { path: 'owner', select: 'displayName email role' }
@@ -279,57 +316,103 @@ exports.updateListing = asyncHandler(async (req, res) => {
     throw new AppError('Listing not found', 404);
   }
 
-  const isOwner = listing.owner.toString() === req.user._id.toString();
   const isStaff = ['agent', 'supervisor'].includes(req.user.role);
+  const canManage = await canManageListing(req.user, listing);
 
-  if (!isOwner && !isStaff) {
+  if (!canManage) {
     throw new AppError('You do not have permission to update this listing', 403);
   }
 
-  const updatableFields = [
-    'title',
-    'description',
-    'price',
-    'availabilityStatus',
-    'specifications',
-    'features',
-    'financing',
-    'location',
-    'images',
-    'coverImage',
-    'mileage',
-    'year',
-    'bodyType',
-    'fuelType',
-    'transmission',
-    'condition',
-    'color',
-    'driveType',
-    'isFeatured'
-  ];
-
-  updatableFields.forEach((field) => {
-    if (req.body[field] !== undefined) {
-      listing[field] = req.body[field];
-    }
-  });
+  if (req.body.availabilityStatus === LISTING_AVAILABILITY_STATUSES.SOLD
+    && listing.availabilityStatus !== LISTING_AVAILABILITY_STATUSES.SOLD) {
+    throw new AppError('Record the sale with POST /sales so the buyer can confirm it', 409);
+  }
 
-  if (req.body.category) {
-    const categoryDoc = await Category.findById(req.body.category);
-    if (!categoryDoc) {
-      throw new AppError('Selected category does not exist', 400);
+  const requestsStatusChange = req.body.status && req.body.status !== listing.status;
+
+  if (req.body.images !== undefined) {
+    await assertPhotoLimit(listing.owner, req.body.images, { organization: listing.organization || null });
+  }
+
+  // Material edits to a live listing wait for moderation; the live version stays as is
+  if (!requestsStatusChange && isRevisionRequired(listing, req.user)) {
+    const result = await submitListingRevision(req.user, listing, req.body);
+    if (result.errors) {
+      return sendSpecificationErrors(res, result.errors);
     }
-    listing.category = req.body.category;
+
+    const populatedListing = await result.listing.populate([
+      { path: 'category', select: 'name slug' },
+      { path: 'owner', select: 'displayName email role' }
+    ]);
+
+    return res.status(result.revision ? 202 : 200).json({
+      success: true,
+      message: result.revision
+        ? 'Your changes have been submitted for review'
+        : 'Listing updated successfully',
+      listing: populatedListing,
+      revision: result.revision
+    });
   }
 
-  if (req.body.status && isStaff) {
+  const specificationErrors = await applyListingChanges(listing, req.body);
+  if (specificationErrors) {
+    return sendSpecificationErrors(res, specificationErrors);
+  }
+
+  const previousStatus = listing.status;
+
+  if (req.body.status && req.body.status !== previousStatus) {
+    if (req.body.status === 'reviewing') {
+      throw new AppError('Claim the listing to start reviewing it', 409);
+    }
+
+    assertTransition(previousStatus, req.body.status, resolveActorRole(req.user, listing, { asOwner: canManage }));
+    if (isStaff) {
+      assertCanModerate(listing, req.user);
+    }
+
+    // Resubmitting a draft or rejected listing counts against the owner's plan again
+    if (!isQuotaStatus(previousStatus) && isQuotaStatus(req.body.status)) {
+      await assertListingQuota(listing.owner, {
+        images: listing.images,
+        excludeListingId: listing._id,
+        organization: listing.organization || null
+      });
+      await assertCanPublishListings(listing.owner);
+    }
+
     listing.status = req.body.status;
     if (req.body.status === 'published') {
       listing.publishedAt = new Date();
     }
   }
 
+  const statusChanged = listing.isModified('status');
+  // Returning from a claim is not a new submission
+  const enteredReview = statusChanged && listing.status === 'pending_review' && previousStatus !== 'reviewing';
   const savedListing = await listing.save();
+
+  if (statusChanged) {
+    await recordTransition({
+      listing: savedListing,
+      from: previousStatus,
+      to: savedListing.status,
+      actor: req.user
+    });
+
+    if (isStaff) {
+      await recordStatusChange(savedListing, req.user, previousStatus);
+      notifyListingReviewed(savedListing);
+    }
+  }
+
+  if (enteredReview) {
+    queueDuplicateCheck(savedListing);
+    notifyListingQueued(savedListing);
+  }
+
   const populatedListing = await savedListing.populate([
     { path: 'category', select: 'name slug' },
     { path: 'owner', select: 'displayName email role' }
@@ -350,11 +433,6 @@ exports.updateListingStatus = asyncHandler(async (req, res) => {
     throw new AppError('Status is required', 400);
   }
 
-  const validStatuses = ['draft', 'pending_review', 'reviewing', 'published', 'rejected'];
-  if (!validStatuses.includes(status)) {
-    throw new AppError('Invalid status provided', 400);
-  }
-
   const filters = { deletedAt: null };
   if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
     filters._id = idOrSlug;
@@ -362,11 +440,30 @@ exports.updateListingStatus = asyncHandler(async (req, res) => {
     filters.slug = idOrSlug;
   }
 
-  const listing = await Listing.findOne(filters);
+  // Moving into review is a claim, which needs the atomic lock
+  if (status === 'reviewing') {
+    const result = await claimListing(req.user, idOrSlug);
+    return res.json(result);
+  }
+
+  const listing = await Listing.findOne(filters).select('+possibleDuplicates');
   if (!listing) {
     throw new AppError('Listing not found', 404);
   }
 
+  const previousStatus = listing.status;
+  assertTransition(previousStatus, status, resolveActorRole(req.user, listing));
+  assertCanModerate(listing, req.user);
+
+  if (!isQuotaStatus(previousStatus) && isQuotaStatus(status)) {
+    await assertListingQuota(listing.owner, {
+      images: listing.images,
+      excludeListingId: listing._id,
+      organization: listing.organization || null
+    });
+    await assertCanPublishListings(listing.owner);
+  }
+
   listing.status = status;
   listing.reviewNotes = notes;
   listing.rejectionReason = status === 'rejected' ? rejectionReason : '';
@@ -374,11 +471,33 @@ exports.updateListingStatus = asyncHandler(async (req, res) => {
   listing.reviewedAt = new Date();
   listing.publishedAt = status === 'published' ? new Date() : listing.publishedAt;
 
+  const statusChanged = listing.isModified('status');
+  const enteredReview = statusChanged && status === 'pending_review' && previousStatus !== 'reviewing';
   const savedListing = await listing.save();
+
+  if (statusChanged) {
+    await recordTransition({
+      listing: savedListing,
+      from: previousStatus,
+      to: status,
+      actor: req.user,
+      notes,
+      reason: status === 'rejected' ? rejectionReason : undefined
+    });
+    await recordStatusChange(savedListing, req.user, previousStatus);
+    notifyListingReviewed(savedListing);
+  }
+
+  if (enteredReview) {
+    savedListing.possibleDuplicates = await flagPossibleDuplicates(savedListing);
+    notifyListingQueued(savedListing);
+  }
+
   const populatedListing = await savedListing.populate([
     { path: 'category', select: 'name slug' },
     { path: 'owner', select: 'displayName email role' },
-    { path: 'reviewedBy', select: 'displayName email role' }
+    { path: 'reviewedBy', select: 'displayName email role' },
+    POSSIBLE_DUPLICATE_POPULATE
   ]);
 
   res.json({
@@ -388,6 +507,11 @@ exports.updateListingStatus = asyncHandler(async (req, res) => {
   });
 });
 
+exports.getListingHistory = asyncHandler(async (req, res) => {
+  const result = await getListingHistory(req.user, req.params.idOrSlug);
+  res.json(result);
+});
+
 exports.deleteListing = asyncHandler(async (req, res) => {
   const { idOrSlug } = req.params;
   const filters = { deletedAt: null };
@@ -403,10 +527,7 @@ exports.deleteListing = asyncHandler(async (req, res) => {
     throw new AppError('Listing not found', 404);
   }
 
-  const isOwner = listing.owner.toString() === req.user._id.toString();
-  const isStaff = ['agent', 'supervisor'].includes(req.user.role);
-
-  if (!isOwner && !isStaff) {
+  if (!await canManageListing(req.user, listing)) {
     throw new AppError('You do not have permission to delete this listing', 403);
   }
 
@@ -0,0 +1,26 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const listingModerationService = require('../services/listingModerationService');
+
+exports.getModerationQueue = asyncHandler(async (req, res) => {
+  const result = await listingModerationService.getModerationQueue(
+    req.user,
+    req.query,
+    { page: req.query.page, limit: req.query.limit }
+  );
+  res.json(result);
+});
+
+exports.getModerationStats = asyncHandler(async (req, res) => {
+  const result = await listingModerationService.getModerationStats(req.user, req.query);
+  res.json(result);
+});
+
+exports.claimListing = asyncHandler(async (req, res) => {
+  const result = await listingModerationService.claimListing(req.user, req.params.idOrSlug);
+  res.json(result);
+});
+
+exports.releaseListing = asyncHandler(async (req, res) => {
+  const result = await listingModerationService.releaseListing(req.user, req.params.idOrSlug);
+  res.json(result);
+});
@@ -0,0 +1,44 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const listingRevisionService = require('../services/listingRevisionService');
+
+exports.getPendingRevisions = asyncHandler(async (req, res) => {
+  const result = await listingRevisionService.getPendingRevisions(
+    req.query,
+    { page: req.query.page, limit: req.query.limit }
+  );
+  res.json(result);
+});
+
+exports.getListingRevisions = asyncHandler(async (req, res) => {
+  const result = await listingRevisionService.listListingRevisions(req.user, req.params.idOrSlug);
+  res.json(result);
+});
+
+exports.getListingRevision = asyncHandler(async (req, res) => {
+  const result = await listingRevisionService.getListingRevision(
+    req.user,
+    req.params.idOrSlug,
+    req.params.revisionId
+  );
+  res.json(result);
+});
+
+exports.approveListingRevision = asyncHandler(async (req, res) => {
+  const result = await listingRevisionService.approveListingRevision(
+    req.user,
+    req.params.idOrSlug,
+    req.params.revisionId,
+    { notes: req.body.notes }
+  );
+  res.json(result);
+});
+
+exports.rejectListingRevision = asyncHandler(async (req, res) => {
+  const result = await listingRevisionService.rejectListingRevision(
+    req.user,
+    req.params.idOrSlug,
+    req.params.revisionId,
+    { notes: req.body.notes, rejectionReason: req.body.rejectionReason }
+  );
+  res.json(result);
+});
@@ -0,0 +1,37 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const offerService = require('../services/offerService');
+
+exports.createOffer = asyncHandler(async (req, res) => {
+  const result = await offerService.createOffer(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.getOffers = asyncHandler(async (req, res) => {
+  const result = await offerService.listOffers(req.user, req.query);
+  res.json(result);
+});
+
+exports.getOffer = asyncHandler(async (req, res) => {
+  const result = await offerService.getOffer(req.user, req.params.offerId);
+  res.json(result);
+});
+
+exports.counterOffer = asyncHandler(async (req, res) => {
+  const result = await offerService.counterOffer(req.user, req.params.offerId, req.body);
+  res.json(result);
+});
+
+exports.acceptOffer = asyncHandler(async (req, res) => {
+  const result = await offerService.acceptOffer(req.user, req.params.offerId, req.body);
+  res.json(result);
+});
+
+exports.declineOffer = asyncHandler(async (req, res) => {
+  const result = await offerService.declineOffer(req.user, req.params.offerId, req.body);
+  res.json(result);
+});
+
+exports.withdrawOffer = asyncHandler(async (req, res) => {
+  const result = await offerService.withdrawOffer(req.user, req.params.offerId, req.body);
+  res.json(result);
+});
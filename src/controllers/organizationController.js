@@ -0,0 +1,84 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const organizationService = require('../services/organizationService');
+
+exports.createOrganization = asyncHandler(async (req, res) => {
+  const result = await organizationService.createOrganization(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.getMyOrganization = asyncHandler(async (req, res) => {
+  const result = await organizationService.getMyOrganization(req.user);
+  res.json(result);
+});
+
+exports.updateOrganization = asyncHandler(async (req, res) => {
+  const result = await organizationService.updateOrganization(req.user, req.params.organizationId, req.body);
+  res.json(result);
+});
+
+exports.inviteMember = asyncHandler(async (req, res) => {
+  const result = await organizationService.inviteMember(req.user, req.params.organizationId, req.body);
+  res.status(201).json(result);
+});
+
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  const result = await organizationService.revokeInvitation(
+    req.user,
+    req.params.organizationId,
+    req.params.invitationId
+  );
+  res.json(result);
+});
+
+exports.getInvitation = asyncHandler(async (req, res) => {
+  const result = await organizationService.getInvitation(req.params.token);
+  res.json(result);
+});
+
+exports.acceptInvitation = asyncHandler(async (req, res) => {
+  const result = await organizationService.acceptInvitation(req.user, req.params.token);
+  res.json(result);
+});
+
+exports.updateMemberRole = asyncHandler(async (req, res) => {
+  const result = await organizationService.updateMemberRole(
+    req.user,
+    req.params.organizationId,
+    req.params.userId,
+    req.body
+  );
+  res.json(result);
+});
+
+exports.removeMember = asyncHandler(async (req, res) => {
+  const result = await organizationService.removeMember(req.user, req.params.organizationId, req.params.userId);
+  res.json(result);
+});
+
+exports.getListings = asyncHandler(async (req, res) => {
+  const result = await organizationService.listOrganizationListings(
+    req.user,
+    req.params.organizationId,
+    req.query
+  );
+  res.json(result);
+});
+
+exports.getConversations = asyncHandler(async (req, res) => {
+  const result = await organizationService.listOrganizationConversations(
+    req.user,
+    req.params.organizationId,
+    req.query
+  );
+  res.json(result);
+});
+
+exports.assignConversation = asyncHandler(async (req, res) => {
+  const result = await organizationService.assignConversation(
+    req.user,
+    req.params.organizationId,
+    req.params.conversationId,
+    req.body
+  );
+  res.json(result);
+});
@@ -0,0 +1,40 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const paymentService = require('../services/paymentService');
+
+exports.getPaymentProviders = asyncHandler(async (req, res) => {
+  res.json(paymentService.getPaymentProviders());
+});
+
+exports.createOrder = asyncHandler(async (req, res) => {
+  const result = await paymentService.createOrder(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.getOrders = asyncHandler(async (req, res) => {
+  const result = await paymentService.listOrders(req.user, req.query);
+  res.json(result);
+});
+
+exports.getOrder = asyncHandler(async (req, res) => {
+  const result = await paymentService.getOrder(req.user, req.params.reference);
+  res.json(result);
+});
+
+exports.verifyOrder = asyncHandler(async (req, res) => {
+  const result = await paymentService.verifyOrder(req.user, req.params.reference);
+  res.json(result);
+});
+
+exports.handleWebhook = asyncHandler(async (req, res) => {
+  const result = await paymentService.handleWebhook(req.params.provider, {
+    rawBody: req.rawBody,
+    headers: req.headers,
+    body: req.body
+  });
+  res.json(result);
+});
+
+exports.completeFakeCheckout = asyncHandler(async (req, res) => {
+  const result = await paymentService.completeFakeCheckout(req.user, req.params.reference, req.body);
+  res.json(result);
+});
@@ -0,0 +1,12 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const phoneVerificationService = require('../services/phoneVerificationService');
+
+exports.sendCode = asyncHandler(async (req, res) => {
+  const result = await phoneVerificationService.sendVerificationCode(req.user, req.body);
+  res.json(result);
+});
+
+exports.verifyCode = asyncHandler(async (req, res) => {
+  const result = await phoneVerificationService.verifyCode(req.user, req.body);
+  res.json(result);
+});
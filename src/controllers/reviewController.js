@@ -0,0 +1,42 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const reviewService = require('../services/reviewService');
+
+exports.getReviews = asyncHandler(async (req, res) => {
+  const result = await reviewService.listReviews(req.user, req.query);
+  res.json(result);
+});
+
+exports.getEligibility = asyncHandler(async (req, res) => {
+  const result = await reviewService.getReviewEligibility(req.user, req.query.seller);
+  res.json(result);
+});
+
+exports.createReview = asyncHandler(async (req, res) => {
+  const result = await reviewService.createReview(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.replyToReview = asyncHandler(async (req, res) => {
+  const result = await reviewService.replyToReview(req.user, req.params.reviewId, req.body);
+  res.json(result);
+});
+
+exports.reportReview = asyncHandler(async (req, res) => {
+  const result = await reviewService.reportReview(req.user, req.params.reviewId, req.body);
+  res.status(201).json(result);
+});
+
+exports.restoreReview = asyncHandler(async (req, res) => {
+  const result = await reviewService.restoreReview(req.user, req.params.reviewId, req.body);
+  res.json(result);
+});
+
+exports.getReports = asyncHandler(async (req, res) => {
+  const result = await reviewService.listReports(req.user, req.query);
+  res.json(result);
+});
+
+exports.resolveReport = asyncHandler(async (req, res) => {
+  const result = await reviewService.resolveReport(req.user, req.params.reportId, req.body);
+  res.json(result);
+});
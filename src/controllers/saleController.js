@@ -0,0 +1,37 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const saleService = require('../services/saleService');
+
+exports.createSale = asyncHandler(async (req, res) => {
+  const result = await saleService.markListingSold(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.getSales = asyncHandler(async (req, res) => {
+  const result = await saleService.listSales(req.user, req.query);
+  res.json(result);
+});
+
+exports.getPriceAnalytics = asyncHandler(async (req, res) => {
+  const result = await saleService.getPriceAnalytics(req.query);
+  res.json(result);
+});
+
+exports.getSale = asyncHandler(async (req, res) => {
+  const result = await saleService.getSale(req.user, req.params.saleId);
+  res.json(result);
+});
+
+exports.confirmSale = asyncHandler(async (req, res) => {
+  const result = await saleService.confirmSale(req.user, req.params.saleId);
+  res.json(result);
+});
+
+exports.declineSale = asyncHandler(async (req, res) => {
+  const result = await saleService.declineSale(req.user, req.params.saleId, req.body);
+  res.json(result);
+});
+
+exports.cancelSale = asyncHandler(async (req, res) => {
+  const result = await saleService.cancelSale(req.user, req.params.saleId);
+  res.json(result);
+});
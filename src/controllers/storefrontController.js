@@ -0,0 +1,27 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const storefrontService = require('../services/storefrontService');
+
+exports.getMyStorefront = asyncHandler(async (req, res) => {
+  const result = await storefrontService.getMyStorefront(req.user);
+  res.json(result);
+});
+
+exports.saveMyStorefront = asyncHandler(async (req, res) => {
+  const { created, ...result } = await storefrontService.saveMyStorefront(req.user, req.body);
+  res.status(created ? 201 : 200).json(result);
+});
+
+exports.uploadImage = asyncHandler(async (req, res) => {
+  const result = await storefrontService.uploadStorefrontImage(req.user, req.params.kind, req.file);
+  res.json(result);
+});
+
+exports.removeImage = asyncHandler(async (req, res) => {
+  const result = await storefrontService.removeStorefrontImage(req.user, req.params.kind);
+  res.json(result);
+});
+
+exports.getStorefront = asyncHandler(async (req, res) => {
+  const result = await storefrontService.getStorefront(req.user, req.params.slug, req.query);
+  res.json(result);
+});
@@ -0,0 +1,21 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const subscriptionService = require('../services/subscriptionService');
+
+exports.getPlans = asyncHandler(async (req, res) => {
+  res.json(subscriptionService.getPlans());
+});
+
+exports.getMySubscription = asyncHandler(async (req, res) => {
+  const result = await subscriptionService.getMySubscription(req.user);
+  res.json(result);
+});
+
+exports.redeemIncludedBoost = asyncHandler(async (req, res) => {
+  const result = await subscriptionService.redeemIncludedBoost(req.user, req.body);
+  res.status(201).json(result);
+});
+
+exports.grantSubscription = asyncHandler(async (req, res) => {
+  const result = await subscriptionService.grantSubscription(req.user, req.params.userId, req.body);
+  res.json(result);
+});
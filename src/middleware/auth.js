@@ -1,7 +1,37 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const env = require('../config/env');
 
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Access tokens name their session, so revoking the session ends them early
+const findActiveSession = async (decoded) => {
+  if (!decoded?.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    return null;
+  }
+
+  return Session.findOne({
+    _id: decoded.sid,
+    user: String(decoded.id),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Tokens minted before the user's last password change or suspension are stale
+const isTokenCurrent = (decoded, user) => (decoded.tv || 0) === (user.tokenVersion || 0);
+
+// Records activity at most every few minutes to keep writes off the hot path
+const touchSession = (session) => {
+  if (Date.now() - new Date(session.lastUsedAt).getTime() < SESSION_TOUCH_INTERVAL_MS) {
+    return;
+  }
+
+  Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -21,6 +51,14 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, env.jwt.secret);
+
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
     
     // Check if user still exists
     const user = await User.findById(decoded.id);
@@ -31,6 +69,13 @@ const auth = async (req, res, next) => {
       });
     }
     
+    if (!isTokenCurrent(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is no longer valid. Please log in again.'
+      });
+    }
+    
     // Check if user is active
     if (!user.isActive || user.isSoftDeleted) {
       return res.status(401).json({
@@ -40,6 +85,8 @@ const auth = async (req, res, next) => {
     }
     
     req.user = user;
+    req.authSession = session;
+    touchSession(session);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -73,10 +120,13 @@ const optionalAuth = async (req, res, next) => {
       }
 
       const decoded = jwt.verify(token, env.jwt.secret);
-      const user = await User.findById(decoded.id);
+      const session = await findActiveSession(decoded);
+      const user = session ? await User.findById(decoded.id) : null;
       
-      if (user && user.isActive && !user.isSoftDeleted) {
+      if (user && isTokenCurrent(decoded, user) && user.isActive && !user.isSoftDeleted) {
         req.user = user;
+        req.authSession = session;
+        touchSession(session);
       }
     }
     
@@ -146,10 +196,10 @@ const requireWriteAccess = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate JWT access token for a session
+const generateToken = (userId, sessionId, tokenVersion = 0) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: String(sessionId), tv: tokenVersion },
     env.jwt.secret,
     { expiresIn: env.jwt.expiresIn }
   );
@@ -171,5 +221,7 @@ module.exports = {
   requireVerification,
   requireWriteAccess,
   generateToken,
-  verifyToken
+  verifyToken,
+  findActiveSession,
+  isTokenCurrent
 };
\ No newline at end of file
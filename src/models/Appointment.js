@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES
+} = require('../utils/enums/appointmentEnums');
+
+const toJSON = function() {
+  const doc = this.toObject({ virtuals: true });
+  doc.id = doc._id;
+  delete doc._id;
+  delete doc.__v;
+  delete doc.slotLock;
+  return doc;
+};
+
+// A weekly recurring window in which a seller takes appointments. Windows
+// without a listing apply to all of the seller's listings that have no
+// windows of their own.
+const availabilityWindowSchema = new mongoose.Schema({
+  seller: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    default: null
+  },
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Local wall-clock times, HH:mm
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  slotMinutes: {
+    type: Number,
+    required: true
+  },
+  types: {
+    type: [String],
+    enum: Object.values(APPOINTMENT_TYPES),
+    default: Object.values(APPOINTMENT_TYPES)
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+availabilityWindowSchema.index({ seller: 1, listing: 1, isActive: 1 });
+availabilityWindowSchema.methods.toJSON = toJSON;
+
+const appointmentSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  seller: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(APPOINTMENT_TYPES),
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(APPOINTMENT_STATUSES),
+    default: APPOINTMENT_STATUSES.REQUESTED
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // `${seller}|${startsAt}` while the appointment holds its slot. The unique
+  // index stops two requests for the same slot racing each other.
+  slotLock: {
+    type: String
+  },
+  // iCalendar SEQUENCE, bumped whenever the time changes
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  rescheduledFrom: {
+    type: [{
+      startsAt: Date,
+      endsAt: Date,
+      reason: String,
+      rescheduledAt: Date,
+      _id: false
+    }],
+    default: []
+  },
+  confirmedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  remindersSent: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSchema.index({ slotLock: 1 }, { unique: true, sparse: true });
+appointmentSchema.index({ seller: 1, status: 1, startsAt: 1 });
+appointmentSchema.index({ status: 1, startsAt: 1 });
+appointmentSchema.methods.toJSON = toJSON;
+
+const AvailabilityWindow = mongoose.model('AvailabilityWindow', availabilityWindowSchema);
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+module.exports = {
+  AvailabilityWindow,
+  Appointment
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { AUCTION_STATUSES } = require('../utils/enums/auctionEnums');
+
+const toJSON = function() {
+  const doc = this.toObject({ virtuals: true });
+  doc.id = doc._id;
+  delete doc._id;
+  delete doc.__v;
+  return doc;
+};
+
+const auctionSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true
+  },
+  seller: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startingPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Hidden from bidders; only whether it has been met is shared
+  reservePrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  minIncrement: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  originalEndsAt: {
+    type: Date,
+    required: true
+  },
+  antiSnipingWindowMinutes: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  extensionMinutes: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  extensions: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: Object.values(AUCTION_STATUSES),
+    default: AUCTION_STATUSES.SCHEDULED
+  },
+  currentBid: {
+    type: Number,
+    default: null
+  },
+  currentBidder: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  bidCount: {
+    type: Number,
+    default: 0
+  },
+  reserveMet: {
+    type: Boolean,
+    default: false
+  },
+  winner: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  winningBid: {
+    type: Number,
+    default: null
+  },
+  closedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+auctionSchema.index({ status: 1, startsAt: 1 });
+auctionSchema.index({ status: 1, endsAt: 1 });
+auctionSchema.methods.toJSON = toJSON;
+
+const auctionBidSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+  bidder: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // End time after this bid, when it triggered an anti-sniping extension
+  extendedEndsAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+auctionBidSchema.index({ auction: 1, createdAt: -1 });
+auctionBidSchema.methods.toJSON = toJSON;
+
+// Per-user permission to view and bid on an auction
+const auctionAccessSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+  user: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  grantedBy: {
+    type: String,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+auctionAccessSchema.index({ auction: 1, user: 1 }, { unique: true });
+auctionAccessSchema.methods.toJSON = toJSON;
+
+const Auction = mongoose.model('Auction', auctionSchema);
+const AuctionBid = mongoose.model('AuctionBid', auctionBidSchema);
+const AuctionAccess = mongoose.model('AuctionAccess', auctionAccessSchema);
+
+module.exports = {
+  Auction,
+  AuctionBid,
+  AuctionAccess
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { BOOST_TIERS, BOOST_STATUSES } = require('../utils/enums/boostEnums');
+
+const boostSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true
+  },
+  tier: {
+    type: String,
+    enum: Object.values(BOOST_TIERS),
+    required: true
+  },
+  purchaser: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(BOOST_STATUSES),
+    default: BOOST_STATUSES.SCHEDULED,
+    index: true
+  },
+  // Expiry warning notification types already handled for this boost
+  warningsSent: {
+    type: [String],
+    default: []
+  },
+  expiredAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+boostSchema.index({ status: 1, endsAt: 1 });
+boostSchema.index({ status: 1, startsAt: 1 });
+
+boostSchema.methods.toJSON = function() {
+  const boost = this.toObject({ virtuals: true });
+  boost.id = boost._id;
+  delete boost._id;
+  delete boost.__v;
+  return boost;
+};
+
+module.exports = mongoose.model('Boost', boostSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MESSAGE_TYPES } = require('../utils/enums/conversationEnums');
 
 const participantSchema = {
   type: String,
@@ -13,6 +14,17 @@ const conversationSchema = new mongoose.Schema({
       (value) => Array.isArray(value) && value.length >= 2,
       'Conversations require at least two participants'
     ]
+  },
+  // Buyer enquiries about team inventory are routed to one member at a time
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    default: null
   }
 }, {
   timestamps: true
@@ -20,6 +32,7 @@ const conversationSchema = new mongoose.Schema({
 
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ updatedAt: -1 });
+conversationSchema.index({ organization: 1, updatedAt: -1 });
 
 conversationSchema.methods.toJSON = function() {
   const conversation = this.toObject({ virtuals: true });
@@ -47,6 +60,15 @@ const messageSchema = new mongoose.Schema({
     required: true,
     trim: true,
     maxlength: 5000
+  },
+  messageType: {
+    type: String,
+    enum: Object.values(MESSAGE_TYPES),
+    default: MESSAGE_TYPES.TEXT
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
   }
 }, {
   timestamps: true
@@ -49,6 +49,66 @@ const locationSchema = new mongoose.Schema({
   longitude: Number
 }, { _id: false });
 
+// GeoJSON mirror of location.latitude/longitude, kept in sync on save so the
+// 2dsphere index can serve radius searches.
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+}, { _id: false });
+
+const vinDetailsSchema = new mongoose.Schema({
+  wmi: String,
+  manufacturer: String,
+  country: String,
+  region: String,
+  modelYear: Number
+}, { _id: false });
+
+const possibleDuplicateSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  reasons: {
+    type: [String],
+    default: []
+  },
+  detectedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const moderationSchema = new mongoose.Schema({
+  // When the listing (re-)entered the review queue; drives queue order and SLA
+  queuedAt: {
+    type: Date
+  },
+  claimedBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date
+  },
+  claimExpiresAt: {
+    type: Date
+  }
+}, { _id: false });
+
 const listingSchema = new mongoose.Schema({
   owner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -56,6 +116,13 @@ const listingSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when the listing is shared inventory of a team account
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -100,6 +167,14 @@ const listingSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  soldAt: {
+    type: Date
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
   specifications: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -117,6 +192,10 @@ const listingSchema = new mongoose.Schema({
     type: locationSchema,
     default: () => ({})
   },
+  geoLocation: {
+    type: geoPointSchema,
+    default: undefined
+  },
   images: {
     type: [imageSchema],
     default: []
@@ -124,6 +203,15 @@ const listingSchema = new mongoose.Schema({
   coverImage: {
     type: String
   },
+  vin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  vinDetails: {
+    type: vinDetailsSchema,
+    default: undefined
+  },
   mileage: {
     type: Number,
     min: 0
@@ -159,6 +247,15 @@ const listingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Highest priority among the listing's active boosts; 0 when not boosted
+  boostPriority: {
+    type: Number,
+    default: 0
+  },
+  boostedUntil: {
+    type: Date,
+    default: null
+  },
   views: {
     type: Number,
     default: 0
@@ -179,6 +276,16 @@ const listingSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date
   },
+  moderation: {
+    type: moderationSchema,
+    default: () => ({})
+  },
+  // Moderation-only data; select explicitly with '+possibleDuplicates'
+  possibleDuplicates: {
+    type: [possibleDuplicateSchema],
+    default: [],
+    select: false
+  },
   deletedAt: {
     type: Date,
     default: null,
@@ -208,6 +315,32 @@ listingSchema.pre('save', async function(next) {
     this.slug = slug;
   }
 
+  if (this.isNew || this.isModified('location')) {
+    const latitude = Number(this.location?.latitude);
+    const longitude = Number(this.location?.longitude);
+    const hasCoordinates = this.location?.latitude != null
+      && this.location?.longitude != null
+      && Number.isFinite(latitude)
+      && Number.isFinite(longitude);
+
+    this.geoLocation = hasCoordinates
+      ? { type: 'Point', coordinates: [longitude, latitude] }
+      : undefined;
+  }
+
+  if (this.isNew || this.isModified('status')) {
+    // A listing handed back from a claim keeps its place in the queue
+    if (this.status === LISTING_STATUSES.PENDING_REVIEW && !this.moderation?.claimedBy) {
+      this.set('moderation.queuedAt', new Date());
+    }
+
+    if (this.status !== LISTING_STATUSES.REVIEWING) {
+      this.set('moderation.claimedBy', null);
+      this.set('moderation.claimedAt', undefined);
+      this.set('moderation.claimExpiresAt', undefined);
+    }
+  }
+
   if (this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
   }
@@ -218,7 +351,22 @@ listingSchema.pre('save', async function(next) {
 listingSchema.index({ title: 'text', description: 'text' });
 listingSchema.index({ status: 1, createdAt: -1 });
 listingSchema.index({ availabilityStatus: 1, status: 1 });
+listingSchema.index({ status: 1, 'moderation.queuedAt': 1 });
+listingSchema.index({ 'moderation.claimedBy': 1, status: 1 });
 listingSchema.index({ isFeatured: 1, publishedAt: -1 });
+listingSchema.index({ status: 1, boostPriority: -1, isFeatured: -1, createdAt: -1 });
+listingSchema.index({ geoLocation: '2dsphere' });
+// A VIN may only belong to one listing that has not been soft-deleted
+listingSchema.index(
+  { vin: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      vin: { $type: 'string' },
+      deletedAt: { $type: 'null' }
+    }
+  }
+);
 
 listingSchema.methods.toJSON = function() {
   const listing = this.toObject({ virtuals: true });
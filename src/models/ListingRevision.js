@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { LISTING_REVISION_STATUSES } = require('../utils/enums/listingEnums');
+
+// A pending set of edits to a published listing. `changes` holds the proposed
+// values and `previous` the live values at the time the edit was submitted.
+const listingRevisionSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  submittedBy: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(LISTING_REVISION_STATUSES),
+    default: LISTING_REVISION_STATUSES.PENDING,
+    index: true
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  previous: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  fields: {
+    type: [String],
+    default: []
+  },
+  reviewedBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+listingRevisionSchema.index({ listing: 1, createdAt: -1 });
+listingRevisionSchema.index({ status: 1, createdAt: 1 });
+
+listingRevisionSchema.methods.toJSON = function() {
+  const revision = this.toObject({ virtuals: true });
+  revision.id = revision._id;
+  delete revision._id;
+  delete revision.__v;
+  return revision;
+};
+
+module.exports = mongoose.model('ListingRevision', listingRevisionSchema);
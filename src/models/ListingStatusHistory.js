@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+
+const listingStatusHistorySchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  // null for the listing's initial status
+  from: {
+    type: String,
+    enum: [...Object.values(LISTING_STATUSES), null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: Object.values(LISTING_STATUSES),
+    required: true
+  },
+  // null when the change was made by the system (e.g. an expired claim)
+  actor: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listingStatusHistorySchema.index({ listing: 1, timestamp: -1 });
+
+listingStatusHistorySchema.methods.toJSON = function() {
+  const entry = this.toObject({ virtuals: true });
+  entry.id = entry._id;
+  delete entry._id;
+  delete entry.__v;
+  return entry;
+};
+
+module.exports = mongoose.model('ListingStatusHistory', listingStatusHistorySchema);
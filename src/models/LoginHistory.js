@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const env = require('../config/env');
+const { LOGIN_FAILURE_REASONS, LOGIN_METHODS } = require('../utils/enums/loginEnums');
+
+// One sign-in attempt, kept for LOGIN_HISTORY_RETENTION_DAYS
+const loginHistorySchema = new mongoose.Schema({
+  // Null when the email does not belong to an account
+  user: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.values(LOGIN_METHODS),
+    default: LOGIN_METHODS.PASSWORD
+  },
+  failureReason: {
+    type: String,
+    enum: [...Object.values(LOGIN_FAILURE_REASONS), null],
+    default: null
+  },
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 512
+  },
+  device: String,
+  // ISO 3166-1 alpha-2 code from the proxy's country header
+  country: String,
+  // Set on successful logins that raised a security alert
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  newCountry: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ email: 1, createdAt: -1 });
+loginHistorySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: env.loginProtection.historyRetentionDays * 24 * 60 * 60 }
+);
+
+loginHistorySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  entry.id = entry._id;
+  delete entry._id;
+  delete entry.__v;
+  return entry;
+};
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
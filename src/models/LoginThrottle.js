@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { LOGIN_THROTTLE_KINDS } = require('../utils/enums/loginEnums');
+
+// Failed login counter for one email address or IP address
+const loginThrottleSchema = new mongoose.Schema({
+  // `${kind}:${value}`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: Object.values(LOGIN_THROTTLE_KINDS),
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  // Failures in the current window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    required: true
+  },
+  lastFailureAt: Date,
+  // Lockouts so far; each one lasts twice as long as the previous
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Pushed back on every failure; the counter is dropped after that
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+
+loginThrottleSchema.methods.toJSON = function() {
+  const throttle = this.toObject();
+  throttle.id = throttle._id;
+  delete throttle._id;
+  delete throttle.__v;
+  delete throttle.key;
+  return throttle;
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { MODERATION_CLAIM_OUTCOMES } = require('../utils/enums/listingEnums');
+
+// One record per time an agent holds a listing in review. Closed records are
+// the source for per-agent throughput and SLA reporting.
+const moderationClaimSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true
+  },
+  agent: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  queuedAt: {
+    type: Date,
+    required: true
+  },
+  claimedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: [...Object.values(MODERATION_CLAIM_OUTCOMES), null],
+    default: null
+  },
+  // queuedAt -> decision, measured against the SLA
+  timeInQueueMs: {
+    type: Number
+  },
+  // claimedAt -> endedAt
+  handlingTimeMs: {
+    type: Number
+  },
+  slaBreached: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+moderationClaimSchema.index({ listing: 1, endedAt: 1 });
+moderationClaimSchema.index({ agent: 1, endedAt: -1 });
+moderationClaimSchema.index({ endedAt: 1, expiresAt: 1 });
+
+moderationClaimSchema.methods.toJSON = function() {
+  const claim = this.toObject({ virtuals: true });
+  claim.id = claim._id;
+  delete claim._id;
+  delete claim.__v;
+  return claim;
+};
+
+module.exports = mongoose.model('ModerationClaim', moderationClaimSchema);
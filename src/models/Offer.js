@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { OFFER_STATUSES, OFFER_EVENTS } = require('../utils/enums/offerEnums');
+
+const offerEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: Object.values(OFFER_EVENTS),
+    required: true
+  },
+  // null for system events such as expiry
+  actor: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, {
+  _id: false,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const offerSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  buyer: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  // The buyer–seller conversation offer events are posted to
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  // The amount currently on the table, from whichever side moved last
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  listingPrice: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: Object.values(OFFER_STATUSES),
+    default: OFFER_STATUSES.PENDING
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Whether accepting moves the listing's availability to pending
+  holdListing: {
+    type: Boolean,
+    default: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  history: {
+    type: [offerEventSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+offerSchema.index({ listing: 1, status: 1 });
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+offerSchema.methods.toJSON = function() {
+  const offer = this.toObject({ virtuals: true });
+  offer.id = offer._id;
+  delete offer._id;
+  delete offer.__v;
+  return offer;
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const {
+  ORGANIZATION_ROLES,
+  ORGANIZATION_INVITATION_STATUSES
+} = require('../utils/enums/organizationEnums');
+
+const toJSON = function() {
+  const doc = this.toObject({ virtuals: true });
+  doc.id = doc._id;
+  delete doc._id;
+  delete doc.__v;
+  return doc;
+};
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  // The corporate account that created the organization
+  createdBy: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: String,
+  website: String
+}, {
+  timestamps: true
+});
+
+organizationSchema.methods.toJSON = toJSON;
+
+const organizationMemberSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // A user belongs to at most one organization
+  user: {
+    type: String,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(ORGANIZATION_ROLES),
+    required: true
+  },
+  invitedBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  // Round-robin cursor for routing buyer conversations
+  lastAssignedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+organizationMemberSchema.index({ organization: 1, role: 1, lastAssignedAt: 1 });
+
+organizationMemberSchema.methods.toJSON = toJSON;
+
+const organizationInvitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: [ORGANIZATION_ROLES.MANAGER, ORGANIZATION_ROLES.SALES],
+    required: true
+  },
+  // SHA-256 of the token sent by email; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: Object.values(ORGANIZATION_INVITATION_STATUSES),
+    default: ORGANIZATION_INVITATION_STATUSES.PENDING
+  },
+  invitedBy: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+organizationInvitationSchema.index(
+  { organization: 1, email: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: ORGANIZATION_INVITATION_STATUSES.PENDING }
+  }
+);
+
+organizationInvitationSchema.methods.toJSON = function() {
+  const invitation = toJSON.call(this);
+  delete invitation.tokenHash;
+  return invitation;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+const OrganizationMember = mongoose.model('OrganizationMember', organizationMemberSchema);
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+module.exports = {
+  Organization,
+  OrganizationMember,
+  OrganizationInvitation
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const {
+  PAYMENT_PROVIDERS,
+  PAYMENT_PURPOSES,
+  ORDER_STATUSES,
+  TRANSACTION_STATUSES
+} = require('../utils/enums/paymentEnums');
+
+// All amounts are integers in the currency's minor unit (kobo for NGN).
+const minorUnitAmount = {
+  type: Number,
+  required: true,
+  min: 0,
+  validate: {
+    validator: Number.isInteger,
+    message: 'Amount must be an integer in minor units'
+  }
+};
+
+const toJSON = function() {
+  const doc = this.toObject({ virtuals: true });
+  doc.id = doc._id;
+  delete doc._id;
+  delete doc.__v;
+  return doc;
+};
+
+const orderSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.values(PAYMENT_PURPOSES),
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  amount: minorUnitAmount,
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  status: {
+    type: String,
+    enum: Object.values(ORDER_STATUSES),
+    default: ORDER_STATUSES.PENDING,
+    index: true
+  },
+  provider: {
+    type: String,
+    enum: Object.values(PAYMENT_PROVIDERS),
+    required: true
+  },
+  // Purpose-specific input, e.g. { listingId, tier } for a boost
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  authorizationUrl: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  // What the payment bought, e.g. { boostId }
+  fulfillment: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  fulfilledAt: {
+    type: Date
+  },
+  fulfillmentError: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.methods.toJSON = toJSON;
+
+const transactionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    enum: Object.values(PAYMENT_PROVIDERS),
+    required: true
+  },
+  providerReference: {
+    type: String
+  },
+  amount: minorUnitAmount,
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  status: {
+    type: String,
+    enum: Object.values(TRANSACTION_STATUSES),
+    default: TRANSACTION_STATUSES.PENDING,
+    index: true
+  },
+  failureReason: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  },
+  raw: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+transactionSchema.methods.toJSON = toJSON;
+
+// Every webhook delivery that passed signature checks. The unique index makes
+// redeliveries of the same provider event a no-op.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: Object.values(PAYMENT_PROVIDERS),
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  reference: {
+    type: String,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const Order = mongoose.model('Order', orderSchema);
+const Transaction = mongoose.model('Transaction', transactionSchema);
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = {
+  Order,
+  Transaction,
+  PaymentEvent
+};
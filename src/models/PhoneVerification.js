@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// The outstanding phone OTP for a user, plus the send counters behind the
+// resend cooldown. Documents are purged a day after the last send.
+const phoneVerificationSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Normalized number the code was sent to
+  phone: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of user, phone and code; cleared once the code is used
+  codeHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    required: true
+  },
+  sendWindowStartedAt: {
+    type: Date,
+    required: true
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+phoneVerificationSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PhoneVerification', phoneVerificationSchema);
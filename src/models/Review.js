@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const {
+  REVIEW_STATUSES,
+  REVIEW_BASES,
+  REVIEW_REPORT_REASONS,
+  REVIEW_REPORT_STATUSES
+} = require('../utils/enums/reviewEnums');
+
+const toJSON = function() {
+  const doc = this.toObject({ virtuals: true });
+  doc.id = doc._id;
+  delete doc._id;
+  delete doc.__v;
+  return doc;
+};
+
+const reviewSchema = new mongoose.Schema({
+  seller: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  reviewer: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  basis: {
+    type: String,
+    enum: Object.values(REVIEW_BASES),
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // The seller's single public reply
+  reply: {
+    type: new mongoose.Schema({
+      content: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: Object.values(REVIEW_STATUSES),
+    default: REVIEW_STATUSES.PUBLISHED
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  moderatedBy: {
+    type: String,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One review per buyer per seller
+reviewSchema.index({ seller: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ seller: 1, status: 1, createdAt: -1 });
+reviewSchema.methods.toJSON = toJSON;
+
+const reviewReportSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  reporter: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.values(REVIEW_REPORT_REASONS),
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: Object.values(REVIEW_REPORT_STATUSES),
+    default: REVIEW_REPORT_STATUSES.OPEN
+  },
+  resolvedBy: {
+    type: String,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+reviewReportSchema.index({ review: 1, reporter: 1 }, { unique: true });
+reviewReportSchema.index({ status: 1, createdAt: 1 });
+reviewReportSchema.methods.toJSON = toJSON;
+
+const Review = mongoose.model('Review', reviewSchema);
+const ReviewReport = mongoose.model('ReviewReport', reviewReportSchema);
+
+module.exports = {
+  Review,
+  ReviewReport
+};
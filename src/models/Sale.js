@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { SALE_STATUSES } = require('../utils/enums/saleEnums');
+
+// Vehicle attributes copied at the time of sale so price analytics are not
+// affected by later edits to, or deletion of, the listing.
+const vehicleSnapshotSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  make: String,
+  model: String,
+  year: Number,
+  mileage: Number,
+  condition: String,
+  bodyType: String,
+  fuelType: String,
+  transmission: String,
+  state: String
+}, { _id: false });
+
+const saleSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true
+  },
+  seller: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  buyer: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    default: null
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Asking price when the listing was marked sold
+  listingPrice: {
+    type: Number
+  },
+  vehicle: {
+    type: vehicleSnapshotSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: Object.values(SALE_STATUSES),
+    default: SALE_STATUSES.PENDING_CONFIRMATION
+  },
+  // Availability to restore if the buyer declines or the seller cancels
+  previousAvailabilityStatus: {
+    type: String
+  },
+  confirmedAt: {
+    type: Date
+  },
+  declinedAt: {
+    type: Date
+  },
+  declineReason: {
+    type: String,
+    trim: true
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One sale awaiting confirmation per listing at a time
+saleSchema.index(
+  { listing: 1 },
+  { unique: true, partialFilterExpression: { status: SALE_STATUSES.PENDING_CONFIRMATION } }
+);
+saleSchema.index({ buyer: 1, seller: 1, status: 1 });
+saleSchema.index({ status: 1, 'vehicle.make': 1, 'vehicle.model': 1, 'vehicle.year': 1 });
+
+saleSchema.methods.toJSON = function() {
+  const sale = this.toObject({ virtuals: true });
+  sale.id = sale._id;
+  delete sale._id;
+  delete sale.__v;
+  delete sale.previousAvailabilityStatus;
+  return sale;
+};
+
+module.exports = mongoose.model('Sale', saleSchema);
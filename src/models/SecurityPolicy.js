@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { TWO_FACTOR_ENFORCEABLE_ROLES } = require('../utils/enums/twoFactorEnums');
+
+// Platform-wide security settings, kept in a single document
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: TWO_FACTOR_ENFORCEABLE_ROLES
+    }],
+    default: []
+  },
+  updatedBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+securityPolicySchema.methods.toJSON = function() {
+  const policy = this.toObject();
+  delete policy._id;
+  delete policy.__v;
+  delete policy.key;
+  return policy;
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { SESSION_REVOCATION_REASONS } = require('../utils/enums/sessionEnums');
+
+// One signed-in device. Rotating the refresh token keeps the session (the
+// token family); the hashes it replaced are kept to detect reuse.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 512
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refresh deadline, pushed back on every rotation
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: Object.values(SESSION_REVOCATION_REASONS),
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject({ virtuals: true });
+  session.id = session._id;
+  delete session._id;
+  delete session.__v;
+  delete session.refreshTokenHash;
+  delete session.previousTokenHashes;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String
+  }
+}, { _id: false });
+
+const openingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Local wall-clock times, HH:mm; ignored when closed
+  opens: String,
+  closes: String,
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const addressSchema = new mongoose.Schema({
+  address: String,
+  city: String,
+  state: String,
+  country: String,
+  postalCode: String,
+  latitude: Number,
+  longitude: Number
+}, { _id: false });
+
+const storefrontSchema = new mongoose.Schema({
+  dealer: {
+    type: String,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  about: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: ''
+  },
+  logo: {
+    type: imageSchema,
+    default: undefined
+  },
+  banner: {
+    type: imageSchema,
+    default: undefined
+  },
+  address: {
+    type: addressSchema,
+    default: () => ({})
+  },
+  // GeoJSON mirror of address.latitude/longitude, kept in sync on save
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  timezone: {
+    type: String
+  },
+  openingHours: {
+    type: [openingHoursSchema],
+    default: []
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  isPublished: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+storefrontSchema.index({ geoLocation: '2dsphere' }, { sparse: true });
+
+storefrontSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    const latitude = Number(this.address?.latitude);
+    const longitude = Number(this.address?.longitude);
+    const hasCoordinates = this.address?.latitude != null
+      && this.address?.longitude != null
+      && Number.isFinite(latitude)
+      && Number.isFinite(longitude);
+
+    this.geoLocation = hasCoordinates
+      ? { type: 'Point', coordinates: [longitude, latitude] }
+      : undefined;
+  }
+
+  next();
+});
+
+storefrontSchema.methods.toJSON = function() {
+  const storefront = this.toObject({ virtuals: true });
+  storefront.id = storefront._id;
+  delete storefront._id;
+  delete storefront.__v;
+  delete storefront.geoLocation;
+  return storefront;
+};
+
+module.exports = mongoose.model('Storefront', storefrontSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const {
+  SUBSCRIPTION_PLANS,
+  SUBSCRIPTION_STATUSES
+} = require('../utils/enums/subscriptionEnums');
+
+// One document per dealer or corporate account. Accounts without one are on
+// the free plan.
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  plan: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_PLANS),
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_STATUSES),
+    default: SUBSCRIPTION_STATUSES.ACTIVE,
+    index: true
+  },
+  currentPeriodStart: {
+    type: Date,
+    required: true
+  },
+  currentPeriodEnd: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  graceEndsAt: {
+    type: Date
+  },
+  // Included boosts still available; each paid period adds the plan's allowance
+  boostsRemaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Renewal reminder keys already sent for the current period
+  remindersSent: {
+    type: [String],
+    default: []
+  },
+  lastOrder: {
+    type: String
+  },
+  expiredAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+subscriptionSchema.methods.toJSON = function() {
+  const subscription = this.toObject({ virtuals: true });
+  subscription.id = subscription._id;
+  delete subscription._id;
+  delete subscription.__v;
+  return subscription;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -37,6 +37,9 @@ const {
  *         isEmailVerified:
  *           type: boolean
  *           default: false
+ *         isPhoneVerified:
+ *           type: boolean
+ *           default: false
  *         isReadOnly:
  *           type: boolean
  *           default: false
@@ -110,6 +113,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   isReadOnly: {
     type: Boolean,
     default: false
@@ -181,6 +189,18 @@ const userSchema = new mongoose.Schema({
   },
   statusReason: String,
 
+  // Aggregated from published reviews by reviewService
+  sellerRating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+
   // Soft delete fields
   isActive: {
     type: Boolean,
@@ -199,6 +219,54 @@ const userSchema = new mongoose.Schema({
   
   // Last login
   lastLogin: Date,
+
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  // TOTP two-factor authentication; secrets are encrypted by twoFactorService
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrollment until the first code is verified
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 of each one-time recovery code
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // The one sign-in challenge currently outstanding
+    challengeId: {
+      type: String,
+      select: false
+    },
+    challengeAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
   
 }, {
   timestamps: true,
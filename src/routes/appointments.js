@@ -0,0 +1,496 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const appointmentController = require('../controllers/appointmentController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appointments
+ *   description: |
+ *     Test-drive and inspection bookings. Sellers publish weekly availability windows, either for a
+ *     single listing or business-wide; a listing with its own windows ignores the business-wide ones.
+ *     Buyers request a free slot and the seller confirms, reschedules or cancels it. A seller never
+ *     has two open appointments at overlapping times.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AvailabilityWindow:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         seller:
+ *           type: string
+ *         listing:
+ *           type: object
+ *           nullable: true
+ *           description: Null for business-wide windows.
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 is Sunday.
+ *         startTime:
+ *           type: string
+ *           example: '09:00'
+ *         endTime:
+ *           type: string
+ *           example: '17:00'
+ *         timezone:
+ *           type: string
+ *           example: Africa/Lagos
+ *         slotMinutes:
+ *           type: integer
+ *         types:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [test_drive, inspection]
+ *         location:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *     AvailabilityWindowRequest:
+ *       type: object
+ *       properties:
+ *         listing:
+ *           type: string
+ *           description: Listing ID or slug. Omit for a business-wide window. Create only.
+ *         dayOfWeek:
+ *           type: integer
+ *         startTime:
+ *           type: string
+ *         endTime:
+ *           type: string
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone. Defaults to `APPOINTMENT_DEFAULT_TIMEZONE`.
+ *         slotMinutes:
+ *           type: integer
+ *           minimum: 15
+ *           maximum: 240
+ *           default: 30
+ *         types:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [test_drive, inspection]
+ *         location:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *     Appointment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: object
+ *         buyer:
+ *           type: object
+ *         seller:
+ *           type: object
+ *         type:
+ *           type: string
+ *           enum: [test_drive, inspection]
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         timezone:
+ *           type: string
+ *         location:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, confirmed, cancelled]
+ *         notes:
+ *           type: string
+ *         sequence:
+ *           type: integer
+ *           description: iCalendar sequence, increased on every change of time or status.
+ *         rescheduledFrom:
+ *           type: array
+ *           items:
+ *             type: object
+ *         cancellationReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/appointments/availability/windows:
+ *   get:
+ *     summary: List your availability windows
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: listing
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [business]
+ *         description: Only business-wide windows.
+ *       - in: query
+ *         name: seller
+ *         schema:
+ *           type: string
+ *         description: Staff only. Another seller's windows.
+ *     responses:
+ *       200:
+ *         description: Availability windows.
+ *   post:
+ *     summary: Add an availability window
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AvailabilityWindowRequest'
+ *               - type: object
+ *                 required:
+ *                   - dayOfWeek
+ *                   - startTime
+ *                   - endTime
+ *     responses:
+ *       201:
+ *         description: Window created.
+ *       409:
+ *         description: Overlaps another window on the same day.
+ */
+router.get('/availability/windows', auth.required, appointmentController.getWindows);
+router.post(
+  '/availability/windows',
+  auth.required,
+  auth.requireWriteAccess,
+  appointmentController.createWindow
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/availability/windows/{windowId}:
+ *   put:
+ *     summary: Update an availability window
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: windowId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AvailabilityWindowRequest'
+ *     responses:
+ *       200:
+ *         description: Window updated.
+ *       409:
+ *         description: Overlaps another window on the same day.
+ *   delete:
+ *     summary: Delete an availability window
+ *     description: Appointments already booked in the window are kept.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: windowId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Window deleted.
+ */
+router.put(
+  '/availability/windows/:windowId',
+  auth.required,
+  auth.requireWriteAccess,
+  appointmentController.updateWindow
+);
+router.delete(
+  '/availability/windows/:windowId',
+  auth.required,
+  auth.requireWriteAccess,
+  appointmentController.deleteWindow
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/availability/slots:
+ *   get:
+ *     summary: Free slots for a listing
+ *     description: Slots inside the seller's windows that are not already requested or confirmed.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: listing
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [test_drive, inspection]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           maximum: 31
+ *     responses:
+ *       200:
+ *         description: Free slots in start order.
+ */
+router.get('/availability/slots', auth.optional, appointmentController.getSlots);
+
+/**
+ * @swagger
+ * /api/v1/appointments:
+ *   get:
+ *     summary: Appointments you booked or host
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, confirmed, cancelled]
+ *       - in: query
+ *         name: listing
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only appointments that have not ended, soonest first.
+ *     responses:
+ *       200:
+ *         description: Appointments.
+ *   post:
+ *     summary: Request an appointment slot
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - listing
+ *               - startsAt
+ *             properties:
+ *               listing:
+ *                 type: string
+ *                 description: Listing ID or slug.
+ *               type:
+ *                 type: string
+ *                 enum: [test_drive, inspection]
+ *                 default: test_drive
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of a slot returned by the slots endpoint.
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Appointment requested.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 appointment:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       409:
+ *         description: The slot is taken or outside the seller's availability.
+ */
+router.get('/', auth.required, appointmentController.getAppointments);
+router.post(
+  '/',
+  auth.required,
+  auth.requireVerification,
+  auth.requireWriteAccess,
+  appointmentController.createAppointment
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{appointmentId}:
+ *   get:
+ *     summary: Get an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment details.
+ *       404:
+ *         description: Appointment not found.
+ */
+router.get('/:appointmentId', auth.required, appointmentController.getAppointment);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{appointmentId}/calendar.ics:
+ *   get:
+ *     summary: Download the appointment as an iCalendar file
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar event.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ */
+router.get('/:appointmentId/calendar.ics', auth.required, appointmentController.getAppointmentCalendar);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{appointmentId}/confirm:
+ *   post:
+ *     summary: Confirm a requested appointment (seller)
+ *     description: Both parties are emailed a calendar invite.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment confirmed.
+ *       409:
+ *         description: The appointment is not awaiting confirmation.
+ */
+router.post('/:appointmentId/confirm', auth.required, auth.requireWriteAccess, appointmentController.confirmAppointment);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{appointmentId}/reschedule:
+ *   post:
+ *     summary: Move an appointment to another free slot
+ *     description: |
+ *       A new time chosen by the seller is confirmed immediately. A new time proposed by the buyer
+ *       returns the appointment to `requested` until the seller confirms it.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startsAt
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled.
+ *       409:
+ *         description: The slot is taken or the appointment is closed.
+ */
+router.post('/:appointmentId/reschedule', auth.required, auth.requireWriteAccess, appointmentController.rescheduleAppointment);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{appointmentId}/cancel:
+ *   post:
+ *     summary: Cancel an appointment
+ *     description: Either party can cancel. Confirmed appointments are removed from calendars with a cancellation invite.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled.
+ *       409:
+ *         description: The appointment is already closed.
+ */
+router.post('/:appointmentId/cancel', auth.required, auth.requireWriteAccess, appointmentController.cancelAppointment);
+
+module.exports = router;
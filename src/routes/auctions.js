@@ -0,0 +1,389 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const auctionController = require('../controllers/auctionController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auctions
+ *   description: |
+ *     Invitation-only auctions on published listings. Bids are placed over REST and broadcast to the
+ *     `auction:{auctionId}` Socket.io room, which users with access join by emitting `auctions:join`.
+ *     Room events: `auctions:bid`, `auctions:started`, `auctions:closed`, `auctions:cancelled`.
+ *     Outbid users also receive `auctions:outbid` on their own sockets.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Auction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: object
+ *         seller:
+ *           type: string
+ *         startingPrice:
+ *           type: number
+ *         reservePrice:
+ *           type: number
+ *           nullable: true
+ *           description: Only returned to the seller and staff.
+ *         hasReserve:
+ *           type: boolean
+ *         reserveMet:
+ *           type: boolean
+ *         minIncrement:
+ *           type: number
+ *         nextMinimumBid:
+ *           type: number
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Current end time, including anti-sniping extensions.
+ *         originalEndsAt:
+ *           type: string
+ *           format: date-time
+ *         antiSnipingWindowMinutes:
+ *           type: number
+ *         extensionMinutes:
+ *           type: number
+ *         extensions:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [scheduled, live, ended, cancelled]
+ *         currentBid:
+ *           type: number
+ *           nullable: true
+ *         bidCount:
+ *           type: integer
+ *         isHighestBidder:
+ *           type: boolean
+ *         winner:
+ *           type: string
+ *           nullable: true
+ *         winningBid:
+ *           type: number
+ *           nullable: true
+ *     AuctionBid:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         bidder:
+ *           type: object
+ *           description: Only returned to the seller and staff.
+ *         isOwnBid:
+ *           type: boolean
+ *         extendedEndsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/auctions:
+ *   get:
+ *     summary: List auctions you sell or were invited to
+ *     description: Staff see every auction unless `mine` is set.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, live, ended, cancelled]
+ *       - in: query
+ *         name: listing
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Auctions ending soonest first.
+ *   post:
+ *     summary: Start an auction for a published listing
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - listing
+ *               - startingPrice
+ *               - minIncrement
+ *               - endsAt
+ *             properties:
+ *               listing:
+ *                 type: string
+ *                 description: Listing ID or slug.
+ *               startingPrice:
+ *                 type: number
+ *               reservePrice:
+ *                 type: number
+ *               minIncrement:
+ *                 type: number
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now.
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               antiSnipingWindowMinutes:
+ *                 type: number
+ *                 description: Defaults to `AUCTION_ANTI_SNIPING_WINDOW_MINUTES`.
+ *               extensionMinutes:
+ *                 type: number
+ *                 description: Defaults to `AUCTION_EXTENSION_MINUTES`.
+ *     responses:
+ *       201:
+ *         description: Auction created.
+ *       400:
+ *         description: Invalid prices, times or anti-sniping settings.
+ *       409:
+ *         description: Listing is not published or already has an open auction.
+ */
+router.get('/', auth.required, auctionController.getAuctions);
+router.post(
+  '/',
+  auth.required,
+  auth.requireVerification,
+  auth.requireWriteAccess,
+  auctionController.createAuction
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{auctionId}:
+ *   get:
+ *     summary: Get an auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction details.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 auction:
+ *                   $ref: '#/components/schemas/Auction'
+ *       404:
+ *         description: Auction not found or you have no access.
+ */
+router.get('/:auctionId', auth.required, auctionController.getAuction);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{auctionId}/cancel:
+ *   post:
+ *     summary: Cancel an auction
+ *     description: Sellers can cancel until the first bid; staff can cancel any open auction.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction cancelled.
+ *       409:
+ *         description: Auction has bids or is already closed.
+ */
+router.post('/:auctionId/cancel', auth.required, auctionController.cancelAuction);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{auctionId}/bids:
+ *   get:
+ *     summary: Get the bid history
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bids, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 bids:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionBid'
+ *   post:
+ *     summary: Place a bid
+ *     description: A bid inside the anti-sniping window extends the auction and is broadcast with `extended` set.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Bid placed.
+ *       400:
+ *         description: Bid is below the next minimum bid.
+ *       403:
+ *         description: Sellers cannot bid on their own auctions, and staff cannot bid at all.
+ *       409:
+ *         description: Auction is not open, you already lead, or another bid was placed first.
+ */
+router.get('/:auctionId/bids', auth.required, auctionController.getBids);
+router.post(
+  '/:auctionId/bids',
+  auth.required,
+  auth.requireVerification,
+  auth.requireWriteAccess,
+  auctionController.placeBid
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{auctionId}/access:
+ *   get:
+ *     summary: List users with access (seller or staff)
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Users who can view and bid.
+ *   post:
+ *     summary: Grant a user access (seller or staff)
+ *     description: The user receives an `auction_access` notification.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Access granted.
+ *       404:
+ *         description: User not found.
+ */
+router.get('/:auctionId/access', auth.required, auctionController.getAccess);
+router.post('/:auctionId/access', auth.required, auctionController.grantAccess);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{auctionId}/access/{userId}:
+ *   delete:
+ *     summary: Revoke a user's access (seller or staff)
+ *     description: The user's sockets are removed from the auction room.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access revoked.
+ *       404:
+ *         description: Access not found.
+ */
+router.delete('/:auctionId/access/:userId', auth.required, auctionController.revokeAccess);
+
+module.exports = router;
@@ -65,8 +65,56 @@ const router = express.Router();
  *           type: string
  *         token:
  *           type: string
+ *           description: Short-lived access token (JWT_EXPIRES_IN)
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
  *         user:
  *           $ref: '#/components/schemas/User'
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         device:
+ *           type: string
+ *           example: Chrome on Windows
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *     TwoFactorChallenge:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         twoFactorRequired:
+ *           type: boolean
+ *         twoFactorSetupRequired:
+ *           type: boolean
+ *         challengeToken:
+ *           type: string
+ *           description: Single-use token for the second step of the login
+ *         challengeExpiresIn:
+ *           type: string
+ *           example: 5m
  */
 
 // Register user
@@ -109,17 +157,26 @@ router.post('/register', authController.register);
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/LoginRequest'
+ *     description: |
+ *       When the account has two-factor authentication, no tokens are returned. The response has
+ *       `twoFactorRequired: true` and a short-lived `challengeToken` for `POST /auth/2fa/challenge`.
+ *       When 2FA is required for the user's role but not set up, it has `twoFactorSetupRequired: true`
+ *       and a `challengeToken` for `POST /auth/2fa/setup` and `/auth/2fa/setup/verify`.
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Invalid credentials
  *       423:
  *         description: Account is suspended
+ *       429:
+ *         description: Too many failed attempts for this email or IP address; try again later
  */
 router.post('/login', authController.login);
 
@@ -216,6 +273,7 @@ router.post('/forgot-password', authController.requestPasswordReset);
 * /api/v1/auth/reset-password:
  *   post:
  *     summary: Reset password with token
+ *     description: Signs the account out of every session and disconnects its sockets.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -246,6 +304,9 @@ router.post('/reset-password', authController.resetPassword);
 * /api/v1/auth/change-password:
  *   post:
  *     summary: Change current password
+ *     description: |
+ *       Signs out all other sessions and disconnects your sockets. The response carries a new access
+ *       `token` for this session; the previous one stops working.
  *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
@@ -308,22 +369,436 @@ router.get('/google/url', authController.getGoogleUrl);
  *         description: Google authentication successful
  *       400:
  *         description: Invalid Google OAuth code
+ *       423:
+ *         description: Account is suspended
  */
 router.post('/google/callback', authController.handleGoogleCallback);
 
 // Logout (client-side token removal, but we can track it)
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: |
+ *       Refresh tokens are single use; each call returns a new one. Presenting a token that was
+ *       already exchanged revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', authController.refresh);
+
 /**
  * @swagger
 * /api/v1/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: |
+ *       Revokes the current session. When the access token has expired, send the refresh token
+ *       instead.
  *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
  */
 router.post('/logout', auth.optional, authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/logout-others:
+ *   post:
+ *     summary: Log out all other devices
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked and their sockets disconnected
+ */
+router.post('/logout-others', auth.required, authController.logoutOtherSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: Active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signed-in devices, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions', auth.required, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of your sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', auth.required, authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/challenge:
+ *   post:
+ *     summary: Finish a login with an authenticator or recovery code
+ *     description: |
+ *       Each challenge can be completed once and allows TWO_FACTOR_MAX_ATTEMPTS wrong codes; after
+ *       that, log in again. Wrong codes also count towards the login lockout for the email and IP
+ *       address. Recovery codes work once each.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-c07be
+ *     responses:
+ *       200:
+ *         description: Login successful; `recoveryCodesRemaining` is included when a recovery code was used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid verification code
+ *       401:
+ *         description: Invalid, expired or already used challenge
+ *       429:
+ *         description: Too many incorrect codes for this challenge, or the email or IP address is locked out
+ */
+router.post('/2fa/challenge', authController.completeTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa:
+ *   get:
+ *     summary: Your two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled or required for your role, and how many recovery codes are left
+ */
+router.get('/2fa', auth.required, authController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Returns a new secret and its `otpauth://` URI to show as a QR code. Nothing changes until a
+ *       code is verified. Send a bearer token, or the `challengeToken` from a login that answered
+ *       `twoFactorSetupRequired`.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', auth.optional, authController.startTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup/verify:
+ *   post:
+ *     summary: Verify a code and enable two-factor authentication
+ *     description: |
+ *       Returns the recovery codes, which are shown only once. With a setup `challengeToken` the
+ *       response also signs you in.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or enrollment not started
+ *       429:
+ *         description: Too many incorrect codes, or the email or IP address is locked out
+ */
+router.post('/2fa/setup/verify', auth.optional, authController.verifyTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: |
+ *       Needs your password (unless the account only signs in with Google) and an authenticator or
+ *       recovery code. A security alert notification is sent.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       403:
+ *         description: Two-factor authentication is required for your role
+ */
+router.post('/2fa/disable', auth.required, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace your recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the previous ones stop working
+ */
+router.post('/2fa/recovery-codes', auth.required, authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/policy:
+ *   get:
+ *     summary: Roles that must use two-factor authentication (supervisor)
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current security policy
+ *   put:
+ *     summary: Require two-factor authentication for staff roles (supervisor)
+ *     description: |
+ *       Applies from each affected user's next login; users who have not enrolled are sent through
+ *       setup before they get tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorRequiredRoles
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [agent, supervisor]
+ *     responses:
+ *       200:
+ *         description: Security policy updated
+ */
+router.get('/2fa/policy', auth.required, auth.role('supervisor'), authController.getSecurityPolicy);
+router.put('/2fa/policy', auth.required, auth.role('supervisor'), authController.updateSecurityPolicy);
+
+/**
+ * @swagger
+ * /api/v1/auth/login-history:
+ *   get:
+ *     summary: Recent sign-in attempts on your account
+ *     description: Supervisors can pass `userId` to see another user's history.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Attempts with IP, user agent, device, country and outcome, newest first
+ */
+router.get('/login-history', auth.required, authController.getLoginHistory);
+
+/**
+ * @swagger
+ * /api/v1/auth/lockouts:
+ *   get:
+ *     summary: Login lockouts (supervisor)
+ *     description: |
+ *       Failed logins are counted per email and per IP address. Reaching the limit locks that email
+ *       or IP out; each further lockout lasts twice as long, up to LOGIN_MAX_LOCKOUT_MINUTES.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [email, ip]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Exact email or IP address
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Include counters that are not locked right now
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lockouts with failure counts and `lockedUntil`
+ */
+router.get('/lockouts', auth.required, auth.role('supervisor'), authController.getLockouts);
+
+/**
+ * @swagger
+ * /api/v1/auth/lockouts/{lockoutId}:
+ *   delete:
+ *     summary: Clear a lockout and its failure history (supervisor)
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       404:
+ *         description: Lockout not found
+ */
+router.delete('/lockouts/:lockoutId', auth.required, auth.role('supervisor'), authController.clearLockout);
+
 module.exports = router;
\ No newline at end of file
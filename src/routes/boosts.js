@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const boostController = require('../controllers/boostController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Boosts
+ *   description: Paid placement for published listings
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Boost:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: object
+ *         tier:
+ *           type: string
+ *           enum: [standard, premium, spotlight]
+ *         purchaser:
+ *           type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [scheduled, active, expired, cancelled]
+ *         warningsSent:
+ *           type: array
+ *           description: Expiry warning notification types already sent.
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/boosts/tiers:
+ *   get:
+ *     summary: List available boost tiers
+ *     tags: [Boosts]
+ *     responses:
+ *       200:
+ *         description: Boost tiers with duration, priority and price in kobo.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               tiers:
+ *                 - tier: "standard"
+ *                   label: "Standard Boost"
+ *                   priority: 1
+ *                   durationDays: 7
+ *                   price: 500000
+ */
+router.get('/tiers', boostController.getBoostTiers);
+
+/**
+ * @swagger
+ * /api/v1/boosts:
+ *   get:
+ *     summary: List boosts
+ *     description: Users see boosts they purchased, or every boost on a listing they own when `listing` is given. Staff see all boosts.
+ *     tags: [Boosts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: listing
+ *         schema:
+ *           type: string
+ *         description: Listing ID or slug.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, active, expired, cancelled]
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Boosts, latest ending first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 boosts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Boost'
+ */
+router.get('/', auth.required, boostController.getBoosts);
+
+/**
+ * @swagger
+ * /api/v1/boosts:
+ *   post:
+ *     summary: Grant a boost to a published listing (staff only)
+ *     tags: [Boosts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - listing
+ *               - tier
+ *             properties:
+ *               listing:
+ *                 type: string
+ *                 description: Listing ID or slug.
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, premium, spotlight]
+ *               purchaser:
+ *                 type: string
+ *                 description: Defaults to the listing owner.
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now.
+ *               durationDays:
+ *                 type: integer
+ *                 description: Defaults to the tier duration.
+ *     responses:
+ *       201:
+ *         description: Boost created.
+ *       409:
+ *         description: Listing is not published.
+ */
+router.post('/', auth.required, auth.role('agent', 'supervisor'), boostController.createBoost);
+
+/**
+ * @swagger
+ * /api/v1/boosts/{boostId}/cancel:
+ *   post:
+ *     summary: Cancel a scheduled or active boost (staff only)
+ *     tags: [Boosts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boostId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Boost cancelled and the listing's featured state recalculated.
+ *       404:
+ *         description: Boost not found or no longer running.
+ */
+router.post('/:boostId/cancel', auth.required, auth.role('agent', 'supervisor'), boostController.cancelBoost);
+
+module.exports = router;
@@ -34,6 +34,59 @@ const categoryController = require('../controllers/categoryController');
  *           nullable: true
  *         isActive:
  *           type: boolean
+ *         schema:
+ *           type: object
+ *           description: Typed specification attributes keyed by name. Listings in this category are validated against it.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [string, number, integer, boolean, date]
+ *               required:
+ *                 type: boolean
+ *               enum:
+ *                 type: array
+ *                 items: {}
+ *               min:
+ *                 type: number
+ *                 description: Minimum value, or minimum length for strings.
+ *               max:
+ *                 type: number
+ *                 description: Maximum value, or maximum length for strings.
+ *               unit:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *           example:
+ *             engineSize:
+ *               type: number
+ *               required: true
+ *               min: 0.6
+ *               max: 8
+ *               unit: "L"
+ *         filters:
+ *           type: object
+ *           description: Search filters keyed by specification attribute. Each entry declares a `type` of `range`, `select` or `boolean`.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [range, select, boolean]
+ *               label:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *           example:
+ *             engineSize:
+ *               type: range
+ *               label: "Engine size"
+ *               unit: "L"
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -56,6 +109,12 @@ const categoryController = require('../controllers/categoryController');
  *         isActive:
  *           type: boolean
  *           default: true
+ *         schema:
+ *           type: object
+ *           description: Typed specification attributes. See the Category schema.
+ *         filters:
+ *           type: object
+ *           description: Search filter definitions. See the Category schema.
  */
 
 /**
@@ -155,6 +214,65 @@ router.post(
  *                   $ref: '#/components/schemas/Category'
  */
 
+router.get(
+  '/:idOrSlug/validation-report',
+  auth.required,
+  auth.role('supervisor'),
+  categoryController.getListingValidationReport
+);
+
+/**
+ * @swagger
+ * /api/v1/categories/{idOrSlug}/validation-report:
+ *   get:
+ *     summary: Validate all listings in a category against its schema
+ *     description: Checks every non-deleted listing's specifications against the category schema and reports the listings that fail, with errors per field. Supervisor only.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Validation report generated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 validCount:
+ *                   type: integer
+ *                 invalidCount:
+ *                   type: integer
+ *                 invalidListings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       errors:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: string
+ *       404:
+ *         description: Category not found.
+ */
+
 router.put(
   '/:idOrSlug',
   auth.required,
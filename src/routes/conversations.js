@@ -47,6 +47,9 @@ const conversationController = require('../controllers/conversationController');
  *               type: string
  *             content:
  *               type: string
+ *             messageType:
+ *               type: string
+ *               enum: [text, system]
  *             createdAt:
  *               type: string
  *               format: date-time
@@ -61,6 +64,14 @@ const conversationController = require('../controllers/conversationController');
  *           type: string
  *         content:
  *           type: string
+ *         messageType:
+ *           type: string
+ *           enum: [text, system]
+ *           description: System messages are generated by the platform, e.g. for offer events.
+ *         metadata:
+ *           type: object
+ *           nullable: true
+ *           description: Details for system messages, e.g. `{ offerId, event, amount }`.
  *         sender:
  *           $ref: '#/components/schemas/ConversationParticipant'
  *         createdAt:
@@ -70,12 +81,18 @@ const conversationController = require('../controllers/conversationController');
  *           type: boolean
  *     StartConversationRequest:
  *       type: object
- *       required:
- *         - recipientId
+ *       description: Provide `recipientId`, `listingId`, or both.
  *       properties:
  *         recipientId:
  *           type: string
  *           description: User ID of the conversation recipient.
+ *         listingId:
+ *           type: string
+ *           description: |
+ *             Listing ID or slug the enquiry is about. For organization listings the conversation is routed
+ *             to a sales member of the team (reusing the buyer's existing thread with the team), ignoring
+ *             `recipientId`; otherwise the listing owner is the default recipient and gets a thread of its
+ *             own for this listing, which is what a sale of the listing is later recorded against.
  *         message:
  *           type: string
  *           description: Optional first message content.
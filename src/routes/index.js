@@ -8,6 +8,16 @@ const notificationRoutes = require('./notifications');
 const savedListingRoutes = require('./savedListings');
 const savedListingGroupRoutes = require('./savedListingGroups');
 const storageRoutes = require('./storage');
+const boostRoutes = require('./boosts');
+const paymentRoutes = require('./payments');
+const subscriptionRoutes = require('./subscriptions');
+const auctionRoutes = require('./auctions');
+const offerRoutes = require('./offers');
+const appointmentRoutes = require('./appointments');
+const saleRoutes = require('./sales');
+const reviewRoutes = require('./reviews');
+const storefrontRoutes = require('./storefronts');
+const organizationRoutes = require('./organizations');
 const env = require('../config/env');
 
 const API_BASE_PATH = env.app.basePath || '/api';
@@ -34,7 +44,17 @@ const ROUTES = [
   { path: '/notifications', router: notificationRoutes },
   { path: '/saved-listings', router: savedListingRoutes },
   { path: '/saved-listing-groups', router: savedListingGroupRoutes },
-  { path: '/storage', router: storageRoutes }
+  { path: '/storage', router: storageRoutes },
+  { path: '/boosts', router: boostRoutes },
+  { path: '/payments', router: paymentRoutes },
+  { path: '/subscriptions', router: subscriptionRoutes },
+  { path: '/auctions', router: auctionRoutes },
+  { path: '/offers', router: offerRoutes },
+  { path: '/appointments', router: appointmentRoutes },
+  { path: '/sales', router: saleRoutes },
+  { path: '/reviews', router: reviewRoutes },
+  { path: '/storefronts', router: storefrontRoutes },
+  { path: '/organizations', router: organizationRoutes }
 ];
 
 const createVersionedRouter = () => {
@@ -3,6 +3,8 @@ const router = express.Router();
 
 const auth = require('../middleware/auth');
 const listingController = require('../controllers/listingController');
+const listingModerationController = require('../controllers/listingModerationController');
+const listingRevisionController = require('../controllers/listingRevisionController');
 
 /**
  * @swagger
@@ -71,6 +73,16 @@ const listingController = require('../controllers/listingController');
  *             city:
  *               type: string
  *               example: "Ikeja"
+ *             latitude:
+ *               type: number
+ *               example: 6.6018
+ *             longitude:
+ *               type: number
+ *               example: 3.3515
+ *         distance:
+ *           type: number
+ *           description: Distance in kilometres from the `near` point. Only present on radius searches.
+ *           example: 12.4
  *         images:
  *           type: array
  *           items:
@@ -81,8 +93,67 @@ const listingController = require('../controllers/listingController');
  *                 format: uri
  *               caption:
  *                 type: string
+ *         vin:
+ *           type: string
+ *           example: "1HGCM82633A004352"
+ *         vinDetails:
+ *           type: object
+ *           description: Offline decode of the VIN.
+ *           properties:
+ *             wmi:
+ *               type: string
+ *             manufacturer:
+ *               type: string
+ *             country:
+ *               type: string
+ *             region:
+ *               type: string
+ *             modelYear:
+ *               type: integer
+ *         moderation:
+ *           type: object
+ *           properties:
+ *             queuedAt:
+ *               type: string
+ *               format: date-time
+ *             claimedBy:
+ *               type: string
+ *               nullable: true
+ *             claimedAt:
+ *               type: string
+ *               format: date-time
+ *             claimExpiresAt:
+ *               type: string
+ *               format: date-time
+ *         possibleDuplicates:
+ *           type: array
+ *           description: Likely duplicates detected when the listing entered review. Only returned to agents and supervisors.
+ *           items:
+ *             type: object
+ *             properties:
+ *               listing:
+ *                 type: object
+ *               score:
+ *                 type: number
+ *                 example: 0.82
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [vin, title, images, price, mileage, year, same_owner]
+ *               detectedAt:
+ *                 type: string
+ *                 format: date-time
  *         isFeatured:
  *           type: boolean
+ *           description: True while the listing has an active boost. Cannot be set directly.
+ *         boostPriority:
+ *           type: integer
+ *           description: Priority of the highest active boost tier (0 when not boosted). Used by `sort=featured`.
+ *         boostedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         publishedAt:
  *           type: string
  *           format: date-time
@@ -117,6 +188,10 @@ const listingController = require('../controllers/listingController');
  *         availabilityStatus:
  *           type: string
  *           enum: [available, sold, reserved]
+ *         vin:
+ *           type: string
+ *           description: 17-character VIN. Validated with its check digit; on create the decoded model year and manufacturer fill in `year` and `specifications.manufacturer` when they are not provided.
+ *           example: "1HGCM82633A004352"
  *         specifications:
  *           type: object
  *           additionalProperties: true
@@ -133,6 +208,10 @@ const listingController = require('../controllers/listingController');
  *               type: string
  *             address:
  *               type: string
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
  *     ListingStatusUpdate:
  *       type: object
  *       required:
@@ -140,8 +219,83 @@ const listingController = require('../controllers/listingController');
  *       properties:
  *         status:
  *           type: string
- *           description: Updated moderation status.
+ *           description: |
+ *             Updated moderation status. `reviewing` claims the listing for the current agent. Agents must
+ *             claim a listing before publishing or rejecting it; rejected listings can only return to review.
  *           example: "published"
+ *     ListingStatusHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: string
+ *         from:
+ *           type: string
+ *           nullable: true
+ *           description: Null for the status the listing was created with.
+ *         to:
+ *           type: string
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: Null when the change was made by the system, e.g. an expired review claim.
+ *         actorRole:
+ *           type: string
+ *           enum: [owner, agent, supervisor, system]
+ *         notes:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *     ListingRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: string
+ *         submittedBy:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, superseded]
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *         changes:
+ *           type: object
+ *           description: Proposed values keyed by field.
+ *         previous:
+ *           type: object
+ *           description: Live values when the revision was submitted.
+ *         reviewedBy:
+ *           type: object
+ *           nullable: true
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ListingQueuePosition:
+ *       type: object
+ *       properties:
+ *         queuedAt:
+ *           type: string
+ *           format: date-time
+ *         timeInQueueMinutes:
+ *           type: integer
+ *         slaDueAt:
+ *           type: string
+ *           format: date-time
+ *         slaBreached:
+ *           type: boolean
  */
 
 /**
@@ -176,12 +330,12 @@ const listingController = require('../controllers/listingController');
  *         name: status
  *         schema:
  *           type: string
- *         description: Filter by listing moderation status (e.g. published, pending_review).
+ *         description: Filter by listing moderation status (e.g. published, pending_review). Honoured for staff and with `mine=true`; everyone else only sees published listings.
  *       - in: query
  *         name: availabilityStatus
  *         schema:
  *           type: string
- *         description: Filter by availability status (e.g. available, sold).
+ *         description: Filter by availability status (e.g. available, sold). Sold listings are excluded unless requested.
  *       - in: query
  *         name: category
  *         schema:
@@ -200,12 +354,59 @@ const listingController = require('../controllers/listingController');
  *           format: double
  *         description: Maximum price filter.
  *       - in: query
+ *         name: minYear
+ *         schema:
+ *           type: integer
+ *         description: Minimum model year (ignored when `year` is provided).
+ *       - in: query
+ *         name: maxYear
+ *         schema:
+ *           type: integer
+ *         description: Maximum model year (ignored when `year` is provided).
+ *       - in: query
+ *         name: minMileage
+ *         schema:
+ *           type: number
+ *         description: Minimum mileage in kilometres.
+ *       - in: query
+ *         name: maxMileage
+ *         schema:
+ *           type: number
+ *         description: Maximum mileage in kilometres.
+ *       - in: query
+ *         name: fuelType
+ *         schema:
+ *           type: string
+ *           example: "petrol,hybrid"
+ *         description: One or more fuel types, comma separated or repeated. `bodyType`, `transmission`, `condition`, `color` and `driveType` accept multiple values the same way.
+ *       - in: query
+ *         name: specs
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties: true
+ *         description: Filters over category specifications, limited to attributes declared in the category's `filters` definition. Requires `category`. Range attributes take `specs[key][min]`/`specs[key][max]`; others take one or more values, e.g. `specs[partType]=brakes,filters`.
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *           example: "6.6018,3.3515"
+ *         description: Latitude and longitude (comma separated) to search around. Cannot be combined with `search`.
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 50
+ *           maximum: 1000
+ *         description: Search radius in kilometres when `near` is provided.
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [recent, oldest, price_asc, price_desc, featured]
+ *           enum: [recent, oldest, price_asc, price_desc, featured, distance]
  *           default: recent
- *         description: Sort results by recency, price, or featured flag.
+ *         description: Sort results by recency, price, featured flag, or distance (requires `near`).
  *     responses:
  *       200:
  *         description: Listings retrieved successfully.
@@ -232,8 +433,74 @@ const listingController = require('../controllers/listingController');
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Listing'
+ *       400:
+ *         description: Invalid `near`, `lat`/`lng` or `radiusKm`, or a location combined with `search`.
  */
 router.get('/', auth.optional, listingController.getListings);
+/**
+ * @swagger
+ * /api/v1/listings/facets:
+ *   get:
+ *     summary: Get facet counts for listing search filters
+ *     description: Accepts the same filters as `GET /listings` and returns counts per filter value. Each facet is computed against the applied filters minus the facet's own filter, so selected values do not collapse their siblings.
+ *     tags: [Listings]
+ *     parameters:
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: string
+ *         description: Comma-separated facet names to compute (bodyType, fuelType, transmission, condition, state, city, category, year, price). Defaults to all.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search against listing titles and descriptions.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug.
+ *     responses:
+ *       200:
+ *         description: Facet counts retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 total:
+ *                   type: integer
+ *                   description: Number of listings matching all applied filters.
+ *                 facets:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         value:
+ *                           type: string
+ *                         count:
+ *                           type: integer
+ *             example:
+ *               success: true
+ *               total: 211
+ *               facets:
+ *                 bodyType:
+ *                   - value: "sedan"
+ *                     count: 124
+ *                   - value: "suv"
+ *                     count: 87
+ *                 price:
+ *                   - value: "2500000-4999999"
+ *                     min: 2500000
+ *                     max: 4999999
+ *                     count: 56
+ */
+router.get('/facets', auth.optional, listingController.getListingFacets);
 /**
  * @swagger
  * /api/v1/listings/mine:
@@ -259,6 +526,240 @@ router.get('/', auth.optional, listingController.getListings);
  *                     $ref: '#/components/schemas/Listing'
  */
 router.get('/mine', auth.required, listingController.getMyListings);
+/**
+ * @swagger
+ * /api/v1/listings/vin/{vin}:
+ *   get:
+ *     summary: Find listings by VIN (staff only)
+ *     description: Returns every listing that has used the VIN, including soft-deleted ones, together with the offline VIN decode.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vin
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "1HGCM82633A004352"
+ *     responses:
+ *       200:
+ *         description: Matching listings and decoded VIN details.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 vin:
+ *                   type: string
+ *                 decoded:
+ *                   type: object
+ *                 total:
+ *                   type: integer
+ *                 listings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *       403:
+ *         description: Forbidden.
+ */
+router.get(
+  '/vin/:vin',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingController.searchListingsByVin
+);
+/**
+ * @swagger
+ * /api/v1/listings/moderation/queue:
+ *   get:
+ *     summary: Get the listing moderation queue (staff only)
+ *     description: |
+ *       Listings awaiting review or currently claimed, oldest first. Expired claims are returned to the
+ *       queue before the results are built. Each listing carries its time in queue and SLA due date
+ *       (`MODERATION_SLA_HOURS`).
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_review, reviewing]
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only listings claimed by the current agent.
+ *       - in: query
+ *         name: claimed
+ *         schema:
+ *           type: boolean
+ *         description: Pass `false` to only return unclaimed listings.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Queue page with summary counts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     pending:
+ *                       type: integer
+ *                     reviewing:
+ *                       type: integer
+ *                     slaBreached:
+ *                       type: integer
+ *                     slaHours:
+ *                       type: number
+ *                     claimTtlMinutes:
+ *                       type: number
+ *                 pagination:
+ *                   type: object
+ *                 listings:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Listing'
+ *                       - type: object
+ *                         properties:
+ *                           possibleDuplicateCount:
+ *                             type: integer
+ *                           queue:
+ *                             $ref: '#/components/schemas/ListingQueuePosition'
+ *       403:
+ *         description: Forbidden.
+ */
+router.get(
+  '/moderation/queue',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingModerationController.getModerationQueue
+);
+/**
+ * @swagger
+ * /api/v1/listings/moderation/stats:
+ *   get:
+ *     summary: Per-agent moderation throughput and SLA compliance (staff only)
+ *     description: Agents only receive their own figures; supervisors see every agent and may filter by `agent`.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now.
+ *       - in: query
+ *         name: agent
+ *         schema:
+ *           type: string
+ *         description: Agent user ID (supervisors only).
+ *     responses:
+ *       200:
+ *         description: Per-agent statistics.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               range:
+ *                 from: "2024-05-01T00:00:00.000Z"
+ *                 to: "2024-05-31T00:00:00.000Z"
+ *               slaHours: 24
+ *               agents:
+ *                 - agent:
+ *                     id: "7d5c1f1e-1b7a-4a8e-9a8f-1f0c2e3d4b5a"
+ *                     displayName: "Ada Agent"
+ *                     email: "ada@example.com"
+ *                   decisions: 120
+ *                   published: 104
+ *                   rejected: 16
+ *                   released: 3
+ *                   expired: 1
+ *                   decisionsPerDay: 4
+ *                   avgTimeInQueueMinutes: 310
+ *                   avgHandlingTimeMinutes: 6
+ *                   slaBreaches: 4
+ *                   slaComplianceRate: 96.67
+ *       403:
+ *         description: Forbidden.
+ */
+router.get(
+  '/moderation/stats',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingModerationController.getModerationStats
+);
+/**
+ * @swagger
+ * /api/v1/listings/moderation/revisions:
+ *   get:
+ *     summary: Pending edits to published listings, oldest first (staff only)
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pending revisions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 pagination:
+ *                   type: object
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ListingRevision'
+ *       403:
+ *         description: Forbidden.
+ */
+router.get(
+  '/moderation/revisions',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingRevisionController.getPendingRevisions
+);
 /**
  * @swagger
  * /api/v1/listings/{idOrSlug}:
@@ -284,10 +785,127 @@ router.get('/mine', auth.required, listingController.getMyListings);
  *                   type: boolean
  *                 listing:
  *                   $ref: '#/components/schemas/Listing'
+ *                 banner:
+ *                   type: object
+ *                   description: Present when the listing has been sold.
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [sold]
+ *                     message:
+ *                       type: string
+ *                     soldAt:
+ *                       type: string
+ *                       format: date-time
  *       404:
  *         description: Listing not found.
  */
 router.get('/:idOrSlug', auth.optional, listingController.getListing);
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/history:
+ *   get:
+ *     summary: Get the status history of a listing
+ *     description: Available to the listing owner and to staff. Also returns the transitions the caller may make from the current status.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status transitions, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 listing:
+ *                   type: object
+ *                 allowedTransitions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["reviewing"]
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ListingStatusHistory'
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Listing not found.
+ */
+router.get('/:idOrSlug/history', auth.required, listingController.getListingHistory);
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/revisions:
+ *   get:
+ *     summary: List revisions submitted for a listing
+ *     description: Available to the listing owner and to staff.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first.
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Listing not found.
+ */
+router.get('/:idOrSlug/revisions', auth.required, listingRevisionController.getListingRevisions);
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a revision with a field-by-field diff against the live listing
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision and diff.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               revision:
+ *                 id: "665f1c2e8b1d4a0012ab34cd"
+ *                 status: "pending"
+ *                 fields: ["price", "description"]
+ *               diff:
+ *                 - field: "price"
+ *                   current: 4500000
+ *                   proposed: 4200000
+ *                   changedSinceSubmission: false
+ *       404:
+ *         description: Listing or revision not found.
+ */
+router.get('/:idOrSlug/revisions/:revisionId', auth.required, listingRevisionController.getListingRevision);
 
 router.post(
   '/',
@@ -340,7 +958,16 @@ router.post(
  *                 listing:
  *                   $ref: '#/components/schemas/Listing'
  *       400:
- *         description: Validation error.
+ *         description: Validation error. Specification errors against the category schema are returned per field in `errors`.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: "Listing specifications do not match the category schema"
+ *               errors:
+ *                 engineSize: "Engine size must be at most 8 L"
+ *       403:
+ *         description: A dealer or corporate owner has reached their plan's active-listing or photo limit.
  */
 
 router.put(
@@ -356,6 +983,10 @@ router.put(
  * /api/v1/listings/{idOrSlug}:
  *   put:
  *     summary: Update an existing listing
+ *     description: |
+ *       When the owner edits a published listing, fields listed in `LISTING_REVISION_EXEMPT_FIELDS`
+ *       (default `availabilityStatus`) are applied immediately and any other changes are stored as a
+ *       pending revision for moderation; the live listing is unchanged until it is approved.
  *     tags: [Listings]
  *     security:
  *       - bearerAuth: []
@@ -384,6 +1015,23 @@ router.put(
  *                   type: boolean
  *                 listing:
  *                   $ref: '#/components/schemas/Listing'
+ *       202:
+ *         description: Changes to a published listing were submitted for review.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 listing:
+ *                   $ref: '#/components/schemas/Listing'
+ *                 revision:
+ *                   $ref: '#/components/schemas/ListingRevision'
+ *       403:
+ *         description: No permission, or resubmitting the listing or its photos would exceed the owner's plan limits.
  *       404:
  *         description: Listing not found.
  */
@@ -425,6 +1073,158 @@ router.patch(
  *         description: Forbidden.
  */
 
+router.post(
+  '/:idOrSlug/claim',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingModerationController.claimListing
+);
+
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/claim:
+ *   post:
+ *     summary: Claim a listing for review (staff only)
+ *     description: |
+ *       Moves a `pending_review` listing into `reviewing` and locks it to the current agent for
+ *       `MODERATION_CLAIM_TTL_MINUTES`. Claiming a listing you already hold extends the lock. Claims
+ *       that lapse are returned to the queue automatically.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Listing claimed.
+ *       404:
+ *         description: Listing not found.
+ *       409:
+ *         description: Listing is claimed by another agent or is not awaiting review.
+ */
+
+router.post(
+  '/:idOrSlug/release',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingModerationController.releaseListing
+);
+
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/release:
+ *   post:
+ *     summary: Release a claimed listing back to the queue (staff only)
+ *     description: Only the claiming agent or a supervisor can release a claim. The listing keeps its original queue position.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Listing returned to `pending_review`.
+ *       403:
+ *         description: Claimed by another agent.
+ *       409:
+ *         description: Listing is not in review.
+ */
+
+router.post(
+  '/:idOrSlug/revisions/:revisionId/approve',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingRevisionController.approveListingRevision
+);
+
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/revisions/{revisionId}/approve:
+ *   post:
+ *     summary: Approve a pending revision and apply it to the live listing (staff only)
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Revision applied.
+ *       403:
+ *         description: The revision's photos exceed the owner's current plan.
+ *       409:
+ *         description: Revision is no longer pending or no longer valid, or the listing is no longer published.
+ */
+
+router.post(
+  '/:idOrSlug/revisions/:revisionId/reject',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  listingRevisionController.rejectListingRevision
+);
+
+/**
+ * @swagger
+ * /api/v1/listings/{idOrSlug}/revisions/{revisionId}/reject:
+ *   post:
+ *     summary: Reject a pending revision (staff only)
+ *     description: The live listing is left unchanged and the owner is notified with the reason.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rejectionReason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Revision rejected.
+ *       409:
+ *         description: Revision is no longer pending.
+ */
+
 router.delete(
   '/:idOrSlug',
   auth.required,
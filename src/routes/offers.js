@@ -0,0 +1,311 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const offerController = require('../controllers/offerController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Offers
+ *   description: |
+ *     Price offers and counter-offers between a buyer and a seller. `pending` offers wait on the seller,
+ *     `countered` offers wait on the buyer. Every event is also posted as a system message in the
+ *     buyer–seller conversation.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Offer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: object
+ *         buyer:
+ *           type: object
+ *         seller:
+ *           type: object
+ *         conversation:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           description: The amount currently on the table.
+ *         currency:
+ *           type: string
+ *         listingPrice:
+ *           type: number
+ *           description: Asking price when the offer was made.
+ *         status:
+ *           type: string
+ *           enum: [pending, countered, accepted, declined, withdrawn, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         holdListing:
+ *           type: boolean
+ *           description: Whether accepting moves the listing's availability to `pending`.
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [created, countered, accepted, declined, withdrawn, expired]
+ *               actor:
+ *                 type: string
+ *                 nullable: true
+ *               amount:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *     OfferResponseRequest:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           maxLength: 1000
+ */
+
+/**
+ * @swagger
+ * /api/v1/offers:
+ *   get:
+ *     summary: List offers you made or received
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, countered, accepted, declined, withdrawn, expired]
+ *       - in: query
+ *         name: listing
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offers, most recently updated first.
+ *   post:
+ *     summary: Make an offer on a listing
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - listing
+ *               - amount
+ *             properties:
+ *               listing:
+ *                 type: string
+ *                 description: Listing ID or slug.
+ *               amount:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *               expiresInHours:
+ *                 type: number
+ *                 description: Defaults to `OFFER_DEFAULT_EXPIRY_HOURS`.
+ *     responses:
+ *       201:
+ *         description: Offer sent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 offer:
+ *                   $ref: '#/components/schemas/Offer'
+ *       409:
+ *         description: The listing is not available or you already have an open offer on it.
+ */
+router.get('/', auth.required, offerController.getOffers);
+router.post(
+  '/',
+  auth.required,
+  auth.requireVerification,
+  auth.requireWriteAccess,
+  offerController.createOffer
+);
+
+/**
+ * @swagger
+ * /api/v1/offers/{offerId}:
+ *   get:
+ *     summary: Get an offer with its history
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer details.
+ *       404:
+ *         description: Offer not found.
+ */
+router.get('/:offerId', auth.required, offerController.getOffer);
+
+/**
+ * @swagger
+ * /api/v1/offers/{offerId}/counter:
+ *   post:
+ *     summary: Counter an offer
+ *     description: Only the party the offer is waiting on can counter. The expiry is reset.
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *               expiresInHours:
+ *                 type: number
+ *               holdListing:
+ *                 type: boolean
+ *                 description: Seller only. Whether accepting this counter-offer marks the listing as pending.
+ *     responses:
+ *       200:
+ *         description: Counter-offer sent.
+ *       403:
+ *         description: The offer is waiting on the other party.
+ *       409:
+ *         description: The offer is closed or expired.
+ */
+router.post('/:offerId/counter', auth.required, auth.requireWriteAccess, offerController.counterOffer);
+
+/**
+ * @swagger
+ * /api/v1/offers/{offerId}/accept:
+ *   post:
+ *     summary: Accept the amount on the table
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               holdListing:
+ *                 type: boolean
+ *                 description: Seller only. Set to false to keep the listing available after accepting.
+ *     responses:
+ *       200:
+ *         description: Offer accepted.
+ *       403:
+ *         description: The offer is waiting on the other party.
+ *       409:
+ *         description: The offer is closed or expired.
+ */
+router.post('/:offerId/accept', auth.required, auth.requireWriteAccess, offerController.acceptOffer);
+
+/**
+ * @swagger
+ * /api/v1/offers/{offerId}/decline:
+ *   post:
+ *     summary: Decline an offer
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OfferResponseRequest'
+ *     responses:
+ *       200:
+ *         description: Offer declined.
+ *       403:
+ *         description: The offer is waiting on the other party.
+ *       409:
+ *         description: The offer is closed or expired.
+ */
+router.post('/:offerId/decline', auth.required, auth.requireWriteAccess, offerController.declineOffer);
+
+/**
+ * @swagger
+ * /api/v1/offers/{offerId}/withdraw:
+ *   post:
+ *     summary: Withdraw your offer (buyer only)
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OfferResponseRequest'
+ *     responses:
+ *       200:
+ *         description: Offer withdrawn.
+ *       409:
+ *         description: The offer is already closed.
+ */
+router.post('/:offerId/withdraw', auth.required, auth.requireWriteAccess, offerController.withdrawOffer);
+
+module.exports = router;
@@ -0,0 +1,446 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const organizationController = require('../controllers/organizationController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: |
+ *     Team accounts for companies. A corporate user creates the organization and becomes its owner;
+ *     managers and sales staff join through emailed invitations. Listings created by members are
+ *     team inventory: owners and managers can edit any of it, sales members the listings they created.
+ *     Buyer enquiries about team listings are routed to sales members in turn.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         website:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *     OrganizationMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         user:
+ *           type: object
+ *         role:
+ *           type: string
+ *           enum: [owner, manager, sales]
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   post:
+ *     summary: Create an organization (corporate accounts)
+ *     description: You become its owner and your existing listings become team inventory.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to your company name.
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Organization created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 organization:
+ *                   $ref: '#/components/schemas/Organization'
+ *                 listingsShared:
+ *                   type: integer
+ *       403:
+ *         description: Only corporate accounts can create an organization.
+ *       409:
+ *         description: You already belong to an organization.
+ */
+router.post(
+  '/',
+  auth.required,
+  auth.requireVerification,
+  auth.requireWriteAccess,
+  organizationController.createOrganization
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/me:
+ *   get:
+ *     summary: Your organization, its members and, for owners and managers, pending invitations
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization with your role and the member list.
+ *       404:
+ *         description: You do not belong to an organization.
+ */
+router.get('/me', auth.required, organizationController.getMyOrganization);
+
+/**
+ * @swagger
+ * /api/v1/organizations/invitations/{token}:
+ *   get:
+ *     summary: Look up an invitation by its token
+ *     tags: [Organizations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization, invited email, role and expiry.
+ *       404:
+ *         description: Invitation is invalid or has expired.
+ */
+router.get('/invitations/:token', organizationController.getInvitation);
+
+/**
+ * @swagger
+ * /api/v1/organizations/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: Your account email must match the invited address.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: You joined the organization.
+ *       403:
+ *         description: The invitation was sent to a different email address.
+ *       409:
+ *         description: You already belong to an organization.
+ */
+router.post(
+  '/invitations/:token/accept',
+  auth.required,
+  auth.requireVerification,
+  organizationController.acceptInvitation
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}:
+ *   put:
+ *     summary: Update organization details (owner, manager)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organization updated.
+ */
+router.put('/:organizationId', auth.required, auth.requireWriteAccess, organizationController.updateOrganization);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}/invitations:
+ *   post:
+ *     summary: Invite someone by email (owner, manager)
+ *     description: Managers can invite sales members; owners can also invite managers.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [manager, sales]
+ *                 default: sales
+ *     responses:
+ *       201:
+ *         description: Invitation emailed.
+ *       409:
+ *         description: Already a member elsewhere, an invitation is pending, or the team is full.
+ */
+router.post(
+  '/:organizationId/invitations',
+  auth.required,
+  auth.requireWriteAccess,
+  organizationController.inviteMember
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation (owner, manager)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked.
+ *       404:
+ *         description: Invitation not found or no longer pending.
+ */
+router.delete(
+  '/:organizationId/invitations/:invitationId',
+  auth.required,
+  organizationController.revokeInvitation
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (owner)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, sales]
+ *     responses:
+ *       200:
+ *         description: Role updated.
+ *   delete:
+ *     summary: Remove a member, or leave when it is your own user ID
+ *     description: |
+ *       Owners remove anyone but themselves; managers remove sales members. The member's team listings
+ *       pass to the owner and their buyer conversations are reassigned.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed.
+ *       409:
+ *         description: The owner cannot leave or be removed.
+ */
+router.put('/:organizationId/members/:userId', auth.required, organizationController.updateMemberRole);
+router.delete('/:organizationId/members/:userId', auth.required, organizationController.removeMember);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}/listings:
+ *   get:
+ *     summary: Team inventory (members)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Only listings created by this member.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Listings of every status except deleted, newest first.
+ */
+router.get('/:organizationId/listings', auth.required, organizationController.getListings);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}/conversations:
+ *   get:
+ *     summary: Buyer conversations about team listings
+ *     description: Owners and managers see all of them; sales members see those assigned to them.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: Filter by the member handling the conversation (owner, manager).
+ *     responses:
+ *       200:
+ *         description: Conversations, most recently active first.
+ */
+router.get('/:organizationId/conversations', auth.required, organizationController.getConversations);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}/conversations/{conversationId}/assign:
+ *   post:
+ *     summary: Hand a buyer conversation to another member
+ *     description: Owners and managers can reassign any conversation; members can pass on their own.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - memberId
+ *             properties:
+ *               memberId:
+ *                 type: string
+ *                 description: User ID of the new assignee.
+ *     responses:
+ *       200:
+ *         description: Conversation reassigned; a system message tells the buyer.
+ */
+router.post(
+  '/:organizationId/conversations/:conversationId/assign',
+  auth.required,
+  organizationController.assignConversation
+);
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const paymentController = require('../controllers/paymentController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Orders, provider checkouts and payment webhooks
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         reference:
+ *           type: string
+ *           example: "PAY-LZ3K9A1B-9F2C4D6E8A0B"
+ *         user:
+ *           type: string
+ *         purpose:
+ *           type: string
+ *           enum: [boost, subscription]
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: integer
+ *           description: Amount in minor units (kobo).
+ *         currency:
+ *           type: string
+ *           example: "NGN"
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, failed, cancelled]
+ *         provider:
+ *           type: string
+ *           enum: [fake, paystack, flutterwave]
+ *         metadata:
+ *           type: object
+ *         authorizationUrl:
+ *           type: string
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         fulfillment:
+ *           type: object
+ *           nullable: true
+ *           description: What the payment bought, e.g. `{ boostId }`.
+ *         fulfilledAt:
+ *           type: string
+ *           format: date-time
+ *         fulfillmentError:
+ *           type: string
+ *           description: Set when the order was paid but could not be fulfilled.
+ */
+
+/**
+ * @swagger
+ * /api/v1/payments/providers:
+ *   get:
+ *     summary: List enabled payment providers and purchasable purposes
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Providers that are configured on this server.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               defaultProvider: "fake"
+ *               providers: ["fake"]
+ *               purposes: ["boost", "subscription"]
+ */
+router.get('/providers', paymentController.getPaymentProviders);
+
+/**
+ * @swagger
+ * /api/v1/payments/orders:
+ *   post:
+ *     summary: Create an order and start a checkout
+ *     description: The amount is priced on the server from the purpose and metadata. Redirect the buyer to `authorizationUrl`; the order is settled by the provider webhook.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - purpose
+ *             properties:
+ *               purpose:
+ *                 type: string
+ *                 enum: [boost, subscription]
+ *               provider:
+ *                 type: string
+ *                 enum: [fake, paystack, flutterwave]
+ *                 description: Defaults to the server's default provider.
+ *               metadata:
+ *                 type: object
+ *                 description: Purpose input. For a boost, `{ listing, tier }`; for a subscription, `{ plan }`.
+ *           example:
+ *             purpose: "boost"
+ *             metadata:
+ *               listing: "toyota-camry-2018-lagos"
+ *               tier: "premium"
+ *     responses:
+ *       201:
+ *         description: Order created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 authorizationUrl:
+ *                   type: string
+ *       400:
+ *         description: Unknown purpose or provider, or invalid metadata.
+ *       502:
+ *         description: The provider could not start the checkout.
+ *       503:
+ *         description: The provider is not configured.
+ *   get:
+ *     summary: List orders
+ *     description: Users see their own orders. Staff see all orders, optionally filtered by `user`.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, failed, cancelled]
+ *       - in: query
+ *         name: purpose
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Orders, newest first.
+ */
+router.post('/orders', auth.required, paymentController.createOrder);
+router.get('/orders', auth.required, paymentController.getOrders);
+
+/**
+ * @swagger
+ * /api/v1/payments/orders/{reference}:
+ *   get:
+ *     summary: Get an order with its transactions
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order details.
+ *       404:
+ *         description: Order not found.
+ */
+router.get('/orders/:reference', auth.required, paymentController.getOrder);
+
+/**
+ * @swagger
+ * /api/v1/payments/orders/{reference}/verify:
+ *   post:
+ *     summary: Check a pending order with the provider
+ *     description: Useful when the buyer returns from checkout before the webhook arrives. Settling is idempotent, so a later webhook for the same payment has no further effect.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The order after verification.
+ *       404:
+ *         description: Order not found.
+ */
+router.post('/orders/:reference/verify', auth.required, paymentController.verifyOrder);
+
+/**
+ * @swagger
+ * /api/v1/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Receive a payment provider webhook
+ *     description: |
+ *       Signatures are checked against the raw request body:
+ *       `x-paystack-signature` (HMAC-SHA512) for Paystack, `verif-hash` for Flutterwave and
+ *       `x-fake-signature` (HMAC-SHA256) for the fake gateway. Redelivered events are acknowledged without being processed again.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [fake, paystack, flutterwave]
+ *     responses:
+ *       200:
+ *         description: Event accepted.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               duplicate: false
+ *               status: "paid"
+ *       401:
+ *         description: Invalid webhook signature.
+ */
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/v1/payments/fake/checkout/{reference}:
+ *   post:
+ *     summary: Complete a fake-gateway checkout
+ *     description: Available outside production when the fake gateway is enabled with a webhook secret. Sends a signed webhook through the normal webhook path.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               succeed:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Set to false to simulate a declined payment.
+ *     responses:
+ *       200:
+ *         description: The settled order.
+ *       403:
+ *         description: Called in production.
+ *       409:
+ *         description: Order is no longer pending.
+ *       503:
+ *         description: The fake gateway is disabled or has no webhook secret.
+ */
+router.post('/fake/checkout/:reference', auth.required, paymentController.completeFakeCheckout);
+
+module.exports = router;
@@ -0,0 +1,324 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const reviewController = require('../controllers/reviewController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: |
+ *     Seller ratings. A buyer can review a seller once, after a confirmed purchase from them or a direct
+ *     conversation in which both wrote messages. The seller may reply once. Reported reviews are
+ *     moderated by agents; hidden reviews no longer count towards the seller's rating.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         seller:
+ *           type: string
+ *         reviewer:
+ *           type: object
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         basis:
+ *           type: string
+ *           enum: [sale, conversation]
+ *         reply:
+ *           type: object
+ *           properties:
+ *             content:
+ *               type: string
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *         status:
+ *           type: string
+ *           enum: [published, hidden]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     SellerRating:
+ *       type: object
+ *       properties:
+ *         average:
+ *           type: number
+ *           example: 4.6
+ *         count:
+ *           type: integer
+ *           example: 12
+ */
+
+/**
+ * @swagger
+ * /api/v1/reviews:
+ *   get:
+ *     summary: A seller's reviews with their rating summary
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: query
+ *         name: seller
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Published reviews, newest first, with the average, count and star distribution.
+ *   post:
+ *     summary: Review a seller
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - seller
+ *               - rating
+ *             properties:
+ *               seller:
+ *                 type: string
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Review published.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 review:
+ *                   $ref: '#/components/schemas/Review'
+ *                 sellerRating:
+ *                   $ref: '#/components/schemas/SellerRating'
+ *       400:
+ *         description: Missing or invalid seller ID, or a rating outside 1-5.
+ *       403:
+ *         description: No conversation or confirmed purchase with the seller.
+ *       404:
+ *         description: Seller not found.
+ *       409:
+ *         description: You have already reviewed this seller.
+ */
+router.get('/', auth.optional, reviewController.getReviews);
+router.post(
+  '/',
+  auth.required,
+  auth.requireVerification,
+  auth.requireWriteAccess,
+  reviewController.createReview
+);
+
+/**
+ * @swagger
+ * /api/v1/reviews/eligibility:
+ *   get:
+ *     summary: Whether you can review a seller
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: seller
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Eligibility, the basis it rests on, and your existing review if any.
+ */
+router.get('/eligibility', auth.required, reviewController.getEligibility);
+
+/**
+ * @swagger
+ * /api/v1/reviews/reports:
+ *   get:
+ *     summary: Review abuse reports (staff)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, actioned, dismissed]
+ *           default: open
+ *     responses:
+ *       200:
+ *         description: Reports with the reported review. Open reports are oldest first.
+ */
+router.get('/reports', auth.required, auth.role('agent', 'supervisor'), reviewController.getReports);
+
+/**
+ * @swagger
+ * /api/v1/reviews/reports/{reportId}/resolve:
+ *   post:
+ *     summary: Resolve a review report (staff)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [hide, dismiss]
+ *                 description: "`hide` removes the review and closes all open reports on it."
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report resolved.
+ *       404:
+ *         description: Report not found or already resolved.
+ */
+router.post(
+  '/reports/:reportId/resolve',
+  auth.required,
+  auth.role('agent', 'supervisor'),
+  reviewController.resolveReport
+);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{reviewId}/reply:
+ *   post:
+ *     summary: Reply to a review of you (once)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Reply published.
+ *       409:
+ *         description: You have already replied.
+ */
+router.post('/:reviewId/reply', auth.required, auth.requireWriteAccess, reviewController.replyToReview);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report an abusive review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, fake, personal_information, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Report submitted for moderation.
+ *       409:
+ *         description: You have already reported this review.
+ */
+router.post('/:reviewId/report', auth.required, reviewController.reportReview);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{reviewId}/restore:
+ *   post:
+ *     summary: Publish a hidden review again (staff)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review restored.
+ *       409:
+ *         description: The review is already published.
+ */
+router.post('/:reviewId/restore', auth.required, auth.role('agent', 'supervisor'), reviewController.restoreReview);
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const saleController = require('../controllers/saleController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sales
+ *   description: |
+ *     Sale records. The seller marks a listing sold to someone they have a conversation with, at the
+ *     final price; the listing is held as `pending` until the buyer confirms. Confirmed sales mark the
+ *     listing `sold`, remove it from default search and feed price analytics.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Sale:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         listing:
+ *           type: object
+ *         seller:
+ *           type: object
+ *         buyer:
+ *           type: object
+ *         conversation:
+ *           type: string
+ *         offer:
+ *           type: string
+ *           nullable: true
+ *         price:
+ *           type: number
+ *           description: Final sale price.
+ *         currency:
+ *           type: string
+ *         listingPrice:
+ *           type: number
+ *           description: Asking price when the listing was marked sold.
+ *         vehicle:
+ *           type: object
+ *           description: Vehicle attributes at the time of sale.
+ *         status:
+ *           type: string
+ *           enum: [pending_confirmation, confirmed, declined, cancelled]
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/sales:
+ *   get:
+ *     summary: Sales you made or bought
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_confirmation, confirmed, declined, cancelled]
+ *     responses:
+ *       200:
+ *         description: Sales, newest first.
+ *   post:
+ *     summary: Mark a listing as sold
+ *     description: |
+ *       The buyer is the other participant of the given conversation, which must be about this listing
+ *       (started from the listing or created by an offer on it). Passing an accepted offer fills
+ *       in the conversation and price from it.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - listing
+ *             properties:
+ *               listing:
+ *                 type: string
+ *                 description: Listing ID or slug.
+ *               conversation:
+ *                 type: string
+ *                 description: Conversation with the buyer about this listing. Required unless `offer` is given.
+ *               price:
+ *                 type: number
+ *                 description: Final price. Required unless `offer` is given.
+ *               offer:
+ *                 type: string
+ *                 description: Accepted offer on the listing.
+ *     responses:
+ *       201:
+ *         description: Sale recorded and awaiting buyer confirmation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sale:
+ *                   $ref: '#/components/schemas/Sale'
+ *       409:
+ *         description: The listing is not published, already sold, or already awaiting confirmation.
+ */
+router.get('/', auth.required, saleController.getSales);
+router.post('/', auth.required, auth.requireWriteAccess, saleController.createSale);
+
+/**
+ * @swagger
+ * /api/v1/sales/analytics:
+ *   get:
+ *     summary: Price analytics from confirmed sales
+ *     description: |
+ *       Statistics per currency. Groups with fewer than `SALES_ANALYTICS_MIN_SAMPLE` sales only report
+ *       their count.
+ *     tags: [Sales]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: make
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minYear
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxYear
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: bodyType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fuelType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transmission
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *         description: Only sales confirmed in the last N months.
+ *     responses:
+ *       200:
+ *         description: Average, median and average discount from asking price.
+ */
+router.get('/analytics', auth.optional, saleController.getPriceAnalytics);
+
+/**
+ * @swagger
+ * /api/v1/sales/{saleId}:
+ *   get:
+ *     summary: Get a sale
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sale details.
+ *       404:
+ *         description: Sale not found.
+ */
+router.get('/:saleId', auth.required, saleController.getSale);
+
+/**
+ * @swagger
+ * /api/v1/sales/{saleId}/confirm:
+ *   post:
+ *     summary: Confirm your purchase (buyer)
+ *     description: Marks the listing sold and notifies everyone who saved it.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase confirmed.
+ *       409:
+ *         description: The sale is no longer awaiting confirmation.
+ */
+router.post('/:saleId/confirm', auth.required, auth.requireWriteAccess, saleController.confirmSale);
+
+/**
+ * @swagger
+ * /api/v1/sales/{saleId}/decline:
+ *   post:
+ *     summary: Decline a sale recorded against you (buyer)
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sale declined and the listing made available again.
+ *       409:
+ *         description: The sale is no longer awaiting confirmation.
+ */
+router.post('/:saleId/decline', auth.required, auth.requireWriteAccess, saleController.declineSale);
+
+/**
+ * @swagger
+ * /api/v1/sales/{saleId}/cancel:
+ *   post:
+ *     summary: Cancel a sale awaiting confirmation (seller)
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sale cancelled and the listing made available again.
+ *       409:
+ *         description: The sale is no longer awaiting confirmation.
+ */
+router.post('/:saleId/cancel', auth.required, auth.requireWriteAccess, saleController.cancelSale);
+
+module.exports = router;
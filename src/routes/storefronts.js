@@ -0,0 +1,307 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const storefrontController = require('../controllers/storefrontController');
+const env = require('../config/env');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: env.uploads.maxFileSizeMb * 1024 * 1024
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Storefronts
+ *   description: |
+ *     Public dealer pages. Dealer and corporate accounts get one storefront under a unique slug with
+ *     a logo, banner, address, opening hours and about text. The public page lists the dealer's
+ *     published inventory with the same filters and sorting as `GET /listings`.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Storefront:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         dealer:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           example: lekki-auto-hub
+ *         name:
+ *           type: string
+ *         about:
+ *           type: string
+ *         logo:
+ *           type: object
+ *           properties:
+ *             url:
+ *               type: string
+ *         banner:
+ *           type: object
+ *           properties:
+ *             url:
+ *               type: string
+ *         address:
+ *           type: object
+ *           properties:
+ *             address:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             country:
+ *               type: string
+ *             postalCode:
+ *               type: string
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *         timezone:
+ *           type: string
+ *           example: Africa/Lagos
+ *         openingHours:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OpeningHours'
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *         website:
+ *           type: string
+ *         isPublished:
+ *           type: boolean
+ *     OpeningHours:
+ *       type: object
+ *       required:
+ *         - dayOfWeek
+ *       properties:
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 is Sunday.
+ *         opens:
+ *           type: string
+ *           example: "08:30"
+ *         closes:
+ *           type: string
+ *           example: "18:00"
+ *         closed:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/storefronts/me:
+ *   get:
+ *     summary: Your storefront
+ *     tags: [Storefronts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Storefront, published or not.
+ *       404:
+ *         description: You have not set up a storefront yet.
+ *   put:
+ *     summary: Create or update your storefront (dealer, corporate)
+ *     description: |
+ *       The first save creates the storefront. Without a `slug` one is derived from the business name.
+ *       Fields left out are not changed; `openingHours` replaces the whole week.
+ *     tags: [Storefronts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slug:
+ *                 type: string
+ *                 pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$'
+ *               name:
+ *                 type: string
+ *               about:
+ *                 type: string
+ *                 maxLength: 5000
+ *               address:
+ *                 type: object
+ *               timezone:
+ *                 type: string
+ *               openingHours:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OpeningHours'
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *               isPublished:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Storefront updated.
+ *       201:
+ *         description: Storefront created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 storefront:
+ *                   $ref: '#/components/schemas/Storefront'
+ *       403:
+ *         description: Only dealer and corporate accounts have storefronts.
+ *       409:
+ *         description: The slug is already taken.
+ */
+router.get('/me', auth.required, storefrontController.getMyStorefront);
+router.put('/me', auth.required, auth.requireWriteAccess, storefrontController.saveMyStorefront);
+
+/**
+ * @swagger
+ * /api/v1/storefronts/me/{kind}:
+ *   post:
+ *     summary: Upload your storefront logo or banner
+ *     tags: [Storefronts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [logo, banner]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Image stored; the previous one is deleted.
+ *       400:
+ *         description: Missing or non-image file.
+ *   delete:
+ *     summary: Remove your storefront logo or banner
+ *     tags: [Storefronts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [logo, banner]
+ *     responses:
+ *       200:
+ *         description: Image removed.
+ */
+router.post(
+  '/me/:kind',
+  auth.required,
+  auth.requireWriteAccess,
+  upload.single('image'),
+  storefrontController.uploadImage
+);
+router.delete('/me/:kind', auth.required, auth.requireWriteAccess, storefrontController.removeImage);
+
+/**
+ * @swagger
+ * /api/v1/storefronts/{slug}:
+ *   get:
+ *     summary: A dealer's public storefront and inventory
+ *     description: |
+ *       Accepts the query parameters of `GET /listings` (except `status` and `mine`) to filter, sort and
+ *       page through the dealer's published listings.
+ *     tags: [Storefronts]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, oldest, price_asc, price_desc, featured, distance]
+ *     responses:
+ *       200:
+ *         description: Storefront, stats and a page of listings.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 storefront:
+ *                   $ref: '#/components/schemas/Storefront'
+ *                 dealer:
+ *                   type: object
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     activeListings:
+ *                       type: integer
+ *                     soldListings:
+ *                       type: integer
+ *                     memberSince:
+ *                       type: string
+ *                       format: date-time
+ *                     yearsOnPlatform:
+ *                       type: number
+ *                       example: 2.4
+ *                     rating:
+ *                       $ref: '#/components/schemas/SellerRating'
+ *                     openNow:
+ *                       type: boolean
+ *                       nullable: true
+ *                       description: Null when no opening hours are set.
+ *                 pagination:
+ *                   type: object
+ *                 listings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *       404:
+ *         description: Storefront not found or not published.
+ */
+router.get('/:slug', auth.optional, storefrontController.getStorefront);
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middleware/auth');
+const subscriptionController = require('../controllers/subscriptionController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Subscriptions
+ *   description: Dealer and corporate plans with listing quotas
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Subscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         plan:
+ *           type: string
+ *           enum: [free, basic, pro]
+ *         status:
+ *           type: string
+ *           enum: [active, grace, expired, cancelled]
+ *           description: During `grace` the plan still applies until `graceEndsAt`.
+ *         currentPeriodStart:
+ *           type: string
+ *           format: date-time
+ *         currentPeriodEnd:
+ *           type: string
+ *           format: date-time
+ *         graceEndsAt:
+ *           type: string
+ *           format: date-time
+ *         boostsRemaining:
+ *           type: integer
+ *           description: Included boosts still available.
+ *         lastOrder:
+ *           type: string
+ *           description: Reference of the payment order that last started or renewed the plan.
+ */
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/plans:
+ *   get:
+ *     summary: List subscription plans
+ *     tags: [Subscriptions]
+ *     responses:
+ *       200:
+ *         description: Plans with quotas, included boosts and price in kobo per period.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               gracePeriodDays: 7
+ *               plans:
+ *                 - plan: "basic"
+ *                   label: "Basic"
+ *                   price: 1500000
+ *                   periodDays: 30
+ *                   maxActiveListings: 25
+ *                   maxPhotosPerListing: 20
+ *                   includedBoosts:
+ *                     tier: "standard"
+ *                     count: 2
+ */
+router.get('/plans', subscriptionController.getPlans);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/me:
+ *   get:
+ *     summary: Get your subscription and quota usage
+ *     description: Plans are bought and renewed through `POST /payments/orders` with purpose `subscription`.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current subscription (null on the free plan) and usage.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               subscription: null
+ *               usage:
+ *                 plan: "free"
+ *                 activeListings: 3
+ *                 maxActiveListings: 5
+ *                 remainingListings: 2
+ *                 maxPhotosPerListing: 10
+ *                 boostsRemaining: 0
+ *                 includedBoostTier: null
+ *       403:
+ *         description: Not a dealer or corporate account.
+ */
+router.get('/me', auth.required, subscriptionController.getMySubscription);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/me/boosts:
+ *   post:
+ *     summary: Apply one of your plan's included boosts to a listing
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - listing
+ *             properties:
+ *               listing:
+ *                 type: string
+ *                 description: Listing ID or slug.
+ *     responses:
+ *       201:
+ *         description: Boost created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 boost:
+ *                   $ref: '#/components/schemas/Boost'
+ *                 boostsRemaining:
+ *                   type: integer
+ *       403:
+ *         description: Not your listing, or no included boosts left.
+ *       409:
+ *         description: Listing is not published.
+ */
+router.post('/me/boosts', auth.required, subscriptionController.redeemIncludedBoost);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/users/{userId}:
+ *   put:
+ *     summary: Assign a plan to a dealer or corporate account (staff only)
+ *     description: Assigning `free` cancels the current subscription.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [free, basic, pro]
+ *               periodDays:
+ *                 type: integer
+ *                 description: Defaults to the plan period.
+ *     responses:
+ *       200:
+ *         description: Subscription updated.
+ *       400:
+ *         description: Invalid plan or the user cannot subscribe.
+ *       404:
+ *         description: User not found.
+ */
+router.put('/users/:userId', auth.required, auth.role('agent', 'supervisor'), subscriptionController.grantSubscription);
+
+module.exports = router;
@@ -2,6 +2,10 @@ const express = require('express');
 const multer = require('multer');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const storefrontService = require('../services/storefrontService');
+const sessionService = require('../services/sessionService');
+const phoneVerificationController = require('../controllers/phoneVerificationController');
+const { SESSION_REVOCATION_REASONS } = require('../utils/enums/sessionEnums');
 
 const router = express.Router();
 
@@ -49,6 +53,8 @@ const upload = multer({
  *           enum: [active, inactive, suspended]
  *         isEmailVerified:
  *           type: boolean
+ *         isPhoneVerified:
+ *           type: boolean
  *         businessProfile:
  *           type: object
  *         dateJoined:
@@ -175,6 +181,12 @@ router.put('/profile', auth.required, async (req, res) => {
       }
     }
 
+    // A new number has to be verified again
+    if (filteredUpdates.phone !== undefined && filteredUpdates.phone !== user.phone) {
+      user.isPhoneVerified = false;
+      user.phoneVerifiedAt = undefined;
+    }
+
     // Apply updates
     Object.keys(filteredUpdates).forEach(key => {
       user[key] = filteredUpdates[key];
@@ -302,6 +314,72 @@ router.delete('/avatar', auth.required, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/phone/verification:
+ *   post:
+ *     summary: Text a verification code to your phone
+ *     description: |
+ *       Sends a one-time code to `phone`, or to the number on your profile. The number replaces your
+ *       profile phone once verified. Codes expire after PHONE_OTP_TTL_MINUTES; new codes can be
+ *       requested after a cooldown and a few times per hour.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+2348031234567"
+ *     responses:
+ *       200:
+ *         description: Code sent; includes the masked number, `expiresAt` and `resendAvailableAt`
+ *       400:
+ *         description: Missing or invalid phone number
+ *       409:
+ *         description: The number is already verified on this or another account
+ *       429:
+ *         description: Cooldown running or hourly limit reached
+ *       502:
+ *         description: The SMS provider failed to send the code
+ *       503:
+ *         description: No SMS provider is configured
+ */
+router.post('/phone/verification', auth.required, phoneVerificationController.sendCode);
+
+/**
+ * @swagger
+ * /api/v1/users/phone/verify:
+ *   post:
+ *     summary: Verify your phone with the texted code
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Phone verified
+ *       400:
+ *         description: Invalid or expired code, or no code pending
+ *       429:
+ *         description: Too many incorrect attempts; request a new code
+ */
+router.post('/phone/verify', auth.required, phoneVerificationController.verifyCode);
+
 // Get public user profile (for viewing other users)
 /**
  * @swagger
@@ -318,16 +396,17 @@ router.delete('/avatar', auth.required, async (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: Public user profile retrieved
+ *         description: Public user profile retrieved, including the seller rating (`rating.average`, `rating.count`), the `phoneVerified` badge and, for businesses, their published storefront slug
  *       404:
  *         description: User not found
  */
 router.get('/:userId', async (req, res) => {
   try {
-    const user = await User.findOne({ 
-      id: req.params.userId,
-      status: { $ne: 'suspended' }
-    }).select('id firstName lastName displayName avatar role businessProfile dateJoined');
+    const user = await User.findOne({
+      _id: req.params.userId,
+      status: { $ne: 'suspended' },
+      deletedAt: null
+    }).select('profile avatar role businessProfile sellerRating isPhoneVerified createdAt');
 
     if (!user) {
       return res.status(404).json({
@@ -342,7 +421,12 @@ router.get('/:userId', async (req, res) => {
       displayName: user.displayName,
       avatar: user.avatar,
       role: user.role,
-      dateJoined: user.dateJoined
+      dateJoined: user.createdAt,
+      phoneVerified: Boolean(user.isPhoneVerified),
+      rating: {
+        average: user.sellerRating?.average || 0,
+        count: user.sellerRating?.count || 0
+      }
     };
 
     // Include business info for business accounts
@@ -351,6 +435,7 @@ router.get('/:userId', async (req, res) => {
         businessName: user.businessProfile?.businessName,
         website: user.businessProfile?.website
       };
+      publicProfile.storefront = await storefrontService.findStorefrontSlug(user._id);
     }
 
     res.json({
@@ -494,13 +579,13 @@ router.get('/search', auth.role(['agent', 'supervisor']), async (req, res) => {
  *                 description: Reason for status change
  *     responses:
  *       200:
- *         description: User status updated successfully
+ *         description: User status updated successfully. Suspension signs the user out everywhere and disconnects their sockets.
  *       403:
  *         description: Access denied
  *       404:
  *         description: User not found
  */
-router.put('/:userId/status', auth.role(['supervisor']), async (req, res) => {
+router.put('/:userId/status', auth.required, auth.role('supervisor'), async (req, res) => {
   try {
     const { status, reason } = req.body;
     const userId = req.params.userId;
@@ -512,7 +597,7 @@ router.put('/:userId/status', auth.role(['supervisor']), async (req, res) => {
       });
     }
     
-    const user = await User.findOne({ id: userId });
+    const user = await User.findOne({ _id: userId, deletedAt: null });
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -528,11 +613,16 @@ router.put('/:userId/status', auth.role(['supervisor']), async (req, res) => {
       });
     }
     
+    const wasSuspended = user.status === 'suspended';
     user.status = status;
     if (reason) {
       user.statusReason = reason;
     }
     await user.save();
+
+    if (status === 'suspended' && !wasSuspended) {
+      await sessionService.invalidateUserTokens(user._id, SESSION_REVOCATION_REASONS.ACCOUNT_SUSPENDED);
+    }
     
     res.json({
       success: true,
@@ -0,0 +1,1009 @@
+const mongoose = require('mongoose');
+const { AvailabilityWindow, Appointment } = require('../models/Appointment');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const env = require('../config/env');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES
+} = require('../utils/enums/appointmentEnums');
+const {
+  LISTING_STATUSES,
+  LISTING_AVAILABILITY_STATUSES
+} = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const {
+  APPOINTMENT_TYPE_LABELS,
+  APPOINTMENT_REMINDERS,
+  SLOT_MINUTES
+} = require('../utils/constants/appointmentConstants');
+const {
+  isValidTimeZone,
+  parseTime,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatZonedDateTime,
+  buildIcsEvent
+} = require('../utils/helpers/calendarHelper');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_SLOT_QUERY_DAYS = 31;
+
+const OPEN_STATUSES = [APPOINTMENT_STATUSES.REQUESTED, APPOINTMENT_STATUSES.CONFIRMED];
+
+const LISTING_POPULATE = { path: 'listing', select: 'title slug coverImage location' };
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const buildSlotLock = (sellerId, startsAt) => `${sellerId}|${startsAt.toISOString()}`;
+
+const describeLocation = (location) => (location
+  ? [location.address, location.city, location.state].filter(Boolean).join(', ')
+  : '');
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// ---------------------------------------------------------------------------
+// Availability windows
+// ---------------------------------------------------------------------------
+
+const loadOwnedListing = async (user, listingId) => {
+  const listing = await Listing.findOne(buildListingLookup(listingId)).select('owner title slug');
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (!isStaff(user) && String(listing.owner) !== String(user._id)) {
+    throw new AppError('You can only set availability for your own listings', 403);
+  }
+
+  return listing;
+};
+
+const normalizeWindow = (data) => {
+  const dayOfWeek = Number(data.dayOfWeek);
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    throw new AppError('dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)', 400);
+  }
+
+  const start = parseTime(data.startTime);
+  const end = parseTime(data.endTime);
+  if (start === null || end === null) {
+    throw new AppError('startTime and endTime must use the HH:mm format', 400);
+  }
+  if (end <= start) {
+    throw new AppError('endTime must be after startTime', 400);
+  }
+
+  const slotMinutes = data.slotMinutes === undefined ? SLOT_MINUTES.default : Number(data.slotMinutes);
+  if (!Number.isInteger(slotMinutes) || slotMinutes < SLOT_MINUTES.min || slotMinutes > SLOT_MINUTES.max) {
+    throw new AppError(`slotMinutes must be between ${SLOT_MINUTES.min} and ${SLOT_MINUTES.max}`, 400);
+  }
+  if (slotMinutes > end - start) {
+    throw new AppError('The window is shorter than a single slot', 400);
+  }
+
+  const timezone = data.timezone || env.appointments.defaultTimezone;
+  if (!isValidTimeZone(timezone)) {
+    throw new AppError('Unknown time zone', 400);
+  }
+
+  const types = data.types === undefined ? Object.values(APPOINTMENT_TYPES) : data.types;
+  if (!Array.isArray(types) || !types.length
+    || types.some((type) => !Object.values(APPOINTMENT_TYPES).includes(type))) {
+    throw new AppError(`types must contain at least one of: ${Object.values(APPOINTMENT_TYPES).join(', ')}`, 400);
+  }
+
+  return {
+    dayOfWeek,
+    startTime: data.startTime,
+    endTime: data.endTime,
+    slotMinutes,
+    timezone,
+    types: [...new Set(types)],
+    location: data.location,
+    isActive: data.isActive === undefined ? true : Boolean(data.isActive)
+  };
+};
+
+// Windows for the same listing (or the same business-wide schedule) must not
+// overlap, otherwise the same slot would be offered twice.
+const assertNoWindowOverlap = async (window, excludeId) => {
+  if (!window.isActive) {
+    return;
+  }
+
+  const siblings = await AvailabilityWindow.find({
+    _id: { $ne: excludeId },
+    seller: window.seller,
+    listing: window.listing || null,
+    dayOfWeek: window.dayOfWeek,
+    isActive: true
+  }).select('startTime endTime');
+
+  const start = parseTime(window.startTime);
+  const end = parseTime(window.endTime);
+  const clash = siblings.find((sibling) => (
+    parseTime(sibling.startTime) < end && parseTime(sibling.endTime) > start
+  ));
+
+  if (clash) {
+    throw new AppError(`Overlaps an existing window (${clash.startTime}–${clash.endTime})`, 409);
+  }
+};
+
+const listWindows = async (user, query = {}) => {
+  const filters = {
+    seller: isStaff(user) && query.seller ? query.seller : String(user._id)
+  };
+
+  if (query.listing) {
+    const listing = await Listing.findOne(buildListingLookup(query.listing)).select('_id');
+    if (!listing) {
+      throw new AppError('Listing not found', 404);
+    }
+    filters.listing = listing._id;
+  } else if (query.scope === 'business') {
+    filters.listing = null;
+  }
+
+  const windows = await AvailabilityWindow.find(filters)
+    .populate('listing', 'title slug')
+    .sort({ listing: 1, dayOfWeek: 1, startTime: 1 });
+
+  return {
+    success: true,
+    windows
+  };
+};
+
+const createWindow = async (user, data = {}) => {
+  const window = normalizeWindow(data);
+  window.seller = String(user._id);
+  window.listing = null;
+
+  if (data.listing) {
+    const listing = await loadOwnedListing(user, data.listing);
+    window.seller = String(listing.owner);
+    window.listing = listing._id;
+  }
+
+  await assertNoWindowOverlap(window);
+
+  const created = await AvailabilityWindow.create(window);
+
+  return {
+    success: true,
+    message: 'Availability window created',
+    window: created
+  };
+};
+
+const loadWindow = async (user, windowId) => {
+  if (!mongoose.Types.ObjectId.isValid(windowId)) {
+    throw new AppError('Availability window not found', 404);
+  }
+
+  const window = await AvailabilityWindow.findById(windowId);
+  if (!window || (!isStaff(user) && window.seller !== String(user._id))) {
+    throw new AppError('Availability window not found', 404);
+  }
+
+  return window;
+};
+
+const updateWindow = async (user, windowId, data = {}) => {
+  const window = await loadWindow(user, windowId);
+  const current = window.toObject();
+
+  const normalized = normalizeWindow({
+    dayOfWeek: data.dayOfWeek ?? current.dayOfWeek,
+    startTime: data.startTime ?? current.startTime,
+    endTime: data.endTime ?? current.endTime,
+    slotMinutes: data.slotMinutes ?? current.slotMinutes,
+    timezone: data.timezone ?? current.timezone,
+    types: data.types ?? current.types,
+    location: data.location ?? current.location,
+    isActive: data.isActive ?? current.isActive
+  });
+
+  await assertNoWindowOverlap({ ...normalized, seller: window.seller, listing: window.listing }, window._id);
+
+  window.set(normalized);
+  await window.save();
+
+  return {
+    success: true,
+    message: 'Availability window updated',
+    window
+  };
+};
+
+// Existing appointments are kept; the window only stops offering new slots
+const deleteWindow = async (user, windowId) => {
+  const window = await loadWindow(user, windowId);
+  await window.deleteOne();
+
+  return {
+    success: true,
+    message: 'Availability window deleted'
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Slots
+// ---------------------------------------------------------------------------
+
+// A listing's own windows replace the seller's business-wide schedule
+const resolveWindows = async (listing) => {
+  const sellerId = String(listing.owner);
+  const own = await AvailabilityWindow.find({ seller: sellerId, listing: listing._id, isActive: true });
+  if (own.length) {
+    return own;
+  }
+
+  return AvailabilityWindow.find({ seller: sellerId, listing: null, isActive: true });
+};
+
+const generateWindowSlots = (window, from, days) => {
+  const start = parseTime(window.startTime);
+  const end = parseTime(window.endTime);
+  const base = getZonedParts(from, window.timezone);
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset += 1) {
+    const date = new Date(Date.UTC(base.year, base.month - 1, base.day + offset));
+    if (date.getUTCDay() !== window.dayOfWeek) {
+      continue;
+    }
+
+    for (let minutes = start; minutes + window.slotMinutes <= end; minutes += window.slotMinutes) {
+      const startsAt = zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60
+      }, window.timezone);
+
+      slots.push({
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + window.slotMinutes * MINUTE_MS),
+        types: window.types,
+        timezone: window.timezone,
+        location: window.location
+      });
+    }
+  }
+
+  return slots;
+};
+
+const getBookingBounds = (now = new Date()) => ({
+  earliest: new Date(now.getTime() + env.appointments.minNoticeHours * HOUR_MS),
+  latest: new Date(now.getTime() + env.appointments.maxAdvanceDays * DAY_MS)
+});
+
+const findBookedRanges = (sellerId, from, to, excludeId) => Appointment.find({
+  _id: { $ne: excludeId },
+  seller: sellerId,
+  status: { $in: OPEN_STATUSES },
+  startsAt: { $lt: to },
+  endsAt: { $gt: from }
+}).select('startsAt endsAt');
+
+const overlapsAny = (slot, ranges) => ranges.some(
+  (range) => range.startsAt < slot.endsAt && range.endsAt > slot.startsAt
+);
+
+const loadBookableListing = async (listingId) => {
+  const listing = await Listing.findOne(buildListingLookup(listingId))
+    .select('owner title slug status availabilityStatus location');
+  if (!listing || listing.status !== LISTING_STATUSES.PUBLISHED) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  return listing;
+};
+
+const getAvailableSlots = async (query = {}) => {
+  if (!query.listing) {
+    throw new AppError('A listing is required', 400);
+  }
+
+  const listing = await loadBookableListing(query.listing);
+  if (query.type && !Object.values(APPOINTMENT_TYPES).includes(query.type)) {
+    throw new AppError(`type must be one of: ${Object.values(APPOINTMENT_TYPES).join(', ')}`, 400);
+  }
+
+  const now = new Date();
+  const { earliest, latest } = getBookingBounds(now);
+  const from = query.from ? new Date(query.from) : now;
+  if (Number.isNaN(from.getTime())) {
+    throw new AppError('Invalid from date', 400);
+  }
+
+  const days = Math.min(Math.max(Number.parseInt(query.days, 10) || 7, 1), MAX_SLOT_QUERY_DAYS);
+  const windows = await resolveWindows(listing);
+  const rangeEnd = new Date(from.getTime() + (days + 1) * DAY_MS);
+  const booked = await findBookedRanges(String(listing.owner), from, rangeEnd);
+
+  const seen = new Set();
+  const slots = windows
+    .filter((window) => !query.type || window.types.includes(query.type))
+    .flatMap((window) => generateWindowSlots(window, from, days))
+    .filter((slot) => slot.startsAt >= earliest && slot.startsAt >= from && slot.startsAt <= latest)
+    .filter((slot) => !overlapsAny(slot, booked))
+    .filter((slot) => {
+      const key = slot.startsAt.getTime();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  return {
+    success: true,
+    listing: { id: listing._id, title: listing.title, slug: listing.slug },
+    bookable: listing.availabilityStatus === LISTING_AVAILABILITY_STATUSES.AVAILABLE,
+    slots
+  };
+};
+
+/**
+ * Finds the window that offers `startsAt` as a slot for `type`. The start
+ * must fall on the window's slot grid in the window's own time zone.
+ */
+const matchSlot = async (listing, type, startsAt) => {
+  const windows = await resolveWindows(listing);
+
+  for (const window of windows) {
+    if (!window.types.includes(type)) {
+      continue;
+    }
+
+    const parts = getZonedParts(startsAt, window.timezone);
+    const minutes = parts.hour * 60 + parts.minute;
+    const start = parseTime(window.startTime);
+    const end = parseTime(window.endTime);
+
+    const onGrid = parts.weekday === window.dayOfWeek
+      && minutes >= start
+      && minutes + window.slotMinutes <= end
+      && (minutes - start) % window.slotMinutes === 0
+      && zonedTimeToUtc(parts, window.timezone).getTime() === startsAt.getTime();
+
+    if (onGrid) {
+      return {
+        window,
+        endsAt: new Date(startsAt.getTime() + window.slotMinutes * MINUTE_MS)
+      };
+    }
+  }
+
+  throw new AppError('The seller is not available at that time', 409);
+};
+
+const parseSlotStart = (value) => {
+  const startsAt = value ? new Date(value) : null;
+  if (!startsAt || Number.isNaN(startsAt.getTime())) {
+    throw new AppError('A valid startsAt is required', 400);
+  }
+
+  const { earliest, latest } = getBookingBounds();
+  if (startsAt < earliest) {
+    throw new AppError(`Appointments need at least ${env.appointments.minNoticeHours} hours notice`, 400);
+  }
+  if (startsAt > latest) {
+    throw new AppError(`Appointments can be booked up to ${env.appointments.maxAdvanceDays} days ahead`, 400);
+  }
+
+  return startsAt;
+};
+
+/**
+ * A slot is free when no open appointment of the seller overlaps it. The
+ * unique slotLock index backs this check up for two requests racing for the
+ * same start time.
+ */
+const assertSlotFree = async (sellerId, startsAt, endsAt, excludeId) => {
+  const clashes = await findBookedRanges(sellerId, startsAt, endsAt, excludeId);
+  if (clashes.length) {
+    throw new AppError('That slot is no longer available', 409);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Notifications and invites
+// ---------------------------------------------------------------------------
+
+const buildInvite = (appointment, { listing, buyer, seller, method = 'REQUEST' }) => {
+  const label = APPOINTMENT_TYPE_LABELS[appointment.type];
+  const isCancelled = method === 'CANCEL' || appointment.status === APPOINTMENT_STATUSES.CANCELLED;
+
+  return buildIcsEvent({
+    uid: `appointment-${appointment._id}@${new URL(env.app.frontendUrl).hostname}`,
+    sequence: appointment.sequence,
+    method: isCancelled ? 'CANCEL' : 'REQUEST',
+    status: isCancelled
+      ? 'CANCELLED'
+      : appointment.status === APPOINTMENT_STATUSES.CONFIRMED ? 'CONFIRMED' : 'TENTATIVE',
+    startsAt: appointment.startsAt,
+    endsAt: appointment.endsAt,
+    summary: `${label}: ${listing?.title || 'Vehicle'}`,
+    description: appointment.notes,
+    location: appointment.location,
+    url: `${env.app.frontendUrl}/appointments/${appointment._id}`,
+    organizer: seller ? { name: seller.displayName, email: seller.email } : undefined,
+    attendees: [buyer, seller].filter(Boolean).map((user) => ({ name: user.displayName, email: user.email })),
+    alarmMinutes: isCancelled ? [] : APPOINTMENT_REMINDERS.map(({ beforeMs }) => beforeMs / MINUTE_MS),
+    productId: `-//${env.productName}//Appointments//EN`
+  });
+};
+
+const loadParticipants = async (appointment) => {
+  const [listing, buyer, seller] = await Promise.all([
+    Listing.findById(appointment.listing).select('title slug'),
+    User.findById(appointment.buyer).select('email role profile'),
+    User.findById(appointment.seller).select('email role profile')
+  ]);
+
+  return { listing, buyer, seller };
+};
+
+/**
+ * Notifies the given participants in-app and by email, each according to
+ * their message preferences. When `invite` is set the email carries an
+ * .ics attachment built from the appointment's current state.
+ */
+const notifyParticipants = async (appointment, recipients, {
+  notificationType,
+  title,
+  message,
+  priority = NOTIFICATION_PRIORITIES.NORMAL,
+  invite,
+  participants
+}) => {
+  const context = participants || await loadParticipants(appointment);
+  const { listing } = context;
+  const when = formatZonedDateTime(appointment.startsAt, appointment.timezone || env.appointments.defaultTimezone);
+  const actionUrl = `${env.app.frontendUrl}/appointments/${appointment._id}`;
+  const ics = invite ? buildInvite(appointment, { ...context, method: invite }) : null;
+
+  for (const userId of recipients) {
+    const recipient = userId === appointment.buyer ? context.buyer : context.seller;
+
+    try {
+      if (await notificationService.isNotificationEnabled(userId, 'app_messages')) {
+        await notificationService.createNotification({
+          userId,
+          title,
+          message,
+          notificationType,
+          priority,
+          extraData: {
+            appointmentId: appointment._id.toString(),
+            listingId: appointment.listing.toString(),
+            slug: listing?.slug,
+            type: appointment.type,
+            startsAt: appointment.startsAt,
+            status: appointment.status
+          },
+          actionUrl,
+          actionText: 'View appointment'
+        });
+      }
+    } catch (error) {
+      console.warn(`Failed to send ${notificationType} notification:`, error.message);
+    }
+
+    try {
+      if (recipient?.email && await notificationService.isNotificationEnabled(userId, 'email_messages')) {
+        await emailService.sendAppointmentEmail(recipient, {
+          subject: title,
+          message,
+          details: [
+            ['Vehicle', listing?.title],
+            ['Type', APPOINTMENT_TYPE_LABELS[appointment.type]],
+            ['When', when],
+            ['Where', appointment.location]
+          ],
+          actionUrl,
+          actionText: 'View Appointment',
+          ics,
+          method: invite
+        });
+      }
+    } catch (error) {
+      console.warn(`Failed to email ${notificationType}:`, error.message);
+    }
+  }
+};
+
+const describeAppointment = (appointment, listingTitle) => {
+  const when = formatZonedDateTime(appointment.startsAt, appointment.timezone || env.appointments.defaultTimezone);
+  return `${APPOINTMENT_TYPE_LABELS[appointment.type]} for "${listingTitle || 'your listing'}" on ${when}`;
+};
+
+// ---------------------------------------------------------------------------
+// Appointments
+// ---------------------------------------------------------------------------
+
+const loadAppointment = async (user, appointmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+    throw new AppError('Appointment not found', 404);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  const userId = String(user._id);
+
+  if (!appointment || (!isStaff(user) && appointment.buyer !== userId && appointment.seller !== userId)) {
+    throw new AppError('Appointment not found', 404);
+  }
+
+  return appointment;
+};
+
+const assertOpen = (appointment) => {
+  if (!OPEN_STATUSES.includes(appointment.status)) {
+    throw new AppError(`Appointment is already ${appointment.status}`, 409);
+  }
+
+  if (appointment.endsAt <= new Date()) {
+    throw new AppError('Appointment has already taken place', 409);
+  }
+};
+
+const createAppointment = async (user, data = {}) => {
+  if (!data.listing) {
+    throw new AppError('A listing is required', 400);
+  }
+
+  const type = data.type || APPOINTMENT_TYPES.TEST_DRIVE;
+  if (!Object.values(APPOINTMENT_TYPES).includes(type)) {
+    throw new AppError(`type must be one of: ${Object.values(APPOINTMENT_TYPES).join(', ')}`, 400);
+  }
+
+  const listing = await loadBookableListing(data.listing);
+  const buyerId = String(user._id);
+  const sellerId = String(listing.owner);
+
+  if (buyerId === sellerId) {
+    throw new AppError('You cannot book an appointment on your own listing', 400);
+  }
+
+  if (listing.availabilityStatus !== LISTING_AVAILABILITY_STATUSES.AVAILABLE) {
+    throw new AppError('This listing is not taking appointments', 409);
+  }
+
+  const existing = await Appointment.exists({
+    listing: listing._id,
+    buyer: buyerId,
+    status: { $in: OPEN_STATUSES },
+    endsAt: { $gt: new Date() }
+  });
+  if (existing) {
+    throw new AppError('You already have an upcoming appointment for this listing', 409);
+  }
+
+  const startsAt = parseSlotStart(data.startsAt);
+  const { window, endsAt } = await matchSlot(listing, type, startsAt);
+  await assertSlotFree(sellerId, startsAt, endsAt);
+
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      listing: listing._id,
+      seller: sellerId,
+      buyer: buyerId,
+      type,
+      startsAt,
+      endsAt,
+      timezone: window.timezone,
+      location: window.location || describeLocation(listing.location),
+      notes: data.notes,
+      slotLock: buildSlotLock(sellerId, startsAt)
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new AppError('That slot is no longer available', 409);
+    }
+    throw error;
+  }
+
+  await notifyParticipants(appointment, [sellerId], {
+    notificationType: NOTIFICATION_TYPES.APPOINTMENT_REQUESTED,
+    title: 'New appointment request',
+    message: `${describeAppointment(appointment, listing.title)} was requested by ${user.displayName || 'a buyer'}.`,
+    priority: NOTIFICATION_PRIORITIES.HIGH
+  });
+
+  return {
+    success: true,
+    message: 'Appointment requested',
+    appointment
+  };
+};
+
+const listAppointments = async (user, query = {}) => {
+  const userId = String(user._id);
+  const filters = {};
+
+  if (query.role === 'buyer') {
+    filters.buyer = userId;
+  } else if (query.role === 'seller') {
+    filters.seller = userId;
+  } else {
+    filters.$or = [{ buyer: userId }, { seller: userId }];
+  }
+
+  if (query.listing && mongoose.Types.ObjectId.isValid(query.listing)) {
+    filters.listing = query.listing;
+  }
+
+  if (query.status && Object.values(APPOINTMENT_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  if (query.upcoming === 'true') {
+    filters.endsAt = { $gt: new Date() };
+  }
+
+  const appointments = await Appointment.find(filters)
+    .populate(LISTING_POPULATE)
+    .populate('buyer', 'displayName email')
+    .populate('seller', 'displayName email')
+    .sort({ startsAt: query.upcoming === 'true' ? 1 : -1 });
+
+  return {
+    success: true,
+    appointments
+  };
+};
+
+const getAppointment = async (user, appointmentId) => {
+  const appointment = await loadAppointment(user, appointmentId);
+
+  await appointment.populate([
+    LISTING_POPULATE,
+    { path: 'buyer', select: 'displayName email' },
+    { path: 'seller', select: 'displayName email' }
+  ]);
+
+  return {
+    success: true,
+    appointment
+  };
+};
+
+const confirmAppointment = async (user, appointmentId) => {
+  const appointment = await loadAppointment(user, appointmentId);
+
+  if (!isStaff(user) && appointment.seller !== String(user._id)) {
+    throw new AppError('Only the seller can confirm an appointment', 403);
+  }
+  assertOpen(appointment);
+
+  if (appointment.status === APPOINTMENT_STATUSES.CONFIRMED) {
+    throw new AppError('Appointment is already confirmed', 409);
+  }
+
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: APPOINTMENT_STATUSES.REQUESTED, startsAt: appointment.startsAt },
+    { $set: { status: APPOINTMENT_STATUSES.CONFIRMED, confirmedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Appointment changed while you were confirming it', 409);
+  }
+
+  const participants = await loadParticipants(updated);
+  await notifyParticipants(updated, [updated.buyer, updated.seller], {
+    notificationType: NOTIFICATION_TYPES.APPOINTMENT_CONFIRMED,
+    title: 'Appointment confirmed',
+    message: `${describeAppointment(updated, participants.listing?.title)} is confirmed.`,
+    invite: 'REQUEST',
+    participants
+  });
+
+  return {
+    success: true,
+    message: 'Appointment confirmed',
+    appointment: updated
+  };
+};
+
+/**
+ * Moves an appointment to another free slot. A new time set by the seller is
+ * confirmed straight away; one proposed by the buyer goes back to the seller
+ * for confirmation.
+ */
+const rescheduleAppointment = async (user, appointmentId, data = {}) => {
+  const appointment = await loadAppointment(user, appointmentId);
+  assertOpen(appointment);
+
+  const userId = String(user._id);
+  const isBuyer = appointment.buyer === userId;
+  if (!isBuyer && appointment.seller !== userId && !isStaff(user)) {
+    throw new AppError('You cannot reschedule this appointment', 403);
+  }
+
+  const startsAt = parseSlotStart(data.startsAt);
+  if (startsAt.getTime() === appointment.startsAt.getTime()) {
+    throw new AppError('Choose a different time to reschedule', 400);
+  }
+
+  const listing = await Listing.findById(appointment.listing).select('owner title slug location');
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  const { window, endsAt } = await matchSlot(listing, appointment.type, startsAt);
+  await assertSlotFree(appointment.seller, startsAt, endsAt, appointment._id);
+
+  const status = isBuyer ? APPOINTMENT_STATUSES.REQUESTED : APPOINTMENT_STATUSES.CONFIRMED;
+  const now = new Date();
+
+  let updated;
+  try {
+    updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: appointment.status, startsAt: appointment.startsAt },
+      {
+        $set: {
+          startsAt,
+          endsAt,
+          status,
+          timezone: window.timezone,
+          location: window.location || appointment.location,
+          slotLock: buildSlotLock(appointment.seller, startsAt),
+          remindersSent: [],
+          ...(status === APPOINTMENT_STATUSES.CONFIRMED ? { confirmedAt: now } : {})
+        },
+        $inc: { sequence: 1 },
+        $push: {
+          rescheduledFrom: {
+            startsAt: appointment.startsAt,
+            endsAt: appointment.endsAt,
+            reason: data.reason,
+            rescheduledAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new AppError('That slot is no longer available', 409);
+    }
+    throw error;
+  }
+
+  if (!updated) {
+    throw new AppError('Appointment changed while you were rescheduling it', 409);
+  }
+
+  const participants = await loadParticipants(updated);
+  const reason = data.reason ? ` Reason: "${data.reason}"` : '';
+  // Calendars that already hold the previous time are updated in place
+  const invite = status === APPOINTMENT_STATUSES.CONFIRMED
+    || appointment.status === APPOINTMENT_STATUSES.CONFIRMED ? 'REQUEST' : undefined;
+
+  await notifyParticipants(updated, [isBuyer ? updated.seller : updated.buyer], {
+    notificationType: NOTIFICATION_TYPES.APPOINTMENT_RESCHEDULED,
+    title: 'Appointment rescheduled',
+    message: `${describeAppointment(updated, participants.listing?.title)} was moved${isBuyer ? ' and needs your confirmation' : ''}.${reason}`,
+    priority: NOTIFICATION_PRIORITIES.HIGH,
+    invite,
+    participants
+  });
+
+  return {
+    success: true,
+    message: isBuyer ? 'New time sent to the seller for confirmation' : 'Appointment rescheduled',
+    appointment: updated
+  };
+};
+
+const cancelAppointment = async (user, appointmentId, data = {}) => {
+  const appointment = await loadAppointment(user, appointmentId);
+  assertOpen(appointment);
+
+  const userId = String(user._id);
+  const now = new Date();
+
+  // Releasing slotLock frees the slot for other buyers
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: appointment.status, startsAt: appointment.startsAt },
+    {
+      $set: {
+        status: APPOINTMENT_STATUSES.CANCELLED,
+        cancelledAt: now,
+        cancelledBy: userId,
+        cancellationReason: data.reason
+      },
+      $unset: { slotLock: '' },
+      $inc: { sequence: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Appointment changed while you were cancelling it', 409);
+  }
+
+  const recipients = [updated.buyer, updated.seller].filter((id) => id !== userId);
+  const participants = await loadParticipants(updated);
+  const reason = data.reason ? ` Reason: "${data.reason}"` : '';
+
+  await notifyParticipants(updated, recipients, {
+    notificationType: NOTIFICATION_TYPES.APPOINTMENT_CANCELLED,
+    title: 'Appointment cancelled',
+    message: `${describeAppointment(updated, participants.listing?.title)} was cancelled.${reason}`,
+    priority: NOTIFICATION_PRIORITIES.HIGH,
+    invite: appointment.status === APPOINTMENT_STATUSES.CONFIRMED ? 'CANCEL' : undefined,
+    participants
+  });
+
+  return {
+    success: true,
+    message: 'Appointment cancelled',
+    appointment: updated
+  };
+};
+
+const getAppointmentCalendar = async (user, appointmentId) => {
+  const appointment = await loadAppointment(user, appointmentId);
+  const participants = await loadParticipants(appointment);
+
+  return buildInvite(appointment, participants);
+};
+
+// ---------------------------------------------------------------------------
+// Reminders
+// ---------------------------------------------------------------------------
+
+/**
+ * Reminds both parties of confirmed appointments. Like boost expiry
+ * warnings, only the closest crossed reminder is sent per run and it is
+ * claimed with a conditional update so it goes out once.
+ */
+const sendAppointmentReminders = async (now = new Date()) => {
+  const furthest = APPOINTMENT_REMINDERS[0];
+  const closest = APPOINTMENT_REMINDERS[APPOINTMENT_REMINDERS.length - 1];
+
+  const appointments = await Appointment.find({
+    status: APPOINTMENT_STATUSES.CONFIRMED,
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + furthest.beforeMs) },
+    remindersSent: { $nin: [closest.key] }
+  });
+
+  let sent = 0;
+
+  for (const appointment of appointments) {
+    const remainingMs = appointment.startsAt - now;
+    const crossedIndex = APPOINTMENT_REMINDERS.reduce(
+      (index, reminder, position) => (remainingMs <= reminder.beforeMs ? position : index),
+      -1
+    );
+    const reminder = APPOINTMENT_REMINDERS[crossedIndex];
+
+    if (!reminder || appointment.remindersSent.includes(reminder.key)) {
+      continue;
+    }
+
+    const handledKeys = APPOINTMENT_REMINDERS.slice(0, crossedIndex + 1).map(({ key }) => key);
+    const claimed = await Appointment.updateOne(
+      {
+        _id: appointment._id,
+        status: APPOINTMENT_STATUSES.CONFIRMED,
+        startsAt: appointment.startsAt,
+        remindersSent: { $ne: reminder.key }
+      },
+      { $addToSet: { remindersSent: { $each: handledKeys } } }
+    );
+
+    if (!claimed.modifiedCount) {
+      continue;
+    }
+
+    const participants = await loadParticipants(appointment);
+    await notifyParticipants(appointment, [appointment.buyer, appointment.seller], {
+      notificationType: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
+      title: `Appointment ${reminder.label}`,
+      message: `Reminder: ${describeAppointment(appointment, participants.listing?.title)}.`,
+      priority: crossedIndex === APPOINTMENT_REMINDERS.length - 1
+        ? NOTIFICATION_PRIORITIES.HIGH
+        : NOTIFICATION_PRIORITIES.NORMAL,
+      invite: 'REQUEST',
+      participants
+    });
+    sent += 1;
+  }
+
+  return sent;
+};
+
+const runAppointmentScheduler = async (now = new Date()) => {
+  const reminded = await sendAppointmentReminders(now);
+
+  return { reminded };
+};
+
+let appointmentSchedulerTimer = null;
+let appointmentSchedulerRunning = false;
+
+const startAppointmentScheduler = () => {
+  if (appointmentSchedulerTimer) {
+    return appointmentSchedulerTimer;
+  }
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (appointmentSchedulerRunning) {
+      return;
+    }
+
+    appointmentSchedulerRunning = true;
+    try {
+      await runAppointmentScheduler();
+    } catch (error) {
+      console.error('Appointment scheduler run failed:', error.message);
+    } finally {
+      appointmentSchedulerRunning = false;
+    }
+  };
+
+  appointmentSchedulerTimer = setInterval(tick, env.appointments.schedulerIntervalMs);
+  appointmentSchedulerTimer.unref();
+  tick();
+
+  return appointmentSchedulerTimer;
+};
+
+const stopAppointmentScheduler = () => {
+  if (appointmentSchedulerTimer) {
+    clearInterval(appointmentSchedulerTimer);
+    appointmentSchedulerTimer = null;
+  }
+};
+
+module.exports = {
+  listWindows,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  getAvailableSlots,
+  createAppointment,
+  listAppointments,
+  getAppointment,
+  confirmAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  getAppointmentCalendar,
+  runAppointmentScheduler,
+  startAppointmentScheduler,
+  stopAppointmentScheduler
+};
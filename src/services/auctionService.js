@@ -0,0 +1,725 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const { Auction, AuctionBid, AuctionAccess } = require('../models/Auction');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const {
+  emitToUser,
+  emitAuctionEvent,
+  removeUserFromAuction
+} = require('../utils/socketHandler');
+const { AppError } = require('../middleware/errorHandler');
+const { AUCTION_STATUSES } = require('../utils/enums/auctionEnums');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+
+const MINUTE_MS = 60 * 1000;
+
+const OPEN_STATUSES = [AUCTION_STATUSES.SCHEDULED, AUCTION_STATUSES.LIVE];
+
+const LISTING_POPULATE = { path: 'listing', select: 'title slug coverImage price status' };
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const isSeller = (auction, user) => auction.seller === String(user._id);
+
+const canManage = (auction, user) => isSeller(auction, user) || isStaff(user);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const toAmount = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : NaN;
+};
+
+const toDate = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError('Invalid auction date', 400);
+  }
+
+  return date;
+};
+
+const getNextMinimumBid = (auction) => (
+  auction.currentBid === null || auction.currentBid === undefined
+    ? auction.startingPrice
+    : auction.currentBid + auction.minIncrement
+);
+
+/**
+ * Bidders never see the reserve itself, only whether there is one and
+ * whether the current bid meets it.
+ */
+const serializeAuction = (auction, user) => {
+  const data = auction.toJSON();
+
+  data.hasReserve = auction.reservePrice !== null && auction.reservePrice !== undefined;
+  data.nextMinimumBid = getNextMinimumBid(auction);
+  data.isHighestBidder = auction.currentBidder === String(user._id);
+
+  if (!canManage(auction, user)) {
+    delete data.reservePrice;
+    delete data.currentBidder;
+  }
+
+  return data;
+};
+
+const hasAccess = async (auction, user) => {
+  if (canManage(auction, user)) {
+    return true;
+  }
+
+  return Boolean(await AuctionAccess.exists({
+    auction: auction._id,
+    user: String(user._id),
+    revokedAt: null
+  }));
+};
+
+const loadAuction = async (auctionId) => {
+  if (!mongoose.Types.ObjectId.isValid(auctionId)) {
+    throw new AppError('Auction not found', 404);
+  }
+
+  const auction = await Auction.findById(auctionId);
+  if (!auction) {
+    throw new AppError('Auction not found', 404);
+  }
+
+  return auction;
+};
+
+// Users without access get a 404 so private auctions are not discoverable
+const loadAccessibleAuction = async (user, auctionId) => {
+  const auction = await loadAuction(auctionId);
+
+  if (!(await hasAccess(auction, user))) {
+    throw new AppError('Auction not found', 404);
+  }
+
+  return auction;
+};
+
+const loadManagedAuction = async (user, auctionId) => {
+  const auction = await loadAuction(auctionId);
+
+  if (!canManage(auction, user)) {
+    throw new AppError('Only the seller can manage this auction', 403);
+  }
+
+  return auction;
+};
+
+const sendAuctionNotification = async (userId, auction, { title, message, notificationType, priority, extraData }) => {
+  try {
+    await notificationService.createNotification({
+      userId,
+      title,
+      message,
+      notificationType,
+      priority,
+      extraData: {
+        auctionId: auction._id.toString(),
+        listingId: (auction.listing?._id || auction.listing).toString(),
+        ...extraData
+      },
+      actionUrl: `${env.app.frontendUrl}/auctions/${auction._id}`,
+      actionText: 'View auction'
+    });
+  } catch (error) {
+    console.warn(`Failed to send ${notificationType} notification:`, error.message);
+  }
+};
+
+const createAuction = async (user, data = {}) => {
+  if (!data.listing) {
+    throw new AppError('A listing is required', 400);
+  }
+
+  const listing = await Listing.findOne(buildListingLookup(data.listing)).select('owner status title price');
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (String(listing.owner) !== String(user._id) && !isStaff(user)) {
+    throw new AppError('You can only auction your own listings', 403);
+  }
+
+  if (listing.status !== LISTING_STATUSES.PUBLISHED) {
+    throw new AppError('Only published listings can be auctioned', 409);
+  }
+
+  const existing = await Auction.exists({ listing: listing._id, status: { $in: OPEN_STATUSES } });
+  if (existing) {
+    throw new AppError('This listing already has an open auction', 409);
+  }
+
+  const startingPrice = toAmount(data.startingPrice);
+  const reservePrice = toAmount(data.reservePrice);
+  const minIncrement = toAmount(data.minIncrement);
+
+  if (!(startingPrice >= 0)) {
+    throw new AppError('Starting price is required and must be a positive number', 400);
+  }
+
+  if (!(minIncrement > 0)) {
+    throw new AppError('Minimum increment is required and must be greater than zero', 400);
+  }
+
+  if (reservePrice !== undefined && !(reservePrice >= startingPrice)) {
+    throw new AppError('Reserve price must be at least the starting price', 400);
+  }
+
+  const antiSnipingWindowMinutes = toAmount(data.antiSnipingWindowMinutes) ?? env.auctions.antiSnipingWindowMinutes;
+  const extensionMinutes = toAmount(data.extensionMinutes) ?? env.auctions.extensionMinutes;
+
+  // toAmount gives NaN for junk, which `??` lets through
+  if (!(antiSnipingWindowMinutes >= 0) || !(extensionMinutes >= 0)) {
+    throw new AppError('Anti-sniping window and extension must be zero or more minutes', 400);
+  }
+
+  const now = new Date();
+  const startsAt = toDate(data.startsAt, now);
+  const endsAt = toDate(data.endsAt);
+
+  if (!endsAt || endsAt <= startsAt || endsAt <= now) {
+    throw new AppError('End time must be in the future and after the start time', 400);
+  }
+
+  const startsNow = startsAt <= now;
+
+  const auction = await Auction.create({
+    listing: listing._id,
+    seller: String(listing.owner),
+    startingPrice,
+    reservePrice: reservePrice ?? null,
+    minIncrement,
+    startsAt: startsNow ? now : startsAt,
+    endsAt,
+    originalEndsAt: endsAt,
+    antiSnipingWindowMinutes,
+    extensionMinutes,
+    status: startsNow ? AUCTION_STATUSES.LIVE : AUCTION_STATUSES.SCHEDULED
+  });
+
+  return {
+    success: true,
+    message: 'Auction created',
+    auction: serializeAuction(auction, user)
+  };
+};
+
+const listAuctions = async (user, query = {}) => {
+  const filters = {};
+
+  if (!isStaff(user) || query.mine === 'true') {
+    const accessible = await AuctionAccess.find({ user: String(user._id), revokedAt: null }).distinct('auction');
+    filters.$or = [
+      { seller: String(user._id) },
+      { _id: { $in: accessible } }
+    ];
+  }
+
+  if (query.status && Object.values(AUCTION_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  if (query.listing && mongoose.Types.ObjectId.isValid(query.listing)) {
+    filters.listing = query.listing;
+  }
+
+  const auctions = await Auction.find(filters)
+    .populate(LISTING_POPULATE)
+    .sort({ endsAt: 1 });
+
+  return {
+    success: true,
+    auctions: auctions.map((auction) => serializeAuction(auction, user))
+  };
+};
+
+const getAuction = async (user, auctionId) => {
+  const auction = await loadAccessibleAuction(user, auctionId);
+  await auction.populate(LISTING_POPULATE);
+
+  return {
+    success: true,
+    auction: serializeAuction(auction, user)
+  };
+};
+
+const getAuctionBids = async (user, auctionId, query = {}) => {
+  const auction = await loadAccessibleAuction(user, auctionId);
+  const page = Number(query.page) > 0 ? Number(query.page) : 1;
+  const limit = Number(query.limit) > 0 ? Math.min(Number(query.limit), 100) : 50;
+  const privileged = canManage(auction, user);
+
+  const bidQuery = AuctionBid.find({ auction: auction._id })
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  if (privileged) {
+    bidQuery.populate('bidder', 'displayName email');
+  }
+
+  const [total, bids] = await Promise.all([
+    AuctionBid.countDocuments({ auction: auction._id }),
+    bidQuery
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    // Other bidders' identities are only shown to the seller and staff
+    bids: bids.map((bid) => {
+      const data = bid.toJSON();
+      data.isOwnBid = String(bid.bidder?._id || bid.bidder) === String(user._id);
+      if (!privileged) {
+        delete data.bidder;
+      }
+      return data;
+    })
+  };
+};
+
+/**
+ * Places a bid. The update is conditional on the current bid and end time
+ * the bid was validated against, so concurrent bids cannot both win; the
+ * loser gets a 409 with the new price. Bids inside the anti-sniping window
+ * push the end time out.
+ */
+const placeBid = async (user, auctionId, { amount: rawAmount } = {}) => {
+  const auction = await loadAccessibleAuction(user, auctionId);
+  const amount = toAmount(rawAmount);
+  const bidderId = String(user._id);
+  const now = new Date();
+
+  if (isSeller(auction, user)) {
+    throw new AppError('You cannot bid on your own auction', 403);
+  }
+
+  // Staff moderate auctions, so they cannot take part in them
+  if (isStaff(user)) {
+    throw new AppError('Staff accounts cannot bid on auctions', 403);
+  }
+
+  if (!OPEN_STATUSES.includes(auction.status) || auction.startsAt > now || auction.endsAt <= now) {
+    throw new AppError('Auction is not open for bidding', 409);
+  }
+
+  if (!(amount > 0)) {
+    throw new AppError('Bid amount is required', 400);
+  }
+
+  if (auction.currentBidder === bidderId) {
+    throw new AppError('You are already the highest bidder', 409);
+  }
+
+  const minimum = getNextMinimumBid(auction);
+  if (amount < minimum) {
+    throw new AppError(`Bid must be at least ${minimum}`, 400);
+  }
+
+  const windowMs = auction.antiSnipingWindowMinutes * MINUTE_MS;
+  const extendedEndsAt = new Date(now.getTime() + auction.extensionMinutes * MINUTE_MS);
+  const extend = auction.extensionMinutes > 0
+    && auction.endsAt - now <= windowMs
+    && extendedEndsAt > auction.endsAt;
+
+  const previousBidder = auction.currentBidder;
+  const reserveMet = auction.reservePrice === null || amount >= auction.reservePrice;
+
+  const updated = await Auction.findOneAndUpdate(
+    {
+      _id: auction._id,
+      status: { $in: OPEN_STATUSES },
+      currentBid: auction.currentBid,
+      endsAt: { $eq: auction.endsAt, $gt: now }
+    },
+    {
+      $set: {
+        status: AUCTION_STATUSES.LIVE,
+        currentBid: amount,
+        currentBidder: bidderId,
+        reserveMet,
+        ...(extend ? { endsAt: extendedEndsAt } : {})
+      },
+      $inc: {
+        bidCount: 1,
+        extensions: extend ? 1 : 0
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const latest = await Auction.findById(auction._id).select('currentBid status endsAt');
+    if (!latest || !OPEN_STATUSES.includes(latest.status) || latest.endsAt <= new Date()) {
+      throw new AppError('Auction is not open for bidding', 409);
+    }
+    throw new AppError(`Another bid was placed first. The current bid is ${latest.currentBid}`, 409);
+  }
+
+  const bid = await AuctionBid.create({
+    auction: auction._id,
+    bidder: bidderId,
+    amount,
+    extendedEndsAt: extend ? extendedEndsAt : null
+  });
+
+  const payload = {
+    bid: {
+      id: bid._id,
+      amount: bid.amount,
+      createdAt: bid.createdAt
+    },
+    currentBid: updated.currentBid,
+    bidCount: updated.bidCount,
+    nextMinimumBid: getNextMinimumBid(updated),
+    reserveMet: updated.reserveMet,
+    endsAt: updated.endsAt,
+    extended: extend
+  };
+
+  emitAuctionEvent(auction._id, 'auctions:bid', payload);
+  if (previousBidder) {
+    emitToUser(previousBidder, 'auctions:outbid', { auctionId: auction._id.toString(), ...payload });
+  }
+
+  return {
+    success: true,
+    message: extend ? 'Bid placed and auction extended' : 'Bid placed',
+    bid,
+    auction: serializeAuction(updated, user)
+  };
+};
+
+const grantAuctionAccess = async (user, auctionId, { userId } = {}) => {
+  const auction = await loadManagedAuction(user, auctionId);
+
+  if (!userId) {
+    throw new AppError('A user is required', 400);
+  }
+
+  if (userId === auction.seller) {
+    throw new AppError('The seller already has access', 400);
+  }
+
+  const bidder = await User.findById(userId).select('_id isActive');
+  if (!bidder || !bidder.isActive) {
+    throw new AppError('User not found', 404);
+  }
+
+  const existing = await AuctionAccess.findOne({ auction: auction._id, user: String(userId) });
+  if (existing && !existing.revokedAt) {
+    return {
+      success: true,
+      message: 'User already has access',
+      access: existing
+    };
+  }
+
+  const access = await AuctionAccess.findOneAndUpdate(
+    { auction: auction._id, user: String(userId) },
+    { $set: { grantedBy: String(user._id), revokedAt: null } },
+    { new: true, upsert: true }
+  );
+
+  await auction.populate({ path: 'listing', select: 'title slug' });
+  await sendAuctionNotification(String(userId), auction, {
+    title: 'You have been invited to an auction',
+    message: `You can now bid on "${auction.listing.title}". Bidding ${auction.status === AUCTION_STATUSES.LIVE ? 'is open' : `opens ${auction.startsAt.toUTCString()}`}.`,
+    notificationType: NOTIFICATION_TYPES.AUCTION_ACCESS,
+    priority: NOTIFICATION_PRIORITIES.NORMAL,
+    extraData: {
+      startsAt: auction.startsAt,
+      endsAt: auction.endsAt
+    }
+  });
+
+  return {
+    success: true,
+    message: 'Access granted',
+    access
+  };
+};
+
+const revokeAuctionAccess = async (user, auctionId, userId) => {
+  const auction = await loadManagedAuction(user, auctionId);
+
+  const access = await AuctionAccess.findOneAndUpdate(
+    { auction: auction._id, user: String(userId), revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!access) {
+    throw new AppError('Access not found', 404);
+  }
+
+  removeUserFromAuction(auction._id, userId);
+
+  return {
+    success: true,
+    message: 'Access revoked',
+    access
+  };
+};
+
+const listAuctionAccess = async (user, auctionId) => {
+  const auction = await loadManagedAuction(user, auctionId);
+
+  const access = await AuctionAccess.find({ auction: auction._id, revokedAt: null })
+    .populate('user', 'displayName email')
+    .sort({ createdAt: -1 });
+
+  return {
+    success: true,
+    access
+  };
+};
+
+const cancelAuction = async (user, auctionId) => {
+  const auction = await loadManagedAuction(user, auctionId);
+
+  // Sellers cannot walk away from bids; staff can still intervene
+  const filters = { _id: auction._id, status: { $in: OPEN_STATUSES } };
+  if (!isStaff(user)) {
+    filters.bidCount = 0;
+  }
+
+  const cancelled = await Auction.findOneAndUpdate(
+    filters,
+    {
+      $set: {
+        status: AUCTION_STATUSES.CANCELLED,
+        cancelledAt: new Date(),
+        cancelledBy: String(user._id)
+      }
+    },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    throw new AppError(
+      OPEN_STATUSES.includes(auction.status)
+        ? 'Auctions with bids can only be cancelled by staff'
+        : `Auction is already ${auction.status}`,
+      409
+    );
+  }
+
+  emitAuctionEvent(cancelled._id, 'auctions:cancelled', { status: cancelled.status });
+
+  return {
+    success: true,
+    message: 'Auction cancelled',
+    auction: serializeAuction(cancelled, user)
+  };
+};
+
+const startScheduledAuctions = async (now) => {
+  const due = await Auction.find({
+    status: AUCTION_STATUSES.SCHEDULED,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  }).select('_id');
+
+  let started = 0;
+
+  for (const { _id } of due) {
+    const auction = await Auction.findOneAndUpdate(
+      { _id, status: AUCTION_STATUSES.SCHEDULED },
+      { $set: { status: AUCTION_STATUSES.LIVE } },
+      { new: true }
+    );
+
+    if (auction) {
+      emitAuctionEvent(auction._id, 'auctions:started', {
+        startsAt: auction.startsAt,
+        endsAt: auction.endsAt,
+        nextMinimumBid: getNextMinimumBid(auction)
+      });
+      started += 1;
+    }
+  }
+
+  return started;
+};
+
+const notifyAuctionClosed = async (auction) => {
+  const { title } = auction.listing;
+
+  if (auction.winner) {
+    await sendAuctionNotification(auction.winner, auction, {
+      title: 'You won the auction',
+      message: `Your bid of ${auction.winningBid} won "${title}". The seller will be in touch to complete the sale.`,
+      notificationType: NOTIFICATION_TYPES.AUCTION_WON,
+      priority: NOTIFICATION_PRIORITIES.HIGH,
+      extraData: { winningBid: auction.winningBid }
+    });
+  }
+
+  let message = `Your auction for "${title}" ended without any bids.`;
+  if (auction.winner) {
+    message = `Your auction for "${title}" ended with a winning bid of ${auction.winningBid}.`;
+  } else if (auction.bidCount) {
+    message = `Your auction for "${title}" ended at ${auction.currentBid}, below your reserve price.`;
+  }
+
+  await sendAuctionNotification(auction.seller, auction, {
+    title: 'Your auction has ended',
+    message,
+    notificationType: NOTIFICATION_TYPES.AUCTION_ENDED,
+    priority: auction.winner ? NOTIFICATION_PRIORITIES.HIGH : NOTIFICATION_PRIORITIES.NORMAL,
+    extraData: {
+      winner: auction.winner,
+      winningBid: auction.winningBid,
+      highestBid: auction.currentBid,
+      reserveMet: auction.reserveMet,
+      bidCount: auction.bidCount
+    }
+  });
+};
+
+/**
+ * Closes auctions whose (possibly extended) end time has passed. The highest
+ * bid wins only when it meets the reserve.
+ */
+const closeEndedAuctions = async (now) => {
+  const due = await Auction.find({
+    status: { $in: OPEN_STATUSES },
+    endsAt: { $lte: now }
+  }).select('_id currentBid currentBidder reserveMet endsAt');
+
+  let closed = 0;
+
+  for (const candidate of due) {
+    const hasWinner = Boolean(candidate.currentBidder) && candidate.reserveMet;
+
+    const auction = await Auction.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: { $in: OPEN_STATUSES },
+        currentBid: candidate.currentBid,
+        endsAt: candidate.endsAt
+      },
+      {
+        $set: {
+          status: AUCTION_STATUSES.ENDED,
+          closedAt: now,
+          winner: hasWinner ? candidate.currentBidder : null,
+          winningBid: hasWinner ? candidate.currentBid : null
+        }
+      },
+      { new: true }
+    ).populate({ path: 'listing', select: 'title slug' });
+
+    if (!auction) {
+      continue;
+    }
+
+    emitAuctionEvent(auction._id, 'auctions:closed', {
+      status: auction.status,
+      winningBid: auction.winningBid,
+      reserveMet: auction.reserveMet,
+      bidCount: auction.bidCount
+    });
+
+    if (auction.listing) {
+      await notifyAuctionClosed(auction);
+    }
+    closed += 1;
+  }
+
+  return closed;
+};
+
+const runAuctionScheduler = async (now = new Date()) => {
+  const started = await startScheduledAuctions(now);
+  const closed = await closeEndedAuctions(now);
+
+  return { started, closed };
+};
+
+let auctionSchedulerTimer = null;
+let auctionSchedulerRunning = false;
+
+const startAuctionScheduler = () => {
+  if (auctionSchedulerTimer) {
+    return auctionSchedulerTimer;
+  }
+
+  const tick = async () => {
+    if (auctionSchedulerRunning) {
+      return;
+    }
+
+    auctionSchedulerRunning = true;
+    try {
+      await runAuctionScheduler();
+    } catch (error) {
+      console.error('Auction scheduler run failed:', error.message);
+    } finally {
+      auctionSchedulerRunning = false;
+    }
+  };
+
+  auctionSchedulerTimer = setInterval(tick, env.auctions.schedulerIntervalMs);
+  auctionSchedulerTimer.unref();
+  tick();
+
+  return auctionSchedulerTimer;
+};
+
+const stopAuctionScheduler = () => {
+  if (auctionSchedulerTimer) {
+    clearInterval(auctionSchedulerTimer);
+    auctionSchedulerTimer = null;
+  }
+};
+
+module.exports = {
+  createAuction,
+  listAuctions,
+  getAuction,
+  getAuctionBids,
+  placeBid,
+  grantAuctionAccess,
+  revokeAuctionAccess,
+  listAuctionAccess,
+  cancelAuction,
+  runAuctionScheduler,
+  startAuctionScheduler,
+  stopAuctionScheduler
+};
@@ -2,8 +2,17 @@ const crypto = require('crypto');
 const User = require('../models/User');
 const emailService = require('./emailService');
 const googleAuthService = require('./googleAuthService');
+const twoFactorService = require('./twoFactorService');
+const loginProtectionService = require('./loginProtectionService');
 const { AppError } = require('../middleware/errorHandler');
-const { generateToken } = require('../middleware/auth');
+const {
+  createSession,
+  refreshSession,
+  endSession,
+  invalidateUserTokens
+} = require('./sessionService');
+const { SESSION_REVOCATION_REASONS } = require('../utils/enums/sessionEnums');
+const { LOGIN_FAILURE_REASONS, LOGIN_METHODS } = require('../utils/enums/loginEnums');
 const {
   normalizeEmail,
   normalizeString,
@@ -52,7 +61,7 @@ const ensurePasswordStrength = (password) => {
   }
 };
 
-const registerUser = async (payload) => {
+const registerUser = async (payload, context = {}) => {
   ensureCredentials(payload);
 
   const normalizedEmail = normalizeEmail(payload.email);
@@ -87,7 +96,7 @@ const registerUser = async (payload) => {
 
   await user.save();
 
-  const token = generateToken(user._id);
+  const tokens = await createSession(user, context);
 
   // Fire and forget for welcome email
   emailService.sendWelcomeEmail(user).catch((error) => {
@@ -102,12 +111,12 @@ const registerUser = async (payload) => {
   return {
     success: true,
     message: 'User registered successfully. Please check your email to verify your account.',
-    token,
+    ...tokens,
     user: toAuthUser(user)
   };
 };
 
-const loginUser = async (payload) => {
+const loginUser = async (payload, context = {}) => {
   const { email, password } = payload || {};
 
   if (!email || !password) {
@@ -119,30 +128,47 @@ const loginUser = async (payload) => {
     throw new AppError('Please provide a valid email address', 400);
   }
 
-  const user = await User.findOne({ email: normalizedEmail }).select('+password');
+  await loginProtectionService.assertLoginAllowed(normalizedEmail, context);
 
-  if (!user) {
-    throw new AppError('Invalid email or password', 400);
-  }
+  const user = await User.findOne({ email: normalizedEmail }).select('+password');
+  const isPasswordCorrect = user ? await user.comparePassword(password) : false;
 
-  const isPasswordCorrect = await user.comparePassword(password);
   if (!isPasswordCorrect) {
-    throw new AppError('Invalid email or password', 400);
+    const lockoutError = await loginProtectionService.recordFailedLogin(
+      normalizedEmail,
+      user,
+      LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS,
+      context
+    );
+    throw lockoutError || new AppError('Invalid email or password', 400);
   }
 
   if (user.status === 'suspended') {
+    await loginProtectionService.recordFailedLogin(
+      normalizedEmail,
+      user,
+      LOGIN_FAILURE_REASONS.ACCOUNT_SUSPENDED,
+      context
+    );
     throw new AppError('Your account has been suspended. Please contact support.', 423);
   }
 
+  // Sign-in finishes at POST /auth/2fa/challenge or /auth/2fa/setup/verify
+  const challenge = await twoFactorService.createSignInChallenge(user);
+  if (challenge) {
+    return challenge;
+  }
+
   user.lastLogin = new Date();
   await user.save();
 
-  const token = generateToken(user._id);
+  const tokens = await createSession(user, context);
+  await loginProtectionService.recordSuccessfulLogin(user, context, LOGIN_METHODS.PASSWORD);
 
   return {
     success: true,
     message: 'Login successful',
-    token,
+    ...tokens,
     user: toAuthUser(user)
   };
 };
@@ -269,13 +295,17 @@ const resetPassword = async ({ token, password }) => {
   user.passwordResetExpires = undefined;
   await user.save();
 
+  // Whoever knew the old password is signed out everywhere
+  await invalidateUserTokens(user._id, SESSION_REVOCATION_REASONS.PASSWORD_RESET);
+
   return {
     success: true,
     message: 'Password reset successful'
   };
 };
 
-const changePassword = async (userId, currentPassword, newPassword) => {
+// Other devices are signed out; the current session gets a fresh token
+const changePassword = async (userId, currentPassword, newPassword, currentSession) => {
   if (!currentPassword || !newPassword) {
     throw new AppError('Current password and new password are required', 400);
   }
@@ -296,9 +326,14 @@ const changePassword = async (userId, currentPassword, newPassword) => {
   user.password = newPassword;
   await user.save();
 
+  const token = await invalidateUserTokens(user._id, SESSION_REVOCATION_REASONS.PASSWORD_CHANGED, {
+    keepSessionId: currentSession?._id
+  });
+
   return {
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully',
+    token: token || undefined
   };
 };
 
@@ -307,7 +342,7 @@ const getGoogleAuthUrl = () => ({
   authUrl: googleAuthService.getAuthUrl()
 });
 
-const handleGoogleCallback = async (code) => {
+const handleGoogleCallback = async (code, context = {}) => {
   if (!code) {
     throw new AppError('OAuth code is required', 400);
   }
@@ -319,6 +354,16 @@ const handleGoogleCallback = async (code) => {
 
   let user = await User.findOne({ email: normalizedEmail });
 
+  if (user?.status === 'suspended') {
+    await loginProtectionService.recordFailedLogin(
+      normalizedEmail,
+      user,
+      LOGIN_FAILURE_REASONS.ACCOUNT_SUSPENDED,
+      context
+    );
+    throw new AppError('Your account has been suspended. Please contact support.', 423);
+  }
+
   if (user) {
     user.googleId = googleUser.googleId;
     user.googleEmail = googleUser.email;
@@ -362,20 +407,33 @@ const handleGoogleCallback = async (code) => {
     });
   }
 
-  const token = generateToken(user._id);
+  const challenge = await twoFactorService.createSignInChallenge(user);
+  if (challenge) {
+    return challenge;
+  }
+
+  const sessionTokens = await createSession(user, context);
+  await loginProtectionService.recordSuccessfulLogin(user, context, LOGIN_METHODS.GOOGLE);
 
   return {
     success: true,
     message: 'Google authentication successful',
-    token,
+    ...sessionTokens,
     user: toAuthUser(user)
   };
 };
 
-const logout = () => ({
-  success: true,
-  message: 'Logout successful'
-});
+const refreshTokens = (refreshToken, context = {}) => refreshSession(refreshToken, context);
+
+// Revokes the current session so its access and refresh tokens stop working
+const logout = async (session, refreshToken) => {
+  await endSession(session, refreshToken);
+
+  return {
+    success: true,
+    message: 'Logout successful'
+  };
+};
 
 module.exports = {
   registerUser,
@@ -388,5 +446,6 @@ module.exports = {
   changePassword,
   getGoogleAuthUrl,
   handleGoogleCallback,
+  refreshTokens,
   logout
 };
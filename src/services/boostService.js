@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const Boost = require('../models/Boost');
+const Listing = require('../models/Listing');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+const { BOOST_TIERS, BOOST_STATUSES } = require('../utils/enums/boostEnums');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const {
+  BOOST_TIER_CONFIG,
+  BOOST_EXPIRY_WARNINGS
+} = require('../utils/constants/boostConstants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const getBoostTiers = () => ({
+  success: true,
+  tiers: Object.entries(BOOST_TIER_CONFIG).map(([tier, config]) => ({ tier, ...config }))
+});
+
+/**
+ * Recomputes a listing's featured state from its running boosts. Listings
+ * without a running boost are un-featured. Returns whether it stays featured.
+ */
+const refreshListingBoost = async (listingId, now = new Date()) => {
+  const activeBoosts = await Boost.find({
+    listing: listingId,
+    status: BOOST_STATUSES.ACTIVE,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  }).select('tier endsAt');
+
+  const boostPriority = activeBoosts.reduce(
+    (highest, boost) => Math.max(highest, BOOST_TIER_CONFIG[boost.tier]?.priority || 0),
+    0
+  );
+  const boostedUntil = activeBoosts.reduce(
+    (latest, boost) => (!latest || boost.endsAt > latest ? boost.endsAt : latest),
+    null
+  );
+
+  await Listing.updateOne(
+    { _id: listingId },
+    {
+      $set: {
+        isFeatured: activeBoosts.length > 0,
+        boostPriority,
+        boostedUntil
+      }
+    }
+  );
+
+  return activeBoosts.length > 0;
+};
+
+const sendBoostNotification = async (boost, listing, { notificationType, title, message, priority }) => {
+  try {
+    if (!(await notificationService.isNotificationEnabled(boost.purchaser, 'app_listing_updates'))) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      userId: boost.purchaser,
+      title,
+      message,
+      notificationType,
+      priority,
+      extraData: {
+        boostId: boost._id.toString(),
+        listingId: listing._id.toString(),
+        slug: listing.slug,
+        tier: boost.tier,
+        endsAt: boost.endsAt
+      },
+      actionUrl: `${env.app.frontendUrl}/listings/${listing.slug}/boost`,
+      actionText: 'Renew boost'
+    });
+  } catch (error) {
+    console.warn(`Failed to send ${notificationType} notification:`, error.message);
+  }
+};
+
+/**
+ * Creates a boost for a published listing. Boosts starting now take effect
+ * immediately; future ones are activated by the scheduler.
+ */
+const createBoost = async ({ listingId, tier, purchaser, startsAt, durationDays }) => {
+  const tierConfig = BOOST_TIER_CONFIG[tier];
+  if (!tierConfig) {
+    throw new AppError(`Boost tier must be one of: ${Object.values(BOOST_TIERS).join(', ')}`, 400);
+  }
+
+  const listing = await Listing.findOne(buildListingLookup(listingId));
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (listing.status !== LISTING_STATUSES.PUBLISHED) {
+    throw new AppError('Only published listings can be boosted', 409);
+  }
+
+  const now = new Date();
+  const start = startsAt ? new Date(startsAt) : now;
+  if (Number.isNaN(start.getTime())) {
+    throw new AppError('Invalid boost start date', 400);
+  }
+
+  const days = Number(durationDays) > 0 ? Number(durationDays) : tierConfig.durationDays;
+  const startsNow = start <= now;
+
+  const boost = await Boost.create({
+    listing: listing._id,
+    tier,
+    purchaser: purchaser || String(listing.owner),
+    startsAt: startsNow ? now : start,
+    endsAt: new Date((startsNow ? now : start).getTime() + days * DAY_MS),
+    status: startsNow ? BOOST_STATUSES.ACTIVE : BOOST_STATUSES.SCHEDULED
+  });
+
+  if (startsNow) {
+    await refreshListingBoost(listing._id, now);
+  }
+
+  return boost;
+};
+
+const grantBoost = async (user, data) => {
+  const boost = await createBoost({
+    listingId: data.listing,
+    tier: data.tier,
+    purchaser: data.purchaser,
+    startsAt: data.startsAt,
+    durationDays: data.durationDays
+  });
+
+  return {
+    success: true,
+    message: 'Boost created successfully',
+    boost
+  };
+};
+
+const cancelBoost = async (user, boostId) => {
+  if (!mongoose.Types.ObjectId.isValid(boostId)) {
+    throw new AppError('Boost not found', 404);
+  }
+
+  const boost = await Boost.findOneAndUpdate(
+    {
+      _id: boostId,
+      status: { $in: [BOOST_STATUSES.SCHEDULED, BOOST_STATUSES.ACTIVE] }
+    },
+    {
+      $set: {
+        status: BOOST_STATUSES.CANCELLED,
+        cancelledAt: new Date(),
+        cancelledBy: user._id
+      }
+    },
+    { new: true }
+  );
+
+  if (!boost) {
+    throw new AppError('Boost not found or no longer running', 404);
+  }
+
+  await refreshListingBoost(boost.listing);
+
+  return {
+    success: true,
+    message: 'Boost cancelled',
+    boost
+  };
+};
+
+const listBoosts = async (user, query = {}) => {
+  const filters = {};
+
+  if (query.listing) {
+    const listing = await Listing.findOne(buildListingLookup(query.listing)).select('owner');
+    if (!listing) {
+      throw new AppError('Listing not found', 404);
+    }
+    if (!isStaff(user) && String(listing.owner) !== String(user._id)) {
+      throw new AppError('You do not have permission to view boosts for this listing', 403);
+    }
+    filters.listing = listing._id;
+  } else if (!isStaff(user) || query.mine === 'true') {
+    filters.purchaser = user._id;
+  }
+
+  if (query.status && Object.values(BOOST_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  const boosts = await Boost.find(filters)
+    .populate('listing', 'title slug status coverImage price')
+    .sort({ endsAt: -1 });
+
+  return {
+    success: true,
+    boosts
+  };
+};
+
+const activateScheduledBoosts = async (now) => {
+  const due = await Boost.find({
+    status: BOOST_STATUSES.SCHEDULED,
+    startsAt: { $lte: now }
+  }).select('_id listing');
+
+  await Promise.all(due.map(async (boost) => {
+    const activated = await Boost.updateOne(
+      { _id: boost._id, status: BOOST_STATUSES.SCHEDULED },
+      { $set: { status: BOOST_STATUSES.ACTIVE } }
+    );
+    if (activated.modifiedCount) {
+      await refreshListingBoost(boost.listing, now);
+    }
+  }));
+
+  return due.length;
+};
+
+/**
+ * Sends at most one expiry warning per boost per run: the closest threshold
+ * already crossed. This is deliberate: thresholds that had already passed
+ * when the scheduler first saw the boost (a boost shorter than 5 days, or
+ * scheduler downtime) are marked as handled and never sent, so the owner
+ * gets the warning that is still accurate instead of a burst of stale ones.
+ * Claiming the warning with a conditional update guarantees each is sent at
+ * most once, even with several scheduler instances.
+ */
+const sendExpiryWarnings = async (now) => {
+  const furthest = BOOST_EXPIRY_WARNINGS[0];
+
+  const boosts = await Boost.find({
+    status: BOOST_STATUSES.ACTIVE,
+    endsAt: { $gt: now, $lte: new Date(now.getTime() + furthest.beforeMs) },
+    warningsSent: { $nin: [BOOST_EXPIRY_WARNINGS[BOOST_EXPIRY_WARNINGS.length - 1].type] }
+  }).populate('listing', 'title slug');
+
+  let sent = 0;
+
+  for (const boost of boosts) {
+    const remainingMs = boost.endsAt - now;
+    const crossedIndex = BOOST_EXPIRY_WARNINGS.reduce(
+      (index, warning, position) => (remainingMs <= warning.beforeMs ? position : index),
+      -1
+    );
+    const warning = BOOST_EXPIRY_WARNINGS[crossedIndex];
+
+    if (!warning || boost.warningsSent.includes(warning.type) || !boost.listing) {
+      continue;
+    }
+
+    const handledTypes = BOOST_EXPIRY_WARNINGS.slice(0, crossedIndex + 1).map(({ type }) => type);
+    const claimed = await Boost.updateOne(
+      { _id: boost._id, warningsSent: { $ne: warning.type } },
+      { $addToSet: { warningsSent: { $each: handledTypes } } }
+    );
+
+    if (!claimed.modifiedCount) {
+      continue;
+    }
+
+    await sendBoostNotification(boost, boost.listing, {
+      notificationType: warning.type,
+      title: 'Your boost is ending soon',
+      message: `The ${BOOST_TIER_CONFIG[boost.tier].label.toLowerCase()} on "${boost.listing.title}" ends within ${warning.label}.`,
+      priority: crossedIndex >= 2 ? NOTIFICATION_PRIORITIES.HIGH : NOTIFICATION_PRIORITIES.NORMAL
+    });
+    sent += 1;
+  }
+
+  return sent;
+};
+
+const expireBoosts = async (now) => {
+  const due = await Boost.find({
+    status: BOOST_STATUSES.ACTIVE,
+    endsAt: { $lte: now }
+  }).select('_id');
+
+  let expired = 0;
+
+  for (const { _id } of due) {
+    const boost = await Boost.findOneAndUpdate(
+      { _id, status: BOOST_STATUSES.ACTIVE },
+      { $set: { status: BOOST_STATUSES.EXPIRED, expiredAt: now } },
+      { new: true }
+    ).populate('listing', 'title slug');
+
+    if (!boost) {
+      continue;
+    }
+
+    if (boost.listing) {
+      const stillFeatured = await refreshListingBoost(boost.listing._id, now);
+      await sendBoostNotification(boost, boost.listing, {
+        notificationType: NOTIFICATION_TYPES.BOOST_EXPIRED,
+        title: 'Your boost has ended',
+        message: stillFeatured
+          ? `The ${BOOST_TIER_CONFIG[boost.tier].label.toLowerCase()} on "${boost.listing.title}" has ended. Another boost keeps the listing featured.`
+          : `The ${BOOST_TIER_CONFIG[boost.tier].label.toLowerCase()} on "${boost.listing.title}" has ended and the listing is no longer featured.`,
+        priority: NOTIFICATION_PRIORITIES.NORMAL
+      });
+    }
+    expired += 1;
+  }
+
+  return expired;
+};
+
+const runBoostScheduler = async (now = new Date()) => {
+  const activated = await activateScheduledBoosts(now);
+  const warned = await sendExpiryWarnings(now);
+  const expired = await expireBoosts(now);
+
+  return { activated, warned, expired };
+};
+
+let boostSchedulerTimer = null;
+let boostSchedulerRunning = false;
+
+const startBoostScheduler = () => {
+  if (boostSchedulerTimer) {
+    return boostSchedulerTimer;
+  }
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (boostSchedulerRunning) {
+      return;
+    }
+
+    boostSchedulerRunning = true;
+    try {
+      await runBoostScheduler();
+    } catch (error) {
+      console.error('Boost scheduler run failed:', error.message);
+    } finally {
+      boostSchedulerRunning = false;
+    }
+  };
+
+  boostSchedulerTimer = setInterval(tick, env.boosts.schedulerIntervalMs);
+  boostSchedulerTimer.unref();
+  tick();
+
+  return boostSchedulerTimer;
+};
+
+const stopBoostScheduler = () => {
+  if (boostSchedulerTimer) {
+    clearInterval(boostSchedulerTimer);
+    boostSchedulerTimer = null;
+  }
+};
+
+module.exports = {
+  getBoostTiers,
+  createBoost,
+  grantBoost,
+  cancelBoost,
+  listBoosts,
+  refreshListingBoost,
+  runBoostScheduler,
+  startBoostScheduler,
+  stopBoostScheduler
+};
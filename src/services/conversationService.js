@@ -9,6 +9,11 @@ const {
 const notificationService = require('./notificationService');
 const { formatParticipant, formatMessage } = require('../utils/helpers/conversationHelper');
 const { AppError } = require('../middleware/errorHandler');
+const { MESSAGE_TYPES } = require('../utils/enums/conversationEnums');
+const {
+  emitConversationMessage,
+  emitConversationUpdated
+} = require('../utils/socketHandler');
 
 const ensureValidObjectId = (id, message = 'Invalid ID') => {
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -39,6 +44,7 @@ const aggregateConversationSummaries = async (userId, search) => {
         _id: '$conversation',
         messageId: { $first: '$_id' },
         content: { $first: '$content' },
+        messageType: { $first: '$messageType' },
         createdAt: { $first: '$createdAt' },
         sender: { $first: '$sender' }
       }
@@ -50,6 +56,7 @@ const aggregateConversationSummaries = async (userId, search) => {
     lastMessageMap.set(item._id.toString(), {
       id: item.messageId.toString(),
       content: item.content,
+      messageType: item.messageType || MESSAGE_TYPES.TEXT,
       createdAt: item.createdAt,
       senderId: item.sender
     });
@@ -130,6 +137,7 @@ const aggregateConversationSummaries = async (userId, search) => {
       summary.lastMessage = {
         id: lastMessage.id,
         content: lastMessage.content,
+        messageType: lastMessage.messageType,
         createdAt: lastMessage.createdAt,
         senderId: lastMessage.senderId?.toString?.() || lastMessage.senderId || null
       };
@@ -314,6 +322,77 @@ const getConversationMessages = async (user, conversationId, pagination = {}) =>
   }
 };
 
+/**
+ * The one-to-one conversation between two users, created on first use. Talk
+ * about a listing gets its own thread so sales can be tied to it.
+ */
+const findOrCreateDirectConversation = async (userId, otherUserId, listingId = null) => {
+  const participants = [String(userId), String(otherUserId)];
+
+  const conversation = await Conversation.findOne({
+    participants: { $all: participants, $size: 2 },
+    organization: null,
+    listing: listingId
+  });
+
+  if (conversation) {
+    return { conversation, created: false };
+  }
+
+  return {
+    conversation: await Conversation.create({ participants, listing: listingId }),
+    created: true
+  };
+};
+
+/**
+ * Posts a platform-generated message, attributed to the user whose action
+ * caused it, and pushes it to participants like a regular message.
+ */
+const postSystemMessage = async (conversationId, actorId, content, metadata = {}) => {
+  const senderId = String(actorId);
+
+  const message = await Message.create({
+    conversation: conversationId,
+    sender: senderId,
+    content,
+    messageType: MESSAGE_TYPES.SYSTEM,
+    metadata
+  });
+
+  const conversation = await Conversation.findByIdAndUpdate(
+    conversationId,
+    { updatedAt: new Date() },
+    { new: true }
+  );
+
+  const populatedMessage = await Message.findById(message._id)
+    .populate({
+      path: 'sender',
+      select: 'email role profile googlePicture displayName fullName'
+    })
+    .exec();
+
+  const formatted = formatMessage(populatedMessage, new Set([message._id.toString()]), senderId);
+  const participantIds = (conversation?.participants || []).map(String);
+  const unreadChanges = Object.fromEntries(
+    participantIds.filter((id) => id !== senderId).map((id) => [id, 1])
+  );
+
+  try {
+    emitConversationMessage(conversationId, participantIds, formatted, { senderId });
+    emitConversationUpdated(conversationId, participantIds, {
+      lastMessage: formatted,
+      updatedAt: formatted.createdAt,
+      unreadChanges
+    });
+  } catch (error) {
+    console.warn('System message emit failed:', error.message);
+  }
+
+  return formatted;
+};
+
 const startConversation = async (user, recipientId, initialMessage) => {
   try {
     const userId = user._id.toString();
@@ -331,16 +410,7 @@ const startConversation = async (user, recipientId, initialMessage) => {
       throw new AppError('Recipient not found', 404);
     }
 
-    let conversation = await Conversation.findOne({
-      participants: { $all: [userId, recipientId], $size: 2 }
-    });
-
-    let created = false;
-
-    if (!conversation) {
-      conversation = await Conversation.create({ participants: [userId, recipientId] });
-      created = true;
-    }
+    const { conversation, created } = await findOrCreateDirectConversation(userId, recipientId);
 
     if (initialMessage) {
       await Message.create({
@@ -550,5 +620,7 @@ module.exports = {
   startConversation,
   createMessage,
   markConversationRead,
-  verifyConversationAccess
+  verifyConversationAccess,
+  findOrCreateDirectConversation,
+  postSystemMessage
 };
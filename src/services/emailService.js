@@ -3,7 +3,12 @@ const env = require('../config/env');
 const {
   renderWelcomeEmail,
   renderEmailVerificationEmail,
-  renderPasswordResetEmail
+  renderPasswordResetEmail,
+  renderListingApprovedEmail,
+  renderListingRejectedEmail,
+  renderAppointmentEmail,
+  renderOrganizationInvitationEmail,
+  renderAccountLockoutEmail
 } = require('../utils/templates/emailTemplates');
 
 class EmailService {
@@ -88,6 +93,58 @@ class EmailService {
       html: renderPasswordResetEmail(user, token)
     });
   }
+
+  // Send listing approval email
+  async sendListingApproved(user, listing, listingUrl) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Your listing "${listing.title}" is live`,
+      html: renderListingApprovedEmail(user, listing, listingUrl)
+    });
+  }
+
+  // Send listing rejection email
+  async sendListingRejected(user, listing, editUrl) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Your listing "${listing.title}" needs changes`,
+      html: renderListingRejectedEmail(user, listing, editUrl)
+    });
+  }
+
+  // Send appointment update with an iCalendar invite attached
+  async sendAppointmentEmail(user, { subject, ics, method = 'REQUEST', ...content }) {
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html: renderAppointmentEmail(user, { heading: subject, ...content }),
+      attachments: ics
+        ? [{
+          filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+          content: ics,
+          contentType: `text/calendar; charset=utf-8; method=${method}`
+        }]
+        : undefined
+    });
+  }
+
+  // Send a team invitation to an address that may not have an account yet
+  async sendOrganizationInvitation(email, details) {
+    return this.sendEmail({
+      to: email,
+      subject: `${details.organizationName} invited you to join their team on ${env.productName}`,
+      html: renderOrganizationInvitationEmail(email, details)
+    });
+  }
+
+  // Tell the owner that repeated failed logins locked their account
+  async sendAccountLockout(user, details) {
+    return this.sendEmail({
+      to: user.email,
+      subject: `Sign-in to your ${env.productName} account is temporarily locked`,
+      html: renderAccountLockoutEmail(user, details)
+    });
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
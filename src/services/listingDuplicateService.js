@@ -0,0 +1,198 @@
+const Listing = require('../models/Listing');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+
+const ACTIVE_STATUSES = [
+  LISTING_STATUSES.PENDING_REVIEW,
+  LISTING_STATUSES.REVIEWING,
+  LISTING_STATUSES.PUBLISHED
+];
+
+const DUPLICATE_SCORE_THRESHOLD = 0.6;
+const MAX_CANDIDATES = 200;
+const MAX_DUPLICATES = 10;
+
+const SIGNAL_WEIGHTS = Object.freeze({
+  title: 0.35,
+  images: 0.35,
+  price: 0.1,
+  mileage: 0.1,
+  year: 0.1,
+  sameOwner: 0.1
+});
+
+const tokenize = (text) => new Set(
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token.length > 1)
+);
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) {
+    return 0;
+  }
+
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared += 1;
+  });
+
+  return shared / (a.size + b.size - shared);
+};
+
+const imageIdentifiers = (listing) => {
+  const identifiers = new Set();
+  (listing.images || []).forEach((image) => {
+    if (image.key) identifiers.add(image.key);
+    if (image.url) identifiers.add(image.url);
+  });
+  if (listing.coverImage) identifiers.add(listing.coverImage);
+  return identifiers;
+};
+
+// 1 when equal, falling linearly to 0 at the given relative tolerance
+const proximity = (a, b, tolerance) => {
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    return 0;
+  }
+
+  const largest = Math.max(Math.abs(a), Math.abs(b));
+  if (largest === 0) {
+    return 1;
+  }
+
+  const difference = Math.abs(a - b) / largest;
+  return difference >= tolerance ? 0 : 1 - difference / tolerance;
+};
+
+const scoreCandidate = (listing, candidate, context) => {
+  const reasons = [];
+
+  if (listing.vin && candidate.vin && listing.vin === candidate.vin) {
+    return { score: 1, reasons: ['vin'] };
+  }
+
+  let score = 0;
+
+  const titleSimilarity = jaccard(context.titleTokens, tokenize(candidate.title));
+  if (titleSimilarity > 0) {
+    score += SIGNAL_WEIGHTS.title * titleSimilarity;
+    if (titleSimilarity >= 0.6) reasons.push('title');
+  }
+
+  const candidateImages = imageIdentifiers(candidate);
+  if (context.images.size && candidateImages.size) {
+    let shared = 0;
+    context.images.forEach((id) => {
+      if (candidateImages.has(id)) shared += 1;
+    });
+    if (shared) {
+      score += SIGNAL_WEIGHTS.images * (shared / Math.min(context.images.size, candidateImages.size));
+      reasons.push('images');
+    }
+  }
+
+  const priceScore = proximity(listing.price, candidate.price, 0.1);
+  if (priceScore) {
+    score += SIGNAL_WEIGHTS.price * priceScore;
+    reasons.push('price');
+  }
+
+  const mileageScore = proximity(listing.mileage, candidate.mileage, 0.05);
+  if (mileageScore) {
+    score += SIGNAL_WEIGHTS.mileage * mileageScore;
+    reasons.push('mileage');
+  }
+
+  if (listing.year && candidate.year && listing.year === candidate.year) {
+    score += SIGNAL_WEIGHTS.year;
+    reasons.push('year');
+  }
+
+  if (String(listing.owner) === String(candidate.owner)) {
+    score += SIGNAL_WEIGHTS.sameOwner;
+    reasons.push('same_owner');
+  }
+
+  return { score: Math.min(1, score), reasons };
+};
+
+const buildCandidateQuery = (listing, images) => {
+  const or = [
+    { owner: listing.owner },
+    {
+      category: listing.category,
+      price: { $gte: listing.price * 0.9, $lte: listing.price * 1.1 }
+    }
+  ];
+
+  if (listing.vin) {
+    or.push({ vin: listing.vin });
+  }
+
+  if (images.size) {
+    const identifiers = Array.from(images);
+    or.push({ 'images.key': { $in: identifiers } });
+    or.push({ 'images.url': { $in: identifiers } });
+  }
+
+  return {
+    _id: { $ne: listing._id },
+    deletedAt: null,
+    status: { $in: ACTIVE_STATUSES },
+    $or: or
+  };
+};
+
+/**
+ * Compares a listing against the owner's and other sellers' active listings
+ * and returns likely duplicates ordered by score.
+ */
+const findPossibleDuplicates = async (listing) => {
+  const images = imageIdentifiers(listing);
+  const context = {
+    titleTokens: tokenize(listing.title),
+    images
+  };
+
+  const candidates = await Listing.find(buildCandidateQuery(listing, images))
+    .select('title owner price mileage year vin images coverImage')
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map((candidate) => ({
+      listing: candidate._id,
+      ...scoreCandidate(listing, candidate, context)
+    }))
+    .filter(({ score }) => score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATES)
+    .map((match) => ({
+      ...match,
+      score: Math.round(match.score * 100) / 100
+    }));
+};
+
+/**
+ * Recomputes and stores `possibleDuplicates` for a listing entering review.
+ */
+const flagPossibleDuplicates = async (listing) => {
+  const detectedAt = new Date();
+  const duplicates = (await findPossibleDuplicates(listing))
+    .map((duplicate) => ({ ...duplicate, detectedAt }));
+
+  await Listing.updateOne(
+    { _id: listing._id },
+    { $set: { possibleDuplicates: duplicates } }
+  );
+
+  return duplicates;
+};
+
+module.exports = {
+  findPossibleDuplicates,
+  flagPossibleDuplicates
+};
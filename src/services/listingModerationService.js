@@ -0,0 +1,509 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const ModerationClaim = require('../models/ModerationClaim');
+const env = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  LISTING_STATUSES,
+  MODERATION_CLAIM_OUTCOMES
+} = require('../utils/enums/listingEnums');
+const {
+  STATUS_ACTOR_ROLES,
+  resolveActorRole,
+  assertTransition,
+  recordTransition,
+  recordTransitions
+} = require('./listingStatusService');
+
+const MINUTE_MS = 60 * 1000;
+const QUEUE_STATUSES = [LISTING_STATUSES.PENDING_REVIEW, LISTING_STATUSES.REVIEWING];
+const DECISION_OUTCOMES = [MODERATION_CLAIM_OUTCOMES.PUBLISHED, MODERATION_CLAIM_OUTCOMES.REJECTED];
+
+const getClaimTtlMs = () => Math.max(env.moderation.claimTtlMinutes, 1) * MINUTE_MS;
+const getSlaMs = () => Math.max(env.moderation.slaHours, 0) * 60 * MINUTE_MS;
+
+const isSupervisor = (user) => user?.role === 'supervisor';
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const getQueuedAt = (listing) => listing.moderation?.queuedAt || listing.createdAt;
+
+const isClaimActive = (listing, now = new Date()) => !!(
+  listing.status === LISTING_STATUSES.REVIEWING
+  && listing.moderation?.claimedBy
+  && listing.moderation.claimExpiresAt > now
+);
+
+const toMinutes = (ms) => Math.round(ms / MINUTE_MS);
+
+const describeQueuePosition = (listing, now = new Date()) => {
+  const queuedAt = getQueuedAt(listing);
+  const slaDueAt = new Date(queuedAt.getTime() + getSlaMs());
+
+  return {
+    queuedAt,
+    timeInQueueMinutes: toMinutes(now - queuedAt),
+    slaDueAt,
+    slaBreached: now > slaDueAt
+  };
+};
+
+const closeClaim = (claim, outcome, endedAt = new Date()) => {
+  const timeInQueueMs = endedAt - claim.queuedAt;
+
+  claim.endedAt = endedAt;
+  claim.outcome = outcome;
+  claim.handlingTimeMs = endedAt - claim.claimedAt;
+  claim.timeInQueueMs = timeInQueueMs;
+  claim.slaBreached = DECISION_OUTCOMES.includes(outcome) && timeInQueueMs > getSlaMs();
+
+  return claim.save();
+};
+
+/**
+ * Returns listings whose claims have lapsed to the queue and closes their
+ * claim records as expired. Safe to call repeatedly.
+ */
+const releaseExpiredClaims = async (now = new Date()) => {
+  const expiredFilter = {
+    status: LISTING_STATUSES.REVIEWING,
+    'moderation.claimExpiresAt': { $lte: now }
+  };
+  const expiredListingIds = await Listing.find(expiredFilter).distinct('_id');
+
+  const listingResult = await Listing.updateMany(
+    { ...expiredFilter, _id: { $in: expiredListingIds } },
+    {
+      $set: {
+        status: LISTING_STATUSES.PENDING_REVIEW,
+        'moderation.claimedBy': null
+      },
+      $unset: {
+        'moderation.claimedAt': '',
+        'moderation.claimExpiresAt': ''
+      }
+    }
+  );
+
+  await recordTransitions(expiredListingIds.map((listingId) => ({
+    listing: listingId,
+    from: LISTING_STATUSES.REVIEWING,
+    to: LISTING_STATUSES.PENDING_REVIEW,
+    actorRole: STATUS_ACTOR_ROLES.SYSTEM,
+    reason: 'Review claim expired'
+  })));
+
+  const expiredClaims = await ModerationClaim.find({
+    endedAt: null,
+    expiresAt: { $lte: now }
+  });
+
+  await Promise.all(expiredClaims.map((claim) => closeClaim(
+    claim,
+    MODERATION_CLAIM_OUTCOMES.EXPIRED,
+    claim.expiresAt
+  )));
+
+  return {
+    releasedListings: listingResult.modifiedCount,
+    expiredClaims: expiredClaims.length
+  };
+};
+
+let claimSweepTimer = null;
+
+const startClaimExpiryJob = () => {
+  if (claimSweepTimer) {
+    return claimSweepTimer;
+  }
+
+  claimSweepTimer = setInterval(() => {
+    releaseExpiredClaims().catch((error) => {
+      console.error('Failed to release expired moderation claims:', error.message);
+    });
+  }, env.moderation.claimSweepIntervalMs);
+
+  claimSweepTimer.unref();
+  return claimSweepTimer;
+};
+
+const stopClaimExpiryJob = () => {
+  if (claimSweepTimer) {
+    clearInterval(claimSweepTimer);
+    claimSweepTimer = null;
+  }
+};
+
+/**
+ * Rejects moderation actions on a listing that another agent has claimed.
+ * Supervisors may act on any listing.
+ */
+const assertCanModerate = (listing, user) => {
+  if (isSupervisor(user) || !isClaimActive(listing)) {
+    return;
+  }
+
+  if (String(listing.moderation.claimedBy) !== String(user._id)) {
+    throw new AppError('This listing is claimed by another agent', 409);
+  }
+};
+
+/**
+ * Closes the open claim on a listing once a status change takes it out of
+ * review. Decisions made without a claim are still recorded against the
+ * acting agent so throughput stays complete.
+ */
+const recordStatusChange = async (listing, user, previousStatus) => {
+  const now = new Date();
+  const outcome = DECISION_OUTCOMES.includes(listing.status)
+    ? listing.status
+    : MODERATION_CLAIM_OUTCOMES.RELEASED;
+
+  const openClaim = await ModerationClaim.findOne({ listing: listing._id, endedAt: null });
+
+  if (openClaim && String(openClaim.agent) === String(user._id)) {
+    return closeClaim(openClaim, outcome, now);
+  }
+
+  if (openClaim) {
+    await closeClaim(openClaim, MODERATION_CLAIM_OUTCOMES.RELEASED, now);
+  }
+
+  const wasQueued = QUEUE_STATUSES.includes(previousStatus);
+  if (!wasQueued || !DECISION_OUTCOMES.includes(outcome)) {
+    return null;
+  }
+
+  const claim = new ModerationClaim({
+    listing: listing._id,
+    agent: user._id,
+    queuedAt: getQueuedAt(listing),
+    claimedAt: now,
+    expiresAt: now
+  });
+
+  return closeClaim(claim, outcome, now);
+};
+
+const claimListing = async (user, idOrSlug) => {
+  const now = new Date();
+  const lookup = buildListingLookup(idOrSlug);
+  const expiresAt = new Date(now.getTime() + getClaimTtlMs());
+
+  assertTransition(LISTING_STATUSES.PENDING_REVIEW, LISTING_STATUSES.REVIEWING, resolveActorRole(user));
+
+  const previous = await Listing.findOneAndUpdate(
+    {
+      ...lookup,
+      $or: [
+        { status: LISTING_STATUSES.PENDING_REVIEW },
+        {
+          status: LISTING_STATUSES.REVIEWING,
+          $or: [
+            { 'moderation.claimedBy': user._id },
+            { 'moderation.claimedBy': null },
+            { 'moderation.claimExpiresAt': { $lte: now } }
+          ]
+        }
+      ]
+    },
+    // Pipeline update so a renewal keeps its original claimedAt and legacy
+    // listings without a queue timestamp fall back to createdAt
+    [
+      {
+        $set: {
+          status: LISTING_STATUSES.REVIEWING,
+          'moderation.queuedAt': { $ifNull: ['$moderation.queuedAt', '$createdAt'] },
+          'moderation.claimedAt': {
+            $cond: [
+              { $eq: ['$moderation.claimedBy', user._id] },
+              '$moderation.claimedAt',
+              now
+            ]
+          },
+          'moderation.claimedBy': user._id,
+          'moderation.claimExpiresAt': expiresAt
+        }
+      }
+    ],
+    { new: false }
+  );
+
+  if (!previous) {
+    const existing = await Listing.findOne(lookup).select('status moderation');
+    if (!existing) {
+      throw new AppError('Listing not found', 404);
+    }
+    if (existing.status === LISTING_STATUSES.REVIEWING) {
+      throw new AppError('This listing is claimed by another agent', 409);
+    }
+    throw new AppError('Only listings awaiting review can be claimed', 409);
+  }
+
+  const listing = await Listing.findById(previous._id);
+
+  if (previous.status !== LISTING_STATUSES.REVIEWING) {
+    await recordTransition({
+      listing,
+      from: previous.status,
+      to: LISTING_STATUSES.REVIEWING,
+      actor: user
+    });
+  }
+
+  const openClaim = await ModerationClaim.findOne({ listing: listing._id, endedAt: null });
+
+  if (openClaim && String(openClaim.agent) === String(user._id)) {
+    // Re-claiming your own listing extends the lock
+    openClaim.expiresAt = expiresAt;
+    await openClaim.save();
+  } else {
+    if (openClaim) {
+      await closeClaim(openClaim, MODERATION_CLAIM_OUTCOMES.EXPIRED, openClaim.expiresAt);
+    }
+
+    await ModerationClaim.create({
+      listing: listing._id,
+      agent: user._id,
+      queuedAt: listing.moderation.queuedAt,
+      claimedAt: now,
+      expiresAt
+    });
+  }
+
+  await listing.populate([
+    { path: 'category', select: 'name slug' },
+    { path: 'owner', select: 'displayName email role' }
+  ]);
+
+  return {
+    success: true,
+    message: 'Listing claimed for review',
+    listing: {
+      ...listing.toJSON(),
+      queue: describeQueuePosition(listing, now)
+    }
+  };
+};
+
+const releaseListing = async (user, idOrSlug) => {
+  const listing = await Listing.findOne(buildListingLookup(idOrSlug));
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (listing.status !== LISTING_STATUSES.REVIEWING) {
+    throw new AppError('Listing is not currently in review', 409);
+  }
+
+  if (!isSupervisor(user) && String(listing.moderation?.claimedBy) !== String(user._id)) {
+    throw new AppError('Only the agent holding the claim can release it', 403);
+  }
+
+  assertTransition(listing.status, LISTING_STATUSES.PENDING_REVIEW, resolveActorRole(user, listing));
+
+  listing.status = LISTING_STATUSES.PENDING_REVIEW;
+  await listing.save();
+
+  await recordTransition({
+    listing,
+    from: LISTING_STATUSES.REVIEWING,
+    to: LISTING_STATUSES.PENDING_REVIEW,
+    actor: user,
+    reason: 'Claim released'
+  });
+
+  const openClaim = await ModerationClaim.findOne({ listing: listing._id, endedAt: null });
+  if (openClaim) {
+    await closeClaim(openClaim, MODERATION_CLAIM_OUTCOMES.RELEASED);
+  }
+
+  return {
+    success: true,
+    message: 'Listing returned to the review queue',
+    listing: {
+      ...listing.toJSON(),
+      queue: describeQueuePosition(listing)
+    }
+  };
+};
+
+const getModerationQueue = async (user, query = {}, pagination = {}) => {
+  await releaseExpiredClaims();
+
+  const page = Number(pagination.page) > 0 ? Number(pagination.page) : 1;
+  const limit = Number(pagination.limit) > 0 ? Math.min(Number(pagination.limit), 100) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {
+    deletedAt: null,
+    status: QUEUE_STATUSES.includes(query.status) ? query.status : { $in: QUEUE_STATUSES }
+  };
+
+  if (query.mine === 'true') {
+    filters.status = LISTING_STATUSES.REVIEWING;
+    filters['moderation.claimedBy'] = user._id;
+  } else if (query.claimed === 'false') {
+    filters.status = LISTING_STATUSES.PENDING_REVIEW;
+  }
+
+  if (query.category && mongoose.Types.ObjectId.isValid(query.category)) {
+    filters.category = query.category;
+  }
+
+  const now = new Date();
+  const slaCutoff = new Date(now.getTime() - getSlaMs());
+
+  const [total, listings, pendingCount, reviewingCount, breachedCount] = await Promise.all([
+    Listing.countDocuments(filters),
+    Listing.find(filters)
+      .select('+possibleDuplicates')
+      .populate('category', 'name slug')
+      .populate('owner', 'displayName email role')
+      .populate('moderation.claimedBy', 'displayName email role')
+      .sort({ 'moderation.queuedAt': 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    Listing.countDocuments({ deletedAt: null, status: LISTING_STATUSES.PENDING_REVIEW }),
+    Listing.countDocuments({ deletedAt: null, status: LISTING_STATUSES.REVIEWING }),
+    Listing.countDocuments({
+      deletedAt: null,
+      status: { $in: QUEUE_STATUSES },
+      $or: [
+        { 'moderation.queuedAt': { $lte: slaCutoff } },
+        { 'moderation.queuedAt': null, createdAt: { $lte: slaCutoff } }
+      ]
+    })
+  ]);
+
+  return {
+    success: true,
+    summary: {
+      pending: pendingCount,
+      reviewing: reviewingCount,
+      slaBreached: breachedCount,
+      slaHours: env.moderation.slaHours,
+      claimTtlMinutes: env.moderation.claimTtlMinutes
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    listings: listings.map((listing) => ({
+      ...listing.toJSON(),
+      possibleDuplicateCount: listing.possibleDuplicates.length,
+      queue: describeQueuePosition(listing, now)
+    }))
+  };
+};
+
+const parseDate = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? fallback : parsed;
+};
+
+/**
+ * Per-agent throughput over closed claims in a date range. Agents only see
+ * their own numbers; supervisors see everyone, optionally filtered by agent.
+ */
+const getModerationStats = async (user, query = {}) => {
+  const to = parseDate(query.to, new Date());
+  const from = parseDate(query.from, new Date(to.getTime() - 30 * 24 * 60 * MINUTE_MS));
+
+  const match = { endedAt: { $gte: from, $lte: to } };
+
+  if (!isSupervisor(user)) {
+    match.agent = user._id;
+  } else if (query.agent) {
+    match.agent = String(query.agent);
+  }
+
+  const rows = await ModerationClaim.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$agent',
+        decisions: { $sum: { $cond: [{ $in: ['$outcome', DECISION_OUTCOMES] }, 1, 0] } },
+        published: { $sum: { $cond: [{ $eq: ['$outcome', MODERATION_CLAIM_OUTCOMES.PUBLISHED] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$outcome', MODERATION_CLAIM_OUTCOMES.REJECTED] }, 1, 0] } },
+        released: { $sum: { $cond: [{ $eq: ['$outcome', MODERATION_CLAIM_OUTCOMES.RELEASED] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $eq: ['$outcome', MODERATION_CLAIM_OUTCOMES.EXPIRED] }, 1, 0] } },
+        slaBreaches: { $sum: { $cond: ['$slaBreached', 1, 0] } },
+        avgTimeInQueueMs: {
+          $avg: { $cond: [{ $in: ['$outcome', DECISION_OUTCOMES] }, '$timeInQueueMs', null] }
+        },
+        avgHandlingTimeMs: {
+          $avg: { $cond: [{ $in: ['$outcome', DECISION_OUTCOMES] }, '$handlingTimeMs', null] }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'agent'
+      }
+    },
+    { $unwind: { path: '$agent', preserveNullAndEmptyArrays: true } },
+    { $sort: { decisions: -1 } }
+  ]);
+
+  const days = Math.max((to - from) / (24 * 60 * MINUTE_MS), 1);
+
+  const agents = rows.map((row) => ({
+    agent: {
+      id: row._id,
+      displayName: row.agent?.displayName || null,
+      email: row.agent?.email || null
+    },
+    decisions: row.decisions,
+    published: row.published,
+    rejected: row.rejected,
+    released: row.released,
+    expired: row.expired,
+    decisionsPerDay: Math.round((row.decisions / days) * 100) / 100,
+    avgTimeInQueueMinutes: row.avgTimeInQueueMs == null ? null : toMinutes(row.avgTimeInQueueMs),
+    avgHandlingTimeMinutes: row.avgHandlingTimeMs == null ? null : toMinutes(row.avgHandlingTimeMs),
+    slaBreaches: row.slaBreaches,
+    slaComplianceRate: row.decisions
+      ? Math.round(((row.decisions - row.slaBreaches) / row.decisions) * 10000) / 100
+      : null
+  }));
+
+  return {
+    success: true,
+    range: { from, to },
+    slaHours: env.moderation.slaHours,
+    agents
+  };
+};
+
+module.exports = {
+  isClaimActive,
+  assertCanModerate,
+  recordStatusChange,
+  claimListing,
+  releaseListing,
+  releaseExpiredClaims,
+  startClaimExpiryJob,
+  stopClaimExpiryJob,
+  getModerationQueue,
+  getModerationStats
+};
@@ -0,0 +1,208 @@
+const User = require('../models/User');
+const { SavedListing } = require('../models/SavedListing');
+const env = require('../config/env');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { emitModerationEvent } = require('../utils/socketHandler');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const {
+  LISTING_STATUSES,
+  LISTING_REVISION_STATUSES
+} = require('../utils/enums/listingEnums');
+
+const getOwnerId = (listing) => String(listing.owner?._id || listing.owner);
+
+const buildListingUrl = (listing) => `${env.app.frontendUrl}/listings/${listing.slug}`;
+const buildListingEditUrl = (listing) => `${env.app.frontendUrl}/listings/${listing.slug}/edit`;
+
+const notifyListingCreated = async (listing) => {
+  try {
+    const ownerId = getOwnerId(listing);
+    if (!(await notificationService.isNotificationEnabled(ownerId, 'app_listing_updates'))) {
+      return;
+    }
+
+    const underReview = listing.status === LISTING_STATUSES.PENDING_REVIEW;
+
+    await notificationService.createNotification({
+      userId: ownerId,
+      title: underReview ? 'Listing submitted for review' : 'Listing created',
+      message: underReview
+        ? `"${listing.title}" has been submitted and will be reviewed by our team shortly.`
+        : `"${listing.title}" has been created.`,
+      notificationType: NOTIFICATION_TYPES.LISTING_CREATED,
+      priority: NOTIFICATION_PRIORITIES.LOW,
+      extraData: {
+        listingId: listing._id.toString(),
+        slug: listing.slug,
+        status: listing.status
+      },
+      actionUrl: buildListingUrl(listing),
+      actionText: 'View listing'
+    });
+  } catch (error) {
+    console.warn('Failed to send listing created notification:', error.message);
+  }
+};
+
+/**
+ * Tells the owner that a listing was published or rejected, in-app and by
+ * email, each channel gated by the owner's listing update preferences.
+ */
+const notifyListingReviewed = async (listing) => {
+  const approved = listing.status === LISTING_STATUSES.PUBLISHED;
+  if (!approved && listing.status !== LISTING_STATUSES.REJECTED) {
+    return;
+  }
+
+  const ownerId = getOwnerId(listing);
+  const actionUrl = approved ? buildListingUrl(listing) : buildListingEditUrl(listing);
+
+  try {
+    const [appEnabled, emailEnabled] = await Promise.all([
+      notificationService.isNotificationEnabled(ownerId, 'app_listing_updates'),
+      notificationService.isNotificationEnabled(ownerId, 'email_listing_updates')
+    ]);
+
+    if (appEnabled) {
+      await notificationService.createNotification({
+        userId: ownerId,
+        title: approved ? 'Listing approved' : 'Listing rejected',
+        message: approved
+          ? `"${listing.title}" has been approved and is now live.`
+          : `"${listing.title}" was not approved${listing.rejectionReason ? `: ${listing.rejectionReason}` : '.'}`,
+        notificationType: approved ? NOTIFICATION_TYPES.LISTING_APPROVED : NOTIFICATION_TYPES.LISTING_REJECTED,
+        priority: approved ? NOTIFICATION_PRIORITIES.NORMAL : NOTIFICATION_PRIORITIES.HIGH,
+        extraData: {
+          listingId: listing._id.toString(),
+          slug: listing.slug,
+          status: listing.status,
+          rejectionReason: approved ? undefined : listing.rejectionReason || null
+        },
+        actionUrl,
+        actionText: approved ? 'View listing' : 'Edit listing'
+      });
+    }
+
+    if (emailEnabled) {
+      const owner = await User.findById(ownerId).select('email displayName');
+      if (owner?.email) {
+        if (approved) {
+          await emailService.sendListingApproved(owner, listing, actionUrl);
+        } else {
+          await emailService.sendListingRejected(owner, listing, actionUrl);
+        }
+      }
+    }
+  } catch (error) {
+    console.warn(`Failed to send listing ${listing.status} notification:`, error.message);
+  }
+};
+
+const notifyListingQueued = (listing) => {
+  emitModerationEvent('listings:review', {
+    listing: {
+      id: listing._id.toString(),
+      slug: listing.slug,
+      title: listing.title,
+      category: listing.category?._id?.toString() || listing.category?.toString() || null,
+      owner: getOwnerId(listing),
+      status: listing.status,
+      queuedAt: listing.moderation?.queuedAt || listing.updatedAt
+    }
+  });
+};
+
+const notifyRevisionSubmitted = (listing, revision) => {
+  emitModerationEvent('listings:revision', {
+    revision: {
+      id: revision._id.toString(),
+      listing: listing._id.toString(),
+      slug: listing.slug,
+      title: listing.title,
+      fields: revision.fields,
+      submittedAt: revision.createdAt
+    }
+  });
+};
+
+const notifyRevisionReviewed = async (listing, revision) => {
+  try {
+    const ownerId = getOwnerId(listing);
+    if (!(await notificationService.isNotificationEnabled(ownerId, 'app_listing_updates'))) {
+      return;
+    }
+
+    const approved = revision.status === LISTING_REVISION_STATUSES.APPROVED;
+
+    await notificationService.createNotification({
+      userId: ownerId,
+      title: approved ? 'Listing changes approved' : 'Listing changes rejected',
+      message: approved
+        ? `Your changes to "${listing.title}" are now live.`
+        : `Your changes to "${listing.title}" were not approved${revision.rejectionReason ? `: ${revision.rejectionReason}` : '.'}`,
+      notificationType: approved ? NOTIFICATION_TYPES.LISTING_APPROVED : NOTIFICATION_TYPES.LISTING_REJECTED,
+      priority: approved ? NOTIFICATION_PRIORITIES.NORMAL : NOTIFICATION_PRIORITIES.HIGH,
+      extraData: {
+        listingId: listing._id.toString(),
+        slug: listing.slug,
+        revisionId: revision._id.toString(),
+        fields: revision.fields,
+        rejectionReason: approved ? undefined : revision.rejectionReason || null
+      },
+      actionUrl: approved ? buildListingUrl(listing) : buildListingEditUrl(listing),
+      actionText: approved ? 'View listing' : 'Edit listing'
+    });
+  } catch (error) {
+    console.warn(`Failed to send listing revision ${revision.status} notification:`, error.message);
+  }
+};
+
+/**
+ * Lets everyone who saved a listing know it has been sold. The buyer and the
+ * seller are skipped; they are told about the sale directly.
+ */
+const notifyListingSold = async (listing, { buyerId } = {}) => {
+  try {
+    const ownerId = getOwnerId(listing);
+    const userIds = await SavedListing.distinct('user', { listing: listing._id });
+
+    for (const userId of userIds) {
+      if (userId === ownerId || userId === buyerId) {
+        continue;
+      }
+
+      if (!(await notificationService.isNotificationEnabled(userId, 'app_listing_updates'))) {
+        continue;
+      }
+
+      await notificationService.createNotification({
+        userId,
+        title: 'A saved listing was sold',
+        message: `"${listing.title}" has been sold.`,
+        notificationType: NOTIFICATION_TYPES.LISTING_SOLD,
+        priority: NOTIFICATION_PRIORITIES.LOW,
+        extraData: {
+          listingId: listing._id.toString(),
+          slug: listing.slug
+        },
+        actionUrl: buildListingUrl(listing),
+        actionText: 'View listing'
+      });
+    }
+  } catch (error) {
+    console.warn('Failed to send listing sold notifications:', error.message);
+  }
+};
+
+module.exports = {
+  notifyListingCreated,
+  notifyListingReviewed,
+  notifyListingQueued,
+  notifyRevisionSubmitted,
+  notifyRevisionReviewed,
+  notifyListingSold
+};
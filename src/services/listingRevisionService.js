@@ -0,0 +1,315 @@
+const { isDeepStrictEqual } = require('util');
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const ListingRevision = require('../models/ListingRevision');
+const env = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  LISTING_STATUSES,
+  LISTING_REVISION_STATUSES
+} = require('../utils/enums/listingEnums');
+const {
+  LISTING_UPDATABLE_FIELDS,
+  applyListingChanges
+} = require('./listingUpdateService');
+const {
+  notifyRevisionSubmitted,
+  notifyRevisionReviewed
+} = require('./listingNotificationService');
+const { assertPhotoLimit } = require('./subscriptionService');
+
+// vinDetails is derived from vin but is kept in the diff so reviewers see it
+const REVISABLE_FIELDS = [...LISTING_UPDATABLE_FIELDS, 'vin', 'vinDetails', 'category'];
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const isListingOwner = (listing, user) => String(listing.owner?._id || listing.owner) === String(user._id);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+// Plain JSON values so ObjectIds, Dates and Maps compare by value
+const toComparable = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const snapshot = (listing) => listing.toObject({ flattenMaps: true, depopulate: true });
+
+const isRevisionRequired = (listing, user) => listing.status === LISTING_STATUSES.PUBLISHED
+  && !isStaff(user);
+
+const splitExemptChanges = (changes) => {
+  const exemptFields = new Set(env.listingRevisions.exemptFields);
+  const exempt = {};
+  const material = {};
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === undefined || !REVISABLE_FIELDS.includes(field)) {
+      return;
+    }
+
+    if (exemptFields.has(field)) {
+      exempt[field] = value;
+    } else {
+      material[field] = value;
+    }
+  });
+
+  return { exempt, material };
+};
+
+/**
+ * Handles an owner's edit to a published listing. Review-exempt fields are
+ * applied immediately; the rest is validated against a copy of the listing and
+ * stored as a pending revision, replacing any earlier pending one, while the
+ * live listing stays untouched.
+ *
+ * Returns `{ errors }` for specification errors, otherwise `{ listing, revision }`
+ * where `revision` is null when nothing material changed.
+ */
+const submitListingRevision = async (user, listing, changes) => {
+  const { exempt, material } = splitExemptChanges(changes);
+
+  if (Object.keys(exempt).length) {
+    const errors = await applyListingChanges(listing, exempt);
+    if (errors) {
+      return { errors };
+    }
+    await listing.save();
+  }
+
+  const current = snapshot(listing);
+  const draft = Listing.hydrate(listing.toObject());
+  const errors = await applyListingChanges(draft, material);
+  if (errors) {
+    return { errors };
+  }
+  await draft.validate();
+
+  const proposed = snapshot(draft);
+  const fields = REVISABLE_FIELDS.filter((field) => (
+    !isDeepStrictEqual(toComparable(current[field]), toComparable(proposed[field]))
+  ));
+
+  if (!fields.length) {
+    return { listing, revision: null };
+  }
+
+  await ListingRevision.updateMany(
+    { listing: listing._id, status: LISTING_REVISION_STATUSES.PENDING },
+    { $set: { status: LISTING_REVISION_STATUSES.SUPERSEDED } }
+  );
+
+  const revision = await ListingRevision.create({
+    listing: listing._id,
+    submittedBy: user._id,
+    fields,
+    changes: Object.fromEntries(fields.map((field) => [field, toComparable(proposed[field]) ?? null])),
+    previous: Object.fromEntries(fields.map((field) => [field, toComparable(current[field]) ?? null]))
+  });
+
+  notifyRevisionSubmitted(listing, revision);
+
+  return { listing, revision };
+};
+
+const buildRevisionDiff = (revision, listing) => {
+  const current = snapshot(listing);
+
+  return revision.fields.map((field) => {
+    const live = toComparable(current[field]) ?? null;
+    return {
+      field,
+      current: live,
+      proposed: revision.changes[field] ?? null,
+      // The live value has moved on since the revision was submitted
+      changedSinceSubmission: !isDeepStrictEqual(live, revision.previous[field] ?? null)
+    };
+  });
+};
+
+const loadListingForRevisions = async (user, idOrSlug) => {
+  const listing = await Listing.findOne(buildListingLookup(idOrSlug));
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (!isStaff(user) && !isListingOwner(listing, user)) {
+    throw new AppError('You do not have permission to view revisions for this listing', 403);
+  }
+
+  return listing;
+};
+
+const loadRevision = async (listing, revisionId) => {
+  if (!mongoose.Types.ObjectId.isValid(revisionId)) {
+    throw new AppError('Revision not found', 404);
+  }
+
+  const revision = await ListingRevision.findOne({ _id: revisionId, listing: listing._id })
+    .populate('submittedBy', 'displayName email role')
+    .populate('reviewedBy', 'displayName email role');
+
+  if (!revision) {
+    throw new AppError('Revision not found', 404);
+  }
+
+  return revision;
+};
+
+const listListingRevisions = async (user, idOrSlug) => {
+  const listing = await loadListingForRevisions(user, idOrSlug);
+
+  const revisions = await ListingRevision.find({ listing: listing._id })
+    .populate('submittedBy', 'displayName email role')
+    .populate('reviewedBy', 'displayName email role')
+    .sort({ createdAt: -1 });
+
+  return {
+    success: true,
+    revisions
+  };
+};
+
+const getListingRevision = async (user, idOrSlug, revisionId) => {
+  const listing = await loadListingForRevisions(user, idOrSlug);
+  const revision = await loadRevision(listing, revisionId);
+
+  return {
+    success: true,
+    revision,
+    diff: buildRevisionDiff(revision, listing)
+  };
+};
+
+const getPendingRevision = (listingId) => ListingRevision.findOne({
+  listing: listingId,
+  status: LISTING_REVISION_STATUSES.PENDING
+}).select('fields createdAt submittedBy');
+
+const assertPending = (revision) => {
+  if (revision.status !== LISTING_REVISION_STATUSES.PENDING) {
+    throw new AppError(`Revision has already been ${revision.status}`, 409);
+  }
+};
+
+const approveListingRevision = async (user, idOrSlug, revisionId, { notes } = {}) => {
+  const listing = await Listing.findOne(buildListingLookup(idOrSlug));
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  const revision = await loadRevision(listing, revisionId);
+  assertPending(revision);
+
+  // Revisions only amend live listings; one queued before the listing was
+  // unpublished or archived has to be rejected instead
+  if (listing.status !== LISTING_STATUSES.PUBLISHED) {
+    throw new AppError(`Listing is ${listing.status}; this revision can no longer be applied`, 409);
+  }
+
+  // The owner's plan may have changed since the revision was submitted
+  if (revision.changes?.images !== undefined) {
+    await assertPhotoLimit(listing.owner, revision.changes.images, {
+      organization: listing.organization || null
+    });
+  }
+
+  // Re-applied rather than copied so VIN uniqueness and the category schema
+  // are checked against the state of the marketplace at approval time
+  const errors = await applyListingChanges(listing, revision.changes);
+  if (errors) {
+    const fields = Object.keys(errors).join(', ');
+    throw new AppError(`Revision no longer matches the category schema (${fields})`, 409);
+  }
+
+  await listing.save();
+
+  revision.status = LISTING_REVISION_STATUSES.APPROVED;
+  revision.reviewedBy = user._id;
+  revision.reviewedAt = new Date();
+  revision.reviewNotes = notes;
+  await revision.save();
+
+  notifyRevisionReviewed(listing, revision);
+
+  return {
+    success: true,
+    message: 'Revision approved and applied to the listing',
+    revision,
+    listing
+  };
+};
+
+const rejectListingRevision = async (user, idOrSlug, revisionId, { notes, rejectionReason } = {}) => {
+  const listing = await Listing.findOne(buildListingLookup(idOrSlug));
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  const revision = await loadRevision(listing, revisionId);
+  assertPending(revision);
+
+  revision.status = LISTING_REVISION_STATUSES.REJECTED;
+  revision.reviewedBy = user._id;
+  revision.reviewedAt = new Date();
+  revision.reviewNotes = notes;
+  revision.rejectionReason = rejectionReason;
+  await revision.save();
+
+  notifyRevisionReviewed(listing, revision);
+
+  return {
+    success: true,
+    message: 'Revision rejected',
+    revision
+  };
+};
+
+const getPendingRevisions = async (query = {}, pagination = {}) => {
+  const page = Number(pagination.page) > 0 ? Number(pagination.page) : 1;
+  const limit = Number(pagination.limit) > 0 ? Math.min(Number(pagination.limit), 100) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = { status: LISTING_REVISION_STATUSES.PENDING };
+
+  const [total, revisions] = await Promise.all([
+    ListingRevision.countDocuments(filters),
+    ListingRevision.find(filters)
+      .populate('listing', 'title slug status price coverImage owner')
+      .populate('submittedBy', 'displayName email role')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    revisions
+  };
+};
+
+module.exports = {
+  REVISABLE_FIELDS,
+  isRevisionRequired,
+  submitListingRevision,
+  listListingRevisions,
+  getListingRevision,
+  getPendingRevision,
+  approveListingRevision,
+  rejectListingRevision,
+  getPendingRevisions
+};
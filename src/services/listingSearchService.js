@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const Category = require('../models/Category');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  parseGeoQuery,
+  buildGeoNearStage,
+  buildListingFilters,
+  getSortOptions
+} = require('../utils/helpers/listingHelper');
+
+const OWNER_POPULATE_FIELDS = 'displayName email role sellerRating';
+
+// Resolves a category slug to its ID in place and returns the category so its
+// `filters` definition can drive specification filtering.
+const resolveCategoryQuery = async (query) => {
+  if (!query.category) {
+    return null;
+  }
+
+  if (mongoose.Types.ObjectId.isValid(query.category)) {
+    return Category.findById(query.category, '_id filters');
+  }
+
+  const categoryDoc = await Category.findOne({ slug: query.category }, '_id filters');
+  query.category = categoryDoc ? String(categoryDoc._id) : null;
+  return categoryDoc;
+};
+
+const buildVisibleListingFilters = (user, query = {}, categoryDoc = null) => {
+  const includeDrafts = !!(user && ['agent', 'supervisor'].includes(user.role));
+  const filters = buildListingFilters(query, {
+    includeDrafts,
+    specFilters: categoryDoc?.filters
+  });
+
+  // If requesting own listings explicitly, allow drafts
+  if (query.mine && user) {
+    filters.owner = user._id;
+    if (query.status) {
+      filters.status = query.status;
+    } else {
+      delete filters.status; // allow any status for own listings
+    }
+    if (!query.availabilityStatus) {
+      delete filters.availabilityStatus;
+    }
+  }
+
+  const keyword = query.search || query.q;
+  if (keyword) {
+    filters.$text = { $search: keyword.trim() };
+  }
+
+  return filters;
+};
+
+const findNearbyListings = async (geo, filters, { sort, skip, limit }) => {
+  const results = await Listing.aggregate([
+    buildGeoNearStage(geo, Listing.find(filters).cast()),
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit }
+  ]);
+
+  const docs = await Listing.populate(results.map((result) => Listing.hydrate(result)), [
+    { path: 'category', select: 'name slug' },
+    { path: 'owner', select: OWNER_POPULATE_FIELDS }
+  ]);
+
+  return docs.map((doc, index) => ({
+    ...doc.toJSON(),
+    distance: Math.round(results[index].distance * 100) / 100
+  }));
+};
+
+/**
+ * Runs the public listing search: filters, keyword or radius search, sort
+ * and pagination. Shared by `GET /listings` and dealer storefronts so both
+ * accept exactly the same query parameters.
+ */
+const searchListings = async (user, query = {}) => {
+  const page = Number(query.page) > 0 ? Number(query.page) : 1;
+  const limit = Number(query.limit) > 0 ? Math.min(Number(query.limit), 50) : 20;
+  const skip = (page - 1) * limit;
+
+  const categoryDoc = await resolveCategoryQuery(query);
+
+  const filters = buildVisibleListingFilters(user, query, categoryDoc);
+  const geo = parseGeoQuery(query);
+  const sort = getSortOptions(query.sort, { hasGeo: !!geo });
+
+  if (geo && filters.$text) {
+    throw new AppError('Keyword search cannot be combined with a location radius search', 400);
+  }
+
+  const [total, listings] = await Promise.all([
+    Listing.countDocuments(filters),
+    geo
+      ? findNearbyListings(geo, filters, { sort, skip, limit })
+      : Listing.find(filters)
+        .populate('category', 'name slug')
+        .populate('owner', OWNER_POPULATE_FIELDS)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+  ]);
+
+  return {
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    listings
+  };
+};
+
+/**
+ * Fills in `geoLocation` for listings saved before radius search existed.
+ * The pre-save hook keeps it in sync from then on; run at startup, it is a
+ * no-op once every listing with coordinates has been migrated.
+ */
+const backfillGeoLocations = async () => {
+  const result = await Listing.updateMany(
+    {
+      geoLocation: null,
+      'location.latitude': { $type: 'number', $gte: -90, $lte: 90 },
+      'location.longitude': { $type: 'number', $gte: -180, $lte: 180 }
+    },
+    [{
+      $set: {
+        geoLocation: {
+          type: 'Point',
+          coordinates: ['$location.longitude', '$location.latitude']
+        }
+      }
+    }]
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  backfillGeoLocations,
+  resolveCategoryQuery,
+  buildVisibleListingFilters,
+  searchListings
+};
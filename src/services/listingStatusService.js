@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const ListingStatusHistory = require('../models/ListingStatusHistory');
+const { AppError } = require('../middleware/errorHandler');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+
+const {
+  DRAFT,
+  PENDING_REVIEW,
+  REVIEWING,
+  PUBLISHED,
+  REJECTED
+} = LISTING_STATUSES;
+
+// Roles as seen by the state machine. Listing owners who are not staff act
+// as `owner`; background jobs act as `system`.
+const STATUS_ACTOR_ROLES = Object.freeze({
+  OWNER: 'owner',
+  AGENT: 'agent',
+  SUPERVISOR: 'supervisor',
+  SYSTEM: 'system'
+});
+
+const { OWNER, AGENT, SUPERVISOR, SYSTEM } = STATUS_ACTOR_ROLES;
+
+/**
+ * Allowed transitions: from -> to -> roles. Agents must claim a listing
+ * (`reviewing`) before deciding on it; supervisors may decide straight from
+ * the queue. A rejected listing always goes back through review.
+ */
+const LISTING_STATUS_TRANSITIONS = Object.freeze({
+  [DRAFT]: {
+    [PENDING_REVIEW]: [OWNER, AGENT, SUPERVISOR]
+  },
+  [PENDING_REVIEW]: {
+    [DRAFT]: [OWNER],
+    [REVIEWING]: [AGENT, SUPERVISOR],
+    [PUBLISHED]: [SUPERVISOR],
+    [REJECTED]: [SUPERVISOR]
+  },
+  [REVIEWING]: {
+    [PENDING_REVIEW]: [AGENT, SUPERVISOR, SYSTEM],
+    [PUBLISHED]: [AGENT, SUPERVISOR],
+    [REJECTED]: [AGENT, SUPERVISOR]
+  },
+  [PUBLISHED]: {
+    [DRAFT]: [OWNER],
+    [PENDING_REVIEW]: [AGENT, SUPERVISOR, SYSTEM],
+    [REJECTED]: [AGENT, SUPERVISOR]
+  },
+  [REJECTED]: {
+    [DRAFT]: [OWNER],
+    [PENDING_REVIEW]: [OWNER, AGENT, SUPERVISOR]
+  }
+});
+
+// `asOwner` lets members of the owning organization act for the owner
+const resolveActorRole = (user, listing, { asOwner = false } = {}) => {
+  if (!user) {
+    return SYSTEM;
+  }
+
+  if ([AGENT, SUPERVISOR].includes(user.role)) {
+    return user.role;
+  }
+
+  if (asOwner || (listing && listing.owner && String(listing.owner._id || listing.owner) === String(user._id))) {
+    return OWNER;
+  }
+
+  return null;
+};
+
+const getAllowedTransitions = (from, role) => Object.entries(LISTING_STATUS_TRANSITIONS[from] || {})
+  .filter(([, roles]) => roles.includes(role))
+  .map(([to]) => to);
+
+const canTransition = (from, to, role) => !!LISTING_STATUS_TRANSITIONS[from]?.[to]?.includes(role);
+
+/**
+ * Throws unless `role` may move a listing from `from` to `to`. Staying in the
+ * same status is always allowed.
+ */
+const assertTransition = (from, to, role) => {
+  if (!Object.values(LISTING_STATUSES).includes(to)) {
+    throw new AppError('Invalid status provided', 400);
+  }
+
+  if (from === to || canTransition(from, to, role)) {
+    return;
+  }
+
+  if (LISTING_STATUS_TRANSITIONS[from]?.[to]) {
+    throw new AppError(`You are not allowed to move a listing from ${from} to ${to}`, 403);
+  }
+
+  throw new AppError(`A listing cannot move from ${from} to ${to}`, 409);
+};
+
+const recordTransition = async ({
+  listing,
+  from = null,
+  to,
+  actor = null,
+  actorRole,
+  notes,
+  reason
+}) => {
+  if (from === to) {
+    return null;
+  }
+
+  return ListingStatusHistory.create({
+    listing: listing._id || listing,
+    from,
+    to,
+    actor: actor ? actor._id || actor : null,
+    actorRole: actorRole || resolveActorRole(actor, listing) || SYSTEM,
+    notes,
+    reason
+  });
+};
+
+const recordTransitions = (entries) => {
+  if (!entries.length) {
+    return Promise.resolve([]);
+  }
+
+  return ListingStatusHistory.insertMany(entries.map((entry) => ({
+    ...entry,
+    actor: entry.actor || null,
+    actorRole: entry.actorRole || SYSTEM
+  })));
+};
+
+const getListingHistory = async (user, idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  const listing = await Listing.findOne(filters).select('owner status slug title');
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  const role = resolveActorRole(user, listing);
+  if (!role) {
+    throw new AppError('You do not have permission to view this listing\'s history', 403);
+  }
+
+  const history = await ListingStatusHistory.find({ listing: listing._id })
+    .populate('actor', 'displayName email role')
+    .sort({ timestamp: 1 });
+
+  return {
+    success: true,
+    listing: {
+      id: listing._id,
+      slug: listing.slug,
+      title: listing.title,
+      status: listing.status
+    },
+    allowedTransitions: getAllowedTransitions(listing.status, role),
+    history
+  };
+};
+
+module.exports = {
+  STATUS_ACTOR_ROLES,
+  LISTING_STATUS_TRANSITIONS,
+  resolveActorRole,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  recordTransition,
+  recordTransitions,
+  getListingHistory
+};
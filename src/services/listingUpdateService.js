@@ -0,0 +1,104 @@
+const Listing = require('../models/Listing');
+const Category = require('../models/Category');
+const { AppError } = require('../middleware/errorHandler');
+const { validateSpecifications } = require('../utils/helpers/categorySchemaHelper');
+const { decodeVin } = require('../utils/helpers/vinHelper');
+
+// isFeatured is deliberately absent: it is derived from active boosts
+const LISTING_UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'availabilityStatus',
+  'specifications',
+  'features',
+  'financing',
+  'location',
+  'images',
+  'coverImage',
+  'mileage',
+  'year',
+  'bodyType',
+  'fuelType',
+  'transmission',
+  'condition',
+  'color',
+  'driveType'
+];
+
+// Validates and decodes a VIN and makes sure no other active listing uses it.
+const resolveVin = async (rawVin, excludeListingId = null) => {
+  const decoded = decodeVin(rawVin);
+  if (!decoded.valid) {
+    throw new AppError(decoded.error, 400);
+  }
+
+  const duplicateFilter = { vin: decoded.vin, deletedAt: null };
+  if (excludeListingId) {
+    duplicateFilter._id = { $ne: excludeListingId };
+  }
+
+  if (await Listing.exists(duplicateFilter)) {
+    throw new AppError('Another active listing already uses this VIN', 409);
+  }
+
+  return decoded;
+};
+
+const toVinDetails = (decoded) => ({
+  wmi: decoded.wmi,
+  manufacturer: decoded.manufacturer,
+  country: decoded.country,
+  region: decoded.region,
+  modelYear: decoded.modelYear
+});
+
+/**
+ * Applies an update payload to a listing document in place (without saving).
+ * Returns per-field specification errors, or null when the update is valid.
+ */
+const applyListingChanges = async (listing, changes) => {
+  LISTING_UPDATABLE_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) {
+      listing[field] = changes[field];
+    }
+  });
+
+  if (changes.vin !== undefined) {
+    if (changes.vin) {
+      const decodedVin = await resolveVin(changes.vin, listing._id);
+      listing.vin = decodedVin.vin;
+      listing.vinDetails = toVinDetails(decodedVin);
+    } else {
+      listing.vin = undefined;
+      listing.vinDetails = undefined;
+    }
+  }
+
+  let categoryDoc = null;
+  if (changes.category) {
+    categoryDoc = await Category.findById(changes.category);
+    if (!categoryDoc) {
+      throw new AppError('Selected category does not exist', 400);
+    }
+    listing.category = changes.category;
+  }
+
+  if (changes.specifications !== undefined || categoryDoc) {
+    categoryDoc = categoryDoc || await Category.findById(listing.category);
+    const specificationResult = validateSpecifications(listing.specifications, categoryDoc?.schema);
+    if (Object.keys(specificationResult.errors).length) {
+      return specificationResult.errors;
+    }
+    listing.specifications = specificationResult.specifications;
+  }
+
+  return null;
+};
+
+module.exports = {
+  LISTING_UPDATABLE_FIELDS,
+  resolveVin,
+  toVinDetails,
+  applyListingChanges
+};
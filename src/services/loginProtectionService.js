@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginHistory = require('../models/LoginHistory');
+const env = require('../config/env');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  LOGIN_THROTTLE_KINDS,
+  LOGIN_FAILURE_REASONS,
+  LOGIN_METHODS
+} = require('../utils/enums/loginEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const { describeDevice } = require('../utils/helpers/authHelper');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MAX_PAGE_SIZE = 100;
+
+const config = env.loginProtection;
+
+const MAX_FAILURES = Object.freeze({
+  [LOGIN_THROTTLE_KINDS.EMAIL]: config.maxFailuresPerEmail,
+  [LOGIN_THROTTLE_KINDS.IP]: config.maxFailuresPerIp
+});
+
+// Wrong passwords and wrong 2FA codes share the same counters
+const THROTTLED_REASONS = [
+  LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS,
+  LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR
+];
+
+const throttleKey = (kind, value) => `${kind}:${value}`;
+
+// The email and IP counters that apply to one attempt
+const getThrottleTargets = (email, ip) => [
+  email && { kind: LOGIN_THROTTLE_KINDS.EMAIL, value: email },
+  ip && { kind: LOGIN_THROTTLE_KINDS.IP, value: ip }
+].filter(Boolean);
+
+// 15, 30, 60... minutes, capped at LOGIN_MAX_LOCKOUT_MINUTES
+const getLockoutMs = (previousLockouts) => Math.min(
+  config.lockoutMinutes * (2 ** previousLockouts),
+  config.maxLockoutMinutes
+) * MINUTE_MS;
+
+const getDevice = (context) => context.device || describeDevice(context.userAgent);
+
+const recordHistory = async (entry) => {
+  try {
+    await LoginHistory.create(entry);
+  } catch (error) {
+    console.warn('Failed to record login history:', error.message);
+  }
+};
+
+const incrementFailures = async ({ kind, value }, now) => {
+  const key = throttleKey(kind, value);
+  const windowStart = new Date(now.getTime() - config.failureWindowMinutes * MINUTE_MS);
+
+  // Failures older than the window no longer count
+  await LoginThrottle.updateOne(
+    { key, windowStartedAt: { $lt: windowStart } },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + config.resetAfterHours * HOUR_MS) },
+    $setOnInsert: { kind, value, windowStartedAt: now }
+  };
+
+  try {
+    return await LoginThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first failures raced to create the counter
+    if (error.code === 11000) {
+      return LoginThrottle.findOneAndUpdate({ key }, update, { new: true });
+    }
+    throw error;
+  }
+};
+
+// Starts a lockout once the counter reaches its limit; returns it if so
+const applyLockout = async (throttle, now) => {
+  if (!throttle || throttle.failures < MAX_FAILURES[throttle.kind]) {
+    return null;
+  }
+
+  const lockedUntil = new Date(now.getTime() + getLockoutMs(throttle.lockouts));
+
+  return LoginThrottle.findOneAndUpdate(
+    {
+      _id: throttle._id,
+      failures: { $gte: MAX_FAILURES[throttle.kind] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        lockedUntil,
+        failures: 0,
+        windowStartedAt: now,
+        expiresAt: new Date(lockedUntil.getTime() + config.resetAfterHours * HOUR_MS)
+      },
+      $inc: { lockouts: 1 }
+    },
+    { new: true }
+  );
+};
+
+const lockoutError = (lockedUntil) => {
+  const minutes = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / MINUTE_MS), 1);
+  return new AppError(
+    `Too many failed login attempts. Try again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`,
+    429
+  );
+};
+
+const sendLockoutEmail = async (email, lockout, ip) => {
+  const user = await User.findOne({ email, deletedAt: null }).select('email profile role');
+  if (!user) {
+    return;
+  }
+
+  emailService.sendAccountLockout(user, { lockedUntil: lockout.lockedUntil, ip }).catch((error) => {
+    console.error('Failed to send lockout email:', error.message);
+  });
+};
+
+/**
+ * Throws 429 while the email or the IP address is locked out. The attempt is
+ * recorded in the login history either way.
+ */
+const assertLoginAllowed = async (email, context = {}) => {
+  const now = new Date();
+  const locks = await LoginThrottle.find({
+    key: { $in: getThrottleTargets(email, context.ip).map(({ kind, value }) => throttleKey(kind, value)) },
+    lockedUntil: { $gt: now }
+  }).select('lockedUntil');
+
+  if (!locks.length) {
+    return;
+  }
+
+  await recordHistory({
+    email,
+    success: false,
+    failureReason: LOGIN_FAILURE_REASONS.LOCKED_OUT,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    device: getDevice(context),
+    country: context.country
+  });
+
+  const lockedUntil = new Date(Math.max(...locks.map((lock) => lock.lockedUntil.getTime())));
+  throw lockoutError(lockedUntil);
+};
+
+/**
+ * Counts a wrong password or 2FA code against the email and the IP address. When
+ * that starts a lockout the account owner is emailed and a 429 is returned
+ * for the caller to throw instead of its usual error.
+ */
+const recordFailedLogin = async (email, user, reason, context = {}) => {
+  const now = new Date();
+
+  await recordHistory({
+    user: user ? String(user._id) : null,
+    email,
+    success: false,
+    failureReason: reason,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    device: getDevice(context),
+    country: context.country
+  });
+
+  if (!THROTTLED_REASONS.includes(reason)) {
+    return null;
+  }
+
+  let lockedUntil = null;
+
+  for (const target of getThrottleTargets(email, context.ip)) {
+    const lockout = await applyLockout(await incrementFailures(target, now), now);
+    if (!lockout) {
+      continue;
+    }
+
+    if (lockout.kind === LOGIN_THROTTLE_KINDS.EMAIL) {
+      await sendLockoutEmail(email, lockout, context.ip);
+    }
+
+    if (!lockedUntil || lockout.lockedUntil > lockedUntil) {
+      lockedUntil = lockout.lockedUntil;
+    }
+  }
+
+  return lockedUntil ? lockoutError(lockedUntil) : null;
+};
+
+const sendNewLoginAlert = async (user, entry) => {
+  const where = [entry.device, entry.country && `in ${entry.country}`].filter(Boolean).join(' ');
+
+  try {
+    await notificationService.createNotification({
+      userId: String(user._id),
+      title: entry.newCountry ? 'Sign-in from a new country' : 'Sign-in from a new device',
+      message: `Your account was signed in to from ${where}${entry.ip ? ` (IP ${entry.ip})` : ''}. If this wasn't you, change your password and sign out of other sessions.`,
+      notificationType: NOTIFICATION_TYPES.SECURITY_ALERT,
+      priority: NOTIFICATION_PRIORITIES.HIGH,
+      extraData: {
+        event: 'new_login',
+        ip: entry.ip,
+        device: entry.device,
+        country: entry.country,
+        newDevice: entry.newDevice,
+        newCountry: entry.newCountry
+      }
+    });
+  } catch (error) {
+    console.warn('Failed to send new login alert:', error.message);
+  }
+};
+
+/**
+ * Clears the failure counters for the account and IP, records the login and
+ * raises a SECURITY_ALERT when the device or country has not been seen in an
+ * earlier successful login. A user's first login never alerts.
+ */
+const recordSuccessfulLogin = async (user, context = {}, method = LOGIN_METHODS.PASSWORD) => {
+  const userId = String(user._id);
+  const device = getDevice(context);
+
+  try {
+    await Promise.all([
+      LoginThrottle.deleteOne({ key: throttleKey(LOGIN_THROTTLE_KINDS.EMAIL, user.email) }),
+      context.ip
+        ? LoginThrottle.updateOne(
+          { key: throttleKey(LOGIN_THROTTLE_KINDS.IP, context.ip) },
+          { $set: { failures: 0 } }
+        )
+        : null
+    ]);
+
+    const hasHistory = await LoginHistory.exists({ user: userId, success: true });
+    const [knownDevice, knownCountry] = hasHistory
+      ? await Promise.all([
+        LoginHistory.exists({ user: userId, success: true, device }),
+        context.country
+          ? LoginHistory.exists({ user: userId, success: true, country: context.country })
+          : true
+      ])
+      : [true, true];
+
+    const entry = {
+      user: userId,
+      email: user.email,
+      success: true,
+      method,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      device,
+      country: context.country,
+      newDevice: !knownDevice,
+      newCountry: !knownCountry
+    };
+
+    await recordHistory(entry);
+
+    if (entry.newDevice || entry.newCountry) {
+      await sendNewLoginAlert(user, entry);
+    }
+  } catch (error) {
+    console.warn('Failed to record successful login:', error.message);
+  }
+};
+
+const parsePagination = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Your own login history; supervisors can pass `userId` to see anyone's
+const getLoginHistory = async (user, query = {}) => {
+  const { page, limit, skip } = parsePagination(query);
+  const userId = query.userId && user.role === 'supervisor' ? query.userId : String(user._id);
+  const filter = { user: userId };
+
+  if (query.success === 'true' || query.success === 'false') {
+    filter.success = query.success === 'true';
+  }
+
+  const [entries, total] = await Promise.all([
+    LoginHistory.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    LoginHistory.countDocuments(filter)
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    history: entries
+  };
+};
+
+// Active lockouts, or every counter with `all=true`
+const listLockouts = async (query = {}) => {
+  const { page, limit, skip } = parsePagination(query);
+  const filter = query.all === 'true' ? {} : { lockedUntil: { $gt: new Date() } };
+
+  if (Object.values(LOGIN_THROTTLE_KINDS).includes(query.kind)) {
+    filter.kind = query.kind;
+  }
+
+  if (query.search) {
+    filter.value = String(query.search).trim().toLowerCase();
+  }
+
+  const [lockouts, total] = await Promise.all([
+    LoginThrottle.find(filter).sort({ lockedUntil: -1, lastFailureAt: -1 }).skip(skip).limit(limit),
+    LoginThrottle.countDocuments(filter)
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    lockouts
+  };
+};
+
+// Removes the counter, so the next lockout starts from the shortest duration
+const clearLockout = async (lockoutId) => {
+  if (!mongoose.Types.ObjectId.isValid(lockoutId)) {
+    throw new AppError('Invalid lockout ID', 400);
+  }
+
+  const throttle = await LoginThrottle.findByIdAndDelete(lockoutId);
+  if (!throttle) {
+    throw new AppError('Lockout not found', 404);
+  }
+
+  return {
+    success: true,
+    message: `Lockout cleared for ${throttle.kind} ${throttle.value}`
+  };
+};
+
+module.exports = {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getLoginHistory,
+  listLockouts,
+  clearLockout
+};
@@ -636,6 +636,21 @@ const getAgentListingNotifications = async (user) => {
   }
 };
 
+/**
+ * Checks a single preference flag (e.g. `email_listing_updates`) for a user.
+ * Users without a stored preference document get the schema defaults.
+ */
+const isNotificationEnabled = async (userId, field) => {
+  const preference = await NotificationPreference.findOne({ user: userId }).lean();
+
+  if (preference && typeof preference[field] === 'boolean') {
+    return preference[field];
+  }
+
+  const defaultValue = NotificationPreference.schema.path(field)?.defaultValue;
+  return defaultValue === undefined ? true : Boolean(defaultValue);
+};
+
 const getNotificationPreferences = async (user) => {
   try {
     let preference = await NotificationPreference.findOne({ user: user._id });
@@ -712,6 +727,7 @@ module.exports = {
   getUnreadCount,
   getRecentNotifications,
   getAgentListingNotifications,
+  isNotificationEnabled,
   getNotificationPreferences,
   updateNotificationPreferences,
   NOTIFICATION_TYPES,
@@ -0,0 +1,460 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Listing = require('../models/Listing');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const {
+  findOrCreateDirectConversation,
+  postSystemMessage
+} = require('./conversationService');
+const { AppError } = require('../middleware/errorHandler');
+const { OFFER_STATUSES, OFFER_EVENTS } = require('../utils/enums/offerEnums');
+const {
+  LISTING_STATUSES,
+  LISTING_AVAILABILITY_STATUSES
+} = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const OPEN_STATUSES = [OFFER_STATUSES.PENDING, OFFER_STATUSES.COUNTERED];
+
+const LISTING_POPULATE = { path: 'listing', select: 'title slug price currency coverImage availabilityStatus' };
+
+const EVENT_NOTIFICATIONS = Object.freeze({
+  [OFFER_EVENTS.CREATED]: { type: NOTIFICATION_TYPES.OFFER_RECEIVED, title: 'New offer received' },
+  [OFFER_EVENTS.COUNTERED]: { type: NOTIFICATION_TYPES.OFFER_COUNTERED, title: 'You received a counter-offer' },
+  [OFFER_EVENTS.ACCEPTED]: { type: NOTIFICATION_TYPES.OFFER_ACCEPTED, title: 'Your offer was accepted' },
+  [OFFER_EVENTS.DECLINED]: { type: NOTIFICATION_TYPES.OFFER_DECLINED, title: 'Your offer was declined' },
+  [OFFER_EVENTS.WITHDRAWN]: { type: NOTIFICATION_TYPES.OFFER_WITHDRAWN, title: 'An offer was withdrawn' }
+});
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const formatPrice = (amount, currency = 'NGN') => `${currency} ${Number(amount).toLocaleString('en-NG')}`;
+
+const toAmount = (value) => {
+  const amount = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(amount) || amount <= 0) {
+    throw new AppError('Amount must be a positive number', 400);
+  }
+  return amount;
+};
+
+const resolveExpiry = (expiresInHours, now) => {
+  const hours = expiresInHours === undefined ? env.offers.defaultExpiryHours : Number(expiresInHours);
+
+  if (!Number.isFinite(hours) || hours <= 0 || hours > env.offers.maxExpiryHours) {
+    throw new AppError(`Expiry must be between 1 and ${env.offers.maxExpiryHours} hours`, 400);
+  }
+
+  return new Date(now.getTime() + hours * HOUR_MS);
+};
+
+// Which party the offer is waiting on
+const awaitingParty = (offer) => (offer.status === OFFER_STATUSES.PENDING ? offer.seller : offer.buyer);
+
+const describeEvent = (event, offer, listingTitle) => {
+  const price = formatPrice(offer.amount, offer.currency);
+
+  switch (event) {
+    case OFFER_EVENTS.CREATED:
+      return `Offered ${price} for "${listingTitle}"`;
+    case OFFER_EVENTS.COUNTERED:
+      return `Countered with ${price} for "${listingTitle}"`;
+    case OFFER_EVENTS.ACCEPTED:
+      return `Accepted the offer of ${price} for "${listingTitle}"`;
+    case OFFER_EVENTS.DECLINED:
+      return `Declined the offer of ${price} for "${listingTitle}"`;
+    case OFFER_EVENTS.WITHDRAWN:
+      return `Withdrew the offer of ${price} for "${listingTitle}"`;
+    default:
+      return `Offer ${event}`;
+  }
+};
+
+/**
+ * Posts the event to the buyer–seller conversation and notifies the other
+ * party. Failures are logged; the offer change itself has already happened.
+ */
+const announceOfferEvent = async (offer, event, actorId, { message } = {}) => {
+  const listing = await Listing.findById(offer.listing).select('title slug');
+  const listingTitle = listing?.title || 'the listing';
+  const summary = describeEvent(event, offer, listingTitle);
+  const content = message ? `${summary}: "${message}"` : summary;
+  const recipientId = String(actorId) === offer.buyer ? offer.seller : offer.buyer;
+
+  try {
+    if (offer.conversation) {
+      await postSystemMessage(offer.conversation, actorId, content, {
+        offerId: offer._id.toString(),
+        event,
+        amount: offer.amount,
+        currency: offer.currency,
+        status: offer.status,
+        listingId: offer.listing.toString()
+      });
+    }
+  } catch (error) {
+    console.warn('Failed to post offer message:', error.message);
+  }
+
+  try {
+    if (!(await notificationService.isNotificationEnabled(recipientId, 'app_messages'))) {
+      return;
+    }
+
+    const notification = EVENT_NOTIFICATIONS[event];
+    await notificationService.createNotification({
+      userId: recipientId,
+      title: notification.title,
+      message: content,
+      notificationType: notification.type,
+      priority: event === OFFER_EVENTS.ACCEPTED ? NOTIFICATION_PRIORITIES.HIGH : NOTIFICATION_PRIORITIES.NORMAL,
+      extraData: {
+        offerId: offer._id.toString(),
+        listingId: offer.listing.toString(),
+        slug: listing?.slug,
+        conversationId: offer.conversation?.toString(),
+        amount: offer.amount,
+        status: offer.status
+      },
+      actionUrl: `${env.app.frontendUrl}/offers/${offer._id}`,
+      actionText: 'View offer'
+    });
+  } catch (error) {
+    console.warn(`Failed to send ${event} offer notification:`, error.message);
+  }
+};
+
+// Offers past their expiry are closed when they are next read or acted on
+const expireOffers = (filters = {}) => {
+  const now = new Date();
+
+  return Offer.updateMany(
+    { ...filters, status: { $in: OPEN_STATUSES }, expiresAt: { $lte: now } },
+    {
+      $set: { status: OFFER_STATUSES.EXPIRED, closedAt: now },
+      $push: { history: { event: OFFER_EVENTS.EXPIRED, actor: null, createdAt: now } }
+    }
+  );
+};
+
+const loadOffer = async (user, offerId) => {
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    throw new AppError('Offer not found', 404);
+  }
+
+  await expireOffers({ _id: offerId });
+
+  const offer = await Offer.findById(offerId);
+  const userId = String(user._id);
+
+  if (!offer || (!isStaff(user) && offer.buyer !== userId && offer.seller !== userId)) {
+    throw new AppError('Offer not found', 404);
+  }
+
+  return offer;
+};
+
+const assertAwaiting = (offer, user) => {
+  if (!OPEN_STATUSES.includes(offer.status)) {
+    throw new AppError(`Offer is already ${offer.status}`, 409);
+  }
+
+  if (awaitingParty(offer) !== String(user._id)) {
+    throw new AppError('It is not your turn to respond to this offer', 403);
+  }
+};
+
+/**
+ * Applies a status change only if the offer is still in the state it was
+ * read in and has not expired, so two parties acting at once cannot both win.
+ */
+const transitionOffer = async (offer, { to, event, actorId, amount, message, set = {} }) => {
+  const now = new Date();
+
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: offer.status, expiresAt: { $gt: now } },
+    {
+      $set: { status: to, ...set },
+      $push: {
+        history: {
+          event,
+          actor: String(actorId),
+          amount: amount ?? offer.amount,
+          message,
+          createdAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await expireOffers({ _id: offer._id });
+    const latest = await Offer.findById(offer._id).select('status');
+    throw new AppError(`Offer is already ${latest?.status || 'closed'}`, 409);
+  }
+
+  return updated;
+};
+
+const createOffer = async (user, data = {}) => {
+  if (!data.listing) {
+    throw new AppError('A listing is required', 400);
+  }
+
+  const listing = await Listing.findOne(buildListingLookup(data.listing))
+    .select('owner title price currency status availabilityStatus');
+  if (!listing || listing.status !== LISTING_STATUSES.PUBLISHED) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  const buyerId = String(user._id);
+  const sellerId = String(listing.owner);
+
+  if (buyerId === sellerId) {
+    throw new AppError('You cannot make an offer on your own listing', 400);
+  }
+
+  if (listing.availabilityStatus !== LISTING_AVAILABILITY_STATUSES.AVAILABLE) {
+    throw new AppError('This listing is not accepting offers', 409);
+  }
+
+  const amount = toAmount(data.amount);
+  const now = new Date();
+  const expiresAt = resolveExpiry(data.expiresInHours, now);
+
+  await expireOffers({ listing: listing._id, buyer: buyerId });
+  const open = await Offer.exists({ listing: listing._id, buyer: buyerId, status: { $in: OPEN_STATUSES } });
+  if (open) {
+    throw new AppError('You already have an open offer on this listing', 409);
+  }
+
+  const { conversation } = await findOrCreateDirectConversation(buyerId, sellerId, listing._id);
+
+  const offer = await Offer.create({
+    listing: listing._id,
+    buyer: buyerId,
+    seller: sellerId,
+    conversation: conversation._id,
+    amount,
+    currency: listing.currency,
+    listingPrice: listing.price,
+    expiresAt,
+    holdListing: env.offers.holdListingOnAccept,
+    history: [{
+      event: OFFER_EVENTS.CREATED,
+      actor: buyerId,
+      amount,
+      message: data.message
+    }]
+  });
+
+  await announceOfferEvent(offer, OFFER_EVENTS.CREATED, buyerId, { message: data.message });
+
+  return {
+    success: true,
+    message: 'Offer sent',
+    offer
+  };
+};
+
+const listOffers = async (user, query = {}) => {
+  const userId = String(user._id);
+  const filters = {};
+
+  if (query.role === 'buyer') {
+    filters.buyer = userId;
+  } else if (query.role === 'seller') {
+    filters.seller = userId;
+  } else {
+    filters.$or = [{ buyer: userId }, { seller: userId }];
+  }
+
+  if (query.listing && mongoose.Types.ObjectId.isValid(query.listing)) {
+    filters.listing = query.listing;
+  }
+
+  await expireOffers(filters);
+
+  if (query.status && Object.values(OFFER_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  const offers = await Offer.find(filters)
+    .populate(LISTING_POPULATE)
+    .populate('buyer', 'displayName email')
+    .populate('seller', 'displayName email')
+    .sort({ updatedAt: -1 });
+
+  return {
+    success: true,
+    offers
+  };
+};
+
+const getOffer = async (user, offerId) => {
+  const offer = await loadOffer(user, offerId);
+
+  await offer.populate([
+    LISTING_POPULATE,
+    { path: 'buyer', select: 'displayName email' },
+    { path: 'seller', select: 'displayName email' }
+  ]);
+
+  return {
+    success: true,
+    offer
+  };
+};
+
+const counterOffer = async (user, offerId, data = {}) => {
+  const offer = await loadOffer(user, offerId);
+  assertAwaiting(offer, user);
+
+  const amount = toAmount(data.amount);
+  if (amount === offer.amount) {
+    throw new AppError('Counter-offer must change the amount', 400);
+  }
+
+  const isSeller = offer.seller === String(user._id);
+  const set = {
+    amount,
+    expiresAt: resolveExpiry(data.expiresInHours, new Date())
+  };
+
+  if (isSeller && typeof data.holdListing === 'boolean') {
+    set.holdListing = data.holdListing;
+  }
+
+  const updated = await transitionOffer(offer, {
+    to: isSeller ? OFFER_STATUSES.COUNTERED : OFFER_STATUSES.PENDING,
+    event: OFFER_EVENTS.COUNTERED,
+    actorId: user._id,
+    amount,
+    message: data.message,
+    set
+  });
+
+  await announceOfferEvent(updated, OFFER_EVENTS.COUNTERED, user._id, { message: data.message });
+
+  return {
+    success: true,
+    message: 'Counter-offer sent',
+    offer: updated
+  };
+};
+
+/**
+ * Accepts the amount on the table. Unless the seller opts out, the listing
+ * is marked as pending so other buyers can see a deal is in progress.
+ */
+const acceptOffer = async (user, offerId, data = {}) => {
+  const offer = await loadOffer(user, offerId);
+  assertAwaiting(offer, user);
+
+  const isSeller = offer.seller === String(user._id);
+  const now = new Date();
+  const holdListing = isSeller && typeof data.holdListing === 'boolean'
+    ? data.holdListing
+    : offer.holdListing;
+
+  const updated = await transitionOffer(offer, {
+    to: OFFER_STATUSES.ACCEPTED,
+    event: OFFER_EVENTS.ACCEPTED,
+    actorId: user._id,
+    message: data.message,
+    set: { acceptedAt: now, closedAt: now, holdListing }
+  });
+
+  if (holdListing) {
+    await Listing.updateOne(
+      { _id: offer.listing, availabilityStatus: LISTING_AVAILABILITY_STATUSES.AVAILABLE },
+      { $set: { availabilityStatus: LISTING_AVAILABILITY_STATUSES.PENDING } }
+    );
+  }
+
+  await announceOfferEvent(updated, OFFER_EVENTS.ACCEPTED, user._id, { message: data.message });
+
+  return {
+    success: true,
+    message: 'Offer accepted',
+    offer: updated
+  };
+};
+
+const declineOffer = async (user, offerId, data = {}) => {
+  const offer = await loadOffer(user, offerId);
+  assertAwaiting(offer, user);
+
+  const updated = await transitionOffer(offer, {
+    to: OFFER_STATUSES.DECLINED,
+    event: OFFER_EVENTS.DECLINED,
+    actorId: user._id,
+    message: data.message,
+    set: { closedAt: new Date() }
+  });
+
+  await announceOfferEvent(updated, OFFER_EVENTS.DECLINED, user._id, { message: data.message });
+
+  return {
+    success: true,
+    message: 'Offer declined',
+    offer: updated
+  };
+};
+
+const withdrawOffer = async (user, offerId, data = {}) => {
+  const offer = await loadOffer(user, offerId);
+
+  if (offer.buyer !== String(user._id)) {
+    throw new AppError('Only the buyer can withdraw an offer', 403);
+  }
+
+  if (!OPEN_STATUSES.includes(offer.status)) {
+    throw new AppError(`Offer is already ${offer.status}`, 409);
+  }
+
+  const updated = await transitionOffer(offer, {
+    to: OFFER_STATUSES.WITHDRAWN,
+    event: OFFER_EVENTS.WITHDRAWN,
+    actorId: user._id,
+    message: data.message,
+    set: { closedAt: new Date() }
+  });
+
+  await announceOfferEvent(updated, OFFER_EVENTS.WITHDRAWN, user._id, { message: data.message });
+
+  return {
+    success: true,
+    message: 'Offer withdrawn',
+    offer: updated
+  };
+};
+
+module.exports = {
+  createOffer,
+  listOffers,
+  getOffer,
+  counterOffer,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer
+};
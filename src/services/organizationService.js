@@ -0,0 +1,770 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationInvitation
+} = require('../models/Organization');
+const { Conversation } = require('../models/Conversation');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const env = require('../config/env');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { postSystemMessage } = require('./conversationService');
+const { AppError } = require('../middleware/errorHandler');
+const { formatParticipant } = require('../utils/helpers/conversationHelper');
+const {
+  ORGANIZATION_ROLES,
+  ORGANIZATION_INVITATION_STATUSES
+} = require('../utils/enums/organizationEnums');
+const { USER_ROLES } = require('../utils/enums/userEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+
+const { OWNER, MANAGER, SALES } = ORGANIZATION_ROLES;
+const ADMIN_ROLES = [OWNER, MANAGER];
+const INVITABLE_ROLES = [MANAGER, SALES];
+const MEMBER_USER_FIELDS = 'email role profile googlePicture';
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'website'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const ensureValidObjectId = (id, message = 'Invalid ID') => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(message, 400);
+  }
+};
+
+const findMembership = (userId) => OrganizationMember.findOne({ user: String(userId) });
+
+// The caller's membership of the given organization, limited to `roles` when set
+const loadMembership = async (user, organizationId, roles) => {
+  ensureValidObjectId(organizationId, 'Invalid organization ID');
+
+  const membership = await OrganizationMember.findOne({
+    organization: organizationId,
+    user: String(user._id)
+  });
+
+  if (!membership) {
+    throw new AppError('Organization not found', 404);
+  }
+
+  if (roles && !roles.includes(membership.role)) {
+    throw new AppError('Only organization owners and managers can do this', 403);
+  }
+
+  return membership;
+};
+
+const formatMember = (member) => ({
+  id: member._id,
+  user: formatParticipant(member.user),
+  role: member.role,
+  joinedAt: member.createdAt
+});
+
+const getOwnerId = async (organizationId) => {
+  const owner = await OrganizationMember.findOne({ organization: organizationId, role: OWNER }).select('user');
+  return owner?.user;
+};
+
+const createOrganization = async (user, data = {}) => {
+  if (user.role !== USER_ROLES.CORPORATE) {
+    throw new AppError('Only corporate accounts can create an organization', 403);
+  }
+
+  if (await findMembership(user._id)) {
+    throw new AppError('You already belong to an organization', 409);
+  }
+
+  const name = data.name || user.profile?.companyName || user.businessProfile?.businessName;
+  if (!name) {
+    throw new AppError('An organization name is required', 400);
+  }
+
+  const organization = await Organization.create({
+    name,
+    createdBy: String(user._id),
+    email: data.email || user.profile?.companyEmail || user.email,
+    phone: data.phone || user.profile?.companyPhone,
+    website: data.website || user.profile?.website
+  });
+
+  try {
+    await OrganizationMember.create({
+      organization: organization._id,
+      user: String(user._id),
+      role: OWNER
+    });
+  } catch (error) {
+    await Organization.deleteOne({ _id: organization._id });
+    if (error?.code === 11000) {
+      throw new AppError('You already belong to an organization', 409);
+    }
+    throw error;
+  }
+
+  // The company's existing inventory becomes shared with the team
+  const { modifiedCount } = await Listing.updateMany(
+    { owner: user._id, organization: null, deletedAt: null },
+    { $set: { organization: organization._id } }
+  );
+
+  return {
+    success: true,
+    message: 'Organization created',
+    organization,
+    listingsShared: modifiedCount
+  };
+};
+
+const getMyOrganization = async (user) => {
+  const membership = await findMembership(user._id);
+  if (!membership) {
+    throw new AppError('You do not belong to an organization', 404);
+  }
+
+  const [organization, members] = await Promise.all([
+    Organization.findById(membership.organization),
+    OrganizationMember.find({ organization: membership.organization })
+      .sort({ createdAt: 1 })
+      .populate('user', MEMBER_USER_FIELDS)
+  ]);
+
+  const invitations = ADMIN_ROLES.includes(membership.role)
+    ? await OrganizationInvitation.find({
+      organization: membership.organization,
+      status: ORGANIZATION_INVITATION_STATUSES.PENDING,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 })
+    : undefined;
+
+  return {
+    success: true,
+    organization,
+    role: membership.role,
+    members: members.map(formatMember),
+    invitations
+  };
+};
+
+const updateOrganization = async (user, organizationId, data = {}) => {
+  await loadMembership(user, organizationId, ADMIN_ROLES);
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      updates[field] = data[field];
+    }
+  });
+
+  if (updates.name !== undefined && !String(updates.name).trim()) {
+    throw new AppError('An organization name is required', 400);
+  }
+
+  const organization = await Organization.findByIdAndUpdate(
+    organizationId,
+    { $set: updates },
+    { new: true, runValidators: true }
+  );
+
+  return {
+    success: true,
+    message: 'Organization updated',
+    organization
+  };
+};
+
+/**
+ * Emails an invitation with a single-use accept token. Managers can invite
+ * sales members only; owners can also invite managers.
+ */
+const inviteMember = async (user, organizationId, { email, role = SALES } = {}) => {
+  const membership = await loadMembership(user, organizationId, ADMIN_ROLES);
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+
+  if (!normalizedEmail || !/^\S+@\S+\.\S+$/.test(normalizedEmail)) {
+    throw new AppError('A valid email is required', 400);
+  }
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new AppError('Role must be manager or sales', 400);
+  }
+
+  if (role === MANAGER && membership.role !== OWNER) {
+    throw new AppError('Only the owner can invite managers', 403);
+  }
+
+  const [memberCount, pendingCount] = await Promise.all([
+    OrganizationMember.countDocuments({ organization: organizationId }),
+    OrganizationInvitation.countDocuments({
+      organization: organizationId,
+      status: ORGANIZATION_INVITATION_STATUSES.PENDING,
+      expiresAt: { $gt: new Date() }
+    })
+  ]);
+
+  if (memberCount + pendingCount >= env.organizations.maxMembers) {
+    throw new AppError(`Organizations can have at most ${env.organizations.maxMembers} members`, 409);
+  }
+
+  const invitee = await User.findOne({ email: normalizedEmail, deletedAt: null }).select('_id role');
+  if (invitee && isStaff(invitee)) {
+    throw new AppError('Staff accounts cannot join an organization', 400);
+  }
+  if (invitee && await findMembership(invitee._id)) {
+    throw new AppError('This user already belongs to an organization', 409);
+  }
+
+  // A lapsed invitation to the same address is replaced
+  await OrganizationInvitation.updateMany(
+    {
+      organization: organizationId,
+      email: normalizedEmail,
+      status: ORGANIZATION_INVITATION_STATUSES.PENDING,
+      expiresAt: { $lte: new Date() }
+    },
+    { $set: { status: ORGANIZATION_INVITATION_STATUSES.REVOKED } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  let invitation;
+
+  try {
+    invitation = await OrganizationInvitation.create({
+      organization: organizationId,
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: String(user._id),
+      expiresAt: new Date(Date.now() + env.organizations.invitationTtlDays * DAY_MS)
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new AppError('An invitation is already pending for this email', 409);
+    }
+    throw error;
+  }
+
+  const organization = await Organization.findById(organizationId).select('name');
+
+  try {
+    await emailService.sendOrganizationInvitation(normalizedEmail, {
+      organizationName: organization.name,
+      inviterName: user.displayName || user.email,
+      role,
+      acceptUrl: `${env.app.frontendUrl}/organizations/invitations/${token}`,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Failed to send organization invitation:', error.message);
+    await OrganizationInvitation.deleteOne({ _id: invitation._id });
+    throw new AppError('Failed to send invitation email', 500);
+  }
+
+  if (invitee) {
+    try {
+      await notificationService.createNotification({
+        userId: String(invitee._id),
+        title: 'Team invitation',
+        message: `${user.displayName || user.email} invited you to join ${organization.name}`,
+        notificationType: NOTIFICATION_TYPES.ORGANIZATION_INVITATION,
+        priority: NOTIFICATION_PRIORITIES.NORMAL,
+        extraData: {
+          organizationId: String(organizationId),
+          invitationId: invitation._id.toString(),
+          role
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to notify invitee:', error.message);
+    }
+  }
+
+  return {
+    success: true,
+    message: `Invitation sent to ${normalizedEmail}`,
+    invitation
+  };
+};
+
+const revokeInvitation = async (user, organizationId, invitationId) => {
+  await loadMembership(user, organizationId, ADMIN_ROLES);
+  ensureValidObjectId(invitationId, 'Invalid invitation ID');
+
+  const invitation = await OrganizationInvitation.findOneAndUpdate(
+    {
+      _id: invitationId,
+      organization: organizationId,
+      status: ORGANIZATION_INVITATION_STATUSES.PENDING
+    },
+    { $set: { status: ORGANIZATION_INVITATION_STATUSES.REVOKED } },
+    { new: true }
+  );
+
+  if (!invitation) {
+    throw new AppError('Invitation not found or no longer pending', 404);
+  }
+
+  return {
+    success: true,
+    message: 'Invitation revoked',
+    invitation
+  };
+};
+
+const findPendingInvitation = async (token) => {
+  const invitation = await OrganizationInvitation.findOne({
+    tokenHash: hashToken(token),
+    status: ORGANIZATION_INVITATION_STATUSES.PENDING,
+    expiresAt: { $gt: new Date() }
+  }).populate('organization', 'name website');
+
+  if (!invitation || !invitation.organization) {
+    throw new AppError('Invitation is invalid or has expired', 404);
+  }
+
+  return invitation;
+};
+
+// What the accept page shows before the invitee signs in
+const getInvitation = async (token) => {
+  const invitation = await findPendingInvitation(token);
+
+  return {
+    success: true,
+    invitation: {
+      organization: invitation.organization,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  };
+};
+
+const acceptInvitation = async (user, token) => {
+  const pending = await findPendingInvitation(token);
+
+  if (String(user.email).toLowerCase() !== pending.email) {
+    throw new AppError('This invitation was sent to a different email address', 403);
+  }
+
+  if (isStaff(user)) {
+    throw new AppError('Staff accounts cannot join an organization', 403);
+  }
+
+  if (await findMembership(user._id)) {
+    throw new AppError('You already belong to an organization', 409);
+  }
+
+  const invitation = await OrganizationInvitation.findOneAndUpdate(
+    { _id: pending._id, status: ORGANIZATION_INVITATION_STATUSES.PENDING },
+    {
+      $set: {
+        status: ORGANIZATION_INVITATION_STATUSES.ACCEPTED,
+        acceptedBy: String(user._id),
+        acceptedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!invitation) {
+    throw new AppError('Invitation is invalid or has expired', 404);
+  }
+
+  let membership;
+  try {
+    membership = await OrganizationMember.create({
+      organization: invitation.organization,
+      user: String(user._id),
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+  } catch (error) {
+    await OrganizationInvitation.updateOne(
+      { _id: invitation._id },
+      { $set: { status: ORGANIZATION_INVITATION_STATUSES.PENDING, acceptedBy: null, acceptedAt: null } }
+    );
+    if (error?.code === 11000) {
+      throw new AppError('You already belong to an organization', 409);
+    }
+    throw error;
+  }
+
+  return {
+    success: true,
+    message: `You joined ${pending.organization.name}`,
+    organization: pending.organization,
+    membership
+  };
+};
+
+const updateMemberRole = async (user, organizationId, memberUserId, { role } = {}) => {
+  await loadMembership(user, organizationId, [OWNER]);
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new AppError('Role must be manager or sales', 400);
+  }
+
+  const member = await OrganizationMember.findOneAndUpdate(
+    { organization: organizationId, user: String(memberUserId), role: { $ne: OWNER } },
+    { $set: { role } },
+    { new: true }
+  ).populate('user', MEMBER_USER_FIELDS);
+
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+
+  return {
+    success: true,
+    message: 'Member role updated',
+    member: formatMember(member)
+  };
+};
+
+/**
+ * Picks the next member to handle a buyer conversation: the sales member
+ * assigned longest ago, falling back to managers and the owner.
+ */
+const pickAssignee = async (organizationId, excludeUserIds = []) => {
+  const exclude = excludeUserIds.map(String);
+
+  for (const roles of [[SALES], ADMIN_ROLES]) {
+    const member = await OrganizationMember.findOneAndUpdate(
+      { organization: organizationId, role: { $in: roles }, user: { $nin: exclude } },
+      { $set: { lastAssignedAt: new Date() } },
+      { sort: { lastAssignedAt: 1, createdAt: 1 }, new: true }
+    );
+
+    if (member) {
+      return member;
+    }
+  }
+
+  return null;
+};
+
+// Swaps the team member on an organization conversation and tells both sides
+const transferConversation = async (conversation, fromUserId, toUserId, actorId) => {
+  conversation.participants = [
+    ...conversation.participants.map(String).filter((participantId) => participantId !== String(fromUserId)),
+    String(toUserId)
+  ];
+  await conversation.save();
+
+  const assignee = await User.findById(toUserId).select(MEMBER_USER_FIELDS);
+  const assigneeName = formatParticipant(assignee)?.displayName || 'another team member';
+
+  await postSystemMessage(
+    conversation._id,
+    actorId,
+    `This conversation was transferred to ${assigneeName}`,
+    { event: 'conversation_transferred', from: String(fromUserId), to: String(toUserId) }
+  );
+
+  if (String(toUserId) !== String(actorId)) {
+    try {
+      await notificationService.createNotification({
+        userId: String(toUserId),
+        title: 'Conversation assigned to you',
+        message: 'A buyer conversation was assigned to you',
+        notificationType: NOTIFICATION_TYPES.CONVERSATION_ASSIGNED,
+        priority: NOTIFICATION_PRIORITIES.NORMAL,
+        extraData: {
+          conversationId: conversation._id.toString(),
+          listingId: conversation.listing ? conversation.listing.toString() : null
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to notify conversation assignee:', error.message);
+    }
+  }
+
+  return conversation;
+};
+
+// Team members taking part in an organization conversation
+const findMemberParticipants = async (conversation) => {
+  const members = await OrganizationMember.find({
+    organization: conversation.organization,
+    user: { $in: conversation.participants.map(String) }
+  }).select('user');
+
+  return members.map((member) => member.user);
+};
+
+const removeMember = async (user, organizationId, memberUserId) => {
+  const isSelf = String(memberUserId) === String(user._id);
+  const membership = await loadMembership(user, organizationId, isSelf ? undefined : ADMIN_ROLES);
+
+  const member = isSelf
+    ? membership
+    : await OrganizationMember.findOne({ organization: organizationId, user: String(memberUserId) });
+
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+
+  if (member.role === OWNER) {
+    throw new AppError('The owner cannot leave or be removed from the organization', 409);
+  }
+
+  if (!isSelf && membership.role === MANAGER && member.role !== SALES) {
+    throw new AppError('Managers can only remove sales members', 403);
+  }
+
+  await OrganizationMember.deleteOne({ _id: member._id });
+
+  // Shared listings they created stay with the team under the owner
+  const ownerId = await getOwnerId(organizationId);
+  await Listing.updateMany(
+    { organization: organizationId, owner: member.user },
+    { $set: { owner: ownerId } }
+  );
+
+  const conversations = await Conversation.find({
+    organization: organizationId,
+    participants: member.user
+  });
+
+  for (const conversation of conversations) {
+    try {
+      const buyers = conversation.participants.map(String).filter((id) => id !== member.user);
+      const assignee = await pickAssignee(organizationId, buyers);
+      if (assignee) {
+        await transferConversation(conversation, member.user, assignee.user, String(user._id));
+      }
+    } catch (error) {
+      console.warn('Failed to reassign conversation:', error.message);
+    }
+  }
+
+  return {
+    success: true,
+    message: isSelf ? 'You left the organization' : 'Member removed',
+    conversationsReassigned: conversations.length
+  };
+};
+
+const listOrganizationListings = async (user, organizationId, query = {}) => {
+  await loadMembership(user, organizationId);
+
+  const page = Number(query.page) > 0 ? Number(query.page) : 1;
+  const limit = Number(query.limit) > 0 ? Math.min(Number(query.limit), 50) : 20;
+  const filters = { organization: organizationId, deletedAt: null };
+
+  if (query.status) {
+    filters.status = query.status;
+  }
+  if (query.owner) {
+    filters.owner = query.owner;
+  }
+
+  const [listings, total] = await Promise.all([
+    Listing.find(filters)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('category', 'name slug')
+      .populate('owner', 'displayName email role'),
+    Listing.countDocuments(filters)
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    listings
+  };
+};
+
+// Owners and managers see every team conversation; sales members see their own
+const listOrganizationConversations = async (user, organizationId, query = {}) => {
+  const membership = await loadMembership(user, organizationId);
+
+  const page = Number(query.page) > 0 ? Number(query.page) : 1;
+  const limit = Number(query.limit) > 0 ? Math.min(Number(query.limit), 50) : 20;
+  const filters = { organization: organizationId };
+
+  if (!ADMIN_ROLES.includes(membership.role)) {
+    filters.participants = String(user._id);
+  } else if (query.assignee) {
+    filters.participants = String(query.assignee);
+  }
+
+  const [conversations, total] = await Promise.all([
+    Conversation.find(filters)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('participants', MEMBER_USER_FIELDS)
+      .populate('listing', 'title slug coverImage price status'),
+    Conversation.countDocuments(filters)
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    conversations: conversations.map((conversation) => ({
+      id: conversation._id,
+      listing: conversation.listing,
+      participants: conversation.participants.map(formatParticipant),
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    }))
+  };
+};
+
+/**
+ * Hands a buyer conversation to another member. Owners and managers can
+ * reassign any conversation; a member can pass on one assigned to them.
+ */
+const assignConversation = async (user, organizationId, conversationId, { memberId } = {}) => {
+  const membership = await loadMembership(user, organizationId);
+  ensureValidObjectId(conversationId, 'Invalid conversation ID');
+
+  const conversation = await Conversation.findOne({ _id: conversationId, organization: organizationId });
+  if (!conversation) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  const [currentAssignee] = await findMemberParticipants(conversation);
+  if (!ADMIN_ROLES.includes(membership.role) && currentAssignee !== String(user._id)) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  if (!memberId) {
+    throw new AppError('memberId is required', 400);
+  }
+
+  const target = await OrganizationMember.findOne({ organization: organizationId, user: String(memberId) });
+  if (!target) {
+    throw new AppError('The new assignee is not a member of this organization', 400);
+  }
+
+  if (currentAssignee === target.user) {
+    throw new AppError('The conversation is already assigned to this member', 409);
+  }
+
+  await OrganizationMember.updateOne({ _id: target._id }, { $set: { lastAssignedAt: new Date() } });
+  await transferConversation(conversation, currentAssignee, target.user, String(user._id));
+
+  return {
+    success: true,
+    message: 'Conversation reassigned',
+    conversation: {
+      id: conversation._id,
+      participants: conversation.participants,
+      listing: conversation.listing
+    }
+  };
+};
+
+/**
+ * The buyer's conversation with the team that owns the listing, created on
+ * first use with the next member in the rotation. Returns null when the
+ * listing is not team inventory.
+ */
+const routeListingConversation = async (listing, buyerId) => {
+  if (!listing.organization) {
+    return null;
+  }
+
+  const buyer = String(buyerId);
+  const buyerMembership = await OrganizationMember.exists({ organization: listing.organization, user: buyer });
+  if (buyerMembership) {
+    throw new AppError('This listing belongs to your organization', 400);
+  }
+
+  const existing = await Conversation.findOne({
+    organization: listing.organization,
+    participants: buyer
+  }).sort({ updatedAt: -1 });
+
+  if (existing) {
+    const recipientId = existing.participants.map(String).find((id) => id !== buyer);
+    return { conversation: existing, created: false, recipientId };
+  }
+
+  const assignee = await pickAssignee(listing.organization, [buyer]);
+  if (!assignee) {
+    throw new AppError('Nobody is available to answer for this listing', 409);
+  }
+
+  const conversation = await Conversation.create({
+    participants: [buyer, assignee.user],
+    organization: listing.organization,
+    listing: listing._id
+  });
+
+  return { conversation, created: true, recipientId: assignee.user };
+};
+
+/**
+ * Whether `user` may edit or remove a listing. Owners and managers can manage
+ * all team inventory; sales members only the listings they created.
+ */
+const canManageListing = async (user, listing) => {
+  if (isStaff(user)) {
+    return true;
+  }
+
+  const isOwner = String(listing.owner?._id || listing.owner) === String(user._id);
+
+  if (!listing.organization) {
+    return isOwner;
+  }
+
+  const membership = await OrganizationMember.findOne({
+    organization: listing.organization,
+    user: String(user._id)
+  }).select('role');
+
+  if (!membership) {
+    return false;
+  }
+
+  return membership.role !== SALES || isOwner;
+};
+
+// The organization this user's new listings are filed under
+const findOrganizationId = async (userId) => {
+  const membership = await findMembership(userId);
+  return membership ? membership.organization : null;
+};
+
+module.exports = {
+  createOrganization,
+  getMyOrganization,
+  updateOrganization,
+  inviteMember,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  listOrganizationListings,
+  listOrganizationConversations,
+  assignConversation,
+  routeListingConversation,
+  canManageListing,
+  findOrganizationId
+};
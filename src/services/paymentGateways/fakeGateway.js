@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const env = require('../../config/env');
+const { PAYMENT_PROVIDERS, PAYMENT_EVENT_TYPES } = require('../../utils/enums/paymentEnums');
+
+const config = env.payments.fake;
+
+// Checkouts the fake gateway has seen, keyed by reference. Verification of
+// an unknown reference reports it as pending, like a real provider would.
+const checkouts = new Map();
+
+const sign = (rawBody) => crypto
+  .createHmac('sha256', config.webhookSecret)
+  .update(rawBody)
+  .digest('hex');
+
+const fakeGateway = {
+  name: PAYMENT_PROVIDERS.FAKE,
+
+  // Anyone holding the secret can mark orders paid, so never in production
+  isEnabled: () => !env.isProduction && Boolean(config.enabled && config.webhookSecret),
+
+  async initializePayment({ reference, amount, currency, callbackUrl }) {
+    const providerReference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+    checkouts.set(reference, { reference, amount, currency, providerReference, status: 'pending' });
+
+    return {
+      authorizationUrl: `${callbackUrl}?reference=${encodeURIComponent(reference)}&provider=${PAYMENT_PROVIDERS.FAKE}`,
+      providerReference
+    };
+  },
+
+  async verifyPayment(reference) {
+    const checkout = checkouts.get(reference);
+
+    return {
+      status: checkout?.status || 'pending',
+      reference,
+      amount: checkout?.amount,
+      currency: checkout?.currency,
+      providerReference: checkout?.providerReference,
+      raw: checkout || null
+    };
+  },
+
+  verifyWebhookSignature(rawBody, headers = {}) {
+    const signature = headers['x-fake-signature'];
+    if (!signature || !rawBody) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(sign(rawBody));
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length
+      && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  },
+
+  parseWebhookEvent(body = {}) {
+    const data = body.data || {};
+    let type = PAYMENT_EVENT_TYPES.IGNORED;
+
+    if (body.event === 'charge.succeeded') {
+      type = PAYMENT_EVENT_TYPES.SUCCEEDED;
+    } else if (body.event === 'charge.failed') {
+      type = PAYMENT_EVENT_TYPES.FAILED;
+    }
+
+    return {
+      eventId: body.id,
+      type,
+      reference: data.reference,
+      amount: data.amount,
+      currency: data.currency,
+      providerReference: data.providerReference,
+      raw: body
+    };
+  },
+
+  /**
+   * Settles a checkout and returns the signed webhook the fake provider
+   * would deliver, so the normal webhook path can process it.
+   */
+  simulateCheckout({ reference, amount, currency, succeed = true }) {
+    const checkout = checkouts.get(reference) || { reference, amount, currency };
+    checkout.status = succeed ? 'success' : 'failed';
+    checkouts.set(reference, checkout);
+
+    const rawBody = Buffer.from(JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      event: succeed ? 'charge.succeeded' : 'charge.failed',
+      data: {
+        reference,
+        amount: checkout.amount,
+        currency: checkout.currency,
+        providerReference: checkout.providerReference
+      }
+    }));
+
+    return {
+      rawBody,
+      headers: { 'x-fake-signature': sign(rawBody) }
+    };
+  }
+};
+
+module.exports = fakeGateway;
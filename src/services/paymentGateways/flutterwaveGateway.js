@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const env = require('../../config/env');
+const { PAYMENT_PROVIDERS, PAYMENT_EVENT_TYPES } = require('../../utils/enums/paymentEnums');
+
+const config = env.payments.flutterwave;
+
+// Flutterwave amounts are in major units
+const toMajor = (amount) => amount / 100;
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${config.secretKey}`,
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.status === 'error') {
+    throw new Error(body.message || `Flutterwave request failed with status ${response.status}`);
+  }
+
+  return body.data;
+};
+
+const toStatus = (status) => {
+  if (status === 'successful') return 'success';
+  if (['failed', 'cancelled'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+const flutterwaveGateway = {
+  name: PAYMENT_PROVIDERS.FLUTTERWAVE,
+
+  isEnabled: () => Boolean(config.secretKey && config.webhookHash),
+
+  async initializePayment({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const data = await request('/payments', {
+      method: 'POST',
+      body: JSON.stringify({
+        tx_ref: reference,
+        amount: toMajor(amount),
+        currency,
+        redirect_url: callbackUrl,
+        customer: { email },
+        meta: metadata
+      })
+    });
+
+    return {
+      authorizationUrl: data.link,
+      providerReference: null
+    };
+  },
+
+  async verifyPayment(reference) {
+    const data = await request(`/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`);
+
+    return {
+      status: toStatus(data.status),
+      reference: data.tx_ref,
+      amount: toMinor(data.amount),
+      currency: data.currency,
+      providerReference: String(data.id),
+      raw: data
+    };
+  },
+
+  // Flutterwave echoes the configured secret hash in the verif-hash header
+  verifyWebhookSignature(rawBody, headers = {}) {
+    const signature = headers['verif-hash'];
+    if (!signature || !config.webhookHash) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(config.webhookHash);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length
+      && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  },
+
+  parseWebhookEvent(body = {}) {
+    const data = body.data || {};
+    let type = PAYMENT_EVENT_TYPES.IGNORED;
+
+    if (body.event === 'charge.completed') {
+      type = toStatus(data.status) === 'success' ? PAYMENT_EVENT_TYPES.SUCCEEDED : PAYMENT_EVENT_TYPES.FAILED;
+    }
+
+    return {
+      eventId: `${body.event}:${data.id || data.tx_ref}`,
+      type,
+      reference: data.tx_ref,
+      amount: data.amount !== undefined ? toMinor(data.amount) : undefined,
+      currency: data.currency,
+      providerReference: data.id ? String(data.id) : undefined,
+      raw: body
+    };
+  }
+};
+
+module.exports = flutterwaveGateway;
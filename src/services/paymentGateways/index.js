@@ -0,0 +1,51 @@
+const env = require('../../config/env');
+const { AppError } = require('../../middleware/errorHandler');
+const { PAYMENT_PROVIDERS } = require('../../utils/enums/paymentEnums');
+const fakeGateway = require('./fakeGateway');
+const paystackGateway = require('./paystackGateway');
+const flutterwaveGateway = require('./flutterwaveGateway');
+
+/**
+ * Every gateway adapter implements:
+ *
+ *   name
+ *   isEnabled() -> boolean
+ *   initializePayment({ reference, amount, currency, email, callbackUrl, metadata })
+ *     -> { authorizationUrl, providerReference }
+ *   verifyPayment(reference)
+ *     -> { status: 'success' | 'failed' | 'pending', reference, amount, currency, providerReference, raw }
+ *   verifyWebhookSignature(rawBody, headers) -> boolean
+ *   parseWebhookEvent(body)
+ *     -> { eventId, type: PAYMENT_EVENT_TYPES, reference, amount, currency, providerReference, raw }
+ *
+ * Amounts are always integers in minor units (kobo); adapters convert when a
+ * provider works in major units.
+ */
+const GATEWAYS = Object.freeze({
+  [PAYMENT_PROVIDERS.FAKE]: fakeGateway,
+  [PAYMENT_PROVIDERS.PAYSTACK]: paystackGateway,
+  [PAYMENT_PROVIDERS.FLUTTERWAVE]: flutterwaveGateway
+});
+
+const getGateway = (provider = env.payments.defaultProvider) => {
+  const gateway = GATEWAYS[provider];
+
+  if (!gateway) {
+    throw new AppError(`Unknown payment provider: ${provider}`, 400);
+  }
+
+  if (!gateway.isEnabled()) {
+    throw new AppError(`Payment provider ${provider} is not configured`, 503);
+  }
+
+  return gateway;
+};
+
+const getEnabledProviders = () => Object.values(GATEWAYS)
+  .filter((gateway) => gateway.isEnabled())
+  .map((gateway) => gateway.name);
+
+module.exports = {
+  getGateway,
+  getEnabledProviders
+};
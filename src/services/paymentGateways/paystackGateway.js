@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const env = require('../../config/env');
+const { PAYMENT_PROVIDERS, PAYMENT_EVENT_TYPES } = require('../../utils/enums/paymentEnums');
+
+const config = env.payments.paystack;
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${config.secretKey}`,
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.status === false) {
+    throw new Error(body.message || `Paystack request failed with status ${response.status}`);
+  }
+
+  return body.data;
+};
+
+const toStatus = (status) => {
+  if (status === 'success') return 'success';
+  if (['failed', 'abandoned', 'reversed'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+const paystackGateway = {
+  name: PAYMENT_PROVIDERS.PAYSTACK,
+
+  isEnabled: () => Boolean(config.secretKey),
+
+  async initializePayment({ reference, amount, currency, email, callbackUrl, metadata }) {
+    // Paystack already works in kobo
+    const data = await request('/transaction/initialize', {
+      method: 'POST',
+      body: JSON.stringify({
+        reference,
+        amount,
+        currency,
+        email,
+        callback_url: callbackUrl,
+        metadata
+      })
+    });
+
+    return {
+      authorizationUrl: data.authorization_url,
+      providerReference: data.access_code
+    };
+  },
+
+  async verifyPayment(reference) {
+    const data = await request(`/transaction/verify/${encodeURIComponent(reference)}`);
+
+    return {
+      status: toStatus(data.status),
+      reference: data.reference,
+      amount: data.amount,
+      currency: data.currency,
+      providerReference: String(data.id),
+      raw: data
+    };
+  },
+
+  // x-paystack-signature is an HMAC-SHA512 of the raw body keyed with the secret key
+  verifyWebhookSignature(rawBody, headers = {}) {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !rawBody || !config.secretKey) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha512', config.secretKey).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length
+      && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  },
+
+  parseWebhookEvent(body = {}) {
+    const data = body.data || {};
+    let type = PAYMENT_EVENT_TYPES.IGNORED;
+
+    if (body.event === 'charge.success') {
+      type = PAYMENT_EVENT_TYPES.SUCCEEDED;
+    } else if (body.event === 'charge.failed') {
+      type = PAYMENT_EVENT_TYPES.FAILED;
+    }
+
+    return {
+      eventId: `${body.event}:${data.id || data.reference}`,
+      type,
+      reference: data.reference,
+      amount: data.amount,
+      currency: data.currency,
+      providerReference: data.id ? String(data.id) : undefined,
+      raw: body
+    };
+  }
+};
+
+module.exports = paystackGateway;
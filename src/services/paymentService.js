@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const { Order, Transaction, PaymentEvent } = require('../models/Payment');
+const env = require('../config/env');
+const boostService = require('./boostService');
+const subscriptionService = require('./subscriptionService');
+const notificationService = require('./notificationService');
+const { getGateway, getEnabledProviders } = require('./paymentGateways');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  PAYMENT_PROVIDERS,
+  PAYMENT_PURPOSES,
+  ORDER_STATUSES,
+  TRANSACTION_STATUSES,
+  PAYMENT_EVENT_TYPES
+} = require('../utils/enums/paymentEnums');
+const { BOOST_TIERS } = require('../utils/enums/boostEnums');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const { BOOST_TIER_CONFIG } = require('../utils/constants/boostConstants');
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const formatAmount = (amount, currency) => `${currency} ${(amount / 100).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Each purchasable purpose prices an order from the buyer's input (`quote`)
+ * and delivers what was bought once the payment settles (`fulfill`).
+ * `fulfill` returns a plain object stored on the order as `fulfillment`.
+ */
+const PURPOSE_HANDLERS = {
+  [PAYMENT_PURPOSES.BOOST]: {
+    async quote(user, metadata = {}) {
+      const tierConfig = BOOST_TIER_CONFIG[metadata.tier];
+      if (!tierConfig) {
+        throw new AppError(`Boost tier must be one of: ${Object.values(BOOST_TIERS).join(', ')}`, 400);
+      }
+
+      if (!metadata.listing) {
+        throw new AppError('A listing is required to buy a boost', 400);
+      }
+
+      const listing = await Listing.findOne(buildListingLookup(metadata.listing)).select('title slug status owner');
+      if (!listing) {
+        throw new AppError('Listing not found', 404);
+      }
+
+      if (String(listing.owner) !== String(user._id)) {
+        throw new AppError('You can only boost your own listings', 403);
+      }
+
+      if (listing.status !== LISTING_STATUSES.PUBLISHED) {
+        throw new AppError('Only published listings can be boosted', 409);
+      }
+
+      return {
+        amount: tierConfig.price,
+        description: `${tierConfig.label} for "${listing.title}"`,
+        metadata: {
+          listingId: listing._id.toString(),
+          slug: listing.slug,
+          tier: metadata.tier
+        }
+      };
+    },
+
+    async fulfill(order) {
+      const boost = await boostService.createBoost({
+        listingId: order.metadata.listingId,
+        tier: order.metadata.tier,
+        purchaser: order.user
+      });
+
+      return { boostId: boost._id.toString() };
+    }
+  },
+
+  [PAYMENT_PURPOSES.SUBSCRIPTION]: {
+    quote: subscriptionService.quoteSubscription,
+    fulfill: subscriptionService.fulfillSubscriptionOrder
+  }
+};
+
+const generateReference = () => `PAY-${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`.toUpperCase();
+
+const sendPaymentConfirmation = async (order) => {
+  try {
+    await notificationService.createNotification({
+      userId: order.user,
+      title: 'Payment received',
+      message: `We received your payment of ${formatAmount(order.amount, order.currency)} for ${order.description}.`,
+      notificationType: NOTIFICATION_TYPES.PAYMENT_CONFIRMATION,
+      priority: NOTIFICATION_PRIORITIES.NORMAL,
+      extraData: {
+        orderId: order._id.toString(),
+        reference: order.reference,
+        purpose: order.purpose,
+        amount: order.amount,
+        currency: order.currency,
+        fulfillment: order.fulfillment
+      },
+      actionUrl: `${env.app.frontendUrl}/payments/${order.reference}`,
+      actionText: 'View receipt'
+    });
+  } catch (error) {
+    console.warn('Failed to send payment confirmation notification:', error.message);
+  }
+};
+
+const fulfillOrder = async (order) => {
+  const handler = PURPOSE_HANDLERS[order.purpose];
+
+  try {
+    order.fulfillment = await handler.fulfill(order);
+    order.fulfilledAt = new Date();
+    order.fulfillmentError = undefined;
+  } catch (error) {
+    // The money has been taken, so keep the order paid and leave it for staff
+    console.error(`Failed to fulfil order ${order.reference}:`, error.message);
+    order.fulfillmentError = error.message;
+  }
+
+  await order.save();
+  return order;
+};
+
+const failPayment = async (reference, failureReason, result = {}) => {
+  const now = new Date();
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { reference, status: TRANSACTION_STATUSES.PENDING },
+    {
+      $set: {
+        status: TRANSACTION_STATUSES.FAILED,
+        failureReason,
+        providerReference: result.providerReference,
+        processedAt: now,
+        raw: result.raw
+      }
+    },
+    { new: true }
+  );
+
+  if (transaction) {
+    await Order.updateOne(
+      { reference, status: ORDER_STATUSES.PENDING },
+      { $set: { status: ORDER_STATUSES.FAILED } }
+    );
+  }
+
+  return Order.findOne({ reference });
+};
+
+/**
+ * Applies a provider's verdict on a payment. State changes are conditional
+ * on the transaction still being pending, so a payment reported by both a
+ * webhook and a verify call is settled and fulfilled exactly once.
+ */
+const settlePayment = async (reference, result) => {
+  const order = await Order.findOne({ reference });
+  if (!order) {
+    return null;
+  }
+
+  if (result.status === 'failed') {
+    return failPayment(reference, 'Payment was declined by the provider', result);
+  }
+
+  if (result.status !== 'success') {
+    return order;
+  }
+
+  if (result.amount !== order.amount || (result.currency && result.currency !== order.currency)) {
+    return failPayment(
+      reference,
+      `Paid ${result.amount} ${result.currency || ''} does not match the order total of ${order.amount} ${order.currency}`.trim(),
+      result
+    );
+  }
+
+  const now = new Date();
+  const transaction = await Transaction.findOneAndUpdate(
+    { reference, status: TRANSACTION_STATUSES.PENDING },
+    {
+      $set: {
+        status: TRANSACTION_STATUSES.SUCCESS,
+        providerReference: result.providerReference,
+        processedAt: now,
+        raw: result.raw
+      }
+    },
+    { new: true }
+  );
+
+  if (!transaction) {
+    return order;
+  }
+
+  const paidOrder = await Order.findOneAndUpdate(
+    { reference, status: ORDER_STATUSES.PENDING },
+    { $set: { status: ORDER_STATUSES.PAID, paidAt: now } },
+    { new: true }
+  );
+
+  if (!paidOrder) {
+    return Order.findOne({ reference });
+  }
+
+  await fulfillOrder(paidOrder);
+  await sendPaymentConfirmation(paidOrder);
+
+  return paidOrder;
+};
+
+const getPaymentProviders = () => ({
+  success: true,
+  defaultProvider: env.payments.defaultProvider,
+  providers: getEnabledProviders(),
+  purposes: Object.values(PAYMENT_PURPOSES)
+});
+
+const createOrder = async (user, data = {}) => {
+  const handler = PURPOSE_HANDLERS[data.purpose];
+  if (!handler) {
+    throw new AppError(`Purpose must be one of: ${Object.values(PAYMENT_PURPOSES).join(', ')}`, 400);
+  }
+
+  const gateway = getGateway(data.provider || env.payments.defaultProvider);
+  const quote = await handler.quote(user, data.metadata);
+  const reference = generateReference();
+
+  const order = await Order.create({
+    reference,
+    user: user._id,
+    purpose: data.purpose,
+    description: quote.description,
+    amount: quote.amount,
+    currency: env.payments.currency,
+    provider: gateway.name,
+    metadata: quote.metadata
+  });
+
+  let checkout;
+  try {
+    checkout = await gateway.initializePayment({
+      reference,
+      amount: order.amount,
+      currency: order.currency,
+      email: user.email,
+      callbackUrl: env.payments.callbackUrl,
+      metadata: { orderId: order._id.toString(), purpose: order.purpose }
+    });
+  } catch (error) {
+    order.status = ORDER_STATUSES.FAILED;
+    await order.save();
+    throw new AppError(`Could not start payment with ${gateway.name}: ${error.message}`, 502);
+  }
+
+  await Transaction.create({
+    order: order._id,
+    reference,
+    provider: gateway.name,
+    providerReference: checkout.providerReference,
+    amount: order.amount,
+    currency: order.currency
+  });
+
+  order.authorizationUrl = checkout.authorizationUrl;
+  await order.save();
+
+  return {
+    success: true,
+    message: 'Order created',
+    order,
+    authorizationUrl: checkout.authorizationUrl
+  };
+};
+
+/**
+ * Processes a provider webhook. Unsigned deliveries are rejected; each
+ * provider event is recorded once and a redelivery of an event that was
+ * already processed is acknowledged without side effects. Events about an
+ * order placed with another provider are recorded but never settle it.
+ */
+const handleWebhook = async (provider, { rawBody, headers, body }) => {
+  const gateway = getGateway(provider);
+
+  if (!gateway.verifyWebhookSignature(rawBody, headers)) {
+    throw new AppError('Invalid webhook signature', 401);
+  }
+
+  const event = gateway.parseWebhookEvent(body);
+  if (!event.eventId) {
+    throw new AppError('Webhook event has no identifier', 400);
+  }
+
+  let paymentEvent;
+  try {
+    paymentEvent = await PaymentEvent.create({
+      provider: gateway.name,
+      eventId: event.eventId,
+      type: event.type,
+      reference: event.reference,
+      payload: event.raw
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    paymentEvent = await PaymentEvent.findOne({ provider: gateway.name, eventId: event.eventId });
+    if (paymentEvent?.processedAt) {
+      return { success: true, duplicate: true };
+    }
+  }
+
+  let order = null;
+  if (event.type !== PAYMENT_EVENT_TYPES.IGNORED && event.reference) {
+    order = await Order.findOne({ reference: event.reference });
+  }
+
+  if (order && order.provider !== gateway.name) {
+    console.warn(`Ignoring ${gateway.name} webhook for order ${order.reference} placed with ${order.provider}`);
+    order = null;
+  } else if (order) {
+    order = await settlePayment(order.reference, {
+      status: event.type === PAYMENT_EVENT_TYPES.SUCCEEDED ? 'success' : 'failed',
+      amount: event.amount,
+      currency: event.currency,
+      providerReference: event.providerReference,
+      raw: event.raw
+    });
+  }
+
+  paymentEvent.processedAt = new Date();
+  await paymentEvent.save();
+
+  return {
+    success: true,
+    duplicate: false,
+    status: order?.status || null
+  };
+};
+
+const loadOrder = async (user, reference) => {
+  const order = await Order.findOne({ reference });
+
+  if (!order || (!isStaff(user) && order.user !== String(user._id))) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return order;
+};
+
+const getOrder = async (user, reference) => {
+  const order = await loadOrder(user, reference);
+  const transactions = await Transaction.find({ order: order._id }).select('-raw').sort({ createdAt: -1 });
+
+  return {
+    success: true,
+    order,
+    transactions
+  };
+};
+
+/**
+ * Asks the provider for the current state of a pending order, for when the
+ * buyer returns from checkout before the webhook has arrived.
+ */
+const verifyOrder = async (user, reference) => {
+  let order = await loadOrder(user, reference);
+
+  if (order.status === ORDER_STATUSES.PENDING) {
+    const result = await getGateway(order.provider).verifyPayment(reference);
+    order = await settlePayment(reference, result);
+  }
+
+  return {
+    success: true,
+    order
+  };
+};
+
+const listOrders = async (user, query = {}) => {
+  const page = Number(query.page) > 0 ? Number(query.page) : 1;
+  const limit = Number(query.limit) > 0 ? Math.min(Number(query.limit), 100) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+
+  if (isStaff(user) && query.user) {
+    filters.user = query.user;
+  } else if (!isStaff(user) || query.mine === 'true') {
+    filters.user = user._id;
+  }
+
+  if (query.status && Object.values(ORDER_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  if (query.purpose && Object.values(PAYMENT_PURPOSES).includes(query.purpose)) {
+    filters.purpose = query.purpose;
+  }
+
+  const [total, orders] = await Promise.all([
+    Order.countDocuments(filters),
+    Order.find(filters)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  return {
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    orders
+  };
+};
+
+/**
+ * Completes a fake-gateway checkout by delivering a signed webhook through
+ * the same path real providers use. Never available in production, whatever
+ * the gateway settings say.
+ */
+const completeFakeCheckout = async (user, reference, { succeed = true } = {}) => {
+  if (env.isProduction) {
+    throw new AppError('Fake checkout is not available in production', 403);
+  }
+
+  const gateway = getGateway(PAYMENT_PROVIDERS.FAKE);
+  const order = await loadOrder(user, reference);
+
+  if (order.provider !== PAYMENT_PROVIDERS.FAKE) {
+    throw new AppError('Order was not placed with the fake gateway', 400);
+  }
+
+  if (order.status !== ORDER_STATUSES.PENDING) {
+    throw new AppError(`Order is already ${order.status}`, 409);
+  }
+
+  const { rawBody, headers } = gateway.simulateCheckout({
+    reference,
+    amount: order.amount,
+    currency: order.currency,
+    succeed: succeed !== false && succeed !== 'false'
+  });
+
+  await handleWebhook(PAYMENT_PROVIDERS.FAKE, {
+    rawBody,
+    headers,
+    body: JSON.parse(rawBody.toString())
+  });
+
+  return {
+    success: true,
+    order: await Order.findOne({ reference })
+  };
+};
+
+module.exports = {
+  getPaymentProviders,
+  createOrder,
+  handleWebhook,
+  settlePayment,
+  getOrder,
+  verifyOrder,
+  listOrders,
+  completeFakeCheckout
+};
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PhoneVerification = require('../models/PhoneVerification');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const { getSmsProvider } = require('./smsProviders');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+
+const HOUR_MS = 60 * 60 * 1000;
+const STAFF_ROLES = ['agent', 'supervisor'];
+
+const config = env.phoneVerification;
+
+/**
+ * Normalizes to +<country code><number>. Local numbers starting with 0 get
+ * the default country code. Returns null when it does not look like a phone
+ * number.
+ */
+const normalizePhone = (value) => {
+  let phone = String(value || '').trim().replace(/[\s().-]/g, '');
+
+  if (phone.startsWith('00')) {
+    phone = `+${phone.slice(2)}`;
+  } else if (phone.startsWith('0')) {
+    phone = `+${config.defaultCountryCode}${phone.slice(1)}`;
+  } else if (!phone.startsWith('+')) {
+    phone = `+${phone}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(phone) ? phone : null;
+};
+
+const maskPhone = (phone) => `${phone.slice(0, 4)}${'*'.repeat(Math.max(phone.length - 8, 0))}${phone.slice(-4)}`;
+
+// Bound to the user and number so a code cannot verify anything else
+const hashCode = (userId, phone, code) => crypto
+  .createHash('sha256')
+  .update(`${userId}:${phone}:${code}`)
+  .digest('hex');
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** config.codeLength)).padStart(config.codeLength, '0');
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+// Throws 429 while the cooldown runs or the hourly allowance is used up
+const assertCanSend = (verification, now) => {
+  if (!verification) {
+    return;
+  }
+
+  const resendAt = new Date(verification.lastSentAt.getTime() + config.resendCooldownSeconds * 1000);
+  if (resendAt > now) {
+    throw new AppError(
+      `Please wait ${secondsUntil(resendAt)} seconds before requesting another code`,
+      429
+    );
+  }
+
+  const windowEndsAt = new Date(verification.sendWindowStartedAt.getTime() + HOUR_MS);
+  if (windowEndsAt > now && verification.sendCount >= config.maxSendsPerHour) {
+    throw new AppError(
+      `Too many codes requested. Try again in ${Math.ceil(secondsUntil(windowEndsAt) / 60)} minutes.`,
+      429
+    );
+  }
+};
+
+/**
+ * Texts a one-time code to `phone`, or to the number on the profile. The
+ * number only becomes the account's phone once the code is verified.
+ */
+const sendVerificationCode = async (user, payload = {}) => {
+  const rawPhone = payload.phone || user.phone || user.profile?.phoneNumber;
+  if (!rawPhone) {
+    throw new AppError('Phone number is required', 400);
+  }
+
+  const phone = normalizePhone(rawPhone);
+  if (!phone) {
+    throw new AppError('Please provide a valid phone number', 400);
+  }
+
+  if (user.isPhoneVerified && user.phone === phone) {
+    throw new AppError('This phone number is already verified', 409);
+  }
+
+  const takenBy = await User.exists({
+    _id: { $ne: user._id },
+    phone,
+    isPhoneVerified: true,
+    deletedAt: null
+  });
+  if (takenBy) {
+    throw new AppError('This phone number is verified on another account', 409);
+  }
+
+  // Fails with 503 before a code is stored when no provider is usable
+  const smsProvider = getSmsProvider();
+
+  const userId = String(user._id);
+  const now = new Date();
+  const existing = await PhoneVerification.findOne({ user: userId });
+  assertCanSend(existing, now);
+
+  const windowExpired = !existing || existing.sendWindowStartedAt.getTime() + HOUR_MS <= now.getTime();
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + config.codeTtlMinutes * 60 * 1000);
+
+  await PhoneVerification.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: {
+        phone,
+        codeHash: hashCode(userId, phone, code),
+        expiresAt,
+        attempts: 0,
+        lastSentAt: now,
+        sendWindowStartedAt: windowExpired ? now : existing.sendWindowStartedAt,
+        sendCount: windowExpired ? 1 : existing.sendCount + 1
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    await smsProvider.sendSms({
+      to: phone,
+      message: `Your ${env.productName} verification code is ${code}. It expires in ${config.codeTtlMinutes} minutes.`
+    });
+  } catch (error) {
+    console.error('Failed to send verification SMS:', error.message);
+    throw new AppError('Failed to send verification code', 502);
+  }
+
+  return {
+    success: true,
+    message: `Verification code sent to ${maskPhone(phone)}`,
+    phone: maskPhone(phone),
+    expiresAt,
+    resendAvailableAt: new Date(now.getTime() + config.resendCooldownSeconds * 1000)
+  };
+};
+
+const verifyCode = async (user, payload = {}) => {
+  const code = String(payload.code || '').trim();
+  if (!code) {
+    throw new AppError('Verification code is required', 400);
+  }
+
+  const userId = String(user._id);
+  const verification = await PhoneVerification.findOne({ user: userId }).select('+codeHash');
+
+  if (!verification || !verification.codeHash) {
+    throw new AppError('No verification code is pending. Request a new one.', 400);
+  }
+
+  if (verification.expiresAt <= new Date()) {
+    throw new AppError('Verification code has expired. Request a new one.', 400);
+  }
+
+  if (verification.attempts >= config.maxAttempts) {
+    throw new AppError('Too many incorrect attempts. Request a new code.', 429);
+  }
+
+  const expected = Buffer.from(verification.codeHash);
+  const actual = Buffer.from(hashCode(userId, verification.phone, code));
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const updated = await PhoneVerification.findOneAndUpdate(
+      { _id: verification._id },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const attemptsRemaining = Math.max(config.maxAttempts - (updated?.attempts || config.maxAttempts), 0);
+
+    throw new AppError(
+      attemptsRemaining
+        ? `Invalid verification code. ${attemptsRemaining} attempts remaining.`
+        : 'Invalid verification code. Request a new code.',
+      400
+    );
+  }
+
+  // Only one request can use the code
+  const consumed = await PhoneVerification.findOneAndUpdate(
+    { _id: verification._id, codeHash: verification.codeHash },
+    { $unset: { codeHash: '' } }
+  );
+  if (!consumed) {
+    throw new AppError('No verification code is pending. Request a new one.', 400);
+  }
+
+  const verifiedAt = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { phone: verification.phone, isPhoneVerified: true, phoneVerifiedAt: verifiedAt } }
+  );
+
+  try {
+    await notificationService.createNotification({
+      userId,
+      title: 'Phone number verified',
+      message: `${maskPhone(verification.phone)} is now verified on your account`,
+      notificationType: NOTIFICATION_TYPES.PHONE_VERIFIED,
+      priority: NOTIFICATION_PRIORITIES.NORMAL
+    });
+  } catch (error) {
+    console.warn('Failed to send phone verified notification:', error.message);
+  }
+
+  return {
+    success: true,
+    message: 'Phone number verified',
+    phone: verification.phone,
+    isPhoneVerified: true,
+    phoneVerifiedAt: verifiedAt
+  };
+};
+
+/**
+ * With LISTINGS_REQUIRE_VERIFIED_PHONE on, listings of owners without a
+ * verified phone cannot enter review or go live. Staff accounts are exempt.
+ */
+const assertCanPublishListings = async (owner) => {
+  if (!config.requiredForListings) {
+    return;
+  }
+
+  const ownerDoc = owner && owner.role !== undefined && owner.isPhoneVerified !== undefined
+    ? owner
+    : await User.findById(owner?._id || owner).select('role isPhoneVerified');
+
+  if (!ownerDoc || STAFF_ROLES.includes(ownerDoc.role) || ownerDoc.isPhoneVerified) {
+    return;
+  }
+
+  throw new AppError('Verify your phone number before publishing listings', 403);
+};
+
+module.exports = {
+  normalizePhone,
+  sendVerificationCode,
+  verifyCode,
+  assertCanPublishListings
+};
@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const { validate: isUuid } = require('uuid');
+const { Review, ReviewReport } = require('../models/Review');
+const { Conversation, Message } = require('../models/Conversation');
+const User = require('../models/User');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const { findConfirmedSale } = require('./saleService');
+const { AppError } = require('../middleware/errorHandler');
+const { emitModerationEvent } = require('../utils/socketHandler');
+const { MESSAGE_TYPES } = require('../utils/enums/conversationEnums');
+const {
+  REVIEW_STATUSES,
+  REVIEW_BASES,
+  REVIEW_REPORT_REASONS,
+  REVIEW_REPORT_STATUSES
+} = require('../utils/enums/reviewEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+
+const PUBLIC_USER_FIELDS = 'role profile businessProfile avatar';
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+// User IDs are UUIDs, not ObjectIds
+const assertValidSellerId = (sellerId) => {
+  if (!isUuid(sellerId)) {
+    throw new AppError('Invalid seller ID', 400);
+  }
+};
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+const sendReviewNotification = async (userId, { notificationType, title, message, review, priority = NOTIFICATION_PRIORITIES.NORMAL }) => {
+  try {
+    if (!(await notificationService.isNotificationEnabled(userId, 'app_account_updates'))) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      userId,
+      title,
+      message,
+      notificationType,
+      priority,
+      extraData: {
+        reviewId: review._id.toString(),
+        sellerId: review.seller,
+        rating: review.rating
+      },
+      actionUrl: `${env.app.frontendUrl}/users/${review.seller}/reviews`,
+      actionText: 'View review'
+    });
+  } catch (error) {
+    console.warn(`Failed to send ${notificationType} notification:`, error.message);
+  }
+};
+
+/**
+ * Recomputes the seller's average rating and review count from published
+ * reviews and stores it on the user, where profiles and listing populates
+ * read it.
+ */
+const refreshSellerRating = async (sellerId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { seller: String(sellerId), status: REVIEW_STATUSES.PUBLISHED } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const sellerRating = {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary?.count || 0
+  };
+
+  await User.updateOne({ _id: String(sellerId) }, { $set: { sellerRating } });
+
+  return sellerRating;
+};
+
+/**
+ * A buyer may review a seller after a confirmed purchase from them or after
+ * a direct conversation in which both of them wrote something.
+ */
+const resolveReviewBasis = async (reviewerId, sellerId) => {
+  const sale = await findConfirmedSale(reviewerId, sellerId);
+  if (sale) {
+    return { basis: REVIEW_BASES.SALE, sale: sale._id };
+  }
+
+  // Each listing they talked about has its own thread; any one will do
+  const conversationIds = await Conversation.find({
+    participants: { $all: [reviewerId, sellerId], $size: 2 }
+  }).distinct('_id');
+
+  for (const conversationId of conversationIds) {
+    const [fromReviewer, fromSeller] = await Promise.all([
+      Message.exists({ conversation: conversationId, sender: reviewerId, messageType: { $ne: MESSAGE_TYPES.SYSTEM } }),
+      Message.exists({ conversation: conversationId, sender: sellerId, messageType: { $ne: MESSAGE_TYPES.SYSTEM } })
+    ]);
+
+    if (fromReviewer && fromSeller) {
+      return { basis: REVIEW_BASES.CONVERSATION, conversation: conversationId };
+    }
+  }
+
+  return null;
+};
+
+const loadReview = async (reviewId) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+    throw new AppError('Review not found', 404);
+  }
+
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+
+  return review;
+};
+
+const getReviewEligibility = async (user, sellerId) => {
+  if (!sellerId) {
+    throw new AppError('A seller is required', 400);
+  }
+
+  assertValidSellerId(String(sellerId));
+
+  const reviewerId = String(user._id);
+  const [existing, basis] = await Promise.all([
+    Review.findOne({ seller: String(sellerId), reviewer: reviewerId }).select('_id'),
+    reviewerId === String(sellerId) ? null : resolveReviewBasis(reviewerId, String(sellerId))
+  ]);
+
+  return {
+    success: true,
+    eligible: !existing && Boolean(basis),
+    basis: basis?.basis || null,
+    reviewId: existing?._id || null
+  };
+};
+
+const createReview = async (user, data = {}) => {
+  const sellerId = data.seller ? String(data.seller) : null;
+  const reviewerId = String(user._id);
+
+  if (!sellerId) {
+    throw new AppError('A seller is required', 400);
+  }
+
+  assertValidSellerId(sellerId);
+
+  if (sellerId === reviewerId) {
+    throw new AppError('You cannot review yourself', 400);
+  }
+
+  const rating = Number(data.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new AppError('Rating must be a whole number from 1 to 5', 400);
+  }
+
+  const seller = await User.findOne({ _id: sellerId, deletedAt: null }).select('_id');
+  if (!seller) {
+    throw new AppError('Seller not found', 404);
+  }
+
+  const basis = await resolveReviewBasis(reviewerId, sellerId);
+  if (!basis) {
+    throw new AppError('You can review a seller after a conversation or a confirmed purchase with them', 403);
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      seller: sellerId,
+      reviewer: reviewerId,
+      rating,
+      comment: data.comment,
+      ...basis
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new AppError('You have already reviewed this seller', 409);
+    }
+    throw error;
+  }
+
+  const sellerRating = await refreshSellerRating(sellerId);
+
+  await sendReviewNotification(sellerId, {
+    notificationType: NOTIFICATION_TYPES.REVIEW_RECEIVED,
+    title: 'You received a new review',
+    message: `${user.displayName || 'A buyer'} rated you ${rating} out of 5.`,
+    review
+  });
+
+  return {
+    success: true,
+    message: 'Review published',
+    review,
+    sellerRating
+  };
+};
+
+const listReviews = async (user, query = {}) => {
+  if (!query.seller) {
+    throw new AppError('A seller is required', 400);
+  }
+
+  const page = Number(query.page) > 0 ? Number(query.page) : 1;
+  const limit = Number(query.limit) > 0 ? Math.min(Number(query.limit), 50) : 20;
+  const sellerId = String(query.seller);
+  assertValidSellerId(sellerId);
+
+  const filters = { seller: sellerId, status: REVIEW_STATUSES.PUBLISHED };
+  if (isStaff(user) && Object.values(REVIEW_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  const rating = Number(query.rating);
+  if (Number.isInteger(rating) && rating >= 1 && rating <= 5) {
+    filters.rating = rating;
+  }
+
+  const [total, reviews, distribution, seller] = await Promise.all([
+    Review.countDocuments(filters),
+    Review.find(filters)
+      .populate('reviewer', PUBLIC_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.aggregate([
+      { $match: { seller: sellerId, status: REVIEW_STATUSES.PUBLISHED } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]),
+    User.findById(sellerId).select('sellerRating')
+  ]);
+
+  const counts = Object.fromEntries(distribution.map(({ _id, count }) => [_id, count]));
+
+  return {
+    success: true,
+    rating: {
+      average: seller?.sellerRating?.average || 0,
+      count: seller?.sellerRating?.count || 0,
+      distribution: [5, 4, 3, 2, 1].map((stars) => ({ stars, count: counts[stars] || 0 }))
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit) || 1
+    },
+    reviews
+  };
+};
+
+const replyToReview = async (user, reviewId, data = {}) => {
+  const content = typeof data.content === 'string' ? data.content.trim() : '';
+  if (!content) {
+    throw new AppError('Reply content is required', 400);
+  }
+
+  const review = await loadReview(reviewId);
+  if (review.seller !== String(user._id)) {
+    throw new AppError('Only the reviewed seller can reply', 403);
+  }
+
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, seller: String(user._id), reply: { $exists: false } },
+    { $set: { reply: { content, createdAt: new Date() } } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError('You have already replied to this review', 409);
+  }
+
+  await sendReviewNotification(updated.reviewer, {
+    notificationType: NOTIFICATION_TYPES.REVIEW_REPLIED,
+    title: 'The seller replied to your review',
+    message: content.length > 140 ? `${content.slice(0, 137)}...` : content,
+    review: updated
+  });
+
+  return {
+    success: true,
+    message: 'Reply published',
+    review: updated
+  };
+};
+
+const reportReview = async (user, reviewId, data = {}) => {
+  if (!Object.values(REVIEW_REPORT_REASONS).includes(data.reason)) {
+    throw new AppError(`Reason must be one of: ${Object.values(REVIEW_REPORT_REASONS).join(', ')}`, 400);
+  }
+
+  const review = await loadReview(reviewId);
+  if (review.reviewer === String(user._id)) {
+    throw new AppError('You cannot report your own review', 400);
+  }
+
+  let report;
+  try {
+    report = await ReviewReport.create({
+      review: review._id,
+      reporter: String(user._id),
+      reason: data.reason,
+      details: data.details
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new AppError('You have already reported this review', 409);
+    }
+    throw error;
+  }
+
+  await Review.updateOne({ _id: review._id }, { $inc: { reportCount: 1 } });
+
+  emitModerationEvent('reviews:report', {
+    report: {
+      id: report._id.toString(),
+      review: review._id.toString(),
+      seller: review.seller,
+      reason: report.reason,
+      createdAt: report.createdAt
+    }
+  });
+
+  return {
+    success: true,
+    message: 'Thanks, our moderators will look into it',
+    report
+  };
+};
+
+const listReports = async (user, query = {}) => {
+  const status = Object.values(REVIEW_REPORT_STATUSES).includes(query.status)
+    ? query.status
+    : REVIEW_REPORT_STATUSES.OPEN;
+
+  const reports = await ReviewReport.find({ status })
+    .populate({
+      path: 'review',
+      populate: [
+        { path: 'reviewer', select: 'displayName email role' },
+        { path: 'seller', select: 'displayName email role' }
+      ]
+    })
+    .populate('reporter', 'displayName email role')
+    .sort({ createdAt: status === REVIEW_REPORT_STATUSES.OPEN ? 1 : -1 })
+    .limit(100);
+
+  return {
+    success: true,
+    reports
+  };
+};
+
+const setReviewStatus = async (user, review, status, notes) => {
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, status: { $ne: status } },
+    {
+      $set: {
+        status,
+        moderatedBy: String(user._id),
+        moderatedAt: new Date(),
+        moderationNotes: notes
+      }
+    },
+    { new: true }
+  );
+
+  if (updated) {
+    await refreshSellerRating(updated.seller);
+  }
+
+  return updated;
+};
+
+/**
+ * Closes a report. Hiding the review also closes every other open report on
+ * it and removes it from the seller's rating.
+ */
+const resolveReport = async (user, reportId, data = {}) => {
+  if (!['hide', 'dismiss'].includes(data.action)) {
+    throw new AppError('Action must be hide or dismiss', 400);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw new AppError('Report not found', 404);
+  }
+
+  const hide = data.action === 'hide';
+  const resolution = {
+    status: hide ? REVIEW_REPORT_STATUSES.ACTIONED : REVIEW_REPORT_STATUSES.DISMISSED,
+    resolvedBy: String(user._id),
+    resolvedAt: new Date(),
+    resolutionNotes: data.notes
+  };
+
+  const report = await ReviewReport.findOneAndUpdate(
+    { _id: reportId, status: REVIEW_REPORT_STATUSES.OPEN },
+    { $set: resolution },
+    { new: true }
+  );
+
+  if (!report) {
+    throw new AppError('Report not found or already resolved', 404);
+  }
+
+  if (hide) {
+    await ReviewReport.updateMany(
+      { review: report.review, status: REVIEW_REPORT_STATUSES.OPEN },
+      { $set: resolution }
+    );
+
+    const review = await Review.findById(report.review);
+    const hidden = review ? await setReviewStatus(user, review, REVIEW_STATUSES.HIDDEN, data.notes) : null;
+
+    if (hidden) {
+      await sendReviewNotification(hidden.reviewer, {
+        notificationType: NOTIFICATION_TYPES.REVIEW_HIDDEN,
+        title: 'Your review was removed',
+        message: 'A review you wrote was removed after moderation because it breaks our review guidelines.',
+        review: hidden,
+        priority: NOTIFICATION_PRIORITIES.HIGH
+      });
+    }
+  }
+
+  return {
+    success: true,
+    message: hide ? 'Review hidden' : 'Report dismissed',
+    report
+  };
+};
+
+const restoreReview = async (user, reviewId, data = {}) => {
+  const review = await loadReview(reviewId);
+  const restored = await setReviewStatus(user, review, REVIEW_STATUSES.PUBLISHED, data.notes);
+
+  if (!restored) {
+    throw new AppError('Review is already published', 409);
+  }
+
+  return {
+    success: true,
+    message: 'Review restored',
+    review: restored
+  };
+};
+
+module.exports = {
+  refreshSellerRating,
+  getReviewEligibility,
+  createReview,
+  listReviews,
+  replyToReview,
+  reportReview,
+  listReports,
+  resolveReport,
+  restoreReview
+};
@@ -0,0 +1,519 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Listing = require('../models/Listing');
+const Offer = require('../models/Offer');
+const { Conversation } = require('../models/Conversation');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const { postSystemMessage } = require('./conversationService');
+const { notifyListingSold } = require('./listingNotificationService');
+const { AppError } = require('../middleware/errorHandler');
+const { SALE_STATUSES } = require('../utils/enums/saleEnums');
+const { OFFER_STATUSES } = require('../utils/enums/offerEnums');
+const {
+  LISTING_STATUSES,
+  LISTING_AVAILABILITY_STATUSES
+} = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+
+const LISTING_POPULATE = { path: 'listing', select: 'title slug coverImage price currency availabilityStatus' };
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const formatPrice = (amount, currency = 'NGN') => `${currency} ${Number(amount).toLocaleString('en-NG')}`;
+
+const getSpecification = (listing, key) => {
+  const value = listing.specifications?.get?.(key) ?? listing.specifications?.[key];
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+};
+
+const buildVehicleSnapshot = (listing) => ({
+  category: listing.category,
+  make: getSpecification(listing, 'make')
+    || getSpecification(listing, 'manufacturer')
+    || listing.vinDetails?.manufacturer,
+  model: getSpecification(listing, 'model'),
+  year: listing.year,
+  mileage: listing.mileage,
+  condition: listing.condition,
+  bodyType: listing.bodyType,
+  fuelType: listing.fuelType,
+  transmission: listing.transmission,
+  state: listing.location?.state
+});
+
+const notifyParty = async (sale, userId, { notificationType, title, message, priority = NOTIFICATION_PRIORITIES.NORMAL }) => {
+  try {
+    if (!(await notificationService.isNotificationEnabled(userId, 'app_listing_updates'))) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      userId,
+      title,
+      message,
+      notificationType,
+      priority,
+      extraData: {
+        saleId: sale._id.toString(),
+        listingId: sale.listing.toString(),
+        price: sale.price,
+        currency: sale.currency,
+        status: sale.status
+      },
+      actionUrl: `${env.app.frontendUrl}/sales/${sale._id}`,
+      actionText: 'View sale'
+    });
+  } catch (error) {
+    console.warn(`Failed to send ${notificationType} notification:`, error.message);
+  }
+};
+
+const postSaleMessage = async (sale, actorId, content) => {
+  try {
+    await postSystemMessage(sale.conversation, actorId, content, {
+      saleId: sale._id.toString(),
+      listingId: sale.listing.toString(),
+      price: sale.price,
+      currency: sale.currency,
+      status: sale.status
+    });
+  } catch (error) {
+    console.warn('Failed to post sale message:', error.message);
+  }
+};
+
+// Puts the listing back the way it was before it was marked sold
+const restoreListingAvailability = (sale) => Listing.updateOne(
+  { _id: sale.listing, availabilityStatus: LISTING_AVAILABILITY_STATUSES.PENDING },
+  {
+    $set: {
+      availabilityStatus: sale.previousAvailabilityStatus || LISTING_AVAILABILITY_STATUSES.AVAILABLE
+    }
+  }
+);
+
+const loadSale = async (user, saleId) => {
+  if (!mongoose.Types.ObjectId.isValid(saleId)) {
+    throw new AppError('Sale not found', 404);
+  }
+
+  const sale = await Sale.findById(saleId);
+  const userId = String(user._id);
+
+  if (!sale || (!isStaff(user) && sale.buyer !== userId && sale.seller !== userId)) {
+    throw new AppError('Sale not found', 404);
+  }
+
+  return sale;
+};
+
+/**
+ * Resolves the buyer from a two-person conversation the seller is part of.
+ * Only someone the seller has actually talked to can be recorded as buyer.
+ */
+const resolveBuyer = async (sellerId, conversationId, listingId) => {
+  if (!conversationId || !mongoose.Types.ObjectId.isValid(conversationId)) {
+    throw new AppError('A conversation with the buyer is required', 400);
+  }
+
+  // Only a conversation about this listing can name its buyer
+  const conversation = await Conversation.findOne({ _id: conversationId, listing: listingId }).select('participants');
+  const participants = (conversation?.participants || []).map(String);
+
+  if (!conversation || !participants.includes(sellerId)) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  if (participants.length !== 2) {
+    throw new AppError('Sales can only be recorded with a direct conversation partner', 400);
+  }
+
+  return {
+    conversation,
+    buyerId: participants.find((participantId) => participantId !== sellerId)
+  };
+};
+
+const markListingSold = async (user, data = {}) => {
+  if (!data.listing) {
+    throw new AppError('A listing is required', 400);
+  }
+
+  const listing = await Listing.findOne(buildListingLookup(data.listing));
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  const sellerId = String(listing.owner);
+  if (!isStaff(user) && sellerId !== String(user._id)) {
+    throw new AppError('You do not have permission to sell this listing', 403);
+  }
+
+  if (listing.status !== LISTING_STATUSES.PUBLISHED) {
+    throw new AppError('Only published listings can be marked as sold', 409);
+  }
+
+  if (listing.availabilityStatus === LISTING_AVAILABILITY_STATUSES.SOLD) {
+    throw new AppError('Listing is already sold', 409);
+  }
+
+  let offer = null;
+  if (data.offer) {
+    offer = mongoose.Types.ObjectId.isValid(data.offer)
+      ? await Offer.findOne({ _id: data.offer, listing: listing._id, status: OFFER_STATUSES.ACCEPTED })
+      : null;
+    if (!offer) {
+      throw new AppError('Accepted offer not found for this listing', 404);
+    }
+  }
+
+  const { conversation, buyerId } = await resolveBuyer(
+    sellerId,
+    data.conversation || offer?.conversation,
+    listing._id
+  );
+  if (offer && offer.buyer !== buyerId) {
+    throw new AppError('The offer was made by a different buyer', 400);
+  }
+
+  const price = Number(data.price ?? offer?.amount);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new AppError('Final price must be a positive number', 400);
+  }
+
+  let sale;
+  try {
+    sale = await Sale.create({
+      listing: listing._id,
+      seller: sellerId,
+      buyer: buyerId,
+      conversation: conversation._id,
+      offer: offer?._id || null,
+      price,
+      currency: listing.currency,
+      listingPrice: listing.price,
+      vehicle: buildVehicleSnapshot(listing),
+      previousAvailabilityStatus: listing.availabilityStatus
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new AppError('This listing already has a sale awaiting buyer confirmation', 409);
+    }
+    throw error;
+  }
+
+  // Hold the listing while the buyer confirms
+  await Listing.updateOne(
+    { _id: listing._id },
+    { $set: { availabilityStatus: LISTING_AVAILABILITY_STATUSES.PENDING } }
+  );
+
+  const summary = `Marked "${listing.title}" as sold for ${formatPrice(price, sale.currency)}`;
+  await postSaleMessage(sale, user._id, `${summary}. Please confirm the purchase.`);
+  await notifyParty(sale, buyerId, {
+    notificationType: NOTIFICATION_TYPES.SALE_CONFIRMATION_REQUESTED,
+    title: 'Please confirm your purchase',
+    message: `${summary} to you. Confirm the purchase so it appears on your record.`,
+    priority: NOTIFICATION_PRIORITIES.HIGH
+  });
+
+  return {
+    success: true,
+    message: 'Sale recorded. Waiting for the buyer to confirm.',
+    sale
+  };
+};
+
+const confirmSale = async (user, saleId) => {
+  const sale = await loadSale(user, saleId);
+
+  if (sale.buyer !== String(user._id)) {
+    throw new AppError('Only the buyer can confirm this sale', 403);
+  }
+
+  const now = new Date();
+  const confirmed = await Sale.findOneAndUpdate(
+    { _id: sale._id, status: SALE_STATUSES.PENDING_CONFIRMATION },
+    { $set: { status: SALE_STATUSES.CONFIRMED, confirmedAt: now } },
+    { new: true }
+  );
+
+  if (!confirmed) {
+    throw new AppError(`Sale is already ${sale.status.replace('_', ' ')}`, 409);
+  }
+
+  const listing = await Listing.findByIdAndUpdate(
+    confirmed.listing,
+    {
+      $set: {
+        availabilityStatus: LISTING_AVAILABILITY_STATUSES.SOLD,
+        soldAt: now,
+        sale: confirmed._id
+      }
+    },
+    { new: true }
+  ).select('title slug owner');
+
+  const listingTitle = listing?.title || 'the listing';
+  await postSaleMessage(confirmed, user._id, `Confirmed the purchase of "${listingTitle}"`);
+  await notifyParty(confirmed, confirmed.seller, {
+    notificationType: NOTIFICATION_TYPES.SALE_CONFIRMED,
+    title: 'Sale confirmed',
+    message: `The buyer confirmed the purchase of "${listingTitle}" for ${formatPrice(confirmed.price, confirmed.currency)}.`,
+    priority: NOTIFICATION_PRIORITIES.HIGH
+  });
+
+  if (listing) {
+    await notifyListingSold(listing, { buyerId: confirmed.buyer });
+  }
+
+  return {
+    success: true,
+    message: 'Purchase confirmed',
+    sale: confirmed
+  };
+};
+
+const declineSale = async (user, saleId, data = {}) => {
+  const sale = await loadSale(user, saleId);
+
+  if (sale.buyer !== String(user._id)) {
+    throw new AppError('Only the buyer can decline this sale', 403);
+  }
+
+  const declined = await Sale.findOneAndUpdate(
+    { _id: sale._id, status: SALE_STATUSES.PENDING_CONFIRMATION },
+    { $set: { status: SALE_STATUSES.DECLINED, declinedAt: new Date(), declineReason: data.reason } },
+    { new: true }
+  );
+
+  if (!declined) {
+    throw new AppError(`Sale is already ${sale.status.replace('_', ' ')}`, 409);
+  }
+
+  await restoreListingAvailability(declined);
+
+  const reason = data.reason ? `: "${data.reason}"` : '';
+  await postSaleMessage(declined, user._id, `Declined the sale${reason}`);
+  await notifyParty(declined, declined.seller, {
+    notificationType: NOTIFICATION_TYPES.SALE_DECLINED,
+    title: 'Sale declined',
+    message: `The buyer did not confirm the sale at ${formatPrice(declined.price, declined.currency)}${reason}. The listing is available again.`,
+    priority: NOTIFICATION_PRIORITIES.HIGH
+  });
+
+  return {
+    success: true,
+    message: 'Sale declined',
+    sale: declined
+  };
+};
+
+const cancelSale = async (user, saleId) => {
+  const sale = await loadSale(user, saleId);
+
+  if (!isStaff(user) && sale.seller !== String(user._id)) {
+    throw new AppError('Only the seller can cancel this sale', 403);
+  }
+
+  const cancelled = await Sale.findOneAndUpdate(
+    { _id: sale._id, status: SALE_STATUSES.PENDING_CONFIRMATION },
+    { $set: { status: SALE_STATUSES.CANCELLED, cancelledAt: new Date() } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    throw new AppError(`Sale is already ${sale.status.replace('_', ' ')}`, 409);
+  }
+
+  await restoreListingAvailability(cancelled);
+
+  await postSaleMessage(cancelled, user._id, 'Cancelled the sale');
+  await notifyParty(cancelled, cancelled.buyer, {
+    notificationType: NOTIFICATION_TYPES.SALE_CANCELLED,
+    title: 'Sale cancelled',
+    message: `The seller cancelled the sale at ${formatPrice(cancelled.price, cancelled.currency)}.`
+  });
+
+  return {
+    success: true,
+    message: 'Sale cancelled',
+    sale: cancelled
+  };
+};
+
+const listSales = async (user, query = {}) => {
+  const userId = String(user._id);
+  const filters = {};
+
+  if (query.role === 'buyer') {
+    filters.buyer = userId;
+  } else if (query.role === 'seller') {
+    filters.seller = userId;
+  } else {
+    filters.$or = [{ buyer: userId }, { seller: userId }];
+  }
+
+  if (query.status && Object.values(SALE_STATUSES).includes(query.status)) {
+    filters.status = query.status;
+  }
+
+  const sales = await Sale.find(filters)
+    .populate(LISTING_POPULATE)
+    .populate('buyer', 'displayName email')
+    .populate('seller', 'displayName email')
+    .sort({ createdAt: -1 });
+
+  return {
+    success: true,
+    sales
+  };
+};
+
+const getSale = async (user, saleId) => {
+  const sale = await loadSale(user, saleId);
+
+  await sale.populate([
+    LISTING_POPULATE,
+    { path: 'buyer', select: 'displayName email' },
+    { path: 'seller', select: 'displayName email' }
+  ]);
+
+  return {
+    success: true,
+    sale
+  };
+};
+
+const median = (values) => {
+  if (!values.length) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const buildAnalyticsFilters = (query) => {
+  const filters = { status: SALE_STATUSES.CONFIRMED };
+
+  if (query.category && mongoose.Types.ObjectId.isValid(query.category)) {
+    filters['vehicle.category'] = new mongoose.Types.ObjectId(query.category);
+  }
+
+  ['make', 'model', 'bodyType', 'fuelType', 'transmission', 'condition', 'state'].forEach((field) => {
+    if (query[field]) {
+      filters[`vehicle.${field}`] = new RegExp(`^${String(query[field]).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    }
+  });
+
+  if (query.year) {
+    filters['vehicle.year'] = Number(query.year);
+  } else if (query.minYear || query.maxYear) {
+    filters['vehicle.year'] = {
+      ...(query.minYear ? { $gte: Number(query.minYear) } : {}),
+      ...(query.maxYear ? { $lte: Number(query.maxYear) } : {})
+    };
+  }
+
+  if (query.months) {
+    const months = Math.min(Math.max(Number.parseInt(query.months, 10) || 12, 1), 60);
+    const since = new Date();
+    since.setMonth(since.getMonth() - months);
+    filters.confirmedAt = { $gte: since };
+  }
+
+  return filters;
+};
+
+/**
+ * Summarises confirmed sale prices per currency for vehicles matching the
+ * query. Samples smaller than `SALES_ANALYTICS_MIN_SAMPLE` only report their
+ * size so a single sale price cannot be read back from the statistics; for
+ * the same reason the cheapest and dearest sales are never reported.
+ */
+const getPriceAnalytics = async (query = {}) => {
+  const groups = await Sale.aggregate([
+    { $match: buildAnalyticsFilters(query) },
+    {
+      $group: {
+        _id: '$currency',
+        count: { $sum: 1 },
+        prices: { $push: '$price' },
+        average: { $avg: '$price' },
+        averageDiscount: {
+          $avg: {
+            $cond: [
+              { $gt: ['$listingPrice', 0] },
+              { $divide: [{ $subtract: ['$listingPrice', '$price'] }, '$listingPrice'] },
+              null
+            ]
+          }
+        },
+        lastSoldAt: { $max: '$confirmedAt' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const minSample = env.sales.analyticsMinSample;
+
+  return {
+    success: true,
+    minSample,
+    analytics: groups.map((group) => {
+      if (group.count < minSample) {
+        return { currency: group._id, count: group.count, sufficient: false };
+      }
+
+      return {
+        currency: group._id,
+        count: group.count,
+        sufficient: true,
+        averagePrice: round(group.average),
+        medianPrice: median(group.prices),
+        averageDiscountPercent: group.averageDiscount === null ? null : round(group.averageDiscount * 100),
+        lastSoldAt: group.lastSoldAt
+      };
+    })
+  };
+};
+
+// The most recent confirmed purchase between two users; reviews build on it
+const findConfirmedSale = (buyerId, sellerId) => Sale.findOne({
+  buyer: String(buyerId),
+  seller: String(sellerId),
+  status: SALE_STATUSES.CONFIRMED
+})
+  .sort({ confirmedAt: -1 })
+  .select('_id listing confirmedAt');
+
+module.exports = {
+  markListingSold,
+  confirmSale,
+  declineSale,
+  cancelSale,
+  listSales,
+  getSale,
+  getPriceAnalytics,
+  findConfirmedSale
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const env = require('../config/env');
+const { generateToken } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { SESSION_REVOCATION_REASONS } = require('../utils/enums/sessionEnums');
+const { describeDevice } = require('../utils/helpers/authHelper');
+const { disconnectUserSockets } = require('../utils/socketHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rotated hashes remembered per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const createRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + env.jwt.refreshTtlDays * DAY_MS);
+
+const buildTokens = (session, refreshToken, tokenVersion) => ({
+  token: generateToken(session.user, session._id, tokenVersion),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Starts a session for a successful sign-in and returns the access token
+ * with the first refresh token of its family.
+ */
+const createSession = async (user, context = {}) => {
+  const refreshToken = createRefreshToken();
+
+  const session = await Session.create({
+    user: String(user._id),
+    refreshTokenHash: hashToken(refreshToken),
+    device: context.device || describeDevice(context.userAgent),
+    ip: context.ip,
+    userAgent: context.userAgent ? context.userAgent.slice(0, 512) : undefined,
+    lastUsedAt: new Date(),
+    expiresAt: getRefreshExpiry()
+  });
+
+  return buildTokens(session, refreshToken, user.tokenVersion);
+};
+
+// Revokes matching live sessions and drops their socket connections
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id user');
+  if (!sessions.length) {
+    return 0;
+  }
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  const sessionIdsByUser = sessions.reduce((acc, session) => {
+    const ids = acc.get(session.user) || [];
+    ids.push(session._id.toString());
+    acc.set(session.user, ids);
+    return acc;
+  }, new Map());
+
+  sessionIdsByUser.forEach((sessionIds, userId) => {
+    try {
+      disconnectUserSockets(userId, { sessionIds, reason });
+    } catch (error) {
+      console.warn('Failed to disconnect revoked sockets:', error.message);
+    }
+  });
+
+  return sessions.length;
+};
+
+/**
+ * Exchanges a refresh token for a new access and refresh token. A token that
+ * was already rotated out means someone else holds a copy, so the whole
+ * session (the token family) is revoked.
+ */
+const refreshSession = async (refreshToken, context = {}) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = createRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        expiresAt: getRefreshExpiry(),
+        ...(context.ip ? { ip: context.ip } : {})
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash }).select('_id revokedAt');
+    if (reused) {
+      if (!reused.revokedAt) {
+        await revokeSessions({ _id: reused._id }, SESSION_REVOCATION_REASONS.TOKEN_REUSE);
+      }
+      throw new AppError('Refresh token has already been used. Please log in again.', 401);
+    }
+
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(session.user).select('_id isActive status deletedAt tokenVersion');
+  if (!user || !user.isActive || user.deletedAt || user.status === 'suspended') {
+    await revokeSessions({ _id: session._id }, SESSION_REVOCATION_REASONS.LOGOUT);
+    throw new AppError('Account is not active', 401);
+  }
+
+  return {
+    success: true,
+    ...buildTokens(session, nextToken, user.tokenVersion)
+  };
+};
+
+/**
+ * Ends the session behind the current access token or, when the access token
+ * has already expired, the one the refresh token belongs to.
+ */
+const endSession = async (currentSession, refreshToken) => {
+  let filter = null;
+
+  if (currentSession) {
+    filter = { _id: currentSession._id };
+  } else if (refreshToken) {
+    filter = { refreshTokenHash: hashToken(refreshToken) };
+  }
+
+  if (filter) {
+    await revokeSessions(filter, SESSION_REVOCATION_REASONS.LOGOUT);
+  }
+};
+
+const listSessions = async (user, currentSession) => {
+  const sessions = await Session.find({
+    user: String(user._id),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  const currentId = currentSession ? currentSession._id.toString() : null;
+
+  return {
+    success: true,
+    sessions: sessions.map((session) => ({
+      ...session.toJSON(),
+      current: session._id.toString() === currentId
+    }))
+  };
+};
+
+const revokeSession = async (user, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new AppError('Invalid session ID', 400);
+  }
+
+  const revoked = await revokeSessions(
+    { _id: sessionId, user: String(user._id) },
+    SESSION_REVOCATION_REASONS.REVOKED_BY_USER
+  );
+
+  if (!revoked) {
+    throw new AppError('Session not found', 404);
+  }
+
+  return {
+    success: true,
+    message: 'Session revoked'
+  };
+};
+
+const revokeOtherSessions = async (user, currentSession) => {
+  const filter = { user: String(user._id) };
+  if (currentSession) {
+    filter._id = { $ne: currentSession._id };
+  }
+
+  const revoked = await revokeSessions(filter, SESSION_REVOCATION_REASONS.LOGOUT_OTHERS);
+
+  return {
+    success: true,
+    message: revoked
+      ? `Logged out of ${revoked} other ${revoked === 1 ? 'device' : 'devices'}`
+      : 'No other active sessions',
+    revoked
+  };
+};
+
+/**
+ * Makes every access token issued to the user so far invalid, revokes their
+ * sessions except `keepSessionId` and disconnects all of their sockets.
+ * Returns a fresh access token for the kept session, if any.
+ */
+const invalidateUserTokens = async (userId, reason, { keepSessionId } = {}) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('_id tokenVersion');
+
+  if (!user) {
+    return null;
+  }
+
+  const filter = { user: String(user._id) };
+  if (keepSessionId) {
+    filter._id = { $ne: keepSessionId };
+  }
+  await revokeSessions(filter, reason);
+
+  // Sockets on the kept session hold the old token too and must reconnect
+  try {
+    disconnectUserSockets(user._id, { reason });
+  } catch (error) {
+    console.warn('Failed to disconnect user sockets:', error.message);
+  }
+
+  return keepSessionId ? generateToken(user._id, keepSessionId, user.tokenVersion) : null;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeSessions,
+  invalidateUserTokens
+};
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const env = require('../../config/env');
+
+// Development stand-in that prints messages instead of sending them. Never
+// enabled in production, where codes would end up in the logs.
+const consoleProvider = {
+  name: 'console',
+
+  isEnabled: () => !env.isProduction,
+
+  async sendSms({ to, message }) {
+    const providerMessageId = `console_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`[sms] to ${to}: ${message}`);
+
+    return { providerMessageId };
+  }
+};
+
+module.exports = consoleProvider;
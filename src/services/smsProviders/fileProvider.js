@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const env = require('../../config/env');
+
+// Development stand-in that appends messages to SMS_OUTBOX_FILE, so test
+// scripts can read the codes back. Never enabled in production.
+const fileProvider = {
+  name: 'file',
+
+  isEnabled: () => !env.isProduction && Boolean(env.sms.outboxFile),
+
+  async sendSms({ to, message }) {
+    const providerMessageId = `file_${crypto.randomBytes(8).toString('hex')}`;
+    const outboxFile = path.resolve(env.sms.outboxFile);
+    const entry = { id: providerMessageId, to, message, sentAt: new Date().toISOString() };
+
+    await fs.mkdir(path.dirname(outboxFile), { recursive: true });
+    await fs.appendFile(outboxFile, `${JSON.stringify(entry)}\n`);
+
+    return { providerMessageId };
+  }
+};
+
+module.exports = fileProvider;
@@ -0,0 +1,40 @@
+const env = require('../../config/env');
+const { AppError } = require('../../middleware/errorHandler');
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+/**
+ * Every SMS provider adapter implements:
+ *
+ *   name
+ *   isEnabled() -> boolean
+ *   sendSms({ to, message }) -> { providerMessageId }
+ *
+ * `to` is a normalized international number (digits with a leading +).
+ * Adapters throw when the provider rejects the message.
+ */
+const PROVIDERS = Object.freeze({
+  [consoleProvider.name]: consoleProvider,
+  [fileProvider.name]: fileProvider
+});
+
+const getSmsProvider = (name = env.sms.provider) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new AppError(`Unknown SMS provider: ${name}`, 500);
+  }
+
+  if (!provider.isEnabled()) {
+    throw new AppError(`SMS provider ${name} is not configured`, 503);
+  }
+
+  return provider;
+};
+
+const sendSms = (payload) => getSmsProvider().sendSms(payload);
+
+module.exports = {
+  getSmsProvider,
+  sendSms
+};
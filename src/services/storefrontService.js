@@ -0,0 +1,370 @@
+const slugify = require('slugify');
+const Storefront = require('../models/Storefront');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const env = require('../config/env');
+const storageService = require('./storageService');
+const { searchListings } = require('./listingSearchService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  LISTING_STATUSES,
+  LISTING_AVAILABILITY_STATUSES
+} = require('../utils/enums/listingEnums');
+const {
+  isValidTimeZone,
+  parseTime,
+  getZonedParts
+} = require('../utils/helpers/calendarHelper');
+
+const BUSINESS_ROLES = ['dealer', 'corporate'];
+const IMAGE_KINDS = ['logo', 'banner'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const RESERVED_SLUGS = ['me', 'new', 'edit', 'admin', 'api', 'storefronts'];
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const EDITABLE_FIELDS = ['name', 'about', 'phone', 'email', 'website', 'isPublished'];
+
+const isStaff = (user) => ['agent', 'supervisor'].includes(user?.role);
+
+const assertBusinessAccount = (user) => {
+  if (!BUSINESS_ROLES.includes(user.role)) {
+    throw new AppError('Storefronts are available to dealer and corporate accounts', 403);
+  }
+};
+
+const validateSlug = (slug) => {
+  if (typeof slug !== 'string' || slug.length < 3 || slug.length > 60 || !SLUG_PATTERN.test(slug)) {
+    throw new AppError('Slug must be 3–60 lowercase letters, numbers and single hyphens', 400);
+  }
+
+  if (RESERVED_SLUGS.includes(slug)) {
+    throw new AppError('That slug is reserved', 400);
+  }
+};
+
+// Derives a free slug from the business name, adding a counter on collision
+const generateSlug = async (name) => {
+  const baseSlug = slugify(name || '', { lower: true, strict: true, trim: true }).slice(0, 50) || 'dealer';
+  let slug = RESERVED_SLUGS.includes(baseSlug) ? `${baseSlug}-dealer` : baseSlug;
+  let counter = 1;
+
+  while (await Storefront.exists({ slug })) {
+    slug = `${baseSlug}-${counter}`;
+    counter += 1;
+  }
+
+  return slug;
+};
+
+const normalizeOpeningHours = (hours) => {
+  if (!Array.isArray(hours)) {
+    throw new AppError('openingHours must be an array', 400);
+  }
+
+  const seen = new Set();
+
+  return hours.map((entry) => {
+    const dayOfWeek = Number(entry?.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new AppError('dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)', 400);
+    }
+    if (seen.has(dayOfWeek)) {
+      throw new AppError('Each day can only appear once in openingHours', 400);
+    }
+    seen.add(dayOfWeek);
+
+    if (entry.closed) {
+      return { dayOfWeek, closed: true };
+    }
+
+    const opens = parseTime(entry.opens);
+    const closes = parseTime(entry.closes);
+    if (opens === null || closes === null || closes <= opens) {
+      throw new AppError('Opening hours need opens and closes in HH:mm with closes after opens', 400);
+    }
+
+    return { dayOfWeek, opens: entry.opens, closes: entry.closes, closed: false };
+  }).sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+};
+
+const normalizeAddress = (address = {}) => {
+  const normalized = {
+    address: address.address,
+    city: address.city,
+    state: address.state,
+    country: address.country,
+    postalCode: address.postalCode
+  };
+
+  const hasLatitude = address.latitude !== undefined && address.latitude !== null && address.latitude !== '';
+  const hasLongitude = address.longitude !== undefined && address.longitude !== null && address.longitude !== '';
+
+  if (hasLatitude !== hasLongitude) {
+    throw new AppError('Provide both latitude and longitude', 400);
+  }
+
+  if (hasLatitude) {
+    const latitude = Number(address.latitude);
+    const longitude = Number(address.longitude);
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90
+      || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      throw new AppError('Coordinates are out of range', 400);
+    }
+    normalized.latitude = latitude;
+    normalized.longitude = longitude;
+  }
+
+  return normalized;
+};
+
+const isOpenAt = (storefront, date = new Date()) => {
+  if (!storefront.openingHours?.length) {
+    return null;
+  }
+
+  const parts = getZonedParts(date, storefront.timezone || env.appointments.defaultTimezone);
+  const today = storefront.openingHours.find((entry) => entry.dayOfWeek === parts.weekday);
+  if (!today || today.closed) {
+    return false;
+  }
+
+  const minutes = parts.hour * 60 + parts.minute;
+  return minutes >= parseTime(today.opens) && minutes < parseTime(today.closes);
+};
+
+const buildStats = async (storefront, dealer) => {
+  const ownerFilter = { owner: dealer._id, deletedAt: null, status: LISTING_STATUSES.PUBLISHED };
+
+  const [activeListings, soldListings] = await Promise.all([
+    Listing.countDocuments({ ...ownerFilter, availabilityStatus: { $ne: LISTING_AVAILABILITY_STATUSES.SOLD } }),
+    Listing.countDocuments({ ...ownerFilter, availabilityStatus: LISTING_AVAILABILITY_STATUSES.SOLD })
+  ]);
+
+  return {
+    activeListings,
+    soldListings,
+    memberSince: dealer.createdAt,
+    yearsOnPlatform: Math.floor(((Date.now() - dealer.createdAt) / YEAR_MS) * 10) / 10,
+    rating: {
+      average: dealer.sellerRating?.average || 0,
+      count: dealer.sellerRating?.count || 0
+    },
+    openNow: isOpenAt(storefront)
+  };
+};
+
+const getMyStorefront = async (user) => {
+  const storefront = await Storefront.findOne({ dealer: String(user._id) });
+  if (!storefront) {
+    throw new AppError('You have not set up a storefront yet', 404);
+  }
+
+  return {
+    success: true,
+    storefront
+  };
+};
+
+/**
+ * Creates the caller's storefront on first save and updates it afterwards.
+ * The slug defaults to one derived from the business name.
+ */
+const saveMyStorefront = async (user, data = {}) => {
+  assertBusinessAccount(user);
+
+  const dealerId = String(user._id);
+  let storefront = await Storefront.findOne({ dealer: dealerId });
+  const isNew = !storefront;
+
+  if (isNew) {
+    const name = data.name || user.businessProfile?.businessName || user.profile?.businessName
+      || user.profile?.companyName || user.displayName;
+    storefront = new Storefront({
+      dealer: dealerId,
+      name,
+      slug: data.slug ? String(data.slug).toLowerCase() : await generateSlug(name),
+      phone: user.businessProfile?.businessPhone,
+      email: user.businessProfile?.businessEmail,
+      website: user.businessProfile?.website
+    });
+  }
+
+  if (data.slug !== undefined) {
+    const slug = String(data.slug).toLowerCase();
+    validateSlug(slug);
+    storefront.slug = slug;
+  }
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      storefront[field] = data[field];
+    }
+  });
+
+  if (data.address !== undefined) {
+    storefront.address = normalizeAddress(data.address);
+  }
+
+  if (data.timezone !== undefined) {
+    if (!isValidTimeZone(data.timezone)) {
+      throw new AppError('Unknown time zone', 400);
+    }
+    storefront.timezone = data.timezone;
+  }
+
+  if (data.openingHours !== undefined) {
+    storefront.openingHours = normalizeOpeningHours(data.openingHours);
+  }
+
+  if (!storefront.name) {
+    throw new AppError('A storefront name is required', 400);
+  }
+
+  try {
+    await storefront.save();
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new AppError('That slug is already taken', 409);
+    }
+    throw error;
+  }
+
+  return {
+    success: true,
+    message: isNew ? 'Storefront created' : 'Storefront updated',
+    storefront,
+    created: isNew
+  };
+};
+
+const loadOwnStorefront = async (user) => {
+  const storefront = await Storefront.findOne({ dealer: String(user._id) });
+  if (!storefront) {
+    throw new AppError('Set up your storefront before adding images', 404);
+  }
+  return storefront;
+};
+
+// Removing the replaced object is best effort; a stale file is harmless
+const discardImage = async (image) => {
+  if (!image?.key) {
+    return;
+  }
+
+  try {
+    await storageService.deleteFile(image.key);
+  } catch (error) {
+    console.warn('Failed to delete storefront image:', error.message);
+  }
+};
+
+const uploadStorefrontImage = async (user, kind, file) => {
+  if (!IMAGE_KINDS.includes(kind)) {
+    throw new AppError('Image type must be logo or banner', 400);
+  }
+
+  if (!file) {
+    throw new AppError('No image file provided', 400);
+  }
+
+  if (!file.mimetype?.startsWith('image/')) {
+    throw new AppError('Only image files are allowed', 400);
+  }
+
+  const storefront = await loadOwnStorefront(user);
+  const uploaded = await storageService.uploadFile({
+    buffer: file.buffer,
+    contentType: file.mimetype,
+    originalName: file.originalname,
+    folder: `storefronts/${storefront.dealer}`,
+    metadata: { storefront: storefront._id.toString(), kind },
+    cacheControl: 'public, max-age=86400'
+  });
+
+  const previous = storefront[kind];
+  storefront[kind] = { url: uploaded.url, key: uploaded.key };
+  await storefront.save();
+  await discardImage(previous);
+
+  return {
+    success: true,
+    message: `Storefront ${kind} updated`,
+    storefront
+  };
+};
+
+const removeStorefrontImage = async (user, kind) => {
+  if (!IMAGE_KINDS.includes(kind)) {
+    throw new AppError('Image type must be logo or banner', 400);
+  }
+
+  const storefront = await loadOwnStorefront(user);
+  const previous = storefront[kind];
+  storefront[kind] = undefined;
+  await storefront.save();
+  await discardImage(previous);
+
+  return {
+    success: true,
+    message: `Storefront ${kind} removed`,
+    storefront
+  };
+};
+
+/**
+ * Public storefront with the dealer's published inventory. The inventory
+ * accepts the same filter, sort and pagination parameters as GET /listings.
+ */
+const getStorefront = async (user, slug, query = {}) => {
+  const storefront = await Storefront.findOne({ slug: String(slug).toLowerCase() });
+  const isOwner = storefront && user && storefront.dealer === String(user._id);
+
+  if (!storefront || (!storefront.isPublished && !isOwner && !isStaff(user))) {
+    throw new AppError('Storefront not found', 404);
+  }
+
+  const dealer = await User.findOne({
+    _id: storefront.dealer,
+    deletedAt: null,
+    status: { $ne: 'suspended' }
+  }).select('role profile businessProfile avatar sellerRating isPhoneVerified createdAt');
+
+  if (!dealer) {
+    throw new AppError('Storefront not found', 404);
+  }
+
+  const { mine, owner, status, ...filters } = query;
+  const [stats, inventory] = await Promise.all([
+    buildStats(storefront, dealer),
+    searchListings(user, { ...filters, owner: dealer._id, status: LISTING_STATUSES.PUBLISHED })
+  ]);
+
+  return {
+    success: true,
+    storefront,
+    dealer: {
+      id: dealer._id,
+      displayName: dealer.displayName,
+      avatar: dealer.avatar,
+      role: dealer.role,
+      phoneVerified: Boolean(dealer.isPhoneVerified)
+    },
+    stats,
+    pagination: inventory.pagination,
+    listings: inventory.listings
+  };
+};
+
+const findStorefrontSlug = async (dealerId) => {
+  const storefront = await Storefront.findOne({ dealer: String(dealerId), isPublished: true }).select('slug');
+  return storefront?.slug || null;
+};
+
+module.exports = {
+  getMyStorefront,
+  saveMyStorefront,
+  uploadStorefrontImage,
+  removeStorefrontImage,
+  getStorefront,
+  findStorefrontSlug
+};
@@ -0,0 +1,616 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const { Organization, OrganizationMember } = require('../models/Organization');
+const env = require('../config/env');
+const boostService = require('./boostService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  SUBSCRIPTION_PLANS,
+  SUBSCRIPTION_STATUSES
+} = require('../utils/enums/subscriptionEnums');
+const { LISTING_STATUSES } = require('../utils/enums/listingEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const {
+  SUBSCRIPTION_ROLES,
+  SUBSCRIPTION_PLAN_CONFIG,
+  SUBSCRIPTION_RENEWAL_REMINDERS
+} = require('../utils/constants/subscriptionConstants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Listings that count towards the active-listing quota
+const QUOTA_STATUSES = [
+  LISTING_STATUSES.PENDING_REVIEW,
+  LISTING_STATUSES.REVIEWING,
+  LISTING_STATUSES.PUBLISHED
+];
+
+// Subscriptions whose plan still applies
+const CURRENT_STATUSES = [SUBSCRIPTION_STATUSES.ACTIVE, SUBSCRIPTION_STATUSES.GRACE];
+
+const isSubscriptionRole = (role) => SUBSCRIPTION_ROLES.includes(role);
+
+const isPaidPlan = (plan) => Boolean(SUBSCRIPTION_PLAN_CONFIG[plan]?.periodDays);
+
+const buildListingLookup = (idOrSlug) => {
+  const filters = { deletedAt: null };
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    filters._id = idOrSlug;
+  } else {
+    filters.slug = idOrSlug;
+  }
+
+  return filters;
+};
+
+const getPlans = () => ({
+  success: true,
+  gracePeriodDays: env.subscriptions.gracePeriodDays,
+  plans: Object.entries(SUBSCRIPTION_PLAN_CONFIG).map(([plan, config]) => ({ plan, ...config }))
+});
+
+const getCurrentSubscription = (userId) => Subscription.findOne({
+  user: String(userId),
+  status: { $in: CURRENT_STATUSES }
+});
+
+const resolvePlan = (subscription) => (
+  subscription && CURRENT_STATUSES.includes(subscription.status)
+    ? subscription.plan
+    : SUBSCRIPTION_PLANS.FREE
+);
+
+const loadOwner = async (owner) => {
+  if (owner?.role) {
+    return owner;
+  }
+
+  return User.findById(String(owner)).select('role');
+};
+
+// An organization's listings count against its creator's quota, whoever added them
+const countActiveListings = (ownerId, { organizationId, excludeListingId } = {}) => {
+  const filters = {
+    deletedAt: null,
+    status: { $in: QUOTA_STATUSES }
+  };
+
+  if (organizationId) {
+    filters.$or = [{ owner: ownerId }, { organization: organizationId }];
+  } else {
+    filters.owner = ownerId;
+  }
+
+  if (excludeListingId) {
+    filters._id = { $ne: excludeListingId };
+  }
+
+  return Listing.countDocuments(filters);
+};
+
+/**
+ * The organization a listing is filed under. `organization` is the listing's
+ * own field when known; otherwise the owner's current membership decides.
+ */
+const resolveOrganization = async (owner, organization) => {
+  const organizationId = organization !== undefined
+    ? organization
+    : (await OrganizationMember.findOne({ user: String(owner?._id || owner) }).select('organization'))?.organization;
+
+  return organizationId ? Organization.findById(organizationId).select('createdBy') : null;
+};
+
+/**
+ * Resolves the plan limits that apply to a listing owner, or null when the
+ * owner's role is not limited by a subscription. Organization listings use
+ * the plan of the account that created the organization, so adding members
+ * does not add listings.
+ */
+const getOwnerLimits = async (owner, { organization } = {}) => {
+  const organizationDoc = await resolveOrganization(owner, organization);
+  const ownerDoc = await loadOwner(organizationDoc ? organizationDoc.createdBy : owner);
+  if (!ownerDoc || !isSubscriptionRole(ownerDoc.role)) {
+    return null;
+  }
+
+  const subscription = await getCurrentSubscription(ownerDoc._id);
+  const plan = resolvePlan(subscription);
+
+  return {
+    owner: ownerDoc,
+    organizationId: organizationDoc?._id || null,
+    plan,
+    config: SUBSCRIPTION_PLAN_CONFIG[plan]
+  };
+};
+
+const checkPhotoLimit = (limits, images = []) => {
+  if (Array.isArray(images) && images.length > limits.config.maxPhotosPerListing) {
+    throw new AppError(
+      `Your ${limits.config.label} plan allows up to ${limits.config.maxPhotosPerListing} photos per listing`,
+      403
+    );
+  }
+};
+
+const assertPhotoLimit = async (owner, images, { organization } = {}) => {
+  const limits = await getOwnerLimits(owner, { organization });
+  if (limits) {
+    checkPhotoLimit(limits, images);
+  }
+};
+
+/**
+ * Throws when a listing would take its owner past their plan's active
+ * listing quota or photo limit. Used when a listing is created and when it
+ * re-enters the active set, e.g. a draft or rejected listing being resubmitted.
+ */
+const assertListingQuota = async (owner, { images, excludeListingId, organization } = {}) => {
+  const limits = await getOwnerLimits(owner, { organization });
+  if (!limits) {
+    return;
+  }
+
+  checkPhotoLimit(limits, images);
+
+  const activeListings = await countActiveListings(limits.owner._id, {
+    organizationId: limits.organizationId,
+    excludeListingId
+  });
+  if (activeListings >= limits.config.maxActiveListings) {
+    throw new AppError(
+      `Your ${limits.config.label} plan allows ${limits.config.maxActiveListings} active listings. `
+        + 'Upgrade your plan or unpublish a listing to continue.',
+      403
+    );
+  }
+};
+
+const isQuotaStatus = (status) => QUOTA_STATUSES.includes(status);
+
+const sendSubscriptionNotification = async (userId, { title, message, priority, extraData }) => {
+  try {
+    if (!(await notificationService.isNotificationEnabled(userId, 'app_account_updates'))) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      userId,
+      title,
+      message,
+      notificationType: NOTIFICATION_TYPES.SUBSCRIPTION,
+      priority,
+      extraData,
+      actionUrl: `${env.app.frontendUrl}/account/subscription`,
+      actionText: 'Manage subscription'
+    });
+  } catch (error) {
+    console.warn('Failed to send subscription notification:', error.message);
+  }
+};
+
+const subscriptionExtraData = (subscription, extra = {}) => ({
+  subscriptionId: subscription._id.toString(),
+  plan: subscription.plan,
+  status: subscription.status,
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  graceEndsAt: subscription.graceEndsAt,
+  ...extra
+});
+
+/**
+ * Starts or renews a paid plan. Renewing the plan that is still active
+ * extends the current period so no paid days are lost; any other change
+ * starts a fresh period today. Each paid period adds the plan's included
+ * boosts.
+ */
+const activateSubscription = async (userId, plan, { orderReference, periodDays } = {}) => {
+  const config = SUBSCRIPTION_PLAN_CONFIG[plan];
+  if (!isPaidPlan(plan)) {
+    throw new AppError(`Plan must be one of: ${Object.keys(SUBSCRIPTION_PLAN_CONFIG).filter(isPaidPlan).join(', ')}`, 400);
+  }
+
+  const now = new Date();
+  const days = Number(periodDays) > 0 ? Number(periodDays) : config.periodDays;
+  const includedBoosts = config.includedBoosts?.count || 0;
+  const existing = await Subscription.findOne({ user: String(userId) });
+
+  const isRenewal = existing
+    && existing.plan === plan
+    && existing.status === SUBSCRIPTION_STATUSES.ACTIVE
+    && existing.currentPeriodEnd > now;
+
+  let subscription;
+  if (isRenewal) {
+    existing.currentPeriodEnd = new Date(existing.currentPeriodEnd.getTime() + days * DAY_MS);
+    existing.boostsRemaining += includedBoosts;
+    existing.remindersSent = [];
+    existing.lastOrder = orderReference || existing.lastOrder;
+    subscription = await existing.save();
+  } else {
+    subscription = await Subscription.findOneAndUpdate(
+      { user: String(userId) },
+      {
+        $set: {
+          plan,
+          status: SUBSCRIPTION_STATUSES.ACTIVE,
+          currentPeriodStart: now,
+          currentPeriodEnd: new Date(now.getTime() + days * DAY_MS),
+          graceEndsAt: null,
+          boostsRemaining: includedBoosts,
+          remindersSent: [],
+          lastOrder: orderReference,
+          expiredAt: null,
+          cancelledAt: null,
+          cancelledBy: null
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  await sendSubscriptionNotification(subscription.user, {
+    title: isRenewal ? 'Subscription renewed' : 'Subscription activated',
+    message: isRenewal
+      ? `Your ${config.label} plan has been renewed until ${subscription.currentPeriodEnd.toDateString()}.`
+      : `Your ${config.label} plan is active until ${subscription.currentPeriodEnd.toDateString()}.`,
+    priority: NOTIFICATION_PRIORITIES.NORMAL,
+    extraData: subscriptionExtraData(subscription, { renewal: Boolean(isRenewal) })
+  });
+
+  return subscription;
+};
+
+const buildUsage = async (userId, subscription) => {
+  const plan = resolvePlan(subscription);
+  const config = SUBSCRIPTION_PLAN_CONFIG[plan];
+  const organization = await Organization.findOne({ createdBy: String(userId) }).select('_id');
+  const activeListings = await countActiveListings(userId, { organizationId: organization?._id });
+
+  return {
+    plan,
+    activeListings,
+    maxActiveListings: config.maxActiveListings,
+    remainingListings: Math.max(0, config.maxActiveListings - activeListings),
+    maxPhotosPerListing: config.maxPhotosPerListing,
+    boostsRemaining: plan === SUBSCRIPTION_PLANS.FREE ? 0 : subscription.boostsRemaining,
+    includedBoostTier: config.includedBoosts?.tier || null
+  };
+};
+
+const getMySubscription = async (user) => {
+  if (!isSubscriptionRole(user.role)) {
+    throw new AppError('Subscriptions are available to dealer and corporate accounts', 403);
+  }
+
+  const subscription = await Subscription.findOne({ user: String(user._id) });
+
+  return {
+    success: true,
+    subscription,
+    usage: await buildUsage(user._id, subscription)
+  };
+};
+
+/**
+ * Staff-assigned plans, e.g. for offline payments or goodwill. Assigning the
+ * free plan cancels the current subscription.
+ */
+const grantSubscription = async (user, userId, { plan, periodDays } = {}) => {
+  const target = await User.findById(userId).select('role');
+  if (!target) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!isSubscriptionRole(target.role)) {
+    throw new AppError('Subscriptions are available to dealer and corporate accounts', 400);
+  }
+
+  if (plan === SUBSCRIPTION_PLANS.FREE) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { user: String(userId), status: { $in: CURRENT_STATUSES } },
+      {
+        $set: {
+          status: SUBSCRIPTION_STATUSES.CANCELLED,
+          cancelledAt: new Date(),
+          cancelledBy: user._id,
+          boostsRemaining: 0
+        }
+      },
+      { new: true }
+    );
+
+    if (subscription) {
+      await sendSubscriptionNotification(subscription.user, {
+        title: 'Subscription cancelled',
+        message: `Your ${SUBSCRIPTION_PLAN_CONFIG[subscription.plan].label} plan has been cancelled and your account is now on the Free plan.`,
+        priority: NOTIFICATION_PRIORITIES.HIGH,
+        extraData: subscriptionExtraData(subscription)
+      });
+    }
+
+    return {
+      success: true,
+      message: 'User moved to the free plan',
+      subscription
+    };
+  }
+
+  const subscription = await activateSubscription(userId, plan, { periodDays });
+
+  return {
+    success: true,
+    message: 'Subscription granted',
+    subscription
+  };
+};
+
+/**
+ * Spends one of the plan's included boosts on a published listing.
+ */
+const redeemIncludedBoost = async (user, { listing: listingId } = {}) => {
+  if (!listingId) {
+    throw new AppError('A listing is required', 400);
+  }
+
+  const listing = await Listing.findOne(buildListingLookup(listingId)).select('owner status');
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (String(listing.owner) !== String(user._id)) {
+    throw new AppError('You can only boost your own listings', 403);
+  }
+
+  const subscription = await Subscription.findOneAndUpdate(
+    {
+      user: String(user._id),
+      status: { $in: CURRENT_STATUSES },
+      boostsRemaining: { $gt: 0 }
+    },
+    { $inc: { boostsRemaining: -1 } },
+    { new: true }
+  );
+
+  if (!subscription) {
+    throw new AppError('Your plan has no included boosts left', 403);
+  }
+
+  const { tier } = SUBSCRIPTION_PLAN_CONFIG[subscription.plan].includedBoosts;
+
+  let boost;
+  try {
+    boost = await boostService.createBoost({
+      listingId: listing._id,
+      tier,
+      purchaser: user._id
+    });
+  } catch (error) {
+    await Subscription.updateOne({ _id: subscription._id }, { $inc: { boostsRemaining: 1 } });
+    throw error;
+  }
+
+  return {
+    success: true,
+    message: 'Included boost applied',
+    boost,
+    boostsRemaining: subscription.boostsRemaining
+  };
+};
+
+// Payment purpose handler for buying or renewing a plan
+const quoteSubscription = async (user, metadata = {}) => {
+  if (!isSubscriptionRole(user.role)) {
+    throw new AppError('Subscriptions are available to dealer and corporate accounts', 403);
+  }
+
+  const config = SUBSCRIPTION_PLAN_CONFIG[metadata.plan];
+  if (!isPaidPlan(metadata.plan)) {
+    throw new AppError(`Plan must be one of: ${Object.keys(SUBSCRIPTION_PLAN_CONFIG).filter(isPaidPlan).join(', ')}`, 400);
+  }
+
+  return {
+    amount: config.price,
+    description: `${config.label} plan (${config.periodDays} days)`,
+    metadata: { plan: metadata.plan }
+  };
+};
+
+const fulfillSubscriptionOrder = async (order) => {
+  const subscription = await activateSubscription(order.user, order.metadata.plan, {
+    orderReference: order.reference
+  });
+
+  return {
+    subscriptionId: subscription._id.toString(),
+    currentPeriodEnd: subscription.currentPeriodEnd
+  };
+};
+
+/**
+ * Sends at most one renewal reminder per subscription per run, for the
+ * closest threshold crossed, and marks further-out ones as handled.
+ */
+const sendRenewalReminders = async (now) => {
+  const furthest = SUBSCRIPTION_RENEWAL_REMINDERS[0];
+  const closest = SUBSCRIPTION_RENEWAL_REMINDERS[SUBSCRIPTION_RENEWAL_REMINDERS.length - 1];
+
+  const subscriptions = await Subscription.find({
+    status: SUBSCRIPTION_STATUSES.ACTIVE,
+    currentPeriodEnd: { $gt: now, $lte: new Date(now.getTime() + furthest.beforeMs) },
+    remindersSent: { $nin: [closest.key] }
+  });
+
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    const remainingMs = subscription.currentPeriodEnd - now;
+    const crossedIndex = SUBSCRIPTION_RENEWAL_REMINDERS.reduce(
+      (index, reminder, position) => (remainingMs <= reminder.beforeMs ? position : index),
+      -1
+    );
+    const reminder = SUBSCRIPTION_RENEWAL_REMINDERS[crossedIndex];
+
+    if (!reminder || subscription.remindersSent.includes(reminder.key)) {
+      continue;
+    }
+
+    const handledKeys = SUBSCRIPTION_RENEWAL_REMINDERS.slice(0, crossedIndex + 1).map(({ key }) => key);
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, remindersSent: { $ne: reminder.key } },
+      { $addToSet: { remindersSent: { $each: handledKeys } } }
+    );
+
+    if (!claimed.modifiedCount) {
+      continue;
+    }
+
+    await sendSubscriptionNotification(subscription.user, {
+      title: 'Your subscription is ending soon',
+      message: `Your ${SUBSCRIPTION_PLAN_CONFIG[subscription.plan].label} plan ends within ${reminder.label}. Renew to keep your listing limits.`,
+      priority: crossedIndex === SUBSCRIPTION_RENEWAL_REMINDERS.length - 1
+        ? NOTIFICATION_PRIORITIES.HIGH
+        : NOTIFICATION_PRIORITIES.NORMAL,
+      extraData: subscriptionExtraData(subscription, { reminder: reminder.key })
+    });
+    sent += 1;
+  }
+
+  return sent;
+};
+
+const startGracePeriods = async (now) => {
+  const due = await Subscription.find({
+    status: SUBSCRIPTION_STATUSES.ACTIVE,
+    currentPeriodEnd: { $lte: now }
+  }).select('_id currentPeriodEnd');
+
+  let started = 0;
+
+  for (const { _id, currentPeriodEnd } of due) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id, status: SUBSCRIPTION_STATUSES.ACTIVE },
+      {
+        $set: {
+          status: SUBSCRIPTION_STATUSES.GRACE,
+          graceEndsAt: new Date(currentPeriodEnd.getTime() + env.subscriptions.gracePeriodDays * DAY_MS)
+        }
+      },
+      { new: true }
+    );
+
+    if (!subscription) {
+      continue;
+    }
+
+    await sendSubscriptionNotification(subscription.user, {
+      title: 'Your subscription has expired',
+      message: `Your ${SUBSCRIPTION_PLAN_CONFIG[subscription.plan].label} plan expired. Renew before ${subscription.graceEndsAt.toDateString()} to avoid moving to the Free plan.`,
+      priority: NOTIFICATION_PRIORITIES.HIGH,
+      extraData: subscriptionExtraData(subscription)
+    });
+    started += 1;
+  }
+
+  return started;
+};
+
+const expireSubscriptions = async (now) => {
+  const due = await Subscription.find({
+    status: SUBSCRIPTION_STATUSES.GRACE,
+    graceEndsAt: { $lte: now }
+  }).select('_id');
+
+  let expired = 0;
+
+  for (const { _id } of due) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id, status: SUBSCRIPTION_STATUSES.GRACE },
+      { $set: { status: SUBSCRIPTION_STATUSES.EXPIRED, expiredAt: now, boostsRemaining: 0 } },
+      { new: true }
+    );
+
+    if (!subscription) {
+      continue;
+    }
+
+    const free = SUBSCRIPTION_PLAN_CONFIG[SUBSCRIPTION_PLANS.FREE];
+    await sendSubscriptionNotification(subscription.user, {
+      title: 'You are now on the Free plan',
+      message: `Your grace period has ended. Existing listings stay live, but you can have at most ${free.maxActiveListings} active listings until you subscribe again.`,
+      priority: NOTIFICATION_PRIORITIES.HIGH,
+      extraData: subscriptionExtraData(subscription)
+    });
+    expired += 1;
+  }
+
+  return expired;
+};
+
+const runSubscriptionScheduler = async (now = new Date()) => {
+  const reminded = await sendRenewalReminders(now);
+  const graced = await startGracePeriods(now);
+  const expired = await expireSubscriptions(now);
+
+  return { reminded, graced, expired };
+};
+
+let subscriptionSchedulerTimer = null;
+let subscriptionSchedulerRunning = false;
+
+const startSubscriptionScheduler = () => {
+  if (subscriptionSchedulerTimer) {
+    return subscriptionSchedulerTimer;
+  }
+
+  const tick = async () => {
+    if (subscriptionSchedulerRunning) {
+      return;
+    }
+
+    subscriptionSchedulerRunning = true;
+    try {
+      await runSubscriptionScheduler();
+    } catch (error) {
+      console.error('Subscription scheduler run failed:', error.message);
+    } finally {
+      subscriptionSchedulerRunning = false;
+    }
+  };
+
+  subscriptionSchedulerTimer = setInterval(tick, env.subscriptions.schedulerIntervalMs);
+  subscriptionSchedulerTimer.unref();
+  tick();
+
+  return subscriptionSchedulerTimer;
+};
+
+const stopSubscriptionScheduler = () => {
+  if (subscriptionSchedulerTimer) {
+    clearInterval(subscriptionSchedulerTimer);
+    subscriptionSchedulerTimer = null;
+  }
+};
+
+module.exports = {
+  getPlans,
+  isQuotaStatus,
+  assertListingQuota,
+  assertPhotoLimit,
+  activateSubscription,
+  getMySubscription,
+  grantSubscription,
+  redeemIncludedBoost,
+  quoteSubscription,
+  fulfillSubscriptionOrder,
+  runSubscriptionScheduler,
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler
+};
@@ -0,0 +1,549 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const env = require('../config/env');
+const notificationService = require('./notificationService');
+const { createSession } = require('./sessionService');
+const {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('./loginProtectionService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  TWO_FACTOR_CHALLENGE_PURPOSES,
+  TWO_FACTOR_ENFORCEABLE_ROLES
+} = require('../utils/enums/twoFactorEnums');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES
+} = require('../utils/enums/notificationEnums');
+const { LOGIN_FAILURE_REASONS, LOGIN_METHODS } = require('../utils/enums/loginEnums');
+const { toAuthUser } = require('../utils/helpers/authHelper');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/helpers/totpHelper');
+
+const POLICY_KEY = 'default';
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.challengeId',
+  '+twoFactor.challengeAttempts'
+].join(' ');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(env.twoFactor.encryptionKey || env.jwt.secret)
+  .digest();
+
+// AES-256-GCM; stored as iv:tag:ciphertext in hex
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Ten hex characters shown as two groups of five, e.g. 3f9a1-c07be
+const generateRecoveryCodes = () => Array.from({ length: env.twoFactor.recoveryCodeCount }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const hashRecoveryCodes = (codes) => codes.map((code) => ({
+  hash: hashCode(normalizeRecoveryCode(code)),
+  usedAt: null
+}));
+
+const countRemainingCodes = (user) => (user.twoFactor?.recoveryCodes || [])
+  .filter((entry) => !entry.usedAt)
+  .length;
+
+const getPolicy = async () => {
+  const policy = await SecurityPolicy.findOne({ key: POLICY_KEY });
+  return policy || new SecurityPolicy({ key: POLICY_KEY });
+};
+
+const isRequiredForRole = async (role) => {
+  if (!TWO_FACTOR_ENFORCEABLE_ROLES.includes(role)) {
+    return false;
+  }
+
+  const policy = await getPolicy();
+  return policy.twoFactorRequiredRoles.includes(role);
+};
+
+// Accepts each time step once, even across concurrent requests
+const consumeTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+const consumeRecoveryCode = async (user, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { hash: hashCode(normalized), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Checks an authenticator code or, failing that, a recovery code against an
+ * enrolled user loaded with SECRET_FIELDS. Returns the method that matched.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!code && !recoveryCode) {
+    throw new AppError('Verification code is required', 400);
+  }
+
+  if (code && await consumeTotp(user, decryptSecret(user.twoFactor.secret), code)) {
+    return 'totp';
+  }
+
+  if (recoveryCode && await consumeRecoveryCode(user, recoveryCode)) {
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+const issueChallengeToken = async (user, purpose) => {
+  const challengeId = crypto.randomUUID();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 } }
+  );
+
+  return jwt.sign(
+    { id: user._id, purpose, tv: user.tokenVersion || 0 },
+    env.jwt.secret,
+    { expiresIn: env.twoFactor.challengeExpiresIn, jwtid: challengeId }
+  );
+};
+
+const verifyChallengeToken = async (challengeToken, purpose) => {
+  if (!challengeToken) {
+    throw new AppError('Challenge token is required', 400);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, env.jwt.secret);
+  } catch (error) {
+    throw new AppError('Invalid or expired challenge. Please log in again.', 401);
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new AppError('Invalid or expired challenge. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.id).select(SECRET_FIELDS);
+  if (
+    !user
+    || !user.isActive
+    || user.deletedAt
+    || user.status === 'suspended'
+    || (decoded.tv || 0) !== (user.tokenVersion || 0)
+    || user.twoFactor?.challengeId !== decoded.jti
+  ) {
+    throw new AppError('Invalid or expired challenge. Please log in again.', 401);
+  }
+
+  if ((user.twoFactor.challengeAttempts || 0) >= env.twoFactor.maxChallengeAttempts) {
+    throw new AppError('Too many incorrect codes. Please log in again.', 429);
+  }
+
+  return user;
+};
+
+/**
+ * Counts a wrong code against the challenge and against the account's login
+ * throttle, which a fresh password login does not reset. Always throws.
+ */
+const rejectChallengeCode = async (user, context) => {
+  await User.updateOne(
+    { _id: user._id, 'twoFactor.challengeId': user.twoFactor.challengeId },
+    { $inc: { 'twoFactor.challengeAttempts': 1 } }
+  );
+
+  const lockoutError = await recordFailedLogin(
+    user.email,
+    user,
+    LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR,
+    context
+  );
+  throw lockoutError || new AppError('Invalid verification code', 400);
+};
+
+// Challenges are single use; the updated user is returned without secrets
+const finishSignIn = async (user, context) => {
+  const signedIn = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $set: { lastLogin: new Date(), 'twoFactor.challengeAttempts': 0 },
+      $unset: { 'twoFactor.challengeId': '' }
+    },
+    { new: true }
+  );
+
+  const tokens = await createSession(signedIn, context);
+  await recordSuccessfulLogin(signedIn, context, LOGIN_METHODS.TWO_FACTOR);
+
+  return {
+    success: true,
+    message: 'Login successful',
+    ...tokens,
+    user: toAuthUser(signedIn)
+  };
+};
+
+/**
+ * Called after the password (or Google) check. Returns a challenge response
+ * when the user must present a code or enroll first, otherwise null and the
+ * caller signs them in.
+ */
+const createSignInChallenge = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: await issueChallengeToken(user, TWO_FACTOR_CHALLENGE_PURPOSES.LOGIN),
+      challengeExpiresIn: env.twoFactor.challengeExpiresIn
+    };
+  }
+
+  if (await isRequiredForRole(user.role)) {
+    return {
+      success: true,
+      message: 'Two-factor authentication is required for your account. Set it up to continue.',
+      twoFactorSetupRequired: true,
+      challengeToken: await issueChallengeToken(user, TWO_FACTOR_CHALLENGE_PURPOSES.SETUP),
+      challengeExpiresIn: env.twoFactor.challengeExpiresIn
+    };
+  }
+
+  return null;
+};
+
+// Second phase of a login for users with 2FA enabled
+const completeSignIn = async (payload, context = {}) => {
+  const { challengeToken, code, recoveryCode } = payload || {};
+  const user = await verifyChallengeToken(challengeToken, TWO_FACTOR_CHALLENGE_PURPOSES.LOGIN);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Invalid or expired challenge. Please log in again.', 401);
+  }
+
+  await assertLoginAllowed(user.email, context);
+
+  const method = await verifySecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    await rejectChallengeCode(user, context);
+  }
+
+  const result = await finishSignIn(user, context);
+
+  if (method === 'recovery_code') {
+    result.recoveryCodesRemaining = countRemainingCodes(user) - 1;
+  }
+
+  return result;
+};
+
+// Enrollment runs with an access token or with a setup challenge from login
+const resolveEnrollingUser = async (user, challengeToken) => {
+  if (user) {
+    return User.findById(user._id).select(SECRET_FIELDS);
+  }
+
+  if (!challengeToken) {
+    throw new AppError('Authentication required', 401);
+  }
+
+  return verifyChallengeToken(challengeToken, TWO_FACTOR_CHALLENGE_PURPOSES.SETUP);
+};
+
+const getStatus = async (user) => {
+  const current = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+
+  return {
+    success: true,
+    twoFactor: {
+      enabled: Boolean(current.twoFactor?.enabled),
+      enabledAt: current.twoFactor?.enabledAt || null,
+      required: await isRequiredForRole(current.role),
+      recoveryCodesRemaining: current.twoFactor?.enabled ? countRemainingCodes(current) : 0
+    }
+  };
+};
+
+// Generates a new secret; nothing changes until a code from it is verified
+const startEnrollment = async (user, payload = {}) => {
+  const enrollingUser = await resolveEnrollingUser(user, payload.challengeToken);
+
+  if (enrollingUser.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: enrollingUser._id },
+    { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+  );
+
+  return {
+    success: true,
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: enrollingUser.email,
+      issuer: env.twoFactor.issuer
+    })
+  };
+};
+
+/**
+ * Turns 2FA on once a code from the pending secret checks out and returns the
+ * recovery codes, which are shown this one time only. Completing a setup
+ * challenge also signs the user in.
+ */
+const confirmEnrollment = async (user, payload = {}, context = {}) => {
+  const { challengeToken, code } = payload;
+  const enrollingUser = await resolveEnrollingUser(user, challengeToken);
+
+  if (enrollingUser.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!enrollingUser.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  if (!code) {
+    throw new AppError('Verification code is required', 400);
+  }
+
+  if (!user) {
+    await assertLoginAllowed(enrollingUser.email, context);
+  }
+
+  const secret = decryptSecret(enrollingUser.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    if (!user) {
+      await rejectChallengeCode(enrollingUser, context);
+    }
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: enrollingUser._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': encryptSecret(secret),
+        'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes),
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+
+  const result = {
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    recoveryCodes
+  };
+
+  if (!user) {
+    const signIn = await finishSignIn(enrollingUser, context);
+    return { ...signIn, ...result };
+  }
+
+  return result;
+};
+
+// Requires the password (when the account has one) and a current code
+const disableTwoFactor = async (user, payload = {}) => {
+  const { password, code, recoveryCode } = payload;
+  const current = await User.findById(user._id).select(`+password ${SECRET_FIELDS}`);
+
+  if (!current.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (await isRequiredForRole(current.role)) {
+    throw new AppError('Two-factor authentication is required for your role', 403);
+  }
+
+  if (current.password) {
+    if (!password) {
+      throw new AppError('Password is required', 400);
+    }
+
+    if (!await current.comparePassword(password)) {
+      throw new AppError('Password is incorrect', 400);
+    }
+  }
+
+  if (!await verifySecondFactor(current, { code, recoveryCode })) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await User.updateOne(
+    { _id: current._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': '',
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    }
+  );
+
+  try {
+    await notificationService.createNotification({
+      userId: String(current._id),
+      title: 'Two-factor authentication disabled',
+      message: 'Two-factor authentication was turned off for your account. If this was not you, change your password and turn it back on.',
+      notificationType: NOTIFICATION_TYPES.SECURITY_ALERT,
+      priority: NOTIFICATION_PRIORITIES.HIGH,
+      extraData: {
+        event: 'two_factor_disabled'
+      }
+    });
+  } catch (error) {
+    console.warn('Failed to send 2FA security alert:', error.message);
+  }
+
+  return {
+    success: true,
+    message: 'Two-factor authentication disabled'
+  };
+};
+
+// Replaces every recovery code, used or not
+const regenerateRecoveryCodes = async (user, payload = {}) => {
+  const current = await User.findById(user._id).select(SECRET_FIELDS);
+
+  if (!current.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!await verifySecondFactor(current, { code: payload.code })) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: current._id },
+    { $set: { 'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes) } }
+  );
+
+  return {
+    success: true,
+    message: 'New recovery codes generated. The old ones no longer work.',
+    recoveryCodes
+  };
+};
+
+const getSecurityPolicy = async () => {
+  const policy = await getPolicy();
+
+  return {
+    success: true,
+    policy
+  };
+};
+
+// Takes effect at each affected user's next sign-in
+const updateSecurityPolicy = async (user, payload = {}) => {
+  const { twoFactorRequiredRoles } = payload;
+
+  if (!Array.isArray(twoFactorRequiredRoles)) {
+    throw new AppError('twoFactorRequiredRoles must be an array', 400);
+  }
+
+  const invalid = twoFactorRequiredRoles.filter((role) => !TWO_FACTOR_ENFORCEABLE_ROLES.includes(role));
+  if (invalid.length) {
+    throw new AppError(
+      `Two-factor authentication can only be required for: ${TWO_FACTOR_ENFORCEABLE_ROLES.join(', ')}`,
+      400
+    );
+  }
+
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: POLICY_KEY },
+    {
+      $set: {
+        twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)],
+        updatedBy: String(user._id)
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return {
+    success: true,
+    message: 'Security policy updated',
+    policy
+  };
+};
+
+module.exports = {
+  createSignInChallenge,
+  completeSignIn,
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSecurityPolicy,
+  updateSecurityPolicy
+};
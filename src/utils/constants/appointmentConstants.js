@@ -0,0 +1,22 @@
+const { APPOINTMENT_TYPES } = require('../enums/appointmentEnums');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const APPOINTMENT_TYPE_LABELS = Object.freeze({
+  [APPOINTMENT_TYPES.TEST_DRIVE]: 'Test drive',
+  [APPOINTMENT_TYPES.INSPECTION]: 'Inspection'
+});
+
+// Ordered from the furthest to the closest reminder
+const APPOINTMENT_REMINDERS = Object.freeze([
+  { key: 'reminder_24h', beforeMs: 24 * HOUR_MS, label: 'tomorrow' },
+  { key: 'reminder_2h', beforeMs: 2 * HOUR_MS, label: 'in 2 hours' }
+]);
+
+const SLOT_MINUTES = Object.freeze({ min: 15, max: 240, default: 30 });
+
+module.exports = {
+  APPOINTMENT_TYPE_LABELS,
+  APPOINTMENT_REMINDERS,
+  SLOT_MINUTES
+};
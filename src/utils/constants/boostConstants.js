@@ -0,0 +1,39 @@
+const { BOOST_TIERS } = require('../enums/boostEnums');
+const { NOTIFICATION_TYPES } = require('../enums/notificationEnums');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Higher priority sorts first among featured listings. Prices are in kobo.
+const BOOST_TIER_CONFIG = Object.freeze({
+  [BOOST_TIERS.STANDARD]: {
+    label: 'Standard Boost',
+    priority: 1,
+    durationDays: 7,
+    price: 500000
+  },
+  [BOOST_TIERS.PREMIUM]: {
+    label: 'Premium Boost',
+    priority: 2,
+    durationDays: 14,
+    price: 1500000
+  },
+  [BOOST_TIERS.SPOTLIGHT]: {
+    label: 'Spotlight Boost',
+    priority: 3,
+    durationDays: 30,
+    price: 4000000
+  }
+});
+
+// Ordered from the furthest to the closest warning
+const BOOST_EXPIRY_WARNINGS = Object.freeze([
+  { type: NOTIFICATION_TYPES.BOOST_EXPIRY_WARNING_5D, beforeMs: 5 * 24 * HOUR_MS, label: '5 days' },
+  { type: NOTIFICATION_TYPES.BOOST_EXPIRY_WARNING_3D, beforeMs: 3 * 24 * HOUR_MS, label: '3 days' },
+  { type: NOTIFICATION_TYPES.BOOST_EXPIRY_WARNING_24H, beforeMs: 24 * HOUR_MS, label: '24 hours' },
+  { type: NOTIFICATION_TYPES.BOOST_EXPIRY_WARNING_6H, beforeMs: 6 * HOUR_MS, label: '6 hours' }
+]);
+
+module.exports = {
+  BOOST_TIER_CONFIG,
+  BOOST_EXPIRY_WARNINGS
+};
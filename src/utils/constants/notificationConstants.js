@@ -21,6 +21,28 @@ const NOTIFICATION_TYPE_LABELS = Object.freeze({
   [NOTIFICATION_TYPES.SYSTEM_MAINTENANCE]: 'System Maintenance',
   [NOTIFICATION_TYPES.PROMOTION]: 'Promotion',
   [NOTIFICATION_TYPES.AUCTION_ACCESS]: 'Auction Access',
+  [NOTIFICATION_TYPES.AUCTION_WON]: 'Auction Won',
+  [NOTIFICATION_TYPES.AUCTION_ENDED]: 'Auction Ended',
+  [NOTIFICATION_TYPES.OFFER_RECEIVED]: 'Offer Received',
+  [NOTIFICATION_TYPES.OFFER_COUNTERED]: 'Offer Countered',
+  [NOTIFICATION_TYPES.OFFER_ACCEPTED]: 'Offer Accepted',
+  [NOTIFICATION_TYPES.OFFER_DECLINED]: 'Offer Declined',
+  [NOTIFICATION_TYPES.OFFER_WITHDRAWN]: 'Offer Withdrawn',
+  [NOTIFICATION_TYPES.APPOINTMENT_REQUESTED]: 'Appointment Requested',
+  [NOTIFICATION_TYPES.APPOINTMENT_CONFIRMED]: 'Appointment Confirmed',
+  [NOTIFICATION_TYPES.APPOINTMENT_RESCHEDULED]: 'Appointment Rescheduled',
+  [NOTIFICATION_TYPES.APPOINTMENT_CANCELLED]: 'Appointment Cancelled',
+  [NOTIFICATION_TYPES.APPOINTMENT_REMINDER]: 'Appointment Reminder',
+  [NOTIFICATION_TYPES.SALE_CONFIRMATION_REQUESTED]: 'Sale Confirmation Requested',
+  [NOTIFICATION_TYPES.SALE_CONFIRMED]: 'Sale Confirmed',
+  [NOTIFICATION_TYPES.SALE_DECLINED]: 'Sale Declined',
+  [NOTIFICATION_TYPES.SALE_CANCELLED]: 'Sale Cancelled',
+  [NOTIFICATION_TYPES.LISTING_SOLD]: 'Saved Listing Sold',
+  [NOTIFICATION_TYPES.REVIEW_RECEIVED]: 'New Review',
+  [NOTIFICATION_TYPES.REVIEW_REPLIED]: 'Review Reply',
+  [NOTIFICATION_TYPES.REVIEW_HIDDEN]: 'Review Removed',
+  [NOTIFICATION_TYPES.ORGANIZATION_INVITATION]: 'Team Invitation',
+  [NOTIFICATION_TYPES.CONVERSATION_ASSIGNED]: 'Conversation Assigned',
   [NOTIFICATION_TYPES.PAYMENT_CONFIRMATION]: 'Payment Confirmation',
   [NOTIFICATION_TYPES.BOOST_EXPIRY_WARNING_5D]: 'Boost Expiry Warning (5 Days)',
   [NOTIFICATION_TYPES.BOOST_EXPIRY_WARNING_3D]: 'Boost Expiry Warning (3 Days)',
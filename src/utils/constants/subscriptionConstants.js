@@ -0,0 +1,49 @@
+const { SUBSCRIPTION_PLANS } = require('../enums/subscriptionEnums');
+const { BOOST_TIERS } = require('../enums/boostEnums');
+const { USER_ROLES } = require('../enums/userEnums');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles whose listings are limited by a subscription plan
+const SUBSCRIPTION_ROLES = Object.freeze([USER_ROLES.DEALER, USER_ROLES.CORPORATE]);
+
+// Prices are in kobo per period. The free plan never expires.
+const SUBSCRIPTION_PLAN_CONFIG = Object.freeze({
+  [SUBSCRIPTION_PLANS.FREE]: {
+    label: 'Free',
+    price: 0,
+    periodDays: null,
+    maxActiveListings: 5,
+    maxPhotosPerListing: 10,
+    includedBoosts: null
+  },
+  [SUBSCRIPTION_PLANS.BASIC]: {
+    label: 'Basic',
+    price: 1500000,
+    periodDays: 30,
+    maxActiveListings: 25,
+    maxPhotosPerListing: 20,
+    includedBoosts: { tier: BOOST_TIERS.STANDARD, count: 2 }
+  },
+  [SUBSCRIPTION_PLANS.PRO]: {
+    label: 'Pro',
+    price: 4500000,
+    periodDays: 30,
+    maxActiveListings: 100,
+    maxPhotosPerListing: 40,
+    includedBoosts: { tier: BOOST_TIERS.PREMIUM, count: 5 }
+  }
+});
+
+// Ordered from the furthest to the closest reminder
+const SUBSCRIPTION_RENEWAL_REMINDERS = Object.freeze([
+  { key: 'renewal_7d', beforeMs: 7 * DAY_MS, label: '7 days' },
+  { key: 'renewal_3d', beforeMs: 3 * DAY_MS, label: '3 days' },
+  { key: 'renewal_1d', beforeMs: DAY_MS, label: '24 hours' }
+]);
+
+module.exports = {
+  SUBSCRIPTION_ROLES,
+  SUBSCRIPTION_PLAN_CONFIG,
+  SUBSCRIPTION_RENEWAL_REMINDERS
+};
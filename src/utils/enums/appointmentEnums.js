@@ -0,0 +1,15 @@
+const APPOINTMENT_TYPES = Object.freeze({
+  TEST_DRIVE: 'test_drive',
+  INSPECTION: 'inspection'
+});
+
+const APPOINTMENT_STATUSES = Object.freeze({
+  REQUESTED: 'requested',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+});
+
+module.exports = {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES
+};
@@ -0,0 +1,10 @@
+const AUCTION_STATUSES = Object.freeze({
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  ENDED: 'ended',
+  CANCELLED: 'cancelled'
+});
+
+module.exports = {
+  AUCTION_STATUSES
+};
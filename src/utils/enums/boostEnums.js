@@ -0,0 +1,17 @@
+const BOOST_TIERS = Object.freeze({
+  STANDARD: 'standard',
+  PREMIUM: 'premium',
+  SPOTLIGHT: 'spotlight'
+});
+
+const BOOST_STATUSES = Object.freeze({
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+});
+
+module.exports = {
+  BOOST_TIERS,
+  BOOST_STATUSES
+};
@@ -0,0 +1,11 @@
+const CATEGORY_ATTRIBUTE_TYPES = Object.freeze({
+  STRING: 'string',
+  NUMBER: 'number',
+  INTEGER: 'integer',
+  BOOLEAN: 'boolean',
+  DATE: 'date'
+});
+
+module.exports = {
+  CATEGORY_ATTRIBUTE_TYPES
+};
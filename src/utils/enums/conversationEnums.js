@@ -0,0 +1,9 @@
+const MESSAGE_TYPES = Object.freeze({
+  TEXT: 'text',
+  // Generated by the platform, e.g. offer events; `metadata` carries the details
+  SYSTEM: 'system'
+});
+
+module.exports = {
+  MESSAGE_TYPES
+};
@@ -13,7 +13,23 @@ const LISTING_STATUSES = Object.freeze({
   REJECTED: 'rejected'
 });
 
+const MODERATION_CLAIM_OUTCOMES = Object.freeze({
+  PUBLISHED: 'published',
+  REJECTED: 'rejected',
+  RELEASED: 'released',
+  EXPIRED: 'expired'
+});
+
+const LISTING_REVISION_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SUPERSEDED: 'superseded'
+});
+
 module.exports = {
   LISTING_AVAILABILITY_STATUSES,
-  LISTING_STATUSES
+  LISTING_STATUSES,
+  MODERATION_CLAIM_OUTCOMES,
+  LISTING_REVISION_STATUSES
 };
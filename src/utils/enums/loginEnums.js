@@ -0,0 +1,23 @@
+const LOGIN_THROTTLE_KINDS = Object.freeze({
+  EMAIL: 'email',
+  IP: 'ip'
+});
+
+const LOGIN_FAILURE_REASONS = Object.freeze({
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  INVALID_SECOND_FACTOR: 'invalid_second_factor',
+  ACCOUNT_SUSPENDED: 'account_suspended',
+  LOCKED_OUT: 'locked_out'
+});
+
+const LOGIN_METHODS = Object.freeze({
+  PASSWORD: 'password',
+  GOOGLE: 'google',
+  TWO_FACTOR: 'two_factor'
+});
+
+module.exports = {
+  LOGIN_THROTTLE_KINDS,
+  LOGIN_FAILURE_REASONS,
+  LOGIN_METHODS
+};
@@ -19,6 +19,28 @@ const NOTIFICATION_TYPES = Object.freeze({
   SYSTEM_MAINTENANCE: 'system_maintenance',
   PROMOTION: 'promotion',
   AUCTION_ACCESS: 'auction_access',
+  AUCTION_WON: 'auction_won',
+  AUCTION_ENDED: 'auction_ended',
+  OFFER_RECEIVED: 'offer_received',
+  OFFER_COUNTERED: 'offer_countered',
+  OFFER_ACCEPTED: 'offer_accepted',
+  OFFER_DECLINED: 'offer_declined',
+  OFFER_WITHDRAWN: 'offer_withdrawn',
+  APPOINTMENT_REQUESTED: 'appointment_requested',
+  APPOINTMENT_CONFIRMED: 'appointment_confirmed',
+  APPOINTMENT_RESCHEDULED: 'appointment_rescheduled',
+  APPOINTMENT_CANCELLED: 'appointment_cancelled',
+  APPOINTMENT_REMINDER: 'appointment_reminder',
+  SALE_CONFIRMATION_REQUESTED: 'sale_confirmation_requested',
+  SALE_CONFIRMED: 'sale_confirmed',
+  SALE_DECLINED: 'sale_declined',
+  SALE_CANCELLED: 'sale_cancelled',
+  LISTING_SOLD: 'listing_sold',
+  REVIEW_RECEIVED: 'review_received',
+  REVIEW_REPLIED: 'review_replied',
+  REVIEW_HIDDEN: 'review_hidden',
+  ORGANIZATION_INVITATION: 'organization_invitation',
+  CONVERSATION_ASSIGNED: 'conversation_assigned',
   PAYMENT_CONFIRMATION: 'payment_confirmation',
   BOOST_EXPIRY_WARNING_5D: 'boost_expiry_warning_5d',
   BOOST_EXPIRY_WARNING_3D: 'boost_expiry_warning_3d',
@@ -0,0 +1,24 @@
+const OFFER_STATUSES = Object.freeze({
+  // Waiting for the seller
+  PENDING: 'pending',
+  // Waiting for the buyer
+  COUNTERED: 'countered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired'
+});
+
+const OFFER_EVENTS = Object.freeze({
+  CREATED: 'created',
+  COUNTERED: 'countered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired'
+});
+
+module.exports = {
+  OFFER_STATUSES,
+  OFFER_EVENTS
+};
@@ -0,0 +1,16 @@
+const ORGANIZATION_ROLES = Object.freeze({
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  SALES: 'sales'
+});
+
+const ORGANIZATION_INVITATION_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+});
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  ORGANIZATION_INVITATION_STATUSES
+};
@@ -0,0 +1,38 @@
+const PAYMENT_PROVIDERS = Object.freeze({
+  FAKE: 'fake',
+  PAYSTACK: 'paystack',
+  FLUTTERWAVE: 'flutterwave'
+});
+
+const PAYMENT_PURPOSES = Object.freeze({
+  BOOST: 'boost',
+  SUBSCRIPTION: 'subscription'
+});
+
+const ORDER_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+const TRANSACTION_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed'
+});
+
+// Normalised event types every gateway adapter maps its webhooks onto
+const PAYMENT_EVENT_TYPES = Object.freeze({
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  IGNORED: 'ignored'
+});
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  PAYMENT_PURPOSES,
+  ORDER_STATUSES,
+  TRANSACTION_STATUSES,
+  PAYMENT_EVENT_TYPES
+};
@@ -0,0 +1,31 @@
+const REVIEW_STATUSES = Object.freeze({
+  PUBLISHED: 'published',
+  HIDDEN: 'hidden'
+});
+
+// What entitles the reviewer to review the seller
+const REVIEW_BASES = Object.freeze({
+  SALE: 'sale',
+  CONVERSATION: 'conversation'
+});
+
+const REVIEW_REPORT_REASONS = Object.freeze({
+  SPAM: 'spam',
+  OFFENSIVE: 'offensive',
+  FAKE: 'fake',
+  PERSONAL_INFORMATION: 'personal_information',
+  OTHER: 'other'
+});
+
+const REVIEW_REPORT_STATUSES = Object.freeze({
+  OPEN: 'open',
+  ACTIONED: 'actioned',
+  DISMISSED: 'dismissed'
+});
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_BASES,
+  REVIEW_REPORT_REASONS,
+  REVIEW_REPORT_STATUSES
+};
@@ -0,0 +1,10 @@
+const SALE_STATUSES = Object.freeze({
+  PENDING_CONFIRMATION: 'pending_confirmation',
+  CONFIRMED: 'confirmed',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled'
+});
+
+module.exports = {
+  SALE_STATUSES
+};
@@ -0,0 +1,14 @@
+const SESSION_REVOCATION_REASONS = Object.freeze({
+  LOGOUT: 'logout',
+  LOGOUT_OTHERS: 'logout_others',
+  REVOKED_BY_USER: 'revoked_by_user',
+  // A rotated refresh token was presented again
+  TOKEN_REUSE: 'token_reuse',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  ACCOUNT_SUSPENDED: 'account_suspended'
+});
+
+module.exports = {
+  SESSION_REVOCATION_REASONS
+};
@@ -0,0 +1,18 @@
+const SUBSCRIPTION_PLANS = Object.freeze({
+  FREE: 'free',
+  BASIC: 'basic',
+  PRO: 'pro'
+});
+
+const SUBSCRIPTION_STATUSES = Object.freeze({
+  ACTIVE: 'active',
+  // Past the paid period; the plan still applies until the grace period ends
+  GRACE: 'grace',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+});
+
+module.exports = {
+  SUBSCRIPTION_PLANS,
+  SUBSCRIPTION_STATUSES
+};
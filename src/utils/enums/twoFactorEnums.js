@@ -0,0 +1,19 @@
+const { USER_ROLES } = require('./userEnums');
+
+// Kinds of short-lived challenge token issued between password and code
+const TWO_FACTOR_CHALLENGE_PURPOSES = Object.freeze({
+  LOGIN: '2fa_login',
+  // The user's role requires 2FA but they have not enrolled yet
+  SETUP: '2fa_setup'
+});
+
+// Roles supervisors can make 2FA mandatory for
+const TWO_FACTOR_ENFORCEABLE_ROLES = Object.freeze([
+  USER_ROLES.AGENT,
+  USER_ROLES.SUPERVISOR
+]);
+
+module.exports = {
+  TWO_FACTOR_CHALLENGE_PURPOSES,
+  TWO_FACTOR_ENFORCEABLE_ROLES
+};
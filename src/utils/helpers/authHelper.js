@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const env = require('../../config/env');
 const { USER_ROLES } = require('../enums/userEnums');
 
 const REGISTRATION_ROLE_MAP = Object.freeze({
@@ -85,6 +86,52 @@ const toAuthUser = (userDoc) => {
   return plain;
 };
 
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const OS_PATTERNS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+// Short label such as "Chrome on Windows" for session lists
+const describeDevice = (userAgent) => {
+  if (typeof userAgent !== 'string' || !userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+
+  return browser || os || userAgent.slice(0, 60);
+};
+
+// Two-letter country code from the proxy; XX means it could not tell
+const getClientCountry = (req) => {
+  const country = String(req.get(env.loginProtection.countryHeader) || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(country) && country !== 'XX' ? country : undefined;
+};
+
+// Where a sign-in came from; clients may name the device themselves
+const getClientContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || undefined,
+  device: normalizeString(req.body?.device),
+  country: getClientCountry(req)
+});
+
 module.exports = {
   normalizeEmail,
   normalizeString,
@@ -94,5 +141,7 @@ module.exports = {
   createVerificationToken,
   createPasswordResetToken,
   buildBusinessProfile,
-  toAuthUser
+  toAuthUser,
+  describeDevice,
+  getClientContext
 };
@@ -0,0 +1,158 @@
+// Time zone conversion with Intl (no tz database dependency) and RFC 5545
+// iCalendar generation for appointment invites.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Wall-clock parts of an instant in a time zone; weekday is 0 (Sunday) to 6
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parts.find((part) => part.type === type)?.value;
+
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    weekday: WEEKDAYS.indexOf(value('weekday'))
+  };
+};
+
+// The instant at which a wall-clock time occurs in a time zone
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const parts = getZonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - guess;
+
+  return new Date(guess - offset);
+};
+
+// Human-readable date and time for emails and notifications
+const formatZonedDateTime = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  dateStyle: 'full',
+  timeStyle: 'short'
+}).format(new Date(date));
+
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 characters are folded onto continuation lines
+const foldLine = (line) => {
+  if (line.length <= 75) {
+    return line;
+  }
+
+  const chunks = [line.slice(0, 75)];
+  for (let index = 75; index < line.length; index += 74) {
+    chunks.push(` ${line.slice(index, index + 74)}`);
+  }
+  return chunks.join('\r\n');
+};
+
+const formatPerson = (property, person) => {
+  const name = person.name ? `;CN=${escapeIcsText(person.name)}` : '';
+  return `${property}${name}:mailto:${person.email}`;
+};
+
+/**
+ * Builds a single-event VCALENDAR. `method` is REQUEST for new or updated
+ * events and CANCEL to remove one; `sequence` must increase on every update
+ * to the same `uid` so calendar clients replace the earlier version.
+ */
+const buildIcsEvent = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  status = 'CONFIRMED',
+  startsAt,
+  endsAt,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  alarmMinutes = [],
+  productId = '-//Marketplace//Appointments//EN'
+}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(startsAt)}`,
+    `DTEND:${formatIcsDate(endsAt)}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeIcsText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer?.email) lines.push(formatPerson('ORGANIZER', organizer));
+
+  attendees
+    .filter((attendee) => attendee?.email)
+    .forEach((attendee) => lines.push(formatPerson('ATTENDEE;ROLE=REQ-PARTICIPANT', attendee)));
+
+  if (method !== 'CANCEL') {
+    alarmMinutes.forEach((minutes) => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(summary)}`,
+        `TRIGGER:-PT${minutes}M`,
+        'END:VALARM'
+      );
+    });
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  parseTime,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatZonedDateTime,
+  buildIcsEvent
+};
@@ -0,0 +1,178 @@
+const { CATEGORY_ATTRIBUTE_TYPES } = require('../enums/categoryEnums');
+
+const ATTRIBUTE_TYPE_VALUES = new Set(Object.values(CATEGORY_ATTRIBUTE_TYPES));
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Category `schema` maps specification keys to typed attribute definitions:
+ *
+ *   schema: {
+ *     engineSize: { type: 'number', required: true, min: 0.6, max: 8, unit: 'L', label: 'Engine size' },
+ *     gearbox: { type: 'string', enum: ['manual', 'automatic'] }
+ *   }
+ *
+ * Returns a map of attribute key to error message for malformed definitions.
+ */
+const validateCategorySchema = (schema) => {
+  const errors = {};
+
+  if (schema === undefined || schema === null) {
+    return errors;
+  }
+
+  if (!isPlainObject(schema)) {
+    errors.schema = 'Schema must be an object of attribute definitions';
+    return errors;
+  }
+
+  Object.entries(schema).forEach(([key, definition]) => {
+    if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+      errors[key] = 'Attribute names may only contain letters, numbers, dashes and underscores';
+      return;
+    }
+
+    if (!isPlainObject(definition)) {
+      errors[key] = 'Attribute definition must be an object';
+      return;
+    }
+
+    if (!ATTRIBUTE_TYPE_VALUES.has(definition.type)) {
+      errors[key] = `Attribute type must be one of: ${Array.from(ATTRIBUTE_TYPE_VALUES).join(', ')}`;
+      return;
+    }
+
+    if (definition.enum !== undefined && (!Array.isArray(definition.enum) || !definition.enum.length)) {
+      errors[key] = 'Attribute enum must be a non-empty array';
+      return;
+    }
+
+    const { min, max } = definition;
+    if ((min !== undefined && typeof min !== 'number') || (max !== undefined && typeof max !== 'number')) {
+      errors[key] = 'Attribute min and max must be numbers';
+      return;
+    }
+
+    if (min !== undefined && max !== undefined && min > max) {
+      errors[key] = 'Attribute min cannot be greater than max';
+    }
+  });
+
+  return errors;
+};
+
+const coerceAttributeValue = (value, definition) => {
+  switch (definition.type) {
+  case CATEGORY_ATTRIBUTE_TYPES.NUMBER:
+  case CATEGORY_ATTRIBUTE_TYPES.INTEGER: {
+    const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(parsed)) {
+      return { error: 'must be a number' };
+    }
+    if (definition.type === CATEGORY_ATTRIBUTE_TYPES.INTEGER && !Number.isInteger(parsed)) {
+      return { error: 'must be a whole number' };
+    }
+    return { value: parsed };
+  }
+  case CATEGORY_ATTRIBUTE_TYPES.BOOLEAN:
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: 'must be true or false' };
+  case CATEGORY_ATTRIBUTE_TYPES.DATE: {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'must be a valid date' } : { value: date };
+  }
+  default:
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return { error: 'must be text' };
+    }
+    return { value: String(value).trim() };
+  }
+};
+
+const checkAttributeConstraints = (value, definition) => {
+  const unit = definition.unit ? ` ${definition.unit}` : '';
+
+  if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+    return `must be one of: ${definition.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (definition.min !== undefined && value < definition.min) {
+      return `must be at least ${definition.min}${unit}`;
+    }
+    if (definition.max !== undefined && value > definition.max) {
+      return `must be at most ${definition.max}${unit}`;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (definition.min !== undefined && value.length < definition.min) {
+      return `must be at least ${definition.min} characters`;
+    }
+    if (definition.max !== undefined && value.length > definition.max) {
+      return `must be at most ${definition.max} characters`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validates listing specifications against a category schema. Attributes the
+ * schema does not declare are passed through untouched.
+ *
+ * @returns {{ errors: Object<string, string>, specifications: Object }}
+ */
+const validateSpecifications = (specifications, schema) => {
+  const source = specifications instanceof Map
+    ? Object.fromEntries(specifications)
+    : { ...(specifications || {}) };
+
+  const errors = {};
+
+  if (!isPlainObject(schema)) {
+    return { errors, specifications: source };
+  }
+
+  Object.entries(schema).forEach(([key, definition]) => {
+    if (!isPlainObject(definition) || !ATTRIBUTE_TYPE_VALUES.has(definition.type)) {
+      return;
+    }
+
+    const name = definition.label || key;
+    const raw = source[key];
+
+    if (isEmptyValue(raw)) {
+      if (definition.required) {
+        errors[key] = `${name} is required`;
+      }
+      delete source[key];
+      return;
+    }
+
+    const { value, error } = coerceAttributeValue(raw, definition);
+    if (error) {
+      errors[key] = `${name} ${error}`;
+      return;
+    }
+
+    const constraintError = checkAttributeConstraints(value, definition);
+    if (constraintError) {
+      errors[key] = `${name} ${constraintError}`;
+      return;
+    }
+
+    source[key] = value;
+  });
+
+  return { errors, specifications: source };
+};
+
+module.exports = {
+  validateCategorySchema,
+  validateSpecifications
+};
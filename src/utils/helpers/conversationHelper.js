@@ -46,6 +46,8 @@ const formatMessage = (messageDoc, readSet, currentUserId) => {
     id: messageId,
     conversation: message.conversation?.toString?.() || null,
     content: message.content,
+    messageType: message.messageType || 'text',
+    metadata: message.metadata || null,
     createdAt: message.createdAt,
     updatedAt: message.updatedAt,
     sender: formatParticipant(messageDoc.sender),
@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../../middleware/errorHandler');
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 1000;
+
+const isCoordinate = (value) => typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+
+// Returns null without a location; throws 400 for one that cannot be used
+const parseGeoQuery = (query = {}) => {
+  let parts;
+
+  if (query.near !== undefined) {
+    parts = String(query.near).split(',');
+    if (parts.length !== 2) {
+      throw new AppError('near must be "latitude,longitude"', 400);
+    }
+  } else if (query.lat !== undefined || query.lng !== undefined) {
+    if (query.lat === undefined || query.lng === undefined) {
+      throw new AppError('lat and lng must be provided together', 400);
+    }
+    parts = [query.lat, query.lng];
+  } else {
+    return null;
+  }
+
+  if (!parts.every((part) => isCoordinate(String(part)))) {
+    throw new AppError('Location coordinates must be numbers', 400);
+  }
+
+  const [latitude, longitude] = parts.map(Number);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new AppError('Latitude must be between -90 and 90 and longitude between -180 and 180', 400);
+  }
+
+  const requestedRadius = Number(query.radiusKm);
+  if (query.radiusKm !== undefined && !(requestedRadius > 0)) {
+    throw new AppError('radiusKm must be a positive number', 400);
+  }
+  const radiusKm = query.radiusKm !== undefined ? Math.min(requestedRadius, MAX_RADIUS_KM) : DEFAULT_RADIUS_KM;
+
+  return { latitude, longitude, radiusKm };
+};
+
+const SPEC_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Accepts repeated params (?fuelType=a&fuelType=b) and comma lists (?fuelType=a,b)
+const toValueList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : String(value).split(',');
+
+  return values
+    .filter((item) => typeof item === 'string' || typeof item === 'number')
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+const buildValueFilter = (value) => {
+  const values = toValueList(value);
+
+  if (!values.length) {
+    return undefined;
+  }
+
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+const buildRangeFilter = (min, max) => {
+  const range = {};
+  const minValue = toNumber(min);
+  const maxValue = toNumber(max);
+
+  if (minValue !== undefined) range.$gte = minValue;
+  if (maxValue !== undefined) range.$lte = maxValue;
+
+  return Object.keys(range).length ? range : undefined;
+};
+
+/**
+ * Builds filters over the dynamic `specifications` map. Only attributes
+ * declared in the category's `filters` definition are honoured, e.g.
+ *
+ *   filters: {
+ *     engineSize: { type: 'range', label: 'Engine size', unit: 'L' },
+ *     partType: { type: 'select', options: ['brakes', 'filters'] },
+ *     isOem: { type: 'boolean' }
+ *   }
+ *
+ * queried as `?specs[engineSize][min]=1.5&specs[partType]=brakes,filters`.
+ */
+const buildSpecificationFilters = (specsQuery, definitions) => {
+  const filters = {};
+
+  if (!specsQuery || typeof specsQuery !== 'object' || !definitions || typeof definitions !== 'object') {
+    return filters;
+  }
+
+  Object.entries(definitions).forEach(([key, definition]) => {
+    const raw = specsQuery[key];
+    if (raw === undefined || !SPEC_KEY_PATTERN.test(key)) {
+      return;
+    }
+
+    const path = `specifications.${key}`;
+    const type = definition?.type;
+
+    if (type === 'range') {
+      const range = raw && typeof raw === 'object' && !Array.isArray(raw)
+        ? buildRangeFilter(raw.min, raw.max)
+        : buildRangeFilter(raw, raw);
+      if (range) filters[path] = range;
+      return;
+    }
+
+    if (type === 'boolean') {
+      if (raw === 'true' || raw === 'false') filters[path] = raw === 'true';
+      return;
+    }
+
+    const valueFilter = buildValueFilter(raw);
+    if (valueFilter !== undefined) filters[path] = valueFilter;
+  });
+
+  return filters;
+};
+
+const MULTI_VALUE_FIELDS = ['bodyType', 'fuelType', 'transmission', 'condition', 'color', 'driveType'];
+
+const buildListingFilters = (query = {}, opts = {}) => {
+  const filters = { deletedAt: null };
+
+  // Only staff may look past published listings; everyone else gets those
+  // whatever `status` they ask for
+  if (!opts.includeDrafts) {
+    filters.status = 'published';
+  } else if (query.status) {
+    filters.status = query.status;
+  }
+
+  // Sold listings stay reachable by slug but only appear in search on request
+  if (query.availabilityStatus) {
+    filters.availabilityStatus = query.availabilityStatus;
+  } else {
+    filters.availabilityStatus = { $ne: 'sold' };
+  }
+
+  if (query.category) {
+    if (mongoose.Types.ObjectId.isValid(query.category)) {
+      filters.category = query.category;
+    } else {
+      filters.category = null;
+    }
+  }
+
+  if (query.owner) {
+    filters.owner = query.owner;
+  }
+
+  const priceRange = buildRangeFilter(query.minPrice, query.maxPrice);
+  if (priceRange) {
+    filters.price = priceRange;
+  }
+
+  if (query.state) {
+    filters['location.state'] = query.state;
+  }
+
+  if (query.city) {
+    filters['location.city'] = query.city;
+  }
+
+  if (query.year) {
+    filters.year = Number(query.year);
+  } else {
+    const yearRange = buildRangeFilter(query.minYear, query.maxYear);
+    if (yearRange) filters.year = yearRange;
+  }
+
+  const mileageRange = buildRangeFilter(query.minMileage, query.maxMileage);
+  if (mileageRange) {
+    filters.mileage = mileageRange;
+  }
+
+  if (query.isFeatured) {
+    filters.isFeatured = query.isFeatured === 'true';
+  }
+
+  MULTI_VALUE_FIELDS.forEach((field) => {
+    const valueFilter = buildValueFilter(query[field]);
+    if (valueFilter !== undefined) {
+      filters[field] = valueFilter;
+    }
+  });
+
+  Object.assign(filters, buildSpecificationFilters(query.specs, opts.specFilters));
+
+  const geo = parseGeoQuery(query);
+  if (geo) {
+    filters.geoLocation = {
+      $geoWithin: {
+        $centerSphere: [[geo.longitude, geo.latitude], geo.radiusKm / EARTH_RADIUS_KM]
+      }
+    };
+  }
+
+  return filters;
+};
+
+const getSortOptions = (sortParam, opts = {}) => {
+  switch (sortParam) {
+  case 'distance':
+    // distance is only produced by $geoNear; fall back to recency otherwise
+    return opts.hasGeo ? { distance: 1 } : { createdAt: -1 };
+  case 'price_asc':
+    return { price: 1 };
+  case 'price_desc':
+    return { price: -1 };
+  case 'oldest':
+    return { createdAt: 1 };
+  case 'recent':
+    return { createdAt: -1 };
+  case 'featured':
+    // Boosted listings first, higher tiers ahead of lower ones
+    return { boostPriority: -1, isFeatured: -1, createdAt: -1 };
+  default:
+    return { createdAt: -1 };
+  }
+};
+
+const YEAR_FACET_BOUNDARIES = [0, 2000, 2005, 2010, 2015, 2020];
+const PRICE_FACET_BOUNDARIES = [0, 1000000, 2500000, 5000000, 10000000, 20000000, 50000000];
+
+// $geoNear must run first and cannot reuse the $geoWithin filter or $text, so
+// the remaining filters are passed through as its query.
+const buildGeoNearStage = (geo, filters) => {
+  const query = { ...filters };
+  delete query.geoLocation;
+
+  return {
+    $geoNear: {
+      near: { type: 'Point', coordinates: [geo.longitude, geo.latitude] },
+      distanceField: 'distance',
+      distanceMultiplier: 0.001,
+      maxDistance: geo.radiusKm * 1000,
+      spherical: true,
+      key: 'geoLocation',
+      query
+    }
+  };
+};
+
+// Each facet lists the query params it owns so they can be dropped when
+// counting that facet ("applied filters minus the facet itself").
+const LISTING_FACETS = Object.freeze({
+  bodyType: { field: 'bodyType', params: ['bodyType'] },
+  fuelType: { field: 'fuelType', params: ['fuelType'] },
+  transmission: { field: 'transmission', params: ['transmission'] },
+  condition: { field: 'condition', params: ['condition'] },
+  state: { field: 'location.state', params: ['state'] },
+  city: { field: 'location.city', params: ['city'] },
+  category: { field: 'category', params: ['category'] },
+  year: { field: 'year', params: ['year', 'minYear', 'maxYear'], boundaries: YEAR_FACET_BOUNDARIES },
+  price: { field: 'price', params: ['minPrice', 'maxPrice'], boundaries: PRICE_FACET_BOUNDARIES }
+});
+
+const omitParams = (query, params) => {
+  const copy = { ...query };
+  params.forEach((param) => {
+    delete copy[param];
+  });
+  return copy;
+};
+
+const buildFacetPipeline = (facet) => {
+  if (facet.boundaries) {
+    return [
+      { $match: { [facet.field]: { $ne: null } } },
+      {
+        $bucket: {
+          groupBy: `$${facet.field}`,
+          boundaries: facet.boundaries,
+          // Values above the last boundary fall into the open-ended bucket
+          default: 'above',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ];
+  }
+
+  const pipeline = [
+    { $match: { [facet.field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${facet.field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  if (facet.field === 'category') {
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'categories',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
+    );
+  }
+
+  return pipeline;
+};
+
+const formatFacetBuckets = (facet, buckets) => {
+  if (facet.boundaries) {
+    return buckets.map((bucket) => {
+      if (bucket._id === 'above') {
+        const min = facet.boundaries[facet.boundaries.length - 1];
+        return { value: `${min}+`, min, max: null, count: bucket.count };
+      }
+
+      const index = facet.boundaries.indexOf(bucket._id);
+      const upper = facet.boundaries[index + 1];
+      return {
+        value: `${bucket._id}-${upper - 1}`,
+        min: bucket._id,
+        max: upper - 1,
+        count: bucket.count
+      };
+    });
+  }
+
+  if (facet.field === 'category') {
+    return buckets.map((bucket) => ({
+      value: bucket._id ? bucket._id.toString() : null,
+      name: bucket.category?.name || null,
+      slug: bucket.category?.slug || null,
+      count: bucket.count
+    }));
+  }
+
+  return buckets.map((bucket) => ({
+    value: bucket._id,
+    count: bucket.count
+  }));
+};
+
+module.exports = {
+  toValueList,
+  buildRangeFilter,
+  buildSpecificationFilters,
+  parseGeoQuery,
+  buildGeoNearStage,
+  buildListingFilters,
+  getSortOptions,
+  LISTING_FACETS,
+  omitParams,
+  buildFacetPipeline,
+  formatFacetBuckets
+};
@@ -0,0 +1,251 @@
+// Offline VIN (ISO 3779 / FMVSS 565) validation and decoding. Only the parts
+// that can be derived without a vendor database are decoded: WMI, region,
+// model year and the check digit.
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const TRANSLITERATION = Object.freeze({
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+});
+
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 codes cycle every 30 years starting at 1980.
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// Longest prefix wins, so three-character WMIs override two-character ones.
+const WMI_MANUFACTURERS = Object.freeze({
+  JT: 'Toyota',
+  JTH: 'Lexus',
+  JTJ: 'Lexus',
+  '2T1': 'Toyota',
+  '2T2': 'Lexus',
+  '4T1': 'Toyota',
+  '4T3': 'Toyota',
+  '4T4': 'Toyota',
+  '5TD': 'Toyota',
+  '5TF': 'Toyota',
+  '5YF': 'Toyota',
+  '58A': 'Lexus',
+  NMT: 'Toyota',
+  AHT: 'Toyota',
+  '1HG': 'Honda',
+  '2HG': 'Honda',
+  '5FN': 'Honda',
+  '5J6': 'Honda',
+  '19X': 'Honda',
+  JHM: 'Honda',
+  SHH: 'Honda',
+  JH4: 'Acura',
+  '19U': 'Acura',
+  '5J8': 'Acura',
+  '1FA': 'Ford',
+  '1FM': 'Ford',
+  '1FT': 'Ford',
+  '3FA': 'Ford',
+  WF0: 'Ford',
+  NM0: 'Ford',
+  '1G1': 'Chevrolet',
+  '1GC': 'Chevrolet',
+  '1GN': 'Chevrolet',
+  '2G1': 'Chevrolet',
+  '1GK': 'GMC',
+  '1GT': 'GMC',
+  '1GY': 'Cadillac',
+  '1N4': 'Nissan',
+  '3N1': 'Nissan',
+  '5N1': 'Nissan',
+  JN1: 'Nissan',
+  JN8: 'Nissan',
+  KMH: 'Hyundai',
+  '5NP': 'Hyundai',
+  MAL: 'Hyundai',
+  KNA: 'Kia',
+  KND: 'Kia',
+  '5XY': 'Kia',
+  WBA: 'BMW',
+  WBS: 'BMW',
+  WBX: 'BMW',
+  '5UX': 'BMW',
+  WDB: 'Mercedes-Benz',
+  WDC: 'Mercedes-Benz',
+  WDD: 'Mercedes-Benz',
+  W1K: 'Mercedes-Benz',
+  W1N: 'Mercedes-Benz',
+  '4JG': 'Mercedes-Benz',
+  WVW: 'Volkswagen',
+  WVG: 'Volkswagen',
+  '1VW': 'Volkswagen',
+  '3VW': 'Volkswagen',
+  WAU: 'Audi',
+  WA1: 'Audi',
+  WP0: 'Porsche',
+  WP1: 'Porsche',
+  JM1: 'Mazda',
+  JM3: 'Mazda',
+  JF1: 'Subaru',
+  JF2: 'Subaru',
+  '4S3': 'Subaru',
+  '4S4': 'Subaru',
+  JA3: 'Mitsubishi',
+  JA4: 'Mitsubishi',
+  ML3: 'Mitsubishi',
+  JS1: 'Suzuki',
+  JS2: 'Suzuki',
+  JS3: 'Suzuki',
+  MA3: 'Suzuki',
+  SAL: 'Land Rover',
+  SAJ: 'Jaguar',
+  SCB: 'Bentley',
+  YV1: 'Volvo',
+  YV4: 'Volvo',
+  VF1: 'Renault',
+  VF3: 'Peugeot',
+  VF7: 'Citroen',
+  ZFA: 'Fiat',
+  ZAR: 'Alfa Romeo',
+  ZFF: 'Ferrari',
+  TMB: 'Skoda',
+  VSS: 'SEAT',
+  '5YJ': 'Tesla',
+  '1C4': 'Chrysler',
+  '2C3': 'Chrysler',
+  '1J4': 'Jeep',
+  '1J8': 'Jeep',
+  KL: 'GM Korea'
+});
+
+const REGION_BY_FIRST_CHAR = [
+  { pattern: /^[A-H]/, region: 'Africa' },
+  { pattern: /^[J-R]/, region: 'Asia' },
+  { pattern: /^[S-Z]/, region: 'Europe' },
+  { pattern: /^[1-5]/, region: 'North America' },
+  { pattern: /^[67]/, region: 'Oceania' },
+  { pattern: /^[89]/, region: 'South America' }
+];
+
+const COUNTRY_BY_PREFIX = Object.freeze({
+  1: 'United States',
+  4: 'United States',
+  5: 'United States',
+  2: 'Canada',
+  3: 'Mexico',
+  J: 'Japan',
+  K: 'South Korea',
+  L: 'China',
+  W: 'Germany',
+  S: 'United Kingdom',
+  Z: 'Italy',
+  Y: 'Sweden',
+  VF: 'France',
+  VS: 'Spain',
+  TM: 'Czech Republic',
+  MA: 'India',
+  ML: 'Thailand',
+  NM: 'Turkey',
+  AA: 'South Africa',
+  AH: 'South Africa',
+  6: 'Australia',
+  9: 'Brazil'
+});
+
+const lookupByPrefix = (table, value) => {
+  for (let length = 3; length > 0; length -= 1) {
+    const match = table[value.slice(0, length)];
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+};
+
+const normalizeVin = (vin) => {
+  if (typeof vin !== 'string') {
+    return null;
+  }
+
+  const normalized = vin.replace(/[\s-]/g, '').toUpperCase();
+  return normalized.length ? normalized : null;
+};
+
+const computeCheckDigit = (vin) => {
+  const sum = vin.split('').reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * POSITION_WEIGHTS[index];
+  }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+};
+
+/**
+ * @returns {string|null} A human readable reason the VIN is invalid, or null.
+ */
+const getVinError = (vin) => {
+  if (!vin) {
+    return 'VIN is required';
+  }
+
+  if (vin.length !== 17) {
+    return 'VIN must be exactly 17 characters';
+  }
+
+  if (!VIN_PATTERN.test(vin)) {
+    return 'VIN may only contain digits and letters other than I, O and Q';
+  }
+
+  if (computeCheckDigit(vin) !== vin[8]) {
+    return 'VIN check digit is invalid';
+  }
+
+  return null;
+};
+
+const decodeModelYear = (vin, now = new Date()) => {
+  const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) {
+    return null;
+  }
+
+  // North American passenger vehicles use a letter in position 7 from 2010.
+  let year = 1980 + index + (/[A-Z]/.test(vin[6]) ? 30 : 0);
+
+  const latestModelYear = now.getFullYear() + 1;
+  while (year > latestModelYear) {
+    year -= 30;
+  }
+
+  return year;
+};
+
+const decodeVin = (rawVin) => {
+  const vin = normalizeVin(rawVin);
+  const error = getVinError(vin);
+
+  if (error) {
+    return { vin, valid: false, error };
+  }
+
+  const region = REGION_BY_FIRST_CHAR.find(({ pattern }) => pattern.test(vin));
+
+  return {
+    vin,
+    valid: true,
+    wmi: vin.slice(0, 3),
+    manufacturer: lookupByPrefix(WMI_MANUFACTURERS, vin),
+    country: lookupByPrefix(COUNTRY_BY_PREFIX, vin),
+    region: region ? region.region : null,
+    modelYear: decodeModelYear(vin),
+    checkDigit: vin[8]
+  };
+};
+
+module.exports = {
+  normalizeVin,
+  computeCheckDigit,
+  getVinError,
+  decodeModelYear,
+  decodeVin
+};
@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, findActiveSession, isTokenCurrent } = require('../middleware/auth');
 const User = require('../models/User');
 const { Conversation } = require('../models/Conversation');
+const { Auction, AuctionAccess } = require('../models/Auction');
 
 let ioInstance = null;
 const userSockets = new Map();
@@ -187,6 +188,65 @@ const emitConversationRead = (conversationId, userIds, payload = {}) => {
   emitConversationEvent(conversationId, userIds, 'conversations:read', payload);
 };
 
+const MODERATION_ROOM = 'moderation';
+
+// Agents and supervisors join the moderation room on connect
+const emitModerationEvent = (event, payload = {}) => {
+  if (!ioInstance) {
+    return false;
+  }
+
+  ioInstance.to(MODERATION_ROOM).emit(event, payload);
+  return true;
+};
+
+const auctionRoom = (auctionId) => {
+  const id = toConversationIdString(auctionId);
+  return id ? `auction:${id}` : null;
+};
+
+// Bidders with access join the auction room through `auctions:join`
+const emitAuctionEvent = (auctionId, event, payload = {}) => {
+  if (!ioInstance) {
+    return false;
+  }
+
+  const room = auctionRoom(auctionId);
+  if (!room) {
+    return false;
+  }
+
+  ioInstance.to(room).emit(event, { auctionId: toConversationIdString(auctionId), ...payload });
+  return true;
+};
+
+// Drops every socket of a user whose access was revoked from the auction room
+const removeUserFromAuction = (auctionId, userId) => {
+  const room = auctionRoom(auctionId);
+  const id = toUserIdString(userId);
+
+  if (!ioInstance || !room || !id) {
+    return false;
+  }
+
+  ioInstance.in(`user:${id}`).socketsLeave(room);
+  return true;
+};
+
+const canJoinAuction = async (auctionId, userId, userRole) => {
+  const auction = await Auction.findById(auctionId).select('seller').lean();
+
+  if (!auction) {
+    throw new Error('Auction not found');
+  }
+
+  if (auction.seller === userId || ['agent', 'supervisor'].includes(userRole)) {
+    return true;
+  }
+
+  return Boolean(await AuctionAccess.exists({ auction: auctionId, user: userId, revokedAt: null }));
+};
+
 const ensureSocketConversationMap = (socketId) => {
   if (!socketConversations.has(socketId)) {
     socketConversations.set(socketId, new Set());
@@ -207,14 +267,20 @@ const init = (io) => {
       }
 
       const decoded = verifyToken(token);
-      const user = await User.findById(decoded.id).select('_id role isActive isSoftDeleted');
+      const session = await findActiveSession(decoded);
+      if (!session) {
+        return next(new Error('Authentication error'));
+      }
+
+      const user = await User.findById(decoded.id).select('_id role isActive isSoftDeleted tokenVersion');
 
-      if (!user || !user.isActive || user.isSoftDeleted) {
+      if (!user || !isTokenCurrent(decoded, user) || !user.isActive || user.isSoftDeleted) {
         return next(new Error('Authentication error'));
       }
 
       socket.data.userId = user._id.toString();
       socket.data.userRole = user.role;
+      socket.data.sessionId = session._id.toString();
 
       return next();
     } catch (error) {
@@ -224,7 +290,7 @@ const init = (io) => {
   });
 
   io.on('connection', (socket) => {
-    const { userId } = socket.data || {};
+    const { userId, userRole } = socket.data || {};
 
     if (!userId) {
       console.warn('Socket connected without user context. Disconnecting.');
@@ -235,6 +301,10 @@ const init = (io) => {
     registerSocket(userId, socket.id);
     socket.join(`user:${userId}`);
 
+    if (['agent', 'supervisor'].includes(userRole)) {
+      socket.join(MODERATION_ROOM);
+    }
+
     console.log(`User ${userId} connected on socket ${socket.id}`);
 
     socket.emit('notifications:connected', {
@@ -313,6 +383,49 @@ const init = (io) => {
       }
     });
 
+    socket.on('auctions:join', async (rawAuctionId, ack) => {
+      try {
+        const auctionId = toConversationIdString(rawAuctionId);
+
+        if (!auctionId || !mongoose.Types.ObjectId.isValid(auctionId)) {
+          throw new Error('Invalid auction ID');
+        }
+
+        if (!(await canJoinAuction(auctionId, userId, userRole))) {
+          throw new Error('Not authorized to join auction');
+        }
+
+        socket.join(auctionRoom(auctionId));
+
+        if (typeof ack === 'function') {
+          ack({ success: true, auctionId });
+        } else {
+          socket.emit('auctions:joined', { auctionId });
+        }
+      } catch (error) {
+        if (typeof ack === 'function') {
+          ack({ success: false, error: error.message });
+        } else {
+          socket.emit('auctions:joinError', { error: error.message });
+        }
+      }
+    });
+
+    socket.on('auctions:leave', (rawAuctionId, ack) => {
+      const auctionId = toConversationIdString(rawAuctionId);
+      const room = auctionRoom(auctionId);
+
+      if (room) {
+        socket.leave(room);
+      }
+
+      if (typeof ack === 'function') {
+        ack({ success: true, auctionId });
+      } else {
+        socket.emit('auctions:left', { auctionId });
+      }
+    });
+
     socket.on('disconnect', (reason) => {
       removeSocket(userId, socket.id);
 
@@ -342,6 +455,32 @@ const getOnlineSockets = (userId) => {
   return sockets ? Array.from(sockets) : [];
 };
 
+/**
+ * Ends a user's live connections, optionally only those opened under the
+ * given sessions. Clients get `auth:revoked` first so they can sign out.
+ */
+const disconnectUserSockets = (userId, { sessionIds, reason = 'session_revoked' } = {}) => {
+  if (!ioInstance) {
+    return 0;
+  }
+
+  const sessionFilter = sessionIds ? new Set(sessionIds.map(String)) : null;
+  let disconnected = 0;
+
+  getOnlineSockets(userId).forEach((socketId) => {
+    const socket = ioInstance.sockets.sockets.get(socketId);
+    if (!socket || (sessionFilter && !sessionFilter.has(socket.data?.sessionId))) {
+      return;
+    }
+
+    socket.emit('auth:revoked', { reason });
+    socket.disconnect(true);
+    disconnected += 1;
+  });
+
+  return disconnected;
+};
+
 const getIo = () => ioInstance;
 
 module.exports = {
@@ -357,5 +496,9 @@ module.exports = {
   emitConversationMessage,
   emitConversationUpdated,
   emitConversationRead,
-  getOnlineSockets
+  emitModerationEvent,
+  emitAuctionEvent,
+  removeUserFromAuction,
+  getOnlineSockets,
+  disconnectUserSockets
 };
\ No newline at end of file
@@ -102,8 +102,131 @@ const renderPasswordResetEmail = (user, token) => {
   return withLayout('Reset Your Password', content);
 };
 
+const renderListingApprovedEmail = (user, listing, listingUrl) => {
+  const displayName = user.displayName || user.email;
+
+  const content = `
+    <h2>Hello ${displayName}!</h2>
+    <p>Good news! Your listing <strong>${listing.title}</strong> has been approved and is now live on ${env.productName}.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${listingUrl}" style="background-color: #38a169; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+        View Listing
+      </a>
+    </div>
+    <p>This email was sent to ${user.email}</p>
+  `;
+
+  return withLayout('Your Listing Is Live', content);
+};
+
+const renderListingRejectedEmail = (user, listing, editUrl) => {
+  const displayName = user.displayName || user.email;
+  const reasonNotice = listing.rejectionReason
+    ? `
+      <div style="background-color: #fff5f5; border-left: 4px solid #f56565; padding: 15px; margin: 20px 0;">
+        <p style="margin: 0;"><strong>Reason:</strong> ${listing.rejectionReason}</p>
+      </div>
+    `
+    : '';
+
+  const content = `
+    <h2>Hello ${displayName}!</h2>
+    <p>Your listing <strong>${listing.title}</strong> could not be approved by our moderation team.</p>
+    ${reasonNotice}
+    <p>You can update the listing and submit it for review again.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${editUrl}" style="background-color: #1a365d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+        Edit Listing
+      </a>
+    </div>
+    <p>This email was sent to ${user.email}</p>
+  `;
+
+  return withLayout('Your Listing Needs Changes', content);
+};
+
+const renderAppointmentEmail = (user, { heading, message, details = [], actionUrl, actionText }) => {
+  const displayName = user.displayName || user.email;
+  const rows = details
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<p style="margin: 0 0 6px;"><strong>${label}:</strong> ${value}</p>`)
+    .join('');
+  const action = actionUrl
+    ? `
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${actionUrl}" style="background-color: #1a365d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          ${actionText || 'View Appointment'}
+        </a>
+      </div>
+    `
+    : '';
+
+  const content = `
+    <h2>Hello ${displayName}!</h2>
+    <p>${message}</p>
+    <div style="background-color: #f7fafc; border-left: 4px solid #1a365d; padding: 15px; margin: 20px 0;">
+      ${rows}
+    </div>
+    ${action}
+    <p>This email was sent to ${user.email}</p>
+  `;
+
+  return withLayout(heading, content);
+};
+
+const renderOrganizationInvitationEmail = (email, {
+  organizationName,
+  inviterName,
+  role,
+  acceptUrl,
+  expiresAt
+}) => {
+  const content = `
+    <h2>Hello!</h2>
+    <p><strong>${inviterName}</strong> invited you to join <strong>${organizationName}</strong> on ${env.productName} as a ${role} member.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${acceptUrl}" style="background-color: #1a365d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+        Accept Invitation
+      </a>
+    </div>
+    <p>If the button doesn't work, copy and paste this link into your browser:</p>
+    <p style="word-break: break-all; color: #1a365d;">${acceptUrl}</p>
+    <p>Sign in or create an account with this email address to accept. The invitation expires on ${new Date(expiresAt).toUTCString()}.</p>
+    <p>This email was sent to ${email}</p>
+  `;
+
+  return withLayout('You Have Been Invited', content);
+};
+
+const renderAccountLockoutEmail = (user, { lockedUntil, ip }) => {
+  const displayName = user.displayName || user.email;
+  const resetUrl = `${env.app.frontendUrl}/forgot-password`;
+
+  const content = `
+    <h2>Hello ${displayName}!</h2>
+    <p>There were several failed attempts to sign in to your ${env.productName} account, so sign-in has been paused until ${new Date(lockedUntil).toUTCString()}.</p>
+    ${ip ? `<p>The last attempt came from IP address <strong>${ip}</strong>.</p>` : ''}
+    <div style="background-color: #fff5f5; border-left: 4px solid #f56565; padding: 15px; margin: 20px 0;">
+      <p style="margin: 0;">If this wasn't you, someone may be trying to guess your password. We recommend resetting it and turning on two-factor authentication.</p>
+    </div>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="background-color: #e53e3e; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+        Reset Password
+      </a>
+    </div>
+    <p>This email was sent to ${user.email}</p>
+  `;
+
+  return withLayout('Sign-in Temporarily Locked', content);
+};
+
 module.exports = {
   renderWelcomeEmail,
   renderEmailVerificationEmail,
-  renderPasswordResetEmail
+  renderPasswordResetEmail,
+  renderListingApprovedEmail,
+  renderListingRejectedEmail,
+  renderAppointmentEmail,
+  renderOrganizationInvitationEmail,
+  renderAccountLockoutEmail
 };
@@ -0,0 +1,149 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Listing = require('../src/models/Listing');
+const { Auction, AuctionBid, AuctionAccess } = require('../src/models/Auction');
+const auctionService = require('../src/services/auctionService');
+const { AUCTION_STATUSES } = require('../src/utils/enums/auctionEnums');
+const { LISTING_STATUSES } = require('../src/utils/enums/listingEnums');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const MINUTE_MS = 60 * 1000;
+const SELLER = { _id: 'seller-1', role: 'regular' };
+const ALICE = { _id: 'bidder-alice', role: 'regular' };
+const BOB = { _id: 'bidder-bob', role: 'regular' };
+const AGENT = { _id: 'agent-1', role: 'agent' };
+
+const setup = (t, { endsInMinutes = 60, antiSnipingWindowMinutes = 5, extensionMinutes = 5 } = {}) => {
+  const now = Date.now();
+  const auctions = useMemoryModel(t, Auction, [{
+    listing: new mongoose.Types.ObjectId(),
+    seller: SELLER._id,
+    startingPrice: 1000,
+    minIncrement: 100,
+    startsAt: new Date(now - 60 * MINUTE_MS),
+    endsAt: new Date(now + endsInMinutes * MINUTE_MS),
+    originalEndsAt: new Date(now + endsInMinutes * MINUTE_MS),
+    antiSnipingWindowMinutes,
+    extensionMinutes,
+    status: AUCTION_STATUSES.LIVE
+  }]);
+  const auction = auctions.rows[0];
+  useMemoryModel(t, AuctionAccess, [ALICE, BOB, AGENT].map((user) => ({
+    auction: auction._id,
+    user: user._id,
+    grantedBy: SELLER._id
+  })));
+  const bids = useMemoryModel(t, AuctionBid);
+
+  return { auctions, bids, auctionId: String(auction._id) };
+};
+
+test('of two bids racing on the same price, one wins and the other is told why', async (t) => {
+  const { auctions, bids, auctionId } = setup(t);
+
+  const results = await Promise.allSettled([
+    auctionService.placeBid(ALICE, auctionId, { amount: 1000 }),
+    auctionService.placeBid(BOB, auctionId, { amount: 1000 })
+  ]);
+
+  const rejected = results.filter((result) => result.status === 'rejected');
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reason.statusCode, 409);
+  assert.match(rejected[0].reason.message, /Another bid was placed first/);
+
+  assert.equal(bids.rows.length, 1);
+  assert.equal(auctions.rows[0].bidCount, 1);
+  assert.equal(auctions.rows[0].currentBidder, bids.rows[0].bidder);
+});
+
+test('bids must clear the current bid by the minimum increment', async (t) => {
+  const { auctions, auctionId } = setup(t);
+
+  await auctionService.placeBid(ALICE, auctionId, { amount: 1000 });
+  await assert.rejects(auctionService.placeBid(BOB, auctionId, { amount: 1050 }), { statusCode: 400 });
+  await assert.rejects(auctionService.placeBid(ALICE, auctionId, { amount: 2000 }), { statusCode: 409 });
+  await auctionService.placeBid(BOB, auctionId, { amount: 1100 });
+
+  assert.equal(auctions.rows[0].currentBid, 1100);
+  assert.equal(auctions.rows[0].currentBidder, BOB._id);
+});
+
+test('a bid inside the anti-sniping window extends the auction', async (t) => {
+  const { auctions, bids, auctionId } = setup(t, { endsInMinutes: 2 });
+  const endsAt = auctions.rows[0].endsAt;
+
+  const result = await auctionService.placeBid(ALICE, auctionId, { amount: 1000 });
+
+  assert.equal(result.message, 'Bid placed and auction extended');
+  assert.ok(auctions.rows[0].endsAt > endsAt);
+  assert.ok(auctions.rows[0].endsAt - Date.now() > 4 * MINUTE_MS);
+  assert.equal(auctions.rows[0].extensions, 1);
+  assert.ok(bids.rows[0].extendedEndsAt);
+});
+
+test('a bid outside the anti-sniping window leaves the end time alone', async (t) => {
+  const { auctions, auctionId } = setup(t, { endsInMinutes: 30 });
+  const endsAt = auctions.rows[0].endsAt;
+
+  const result = await auctionService.placeBid(ALICE, auctionId, { amount: 1000 });
+
+  assert.equal(result.message, 'Bid placed');
+  assert.deepEqual(auctions.rows[0].endsAt, endsAt);
+  assert.equal(auctions.rows[0].extensions, 0);
+});
+
+test('a zero extension turns anti-sniping off', async (t) => {
+  const { auctions, auctionId } = setup(t, { endsInMinutes: 2, extensionMinutes: 0 });
+  const endsAt = auctions.rows[0].endsAt;
+
+  await auctionService.placeBid(ALICE, auctionId, { amount: 1000 });
+
+  assert.deepEqual(auctions.rows[0].endsAt, endsAt);
+  assert.equal(auctions.rows[0].extensions, 0);
+});
+
+test('sellers and staff cannot bid', async (t) => {
+  const { bids, auctionId } = setup(t);
+
+  await assert.rejects(auctionService.placeBid(SELLER, auctionId, { amount: 1000 }), { statusCode: 403 });
+  await assert.rejects(auctionService.placeBid(AGENT, auctionId, { amount: 1000 }), { statusCode: 403 });
+  await assert.rejects(
+    auctionService.placeBid({ _id: 'supervisor-1', role: 'supervisor' }, auctionId, { amount: 1000 }),
+    { statusCode: 403 }
+  );
+  assert.equal(bids.rows.length, 0);
+});
+
+test('createAuction rejects anti-sniping settings that are not numbers', async (t) => {
+  const listings = useMemoryModel(t, Listing, [{
+    title: 'Toyota Corolla',
+    owner: new mongoose.Types.ObjectId(),
+    status: LISTING_STATUSES.PUBLISHED
+  }]);
+  const auctions = useMemoryModel(t, Auction);
+  const [listing] = listings.rows;
+  const seller = { _id: String(listing.owner), role: 'regular' };
+  const data = {
+    listing: String(listing._id),
+    startingPrice: 1000,
+    minIncrement: 100,
+    endsAt: new Date(Date.now() + 60 * MINUTE_MS).toISOString()
+  };
+
+  await assert.rejects(
+    auctionService.createAuction(seller, { ...data, antiSnipingWindowMinutes: 'soon' }),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    auctionService.createAuction(seller, { ...data, extensionMinutes: -1 }),
+    { statusCode: 400 }
+  );
+  assert.equal(auctions.rows.length, 0);
+
+  await auctionService.createAuction(seller, { ...data, antiSnipingWindowMinutes: 3, extensionMinutes: 2 });
+  assert.equal(auctions.rows[0].antiSnipingWindowMinutes, 3);
+  assert.equal(auctions.rows[0].extensionMinutes, 2);
+});
@@ -0,0 +1,6 @@
+// Settings the config module needs before any service is required. Tests
+// require this first; real values from the environment still win.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.AWS_S3_REGION_NAME = process.env.AWS_S3_REGION_NAME || 'us-east-1';
+process.env.AWS_STORAGE_BUCKET_NAME = process.env.AWS_STORAGE_BUCKET_NAME || 'test-bucket';
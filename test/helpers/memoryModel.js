@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+
+// Backs a Mongoose model with an in-memory array for the duration of one
+// test, so services run their real queries and conditional updates without
+// a database. Supports the query and update operators the services use.
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof mongoose.Types.ObjectId)
+  && !Buffer.isBuffer(value);
+
+const normalize = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && value._id && !isPlainObject(value._id)) return normalize(value._id);
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map((item) => item?.[key]);
+  return value[key];
+}, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key]) && !Array.isArray(current[key])) current[key] = {};
+    return current[key];
+  }, doc);
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => current?.[key], doc);
+  if (target) delete target[last];
+};
+
+const equals = (actual, expected) => {
+  if (expected === null || expected === undefined) {
+    return actual === null || actual === undefined;
+  }
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some((item) => equals(item, expected));
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((item, index) => equals(item, expected[index]));
+  }
+  return normalize(actual) === normalize(expected);
+};
+
+const compare = (actual, expected, check) => {
+  const values = Array.isArray(actual) ? actual : [actual];
+  return values.some((value) => value !== null && value !== undefined && check(normalize(value), normalize(expected)));
+};
+
+const OPERATORS = {
+  $eq: (actual, expected) => equals(actual, expected),
+  $ne: (actual, expected) => !equals(actual, expected),
+  $in: (actual, list) => list.some((expected) => equals(actual, expected)),
+  $nin: (actual, list) => !list.some((expected) => equals(actual, expected)),
+  $gt: (actual, expected) => compare(actual, expected, (a, b) => a > b),
+  $gte: (actual, expected) => compare(actual, expected, (a, b) => a >= b),
+  $lt: (actual, expected) => compare(actual, expected, (a, b) => a < b),
+  $lte: (actual, expected) => compare(actual, expected, (a, b) => a <= b),
+  $exists: (actual, expected) => (actual !== undefined) === Boolean(expected),
+  $size: (actual, expected) => Array.isArray(actual) && actual.length === expected,
+  $all: (actual, list) => Array.isArray(actual) && list.every((expected) => equals(actual, expected)),
+  $elemMatch: (actual, filter) => Array.isArray(actual) && actual.some((item) => matches(item, filter))
+};
+
+const matchCondition = (actual, condition) => {
+  if (isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!OPERATORS[operator]) throw new Error(`memoryModel does not support ${operator}`);
+      return OPERATORS[operator](actual, expected);
+    });
+  }
+  return equals(actual, condition);
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some((part) => matches(doc, part));
+  if (key === '$and') return condition.every((part) => matches(doc, part));
+  return matchCondition(getPath(doc, key), condition);
+});
+
+const applyUpdate = (doc, update, { isInsert = false } = {}) => {
+  const operations = Object.keys(update).some((key) => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operations).forEach(([operator, fields]) => {
+    Object.entries(fields || {}).forEach(([path, value]) => {
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, value);
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, path, value);
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$push': {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          let next = [...(current || []), ...items];
+          if (isPlainObject(value) && value.$slice !== undefined) next = next.slice(value.$slice);
+          setPath(doc, path, next);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const next = [...(current || [])];
+          items.forEach((item) => {
+            if (!next.some((existing) => equals(existing, item))) next.push(item);
+          });
+          setPath(doc, path, next);
+          break;
+        }
+        case '$pull':
+          setPath(doc, path, (current || []).filter((item) => !matchCondition(item, value)));
+          break;
+        default:
+          throw new Error(`memoryModel does not support ${operator}`);
+      }
+    });
+  });
+
+  return doc;
+};
+
+// Equality fields of a filter seed an upserted document
+const seedFromFilter = (filter) => Object.fromEntries(
+  Object.entries(filter).filter(([key, value]) => !key.startsWith('$')
+    && !(isPlainObject(value) && Object.keys(value).some((part) => part.startsWith('$'))))
+);
+
+const uniqueKeys = (Model) => {
+  const keys = [];
+  Model.schema.eachPath((path, schemaType) => {
+    if (schemaType.options?.unique) keys.push([path]);
+  });
+  Model.schema.indexes().forEach(([fields, options]) => {
+    if (options?.unique) keys.push(Object.keys(fields));
+  });
+  return keys;
+};
+
+class Query {
+  constructor(run) {
+    this.run = run;
+  }
+
+  select() { return this; }
+
+  populate() { return this; }
+
+  sort() { return this; }
+
+  skip() { return this; }
+
+  limit() { return this; }
+
+  lean() { return this; }
+
+  session() { return this; }
+
+  distinct(path) {
+    const { run } = this;
+    this.run = async () => {
+      const docs = await run();
+      return [...new Set((Array.isArray(docs) ? docs : [docs]).filter(Boolean).map((doc) => doc.get(path)))];
+    };
+    return this;
+  }
+
+  exec() { return this.run(); }
+
+  then(resolve, reject) { return this.run().then(resolve, reject); }
+
+  catch(reject) { return this.run().catch(reject); }
+}
+
+/**
+ * Replaces the model's query methods with in-memory ones until the test
+ * ends. Returns the store so tests can seed and inspect documents.
+ */
+const useMemoryModel = (t, Model, seed = []) => {
+  const rows = [];
+  const unique = uniqueKeys(Model);
+
+  const cast = (data) => new Model(data).toObject({ depopulate: true });
+  const hydrate = (row) => (row ? Model.hydrate(cast(row)) : null);
+  // Lets concurrent calls interleave the way they would against a database
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  const assertUnique = (row) => {
+    unique.forEach((paths) => {
+      const clash = rows.some((other) => String(other._id) !== String(row._id)
+        && paths.every((path) => getPath(other, path) !== undefined
+          && equals(getPath(other, path), getPath(row, path))));
+      if (clash) {
+        const error = new Error(`E11000 duplicate key error (${paths.join(', ')})`);
+        error.code = 11000;
+        throw error;
+      }
+    });
+  };
+
+  const insert = (data) => {
+    const row = cast(data);
+    assertUnique(row);
+    rows.push(row);
+    return row;
+  };
+
+  const findRows = (filter) => rows.filter((row) => matches(row, filter));
+
+  const updateRow = (row, update, options = {}) => {
+    const next = cast(applyUpdate(cast(row), update, options));
+    assertUnique(next);
+    rows[rows.indexOf(row)] = next;
+    return next;
+  };
+
+  const findOneAndUpdate = (filter, update, options = {}) => new Query(async () => {
+    await tick();
+    const [row] = findRows(filter);
+    if (!row) {
+      if (!options.upsert) return null;
+      const inserted = insert(applyUpdate(seedFromFilter(filter), update, { isInsert: true }));
+      return options.new ? hydrate(inserted) : null;
+    }
+    const updated = updateRow(row, update);
+    return hydrate(options.new ? updated : row);
+  });
+
+  seed.forEach(insert);
+
+  t.mock.method(Model, 'find', (filter = {}) => new Query(async () => {
+    await tick();
+    return findRows(filter).map(hydrate);
+  }));
+  t.mock.method(Model, 'findOne', (filter = {}) => new Query(async () => {
+    await tick();
+    return hydrate(findRows(filter)[0]);
+  }));
+  t.mock.method(Model, 'findById', (id) => new Query(async () => {
+    await tick();
+    return hydrate(findRows({ _id: id })[0]);
+  }));
+  t.mock.method(Model, 'exists', (filter = {}) => new Query(async () => {
+    await tick();
+    const [row] = findRows(filter);
+    return row ? { _id: row._id } : null;
+  }));
+  t.mock.method(Model, 'countDocuments', (filter = {}) => new Query(async () => {
+    await tick();
+    return findRows(filter).length;
+  }));
+  t.mock.method(Model, 'create', async (data) => {
+    await tick();
+    return hydrate(insert(data));
+  });
+  t.mock.method(Model, 'findOneAndUpdate', findOneAndUpdate);
+  t.mock.method(Model, 'findByIdAndUpdate', (id, update, options) => findOneAndUpdate({ _id: id }, update, options));
+  t.mock.method(Model, 'updateOne', (filter, update, options = {}) => new Query(async () => {
+    await tick();
+    const [row] = findRows(filter);
+    if (!row) {
+      if (options.upsert) {
+        insert(applyUpdate(seedFromFilter(filter), update, { isInsert: true }));
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+    const before = JSON.stringify(row);
+    const updated = updateRow(row, update);
+    return { matchedCount: 1, modifiedCount: JSON.stringify(updated) === before ? 0 : 1 };
+  }));
+  t.mock.method(Model, 'updateMany', (filter, update) => new Query(async () => {
+    await tick();
+    const matched = findRows(filter);
+    matched.forEach((row) => updateRow(row, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  }));
+  t.mock.method(Model, 'deleteOne', (filter = {}) => new Query(async () => {
+    await tick();
+    const [row] = findRows(filter);
+    if (row) rows.splice(rows.indexOf(row), 1);
+    return { deletedCount: row ? 1 : 0 };
+  }));
+  t.mock.method(Model, 'findByIdAndDelete', (id) => new Query(async () => {
+    await tick();
+    const [row] = findRows({ _id: id });
+    if (row) rows.splice(rows.indexOf(row), 1);
+    return hydrate(row);
+  }));
+  t.mock.method(Model.prototype, 'save', async function save() {
+    await tick();
+    const data = this.toObject({ depopulate: true });
+    const existing = rows.find((row) => String(row._id) === String(data._id));
+    if (existing) {
+      rows[rows.indexOf(existing)] = cast(data);
+    } else {
+      insert(data);
+    }
+    return this;
+  });
+
+  return {
+    rows,
+    insert,
+    find: (filter = {}) => findRows(filter)
+  };
+};
+
+module.exports = {
+  useMemoryModel
+};
@@ -0,0 +1,122 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/User');
+const LoginThrottle = require('../src/models/LoginThrottle');
+const LoginHistory = require('../src/models/LoginHistory');
+const env = require('../src/config/env');
+const emailService = require('../src/services/emailService');
+const notificationService = require('../src/services/notificationService');
+const loginProtectionService = require('../src/services/loginProtectionService');
+const twoFactorService = require('../src/services/twoFactorService');
+const { LOGIN_FAILURE_REASONS } = require('../src/utils/enums/loginEnums');
+const { generateTotp } = require('../src/utils/helpers/totpHelper');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const EMAIL = 'driver@example.com';
+const MAX_FAILURES = env.loginProtection.maxFailuresPerEmail;
+
+const setup = (t) => {
+  const users = useMemoryModel(t, User, [{ email: EMAIL, role: 'regular', isEmailVerified: true }]);
+  const throttles = useMemoryModel(t, LoginThrottle);
+  const history = useMemoryModel(t, LoginHistory);
+  const lockoutEmails = t.mock.method(emailService, 'sendAccountLockout', async () => {});
+  t.mock.method(notificationService, 'createNotification', async () => {});
+
+  return { users, throttles, history, lockoutEmails, user: users.rows[0] };
+};
+
+const fail = (user, reason, context = { ip: '10.0.0.1' }) => loginProtectionService.recordFailedLogin(
+  EMAIL,
+  user,
+  reason,
+  context
+);
+
+test('wrong passwords lock the email out and email the owner once', async (t) => {
+  const { user, lockoutEmails, history } = setup(t);
+
+  for (let attempt = 1; attempt < MAX_FAILURES; attempt += 1) {
+    assert.equal(await fail(user, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS), null);
+  }
+
+  const lockout = await fail(user, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS);
+  assert.equal(lockout.statusCode, 429);
+  assert.match(lockout.message, /Try again in 15 minutes/);
+  assert.equal(lockoutEmails.mock.callCount(), 1);
+  assert.equal(history.rows.length, MAX_FAILURES);
+
+  await assert.rejects(
+    loginProtectionService.assertLoginAllowed(EMAIL, { ip: '10.0.0.2' }),
+    { statusCode: 429 }
+  );
+  assert.equal(history.find({ failureReason: LOGIN_FAILURE_REASONS.LOCKED_OUT }).length, 1);
+});
+
+test('a second lockout lasts twice as long', async (t) => {
+  const { user, throttles } = setup(t);
+
+  for (let attempt = 0; attempt < MAX_FAILURES; attempt += 1) {
+    await fail(user, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS);
+  }
+
+  // Let the first lockout run out
+  const [counter] = throttles.find({ kind: 'email' });
+  counter.lockedUntil = new Date(Date.now() - 1000);
+
+  let lockout = null;
+  for (let attempt = 0; attempt < MAX_FAILURES; attempt += 1) {
+    lockout = await fail(user, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS);
+  }
+
+  assert.match(lockout.message, /Try again in 30 minutes/);
+});
+
+test('suspended-account attempts are recorded but not counted', async (t) => {
+  const { user, throttles, history } = setup(t);
+
+  for (let attempt = 0; attempt < MAX_FAILURES + 1; attempt += 1) {
+    assert.equal(await fail(user, LOGIN_FAILURE_REASONS.ACCOUNT_SUSPENDED), null);
+  }
+
+  assert.equal(throttles.rows.length, 0);
+  assert.equal(history.rows.length, MAX_FAILURES + 1);
+  await loginProtectionService.assertLoginAllowed(EMAIL, { ip: '10.0.0.1' });
+});
+
+test('a successful login clears the email counter', async (t) => {
+  const { user, throttles } = setup(t);
+
+  await fail(user, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS);
+  assert.equal(throttles.find({ kind: 'email' })[0].failures, 1);
+
+  await loginProtectionService.recordSuccessfulLogin(User.hydrate(user), { ip: '10.0.0.1' });
+
+  assert.equal(throttles.find({ kind: 'email' }).length, 0);
+  assert.equal(throttles.find({ kind: 'ip' })[0].failures, 0);
+});
+
+test('wrong 2FA codes count towards the lockout across fresh password logins', async (t) => {
+  const { users } = setup(t);
+
+  const { secret } = await twoFactorService.startEnrollment(User.hydrate(users.rows[0]));
+  await twoFactorService.confirmEnrollment(User.hydrate(users.rows[0]), { code: generateTotp(secret) });
+
+  const validCodes = [-30000, 0, 30000].map((offset) => generateTotp(secret, Date.now() + offset));
+  const wrongCode = ['000000', '111111', '222222', '333333'].find((code) => !validCodes.includes(code));
+  const context = { ip: '10.0.0.9' };
+
+  // Each password login issues a new challenge with a fresh per-challenge allowance
+  const signIn = async (code) => {
+    const { challengeToken } = await twoFactorService.createSignInChallenge(User.hydrate(users.rows[0]));
+    return twoFactorService.completeSignIn({ challengeToken, code }, context);
+  };
+
+  for (let attempt = 1; attempt < MAX_FAILURES; attempt += 1) {
+    await assert.rejects(signIn(wrongCode), { statusCode: 400, message: 'Invalid verification code' });
+  }
+
+  await assert.rejects(signIn(wrongCode), { statusCode: 429 });
+  await assert.rejects(signIn(generateTotp(secret)), { statusCode: 429 });
+});
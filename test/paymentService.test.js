@@ -0,0 +1,156 @@
+require('./helpers/env');
+
+const crypto = require('crypto');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, Transaction, PaymentEvent } = require('../src/models/Payment');
+const env = require('../src/config/env');
+const boostService = require('../src/services/boostService');
+const notificationService = require('../src/services/notificationService');
+const paymentService = require('../src/services/paymentService');
+const {
+  PAYMENT_PROVIDERS,
+  PAYMENT_PURPOSES,
+  ORDER_STATUSES,
+  TRANSACTION_STATUSES
+} = require('../src/utils/enums/paymentEnums');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const USER_ID = 'user-1';
+
+const setup = (t, { provider = PAYMENT_PROVIDERS.FAKE } = {}) => {
+  const fakeConfig = { ...env.payments.fake };
+  Object.assign(env.payments.fake, { enabled: true, webhookSecret: WEBHOOK_SECRET });
+  t.after(() => Object.assign(env.payments.fake, fakeConfig));
+
+  const reference = `PAY-${crypto.randomBytes(4).toString('hex')}`;
+  const orders = useMemoryModel(t, Order, [{
+    reference,
+    user: USER_ID,
+    purpose: PAYMENT_PURPOSES.BOOST,
+    description: 'Boost',
+    amount: 500000,
+    currency: 'NGN',
+    provider,
+    metadata: { listingId: '64b000000000000000000001', tier: 'basic' }
+  }]);
+  const transactions = useMemoryModel(t, Transaction, [{
+    order: orders.rows[0]._id,
+    reference,
+    provider,
+    amount: 500000,
+    currency: 'NGN'
+  }]);
+  const events = useMemoryModel(t, PaymentEvent);
+  const createBoost = t.mock.method(boostService, 'createBoost', async () => ({ _id: 'boost-1' }));
+  t.mock.method(notificationService, 'createNotification', async () => {});
+
+  return { reference, orders, transactions, events, createBoost };
+};
+
+const signedDelivery = (body, secret = WEBHOOK_SECRET) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    rawBody,
+    body,
+    headers: { 'x-fake-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex') }
+  };
+};
+
+const chargeSucceeded = (reference, id = `evt_${crypto.randomBytes(4).toString('hex')}`) => ({
+  id,
+  event: 'charge.succeeded',
+  data: { reference, amount: 500000, currency: 'NGN', providerReference: 'fake_1' }
+});
+
+test('rejects webhooks with a missing or wrong signature', async (t) => {
+  const { reference, events, orders } = setup(t);
+  const body = chargeSucceeded(reference);
+
+  await assert.rejects(
+    paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, { ...signedDelivery(body), headers: {} }),
+    { statusCode: 401 }
+  );
+  await assert.rejects(
+    paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, signedDelivery(body, 'someone-elses-secret')),
+    { statusCode: 401 }
+  );
+
+  assert.equal(events.rows.length, 0);
+  assert.equal(orders.rows[0].status, ORDER_STATUSES.PENDING);
+});
+
+test('settles and fulfils an order once, however often the event is delivered', async (t) => {
+  const { reference, orders, transactions, events, createBoost } = setup(t);
+  const delivery = signedDelivery(chargeSucceeded(reference, 'evt_1'));
+
+  const first = await paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, delivery);
+  assert.deepEqual(first, { success: true, duplicate: false, status: ORDER_STATUSES.PAID });
+
+  const redelivered = await paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, delivery);
+  assert.deepEqual(redelivered, { success: true, duplicate: true });
+
+  // A different event reporting the same payment does not fulfil it again
+  await paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, signedDelivery(chargeSucceeded(reference, 'evt_2')));
+
+  assert.equal(createBoost.mock.callCount(), 1);
+  assert.equal(orders.rows[0].status, ORDER_STATUSES.PAID);
+  assert.deepEqual(orders.rows[0].fulfillment, { boostId: 'boost-1' });
+  assert.equal(transactions.rows[0].status, TRANSACTION_STATUSES.SUCCESS);
+  assert.equal(events.rows.length, 2);
+});
+
+test('concurrent deliveries of one event fulfil the order once', async (t) => {
+  const { reference, createBoost } = setup(t);
+  const delivery = signedDelivery(chargeSucceeded(reference, 'evt_1'));
+
+  await Promise.all([
+    paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, delivery),
+    paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, delivery)
+  ]);
+
+  assert.equal(createBoost.mock.callCount(), 1);
+});
+
+test('fails the order when the paid amount does not match', async (t) => {
+  const { reference, orders, createBoost } = setup(t);
+  const body = chargeSucceeded(reference);
+  body.data.amount = 100;
+
+  await paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, signedDelivery(body));
+
+  assert.equal(orders.rows[0].status, ORDER_STATUSES.FAILED);
+  assert.equal(createBoost.mock.callCount(), 0);
+});
+
+test('ignores a webhook for an order placed with another provider', async (t) => {
+  const { reference, orders, transactions, events, createBoost } = setup(t, { provider: PAYMENT_PROVIDERS.PAYSTACK });
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await paymentService.handleWebhook(PAYMENT_PROVIDERS.FAKE, signedDelivery(chargeSucceeded(reference)));
+
+  assert.equal(result.status, null);
+  assert.equal(orders.rows[0].status, ORDER_STATUSES.PENDING);
+  assert.equal(transactions.rows[0].status, TRANSACTION_STATUSES.PENDING);
+  assert.equal(createBoost.mock.callCount(), 0);
+  assert.ok(events.rows[0].processedAt, 'the event is still recorded as handled');
+});
+
+test('the fake gateway is unavailable in production', () => {
+  // The config module is frozen at load, so check a production process
+  const script = "console.log(require('./src/services/paymentGateways/fakeGateway').isEnabled())";
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      NODE_ENV: 'production',
+      FAKE_PAYMENTS_ENABLED: 'true',
+      FAKE_PAYMENTS_WEBHOOK_SECRET: WEBHOOK_SECRET
+    }
+  });
+
+  assert.equal(output.toString().trim(), 'false');
+});
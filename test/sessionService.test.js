@@ -0,0 +1,83 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const sessionService = require('../src/services/sessionService');
+const { SESSION_REVOCATION_REASONS } = require('../src/utils/enums/sessionEnums');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const setup = async (t) => {
+  const users = useMemoryModel(t, User, [{ email: 'driver@example.com', role: 'regular', isEmailVerified: true }]);
+  const sessions = useMemoryModel(t, Session);
+  const user = User.hydrate(users.rows[0]);
+  const tokens = await sessionService.createSession(user, { ip: '10.0.0.1', userAgent: 'node-test' });
+
+  return { users, sessions, tokens };
+};
+
+test('refreshing rotates the refresh token', async (t) => {
+  const { sessions, tokens } = await setup(t);
+
+  const refreshed = await sessionService.refreshSession(tokens.refreshToken);
+
+  assert.equal(refreshed.success, true);
+  assert.ok(refreshed.token);
+  assert.notEqual(refreshed.refreshToken, tokens.refreshToken);
+  assert.equal(sessions.rows.length, 1);
+  assert.equal(sessions.rows[0].previousTokenHashes.length, 1);
+
+  const again = await sessionService.refreshSession(refreshed.refreshToken);
+  assert.notEqual(again.refreshToken, refreshed.refreshToken);
+});
+
+test('reusing a rotated refresh token revokes the session', async (t) => {
+  const { sessions, tokens } = await setup(t);
+  const { refreshToken: current } = await sessionService.refreshSession(tokens.refreshToken);
+
+  await assert.rejects(
+    sessionService.refreshSession(tokens.refreshToken),
+    { statusCode: 401, message: /already been used/ }
+  );
+
+  assert.ok(sessions.rows[0].revokedAt);
+  assert.equal(sessions.rows[0].revokedReason, SESSION_REVOCATION_REASONS.TOKEN_REUSE);
+
+  // The token the legitimate holder was given no longer works either
+  await assert.rejects(sessionService.refreshSession(current), { statusCode: 401 });
+});
+
+test('a refresh racing another with the same token counts as reuse', async (t) => {
+  const { sessions, tokens } = await setup(t);
+
+  const results = await Promise.allSettled([
+    sessionService.refreshSession(tokens.refreshToken),
+    sessionService.refreshSession(tokens.refreshToken)
+  ]);
+
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find((result) => result.status === 'rejected').reason.statusCode, 401);
+  assert.equal(sessions.rows[0].revokedReason, SESSION_REVOCATION_REASONS.TOKEN_REUSE);
+});
+
+test('unknown and missing refresh tokens are rejected', async (t) => {
+  const { sessions } = await setup(t);
+
+  await assert.rejects(
+    sessionService.refreshSession('not-a-real-token'),
+    { statusCode: 401, message: 'Invalid or expired refresh token' }
+  );
+  await assert.rejects(sessionService.refreshSession(undefined), { statusCode: 400 });
+  assert.equal(sessions.rows[0].revokedAt, null);
+});
+
+test('an expired session cannot be refreshed', async (t) => {
+  const { sessions, tokens } = await setup(t);
+  sessions.rows[0].expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(
+    sessionService.refreshSession(tokens.refreshToken),
+    { statusCode: 401, message: 'Invalid or expired refresh token' }
+  );
+});
@@ -0,0 +1,60 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../src/utils/helpers/totpHelper');
+
+// RFC 6238 appendix B (SHA-1), cut to our 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('base32 round-trips arbitrary bytes', () => {
+  const bytes = Buffer.from([0, 1, 2, 254, 255, 128, 64, 32, 16, 8]);
+  assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  assert.throws(() => base32Decode('not*base32'), /Invalid base32/);
+});
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code, `T=${seconds}`);
+  });
+});
+
+test('verifyTotp accepts one step of drift either way and returns the step', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 30000);
+
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now), now), step);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), now), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), now), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90000), now), null);
+});
+
+test('verifyTotp rejects malformed codes', () => {
+  ['', '12345', '1234567', 'abcdef', null].forEach((code) => {
+    assert.equal(verifyTotp(RFC_SECRET, code), null);
+  });
+});
+
+test('buildOtpauthUri encodes the issuer and account', () => {
+  const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'a@b.com', issuer: 'Car Market' });
+  const params = new URLSearchParams(uri.split('?')[1]);
+
+  assert.ok(uri.startsWith('otpauth://totp/Car%20Market%3Aa%40b.com?'));
+  assert.equal(params.get('secret'), RFC_SECRET);
+  assert.equal(params.get('issuer'), 'Car Market');
+  assert.equal(params.get('digits'), '6');
+});